@@ -1,13 +1,8 @@
 // middleware/auth.js
 const { admin } = require('../config/firebase');
+const { readGuestToken } = require('../services/guestAccess');
 // const admin = require('firebase-admin');
 
-// Get Firestore instance (will be initialized in server.js)
-let db;
-const setDb = (database) => {
-  db = database;
-};
-
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
   try {
@@ -39,6 +34,30 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Verify a guest booking token (issued by POST /api/v1/guest/lookup)
+const verifyGuestToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Unauthorized: No token provided' 
+    });
+  }
+
+  try {
+    req.guest = readGuestToken(authHeader.split('Bearer ')[1]);
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, error: error.code });
+    }
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Unauthorized: Invalid or expired guest token'
+    });
+  }
+};
 
 // Role-based access control middleware
 const requireRole = (allowedRoles) => {
@@ -190,10 +209,10 @@ const validateFields = (requiredFields) => {
 
 module.exports = {
   verifyToken,
+  verifyGuestToken,
   requireRole,
   isOwnerOrAdmin,
   auditLog,
   isBookingOwner,
-  validateFields,
-  setDb
+  validateFields
 };
\ No newline at end of file
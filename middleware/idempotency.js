@@ -0,0 +1,135 @@
+// middleware/idempotency.js
+// Idempotency-Key support for POST endpoints that must not run twice.
+//
+// Mobile clients retry when a response is lost. With an `Idempotency-Key`
+// header, the first request runs normally and its response is stored in
+// `idempotency_keys`; a retry with the same key and body gets that stored
+// response back (with `Idempotent-Replayed: true`) instead of creating a
+// second booking or payment prompt. Reusing a key for a different request is
+// rejected. Keys are scoped to the endpoint and the signed-in user, and expire
+// after a day. Requests without the header behave as before.
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request still "in progress" after this long is assumed to have died
+// with its process, and the key may be taken over by a retry
+const IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Only outcomes a retry would get again are stored: successes, and validation
+// errors of the request itself. Anything else (conflicts, missing records,
+// server errors) releases the key so the client can retry for real.
+const REPLAYED_CLIENT_ERRORS = new Set([400, 422]);
+const isReplayable = (status) => (status >= 200 && status < 300) || REPLAYED_CLIENT_ERRORS.has(status);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Claim the key, or return what the request should do instead:
+// { replay: { status, body } } for a finished duplicate
+const claimKey = (keyRef, record, now) => db.runTransaction(async (transaction) => {
+  const keyDoc = await transaction.get(keyRef);
+  const existing = keyDoc.exists ? keyDoc.data() : null;
+  const expired = existing && existing.expiresAt.toMillis() <= now.getTime();
+
+  if (existing && !expired) {
+    if (existing.fingerprint !== record.fingerprint) {
+      throw httpError(422, 'IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request');
+    }
+    if (existing.state === 'completed') {
+      return { replay: existing.response };
+    }
+    if (now.getTime() - existing.lockedAt.toMillis() < IN_PROGRESS_TIMEOUT_MS) {
+      throw httpError(409, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed; retry shortly');
+    }
+  }
+
+  transaction.set(keyRef, {
+    ...record,
+    state: 'in_progress',
+    response: null,
+    lockedAt: admin.firestore.Timestamp.fromDate(now),
+    createdAt: admin.firestore.Timestamp.fromDate(now),
+    expiresAt: admin.firestore.Timestamp.fromDate(new Date(now.getTime() + KEY_TTL_MS))
+  });
+  return {};
+});
+
+// Middleware for one endpoint; `scope` names it (e.g. 'bookings.create').
+// Mount after verifyToken so keys are per user.
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const userId = (req.user && req.user.uid) || null;
+  const keyRef = db.collection('idempotency_keys').doc(sha256(`${scope}:${userId}:${key}`));
+  const record = {
+    scope,
+    userId,
+    fingerprint: sha256(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body)}`)
+  };
+
+  let claim;
+  try {
+    claim = await claimKey(keyRef, record, new Date());
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (claim.replay) {
+    const { status, contentType, body } = claim.replay;
+    res.set('Idempotent-Replayed', 'true');
+    if (contentType) res.set('Content-Type', contentType);
+    return res.status(status).send(body);
+  }
+
+  // Store the response before sending it. res.json() and res.send() both end
+  // in res.end(), so that is where the finished body is caught.
+  const end = res.end.bind(res);
+  let ended = false;
+  res.end = (chunk, encoding, callback) => {
+    if (ended) return end(chunk, encoding, callback);
+    ended = true;
+
+    const status = res.statusCode;
+    const body = typeof chunk === 'function' || chunk == null ? '' : chunk.toString();
+    const stored = isReplayable(status)
+      ? keyRef.update({
+        state: 'completed',
+        response: { status, contentType: res.get('Content-Type') || null, body },
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+      : keyRef.delete();
+
+    stored
+      .catch(error => console.error('Idempotency key save error:', error))
+      .then(() => end(chunk, encoding, callback));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
 const { db } = require('../config/firebase');
-const { verifyToken, isOwnerOrAdmin } = require('../middleware/auth');
+const { verifyToken } = require('../middleware/auth');
 
 // POST /api/v1/auth/google - Google OAuth login/sync
 router.post('/google', async (req, res) => {
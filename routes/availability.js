@@ -1,12 +1,39 @@
 // routes/availability.js
 const express = require('express');
 const router = express.Router();
-const { db, admin } = require('../server');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { searchAvailability } = require('../services/availability');
+const { suggestAlternatives } = require('../services/stayAlternatives');
+const { nightsBetween, averageNightlyRate } = require('../services/pricing');
+const { getHotelSettings } = require('../services/hotelSettings');
+const { occupancyRulesFrom, parseOccupancy } = require('../services/occupancy');
+const { availabilityCalendar } = require('../services/availabilityCalendar');
+const { stayClockFrom, parseStayDate, hotelToday } = require('../services/stayDates');
+const { stayViolations, readRestrictions } = require('../services/stayRestrictions');
+const { loadRates } = require('../services/rates');
+const { promotionAppliesTo, applyPromotion, resolvePromotion } = require('../services/promotions');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// The per-room grid shows which room is booked or held on which night, so
+// only staff see it; everyone else gets the per-type counts
+const staffForRoomView = (req, res, next) => {
+  if (req.query.view !== 'room') return next();
+  return verifyToken(req, res, () => requireRole(['admin', 'manager', 'receptionist'])(req, res, next));
+};
 
 // POST /api/v1/availability - Check room availability
+// When nothing fits (or nothing of `roomType`, if given), `alternatives` lists
+// ranked other dates, room types or split stays that can be booked instead.
+// Room types whose stay restrictions the stay breaks are not offered and list
+// the broken rules as `restrictions`; a 422 names the rule when that leaves
+// nothing (or nothing of `roomType`). Prices follow `ratePlanId` (default:
+// the hotel's default plan) with a night-by-night `nightlyRates`. A usable
+// `promoCode` is taken off the prices of the room types it covers, with a
+// `discount` line in the breakdown; one that cannot be used is refused.
 router.post('/', async (req, res) => {
   try {
-    const { checkIn, checkOut, guests } = req.body;
+    const { checkIn, checkOut, guests, adults, childAges, roomType, ratePlanId, promoCode } = req.body;
 
     // Validation
     if (!checkIn || !checkOut) {
@@ -18,13 +45,22 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const checkInDate = new Date(checkIn);
-    const checkOutDate = new Date(checkOut);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Dates are the hotel's calendar dates, "today" included
+    const settings = await getHotelSettings();
+    const clock = stayClockFrom(settings);
+    const checkInDate = parseStayDate(checkIn, clock);
+    const checkOutDate = parseStayDate(checkOut, clock);
+
+    if (!checkInDate || !checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check-in or check-out date',
+        data: null,
+        error: { code: 'VALIDATION_ERROR' }
+      });
+    }
 
-    // Validate dates
-    if (checkInDate < today) {
+    if (checkInDate < hotelToday(clock)) {
       return res.status(400).json({
         success: false,
         message: 'Check-in date cannot be in the past',
@@ -42,79 +78,127 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Get all active rooms
-    const roomsSnapshot = await db.collection('rooms')
-      .where('isActive', '==', true)
-      .get();
-
-    if (roomsSnapshot.empty) {
-      return res.json({
-        success: true,
-        message: 'No rooms available',
-        data: [],
-        error: null
-      });
+    // The party must fit the room and is charged the hotel's occupancy surcharges
+    let party = null;
+    if (guests !== undefined || adults !== undefined || childAges !== undefined) {
+      let occupancy;
+      try {
+        occupancy = parseOccupancy({ adults, childAges, guests });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          data: null,
+          error: { code: validationError.code }
+        });
+      }
+      party = { occupancy, rules: occupancyRulesFrom(settings) };
     }
 
-    const roomIds = roomsSnapshot.docs.map(doc => doc.id);
-
-    // Get all confirmed bookings that overlap with requested dates
-    const bookingsSnapshot = await db.collection('bookings')
-      .where('status', '==', 'confirmed')
-      .where('roomId', 'in', roomIds)
-      .get();
-
-    const bookedRoomIds = new Set();
+    const nights = nightsBetween(checkInDate, checkOutDate);
+    const rates = await loadRates({ from: checkInDate, to: checkOutDate, ratePlanId: ratePlanId || null });
+    const promotion = promoCode
+      ? await resolvePromotion({
+        code: promoCode,
+        roomType: roomType || null,
+        checkIn: checkInDate,
+        checkOut: checkOutDate,
+        today: hotelToday(clock)
+      })
+      : null;
+    // Quotes of the room types the code covers, with the discount taken off
+    const discounted = (type, quote) => (promotion && quote && promotionAppliesTo(promotion, type)
+      ? applyPromotion(quote, promotion)
+      : quote);
+    const [search, restrictions] = await Promise.all([
+      searchAvailability({ checkIn: checkInDate, checkOut: checkOutDate, party, rates }),
+      readRestrictions(checkInDate, checkOutDate)
+    ]);
 
-    bookingsSnapshot.forEach(doc => {
-      const booking = doc.data();
-      const bookingCheckIn = booking.checkIn.toDate();
-      const bookingCheckOut = booking.checkOut.toDate();
+    // Minimum/maximum stay and closed arrival or departure dates, per room type
+    const broken = new Map();
+    const types = search.roomTypes.map(entry => entry.type);
+    for (const type of new Set([...types, roomType || null])) {
+      const violations = stayViolations({ restrictions, roomType: type, checkIn: checkInDate, checkOut: checkOutDate });
+      if (violations.length > 0) broken.set(type, violations);
+    }
+    const refused = roomType ? broken.get(roomType) : types.every(type => broken.has(type)) && broken.get(types[0] || null);
+    if (refused) {
+      return res.status(422).json({
+        success: false,
+        message: refused[0].message,
+        data: { restrictions: refused },
+        error: { code: refused[0].code }
+      });
+    }
 
-      // Check for date overlap
-      if (
-        (checkInDate >= bookingCheckIn && checkInDate < bookingCheckOut) ||
-        (checkOutDate > bookingCheckIn && checkOutDate <= bookingCheckOut) ||
-        (checkInDate <= bookingCheckIn && checkOutDate >= bookingCheckOut)
-      ) {
-        bookedRoomIds.add(booking.roomId);
-      }
+    const rooms = search.rooms
+      .filter(({ room }) => !broken.has(room.type))
+      .map(({ room, quote }) => ({ room, quote: discounted(room.type, quote) }));
+    const roomTypes = search.roomTypes.map(entry => {
+      if (broken.has(entry.type)) return { ...entry, available: 0, restrictions: broken.get(entry.type) };
+      if (entry.totalPrice === null) return entry;
+      const quote = discounted(entry.type, { total: entry.totalPrice, breakdown: entry.priceBreakdown });
+      return { ...entry, totalPrice: quote.total, priceBreakdown: quote.breakdown, discount: quote.discount || 0 };
     });
 
-    // Calculate nights and filter available rooms
-    const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-    const availableRooms = [];
-
-    roomsSnapshot.forEach(doc => {
-      const roomData = doc.data();
-      
-      // Check if room is available and meets capacity requirements
-      if (!bookedRoomIds.has(doc.id) && (!guests || roomData.capacity >= guests)) {
-        availableRooms.push({
-          id: doc.id,
-          ...roomData,
-          totalPrice: roomData.pricePerNight * nights,
-          pricePerNight: roomData.pricePerNight,
-          nights
-        });
-      }
-    });
+    const soldOut = roomType
+      ? !roomTypes.some(entry => entry.type === roomType && entry.available > 0)
+      : rooms.length === 0;
+    const alternatives = soldOut
+      ? await suggestAlternatives({
+        checkIn: checkInDate,
+        checkOut: checkOutDate,
+        party,
+        roomType: roomType || null,
+        ratePlan: rates.plan
+      })
+      : [];
+
+    const availableRooms = rooms.map(({ room, quote }) => ({
+      ...room,
+      pricePerNight: averageNightlyRate(quote.nightly),
+      totalPrice: quote.total,
+      priceBreakdown: quote.breakdown,
+      nightlyRates: quote.nightly,
+      discount: quote.discount || 0,
+      nights
+    }));
 
     res.json({
       success: true,
       message: `Found ${availableRooms.length} available room(s)`,
       data: {
         rooms: availableRooms,
+        roomTypes,
+        ratePlan: rates.plan,
+        promotion: promotion
+          ? { code: promotion.code, campaign: promotion.campaign, discount: promotion.discount, roomTypes: promotion.roomTypes }
+          : null,
+        alternatives,
         searchCriteria: {
           checkIn,
           checkOut,
           guests,
+          adults,
+          childAges,
+          roomType,
+          ratePlanId,
+          promoCode,
           nights
         }
       },
       error: null
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: null,
+        error: { code: error.code }
+      });
+    }
     console.error('Check availability error:', error);
     res.status(500).json({
       success: false,
@@ -125,4 +209,54 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/v1/availability/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD[&view=type|room][&roomType=][&ratePlanId=]
+// Night-by-night grid: each room type (or, for staff, each room) and night as
+// booked, held, maintenance or free, with the nightly price. `to` is the
+// morning after the last night.
+router.get('/calendar', staffForRoomView, async (req, res) => {
+  try {
+    const { from, to, view = 'type', roomType, ratePlanId } = req.query;
+
+    if (!DATE_ONLY.test(from || '') || !DATE_ONLY.test(to || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to dates (YYYY-MM-DD) are required',
+        data: null,
+        error: { code: 'VALIDATION_ERROR' }
+      });
+    }
+
+    const calendar = await availabilityCalendar({
+      from: new Date(`${from}T00:00:00.000Z`),
+      to: new Date(`${to}T00:00:00.000Z`),
+      roomType: roomType || null,
+      view,
+      ratePlanId: ratePlanId || null
+    });
+
+    res.json({
+      success: true,
+      message: `Availability for ${calendar.nights.length} night(s)`,
+      data: { from, to, view, ...calendar },
+      error: null
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: null,
+        error: { code: error.code }
+      });
+    }
+    console.error('Availability calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load availability calendar',
+      data: null,
+      error: { code: 'AVAILABILITY_CHECK_FAILED' }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,99 +1,182 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { db, admin } = require('../config/firebase'); 
 const { verifyToken, requireRole } = require('../middleware/auth');
-
-// ==========================================
-// CONFIGURATION (RELWORX)
-// ==========================================
-const RELWORX_CONFIG = {
-  API_KEY: process.env.RELWORX_API_KEY || 'a6d10c136873fd.e0jfX4fshl9u_YyDvkiiXA', 
-  ACCOUNT_NO: 'REL0309E04069',
-  BASE_URL: 'https://payments.relworx.com/api',
-  CURRENCY: 'UGX'
-};
+const { idempotent } = require('../middleware/idempotency');
+const { httpError } = require('../utils/httpError');
+const { RELWORX_CONFIG, generateReference, requestPayment } = require('../services/relworx');
+const {
+  readRoomNights,
+  assertRoomAvailable,
+  assertTypeAvailable,
+  touchRoomType,
+  claimRoomNights,
+  releaseRoomNights
+} = require('../services/inventory');
+const { isSellable, fittingRooms } = require('../services/availability');
+const { UNAVAILABLE_CODES, suggestAlternatives } = require('../services/stayAlternatives');
+const { checkStayRestrictions, recordOverride } = require('../services/stayRestrictions');
+const { loadRates } = require('../services/rates');
+const {
+  promotionCoversStay,
+  promotionSnapshot,
+  applyPromotion,
+  resolvePromotion,
+  claimRedemption,
+  recordRedemption,
+  readRedemption,
+  releaseRedemption
+} = require('../services/promotions');
+const { assignRoom, autoAssignArrivals } = require('../services/roomAssignment');
+const { holdExpiryFor, expirePendingBookings } = require('../services/bookingExpiry');
+const { ACTIVE_STATUSES, transitionUpdates } = require('../services/bookingStatus');
+const { quoteCancellation } = require('../services/cancellationPolicy');
+const { amountPaidFrom, readBookingPayments } = require('../services/bookingPayments');
+const { formatPhoneNumber, findOrCreateUser } = require('../services/guests');
+const { priceStay, cheapestStay } = require('../services/pricing');
+const { getHotelSettings } = require('../services/hotelSettings');
+const {
+  stayClockFrom,
+  getStayClock,
+  parseStayDate,
+  hotelToday,
+  stayDateFields
+} = require('../services/stayDates');
+const { validateCommissionRate, commissionFor, resolveChannel } = require('../services/channels');
+const {
+  occupancyRulesFrom,
+  parseOccupancy,
+  occupancyOf,
+  occupancyFields,
+  assertFits
+} = require('../services/occupancy');
+const {
+  BILLING_CYCLES,
+  isPeriodic,
+  paidThrough,
+  installmentPayments,
+  installmentNarration,
+  sendDueInstallments
+} = require('../services/billingSchedule');
+const { syncGroupTotals } = require('../services/bookingGroups');
+const {
+  loadFolio,
+  postFolioLine,
+  voidFolioLine,
+  transferToCityLedger
+} = require('../services/folio');
+const { buildInvoice } = require('../services/invoices');
+const { sendDocument } = require('../services/documentRenderer');
+const { reserveConfirmationCode, claimConfirmationCode } = require('../services/confirmationCodes');
+const { applyTransition, cancelBooking } = require('../services/bookingLifecycle');
+const { searchKeywords, parseListParams, listBookings, reindexSearchKeywords } = require('../services/bookingSearch');
+const { createListContext } = require('../services/batchLoader');
+const {
+  roomSnapshot,
+  guestSnapshot,
+  roomNameOf,
+  guestOf,
+  missingRoomIds,
+  missingUserIds
+} = require('../services/bookingSnapshots');
 
 // ==========================================
 // HELPERS
 // ==========================================
 
-const formatPhoneNumber = (phone) => {
-  if (!phone) return null;
-  let cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
-  if (cleanPhone.startsWith('0')) return '+256' + cleanPhone.substring(1);
-  if (!cleanPhone.startsWith('+')) return '+256' + cleanPhone;
-  return cleanPhone;
+// Statuses with rules of their own (front-desk checks, settled folio,
+// cancellation penalty and refund) are only reached through their endpoints,
+// never a plain update
+const LIFECYCLE_ENDPOINTS = {
+  checked_in: 'check-in',
+  checked_out: 'check-out',
+  cancelled: 'cancel',
+  no_show: 'no-show'
 };
 
-// This matches the reference logic in payments.js
-const generateReference = () => {
-  return 'TX-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
-};
+// Work out what a price change means for the booking's payments.
+// Nothing received yet: the outstanding request(s) are simply re-amounted.
+// Money already received: unpaid top-ups are voided and whatever the guest
+// now owes (or is owed) becomes one new top-up request or refund-due entry,
+// so paid records keep their original amounts. Periodically billed bookings
+// get a fresh installment schedule for the amount still owed instead of a
+// top-up. `stay` is the new { checkIn, checkOut }.
+const planRepricing = (bookingId, booking, newTotal, payments, stay) => {
+  const previousTotal = Number(booking.totalPrice) || 0;
+
+  const plan = {
+    newTotal,
+    delta: newTotal - previousTotal,
+    bookingUpdates: { totalPrice: newTotal },
+    paymentUpdates: [],
+    entry: null,
+    installments: []
+  };
+  if (plan.delta === 0) return plan;
+
+  // Folio settlements pay for incidentals, not for the room
+  const roomPayments = payments.filter(p => p.type !== 'folio');
+  const periodic = isPeriodic(booking);
+  const voidUnpaid = (types) => roomPayments
+    .filter(p => types.includes(p.type) && ['pending', 'scheduled'].includes(p.status))
+    .map(p => ({ ref: p.ref, changes: { status: 'void' } }));
+
+  const amountPaid = amountPaidFrom(roomPayments);
+  const refundsDue = roomPayments
+    .filter(p => p.type === 'refund' && p.status === 'refund_due')
+    .reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
 
-const findOrCreateUser = async (name, phone, email) => {
-  const formattedPhone = formatPhoneNumber(phone);
-  if (formattedPhone) {
-    const phoneQuery = await db.collection('users').where('phoneNumber', '==', formattedPhone).limit(1).get();
-    if (!phoneQuery.empty) return phoneQuery.docs[0].id;
+  if (amountPaid === 0 && refundsDue === 0 && periodic) {
+    plan.paymentUpdates = voidUnpaid(['installment']);
+    plan.installments = installmentPayments({ bookingId, booking, amount: newTotal, ...stay });
+    return plan;
   }
-  if (email) {
-    const emailQuery = await db.collection('users').where('email', '==', email).limit(1).get();
-    if (!emailQuery.empty) return emailQuery.docs[0].id;
+
+  if (amountPaid === 0 && refundsDue === 0) {
+    plan.paymentUpdates = roomPayments
+      .filter(p => (!p.type || p.type === 'booking') && p.status === 'pending')
+      .map(p => ({
+        ref: p.ref,
+        // A combined group payment only changes by this booking's difference
+        changes: p.groupShare
+          ? {
+              amount: admin.firestore.FieldValue.increment(newTotal - p.amount),
+              [`allocations.${bookingId}`]: newTotal
+            }
+          : { amount: newTotal }
+      }));
+    return plan;
   }
-  try {
-    const userRecord = await admin.auth().createUser({
-      displayName: name,
-      phoneNumber: formattedPhone, 
-      email: email || undefined,   
-      emailVerified: true,
-      disabled: false
-    });
-    await db.collection('users').doc(userRecord.uid).set({
-      name: name,
-      email: email || null,
-      phoneNumber: formattedPhone,
-      role: 'customer',
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+
+  plan.paymentUpdates = voidUnpaid(['top_up', 'installment']);
+
+  const balance = newTotal - (amountPaid - refundsDue);
+  if (balance > 0 && periodic) {
+    plan.installments = installmentPayments({
+      bookingId,
+      booking,
+      amount: balance,
+      ...stay,
+      paidThrough: paidThrough(roomPayments)
     });
-    await admin.auth().setCustomUserClaims(userRecord.uid, { role: 'customer' });
-    return userRecord.uid;
-  } catch (error) {
-    if (error.code === 'auth/phone-number-already-exists') {
-      const user = await admin.auth().getUserByPhoneNumber(formattedPhone);
-      return user.uid;
-    }
-    if (error.code === 'auth/email-already-exists') {
-        const user = await admin.auth().getUserByEmail(email);
-        return user.uid;
-    }
-    throw error;
+    plan.bookingUpdates.paymentStatus = 'partial';
+  } else if (balance > 0) {
+    plan.entry = { type: 'top_up', status: 'pending', amount: balance, customer_reference: generateReference(), externalReference: null };
+    plan.bookingUpdates.paymentStatus = 'partial';
+  } else if (balance < 0) {
+    plan.entry = { type: 'refund', status: 'refund_due', amount: -balance };
+    plan.bookingUpdates.paymentStatus = 'paid';
+  } else {
+    plan.bookingUpdates.paymentStatus = 'paid';
   }
+  return plan;
 };
 
-const calculateTotalPrice = (pricePerNight, checkIn, checkOut) => {
-  if (!pricePerNight || !checkIn || !checkOut) return 0;
-  const diffTime = checkOut.getTime() - checkIn.getTime();
-  const diffNights = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); 
-  return pricePerNight * (diffNights > 0 ? diffNights : 1); 
-};
-
-const checkAvailability = async (roomId, checkIn, checkOut, excludeBookingId = null) => {
-  const snapshot = await db.collection('bookings')
-    .where('roomId', '==', roomId)
-    .where('status', 'in', ['confirmed', 'pending']) 
-    .get();
-
-  for (const doc of snapshot.docs) {
-    if (excludeBookingId && doc.id === excludeBookingId) continue;
-    const data = doc.data();
-    const existingStart = data.checkIn.toDate().getTime();
-    const existingEnd = data.checkOut.toDate().getTime();
-    const newStart = checkIn.getTime();
-    const newEnd = checkOut.getTime();
-    if (newStart < existingEnd && newEnd > existingStart) return false; 
+// Guests may manage their own bookings, admins and managers any booking
+const ensureCanManage = (user, booking) => {
+  if (user.role !== 'admin' && user.role !== 'manager' && booking.userId !== user.uid) {
+    throw httpError(403, 'FORBIDDEN', 'Unauthorized');
   }
-  return true;
 };
 
 // ==========================================
@@ -101,37 +184,29 @@ const checkAvailability = async (roomId, checkIn, checkOut, excludeBookingId = n
 // ==========================================
 router.get('/me', verifyToken, async (req, res) => {
   try {
-    const userId = req.user.uid;
-    
-    // Fetch bookings for specific user
-    const snapshot = await db.collection('bookings')
-      .where('userId', '==', userId)
-      .orderBy('createdAt', 'desc')
-      .get();
-
-    const bookings = await Promise.all(snapshot.docs.map(async (doc) => {
-      const data = doc.data();
-      
-      let roomName = 'Unknown';
-      if (data.roomId) {
-        const roomSnap = await db.collection('rooms').doc(data.roomId).get();
-        if (roomSnap.exists) roomName = roomSnap.data().roomNumber + ' - ' + roomSnap.data().type;
-      }
+    // Same filters and paging as the staff list, always scoped to the caller
+    const params = parseListParams({ ...req.query, userId: req.user.uid });
+    const ctx = createListContext();
+    const page = await listBookings(params);
+    ctx.tracker.charge(page.readCount);
 
-      return {
-        id: doc.id,
-        ...data,
-        checkIn: data.checkIn.toDate().toISOString(),
-        checkOut: data.checkOut.toDate().toISOString(),
-        roomName,
-        // Guest info is the user themselves, but likely stored in data too
-        guestName: data.guestName || 'Me', 
-        guestPhone: data.guestPhone || 'N/A'
-      };
+    const rows = page.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    await ctx.rooms.loadMany(missingRoomIds(rows));
+
+    const bookings = rows.map(({ searchKeywords: _keywords, ...data }) => ({
+      ...data,
+      checkIn: data.checkIn.toDate().toISOString(),
+      checkOut: data.checkOut.toDate().toISOString(),
+      roomName: roomNameOf(data, ctx.rooms),
+      // Guest info is the user themselves, but likely stored in data too
+      guestName: data.guestName || 'Me', 
+      guestPhone: data.guestPhone || 'N/A'
     }));
 
-    res.json({ success: true, bookings });
+    res.set('X-Read-Count', String(ctx.tracker.reads));
+    res.json({ success: true, bookings, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
     console.error('Error fetching my bookings:', error);
     res.status(500).json({ error: error.message });
   }
@@ -140,107 +215,223 @@ router.get('/me', verifyToken, async (req, res) => {
 // ==========================================
 // 1. GET /bookings (Admin/Manager: All bookings)
 // ==========================================
+// Query: status, paymentStatus, roomId, roomType, userId, channel, partnerId, from, to, q,
+// sort, order, limit, cursor (see services/bookingSearch.js)
 router.get('/', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
   try {
-    const snapshot = await db.collection('bookings').orderBy('createdAt', 'desc').get();
+    const params = parseListParams(req.query);
+    const ctx = createListContext();
+    const page = await listBookings(params);
+    ctx.tracker.charge(page.readCount);
 
-    const bookings = await Promise.all(snapshot.docs.map(async (doc) => {
-      const data = doc.data();
-      
-      let roomName = 'Unknown';
-      if (data.roomId) {
-        const roomSnap = await db.collection('rooms').doc(data.roomId).get();
-        if (roomSnap.exists) roomName = roomSnap.data().roomNumber + ' - ' + roomSnap.data().type;
-      }
-
-      let guestName = data.guestName;
-      let guestPhone = data.guestPhone;
-      if (data.userId) {
-        const userSnap = await db.collection('users').doc(data.userId).get();
-        if (userSnap.exists) {
-            guestName = userSnap.data().name || userSnap.data().displayName;
-            guestPhone = userSnap.data().phoneNumber;
-        }
-      }
+    // Rows without snapshots are joined with one batched read per collection
+    const rows = page.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    await Promise.all([
+      ctx.rooms.loadMany(missingRoomIds(rows)),
+      ctx.users.loadMany(missingUserIds(rows))
+    ]);
 
+    const bookings = rows.map(({ searchKeywords: _keywords, ...data }) => {
+      const { guestName, guestPhone } = guestOf(data, ctx.users);
       return {
-        id: doc.id,
         ...data,
         checkIn: data.checkIn.toDate().toISOString(),
         checkOut: data.checkOut.toDate().toISOString(),
-        roomName,
+        roomName: roomNameOf(data, ctx.rooms),
         guestName: guestName || 'Walk-in',
         guestPhone: guestPhone || 'N/A'
       };
-    }));
+    });
 
-    res.json({ success: true, bookings });
+    res.set('X-Read-Count', String(ctx.tracker.reads));
+    res.json({ success: true, bookings, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /bookings/reindex-search - Backfill search keywords on older bookings
+router.post('/reindex-search', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await reindexSearchKeywords();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Reindex search error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ==========================================
 // 2. POST /bookings (Create & Charge)
+// Safe to retry with an Idempotency-Key header. A stay that cannot be sold
+// is answered with a 409 carrying ranked, priced `alternatives`; one that
+// breaks a stay restriction with a 422 naming the rule (MIN_STAY_NOT_MET,
+// MAX_STAY_EXCEEDED, CLOSED_TO_ARRIVAL, CLOSED_TO_DEPARTURE). A `promoCode`
+// that cannot be used is refused with its reason (PROMO_* codes).
 // ==========================================
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, idempotent('bookings.create'), async (req, res) => {
+  // The stay as requested, once known: used to suggest alternatives if it cannot be sold
+  let requestedStay = null;
   try {
     const { 
-      roomId, checkIn, checkOut, 
+      roomId, roomType, checkIn, checkOut, 
       guestName, guestPhone, guestEmail, 
-      guests, status,
-      paymentMethod, paymentStatus, receivedBy, paymentPhone 
+      guests, adults, childAges,
+      paymentMethod, receivedBy, paymentPhone,
+      billingCycle, channel, partnerId, commissionRate, ratePlanId, promoCode
     } = req.body;
 
-    const start = new Date(checkIn);
-    const end = new Date(checkOut);
+    if (!roomId && !roomType) return res.status(400).json({ error: 'Either roomId or roomType is required' });
+
+    // Only staff record a booking as confirmed or paid (e.g. cash at the desk);
+    // guests' bookings start pending and unpaid until the payment comes in
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    const status = isStaff ? req.body.status : undefined;
+    const paymentStatus = isStaff ? req.body.paymentStatus : undefined;
+    if (billingCycle && !BILLING_CYCLES.includes(billingCycle)) {
+      return res.status(400).json({ error: `billingCycle must be one of: ${BILLING_CYCLES.join(', ')}` });
+    }
+    if (billingCycle && billingCycle !== 'upfront' && paymentStatus === 'paid') {
+      return res.status(400).json({ error: 'A booking paid in full is billed upfront' });
+    }
+
+    // Stay dates are the hotel's calendar dates, whatever the server's timezone
+    const settings = await getHotelSettings();
+    const start = parseStayDate(checkIn, stayClockFrom(settings));
+    const end = parseStayDate(checkOut, stayClockFrom(settings));
     
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) return res.status(400).json({ error: 'Invalid dates' });
+    if (!start || !end) return res.status(400).json({ error: 'Invalid dates' });
     if (start >= end) return res.status(400).json({ error: 'Check-out must be after check-in' });
     
     if (paymentMethod === 'Cash' && !receivedBy) {
         return res.status(400).json({ error: 'Cash payment requires "receivedBy" staff.' });
     }
 
-    const roomDoc = await db.collection('rooms').doc(roomId).get();
-    if (!roomDoc.exists) return res.status(404).json({ error: 'Room not found' });
-    
-    const isAvailable = await checkAvailability(roomId, start, end);
-    if (!isAvailable) return res.status(409).json({ error: 'Room is unavailable' });
+    // New bookings start as a reservation; check-in has its own endpoint
+    if (status && !['pending', 'confirmed'].includes(status)) {
+      return res.status(400).json({ error: 'New bookings must be "pending" or "confirmed"' });
+    }
+
+    // The party must fit the room, and pays the hotel's child and extra-person surcharges
+    const occupancy = parseOccupancy({ adults, childAges, guests });
+    const party = { occupancy, rules: occupancyRulesFrom(settings) };
+    // Nights are priced with the rate plan asked for (or the hotel's default),
+    // seasonal prices and one-off overrides
+    const rates = await loadRates({ from: start, to: end, ratePlanId: ratePlanId || null });
+    requestedStay = {
+      checkIn: start,
+      checkOut: end,
+      party,
+      roomType: roomType || null,
+      roomId: roomId || null,
+      ratePlan: rates.plan
+    };
+
+    // A specific room, or a room type with the room assigned later. Long stays
+    // are priced at the cheapest mix of monthly, weekly and nightly rates.
+    let roomData = null;
+    let quote;
+    if (roomId) {
+      const roomDoc = await db.collection('rooms').doc(roomId).get();
+      if (!roomDoc.exists) return res.status(404).json({ error: 'Room not found' });
+      roomData = roomDoc.data();
+      if (!isSellable(roomData)) {
+        throw httpError(409, 'ROOM_NOT_SELLABLE', `Room ${roomData.roomNumber} is out of service`);
+      }
+      requestedStay.roomType = roomData.type;
+      assertFits(roomData, occupancy, party.rules);
+      quote = priceStay(roomData, start, end, party, rates);
+    } else {
+      const typeSnap = await db.collection('rooms').where('type', '==', roomType).get();
+      const pool = typeSnap.docs.map(doc => doc.data()).filter(isSellable);
+      if (pool.length === 0) return res.status(404).json({ error: `No rooms of type "${roomType}"` });
+      const fitting = fittingRooms(pool, party);
+      if (fitting.length === 0) throw httpError(409, 'OVER_CAPACITY', `No ${roomType} room holds this party`);
+      quote = cheapestStay(fitting, start, end, party, rates);
+    }
 
+    // Minimum/maximum stay and closed arrival or departure dates for the room
+    // type. Staff may book through them with `restrictionOverride: { reason }`.
+    const restrictionOverride = await checkStayRestrictions({
+      roomType: requestedStay.roomType,
+      checkIn: start,
+      checkOut: end,
+      override: req.body.restrictionOverride || null,
+      user: req.user
+    });
+
+    // A promo code comes off the quote; its usage limits are checked again
+    // when the booking is written
+    let promo = null;
+    let promotion = null;
+    if (promoCode) {
+      promo = await resolvePromotion({
+        code: promoCode,
+        roomType: requestedStay.roomType,
+        checkIn: start,
+        checkOut: end,
+        today: hotelToday(stayClockFrom(settings))
+      });
+      quote = applyPromotion(quote, promo);
+      promotion = promotionSnapshot(promo, quote.discount);
+    }
+    
     // Use logged-in user ID if guest info matches, or create/find user if admin is booking for someone
     // Note: If a user is booking for themselves, req.user.uid is usually the userId.
     // However, if admin creates booking, we findOrCreate based on form input.
     // Logic below handles creating a user record if it doesn't exist based on phone/email.
     const userId = await findOrCreateUser(guestName, guestPhone, guestEmail);
     
-    const roomData = roomDoc.data();
-    const totalPrice = calculateTotalPrice(roomData.price, start, end);
+    const totalPrice = quote.total;
+
+    // Only staff attribute bookings to a channel or partner; guests book on the website
+    const source = await resolveChannel(isStaff ? { channel, partnerId, commissionRate } : {}, { user: req.user });
 
     const formattedPaymentPhone = paymentMethod === 'Mobile Money' ? formatPhoneNumber(paymentPhone) : null;
 
+    // Unpaid pending bookings only hold the room for a limited window
+    const bookingStatus = status || 'pending';
+    const holdExpiresAt = bookingStatus === 'pending' && paymentStatus !== 'paid'
+      ? admin.firestore.Timestamp.fromDate(holdExpiryFor(paymentMethod || 'Mobile Money'))
+      : null;
+
     // 1. Create Booking Object
     const newBooking = {
-      roomId,
+      roomId: roomId || null,
+      roomType: roomData ? roomData.type : roomType,
       userId: userId,
       guestName: guestName, 
       guestPhone: formatPhoneNumber(guestPhone),
       guestEmail: guestEmail || '',
-      guests: Number(guests) || 1,
+      ...occupancyFields(occupancy),
       checkIn: admin.firestore.Timestamp.fromDate(start),
       checkOut: admin.firestore.Timestamp.fromDate(end),
+      ...stayDateFields(start, end),
       totalPrice,
-      status: status || 'pending',
+      priceBreakdown: quote.breakdown,
+      ratePlan: rates.plan,
+      nightlyRates: quote.nightly,
+      promotion,
+      billingCycle: billingCycle || 'upfront',
+      ...source,
+      commissionAmount: commissionFor(totalPrice, source.commissionRate),
+      status: bookingStatus,
+      statusHistory: [{ from: null, to: bookingStatus, at: admin.firestore.Timestamp.now(), by: req.user.uid }],
+      holdExpiresAt,
       paymentStatus: paymentStatus || 'unpaid',
       paymentMethod: paymentMethod || 'Mobile Money',
       paymentPhone: formattedPaymentPhone,
       receivedBy: paymentMethod === 'Cash' ? receivedBy : null,
+      roomSnapshot: roomSnapshot(roomData),
+      guestSnapshot: guestSnapshot({ userId, name: guestName, phone: formatPhoneNumber(guestPhone), email: guestEmail }),
+      restrictionOverride,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       createdBy: req.user.uid
     };
 
-    const docRef = await db.collection('bookings').add(newBooking);
-    const bookingId = docRef.id;
+    const bookingRef = db.collection('bookings').doc();
+    const bookingId = bookingRef.id;
 
     // 🟢 2. CREATE PAYMENT RECORD
     const myReference = generateReference();
@@ -261,34 +452,59 @@ router.post('/', verifyToken, async (req, res) => {
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    await db.collection('payments').add(paymentData);
+    // Periodic billing: one installment per week or month instead of a single
+    // charge, and only the first is requested now (see services/billingSchedule.js)
+    const payments = isPeriodic(newBooking)
+      ? installmentPayments({ bookingId, booking: newBooking, amount: totalPrice, checkIn: start, checkOut: end })
+      : [paymentData];
+    const firstPayment = payments[0];
+
+    // Availability check, booking, room-night locks and payment record are
+    // written atomically so two clerks cannot book the same room-night
+    const confirmationCode = await db.runTransaction(async (transaction) => {
+      // Even a specific room counts against its type's pool, or it could take
+      // the last room promised to an unassigned room-type reservation
+      const typeCheck = await assertTypeAvailable(transaction, {
+        roomType: newBooking.roomType,
+        checkIn: start,
+        checkOut: end
+      });
+      const lockSnaps = roomId
+        ? await assertRoomAvailable(transaction, { roomId, checkIn: start, checkOut: end })
+        : [];
+      const reservation = await reserveConfirmationCode(transaction);
+      const promoClaim = promo ? await claimRedemption(transaction, promo, userId) : null;
+
+      transaction.set(bookingRef, {
+        ...newBooking,
+        confirmationCode: reservation.code,
+        searchKeywords: searchKeywords({ ...newBooking, confirmationCode: reservation.code })
+      });
+      claimConfirmationCode(transaction, reservation, { bookingId });
+      claimRoomNights(transaction, lockSnaps, bookingId);
+      touchRoomType(transaction, typeCheck);
+      payments.forEach(payment => transaction.set(db.collection('payments').doc(), payment));
+      if (restrictionOverride) recordOverride(transaction, bookingId, restrictionOverride, req.user);
+      if (promoClaim) recordRedemption(transaction, promoClaim, { bookingId, userId, promotion, user: req.user });
+      return reservation.code;
+    });
 
     // 🟢 3. AUTO-INITIATE PAYMENT (Mobile Money)
     let paymentMessage = 'Booking created successfully.';
 
     if (paymentMethod === 'Mobile Money' && formattedPaymentPhone) {
       try {
-        console.log(`[Relworx] Requesting payment: Ref=${myReference}, Phone=${formattedPaymentPhone}, Amount=${totalPrice}`);
+        console.log(`[Relworx] Requesting payment: Ref=${firstPayment.customer_reference}, Phone=${formattedPaymentPhone}, Amount=${firstPayment.amount}`);
         
-        await axios.post(
-          `${RELWORX_CONFIG.BASE_URL}/mobile-money/request-payment`,
-          {
-            account_no: RELWORX_CONFIG.ACCOUNT_NO,
-            amount: totalPrice,
-            currency: RELWORX_CONFIG.CURRENCY,
-            msisdn: formattedPaymentPhone,
-            // 🟢 Send OUR ID as "reference". Relworx will return this as "customer_reference"
-            reference: myReference, 
-            narration: `Booking ${bookingId.slice(0,6)}`
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${RELWORX_CONFIG.API_KEY}`,
-              'Accept': 'application/vnd.relworx.v2'
-            }
-          }
-        );
+        await requestPayment({
+          amount: firstPayment.amount,
+          msisdn: formattedPaymentPhone,
+          // 🟢 Send OUR ID as "reference". Relworx will return this as "customer_reference"
+          reference: firstPayment.customer_reference,
+          narration: firstPayment.type === 'installment'
+            ? installmentNarration({ confirmationCode }, firstPayment)
+            : `Booking ${confirmationCode}`
+        });
         
         paymentMessage = 'Booking created. Payment prompt sent to phone.';
 
@@ -301,15 +517,91 @@ router.post('/', verifyToken, async (req, res) => {
     res.status(201).json({ 
       success: true, 
       id: bookingId,
+      confirmationCode,
+      totalPrice,
+      priceBreakdown: quote.breakdown,
+      nightlyRates: quote.nightly,
+      ratePlan: rates.plan,
+      promotion,
+      billingCycle: newBooking.billingCycle,
+      amountDueNow: firstPayment.amount,
       message: paymentMessage 
     });
 
   } catch (error) {
+    if (error.status === 409 && requestedStay && UNAVAILABLE_CODES.includes(error.code)) {
+      const alternatives = await suggestAlternatives(requestedStay).catch(suggestError => {
+        console.error('Suggest alternatives error:', suggestError);
+        return [];
+      });
+      return res.status(409).json({ error: error.message, code: error.code, alternatives });
+    }
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
     console.error('Create error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ==========================================
+// 2b. POST /bookings/expire-holds (Run the expiry sweep now)
+// ==========================================
+router.post('/expire-holds', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const result = await expirePendingBookings();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Expire holds error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 2c. POST /bookings/send-installments (Run the billing scheduler now)
+// ==========================================
+router.post('/send-installments', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const result = await sendDueInstallments();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Send installments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 2d. Room assignment for room-type reservations
+// ==========================================
+
+// POST /bookings/auto-assign - Assign rooms to unassigned arrivals up to a
+// hotel date (default: tomorrow's arrivals)
+router.post('/auto-assign', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const clock = await getStayClock();
+    const until = req.body.until
+      ? parseStayDate(req.body.until, clock)
+      : new Date(hotelToday(clock).getTime() + 24 * 60 * 60 * 1000);
+    if (!until) return res.status(400).json({ error: 'Invalid "until" date' });
+
+    const result = await autoAssignArrivals({ until, by: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Auto-assign error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /bookings/:id/assign-room - Assign a given room, or the best fit when no roomId is sent
+router.post('/:id/assign-room', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const result = await assignRoom(req.params.id, { roomId: req.body.roomId || null, by: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Assign room error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==========================================
 // 3. PUT /bookings/:id (Update)
 // ==========================================
@@ -317,33 +609,31 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
   try {
     const { id } = req.params;
     const { 
-      roomId, checkIn, checkOut, 
+      roomId, roomType, checkIn, checkOut, 
       guestName, guestPhone, status, 
+      guests, adults, childAges,
+      channel, partnerId, commissionRate,
       paymentMethod, paymentStatus, receivedBy, paymentPhone 
     } = req.body;
 
     const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
 
+    const settings = await getHotelSettings();
+    const clock = stayClockFrom(settings);
     let start, end;
     if (checkIn) {
-      start = new Date(checkIn);
+      start = parseStayDate(checkIn, clock);
+      if (!start) return res.status(400).json({ error: 'Invalid dates' });
       updates.checkIn = admin.firestore.Timestamp.fromDate(start);
     }
     if (checkOut) {
-      end = new Date(checkOut);
+      end = parseStayDate(checkOut, clock);
+      if (!end) return res.status(400).json({ error: 'Invalid dates' });
       updates.checkOut = admin.firestore.Timestamp.fromDate(end);
     }
 
-    if (roomId || checkIn || checkOut) {
-      if (checkIn && checkOut && roomId) {
-          const isAvailable = await checkAvailability(roomId, start, end, id);
-          if (!isAvailable) return res.status(409).json({ error: 'Room is unavailable' });
-      }
-    }
-
     if (guestName) updates.guestName = guestName;
     if (guestPhone) updates.guestPhone = formatPhoneNumber(guestPhone);
-    if (status) updates.status = status;
     if (roomId) updates.roomId = roomId;
     
     if (paymentMethod) updates.paymentMethod = paymentMethod;
@@ -351,11 +641,263 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
     if (receivedBy !== undefined) updates.receivedBy = receivedBy;
     if (paymentPhone) updates.paymentPhone = formatPhoneNumber(paymentPhone);
 
-    await db.collection('bookings').doc(id).update(updates);
+    const rules = occupancyRulesFrom(settings);
+
+    const bookingRef = db.collection('bookings').doc(id);
+    let topUp = null;
+    let groupId = null;
+    let bookingLabel = id.slice(0,6);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+      const current = bookingDoc.data();
+      groupId = current.groupId || null;
+      if (current.confirmationCode) bookingLabel = current.confirmationCode;
+      if (updates.guestName || updates.guestPhone) {
+        updates.searchKeywords = searchKeywords({ ...current, ...updates });
+        updates.guestSnapshot = guestSnapshot({
+          ...(current.guestSnapshot || { userId: current.userId, email: current.guestEmail }),
+          name: updates.guestName || current.guestName,
+          phone: updates.guestPhone || current.guestPhone
+        });
+      }
+      const currentStart = current.checkIn.toDate();
+      const currentEnd = current.checkOut.toDate();
 
-    res.json({ success: true });
+      // Re-attribute the booking, or change the partner's commission on it
+      if (channel !== undefined || partnerId !== undefined) {
+        Object.assign(updates, await resolveChannel({ channel, partnerId, commissionRate }, { transaction }));
+      } else if (commissionRate !== undefined) {
+        if (!current.partnerId) throw httpError(400, 'PARTNER_REQUIRED', 'Only partner bookings carry a commission');
+        validateCommissionRate(commissionRate);
+        updates.commissionRate = commissionRate;
+      }
+      if (updates.commissionRate !== undefined) {
+        updates.commissionAmount = commissionFor(current.totalPrice, updates.commissionRate);
+      }
+
+      // Merge the partial update over the stored stay
+      const nextRoomId = roomId || current.roomId || null;
+      const nextStart = start || currentStart;
+      const nextEnd = end || currentEnd;
+      if (nextStart >= nextEnd) throw httpError(400, 'INVALID_DATES', 'Check-out must be after check-in');
+      if (start || end) Object.assign(updates, stayDateFields(nextStart, nextEnd));
+      if (roomType && roomType !== current.roomType && !roomId && current.roomId) {
+        throw httpError(400, 'ROOM_ASSIGNED', 'Change the room to change the type of an assigned booking');
+      }
+
+      // A new party is re-checked against the room and re-priced
+      const currentOccupancy = occupancyOf(current);
+      const nextOccupancy = adults === undefined && childAges === undefined && guests !== undefined
+        ? parseOccupancy({ guests })
+        : parseOccupancy({
+            adults: adults ?? currentOccupancy.adults,
+            childAges: childAges ?? currentOccupancy.childAges
+          });
+      const partyChanged = nextOccupancy.adults !== currentOccupancy.adults
+        || nextOccupancy.childAges.join(',') !== currentOccupancy.childAges.join(',');
+      if (partyChanged) Object.assign(updates, occupancyFields(nextOccupancy));
+      const party = { occupancy: nextOccupancy, rules };
+
+      // Status changes go through the lifecycle table
+      if (status && status !== current.status) {
+        if (LIFECYCLE_ENDPOINTS[status]) {
+          throw httpError(409, 'USE_LIFECYCLE_ENDPOINT',
+            `Use POST /bookings/${id}/${LIFECYCLE_ENDPOINTS[status]} to move a booking to ${status}`);
+        }
+        Object.assign(updates, transitionUpdates(current, status, req.user.uid));
+      }
+
+      const wasActive = ACTIVE_STATUSES.includes(current.status);
+      const willBeActive = ACTIVE_STATUSES.includes(status || current.status);
+      const datesChanged = nextStart.getTime() !== currentStart.getTime()
+        || nextEnd.getTime() !== currentEnd.getTime();
+      const roomChanged = nextRoomId !== (current.roomId || null);
+      const typeChanged = !nextRoomId && roomType && roomType !== current.roomType;
+      const stayChanged = datesChanged || roomChanged || typeChanged || partyChanged;
+
+      if (!stayChanged && wasActive === willBeActive) {
+        transaction.update(bookingRef, updates);
+        return { totalPrice: current.totalPrice };
+      }
+
+      const [roomDoc, payments] = await Promise.all([
+        nextRoomId ? transaction.get(db.collection('rooms').doc(nextRoomId)) : null,
+        readBookingPayments(id, current, transaction)
+      ]);
+      if (roomDoc && !roomDoc.exists) throw httpError(404, 'ROOM_NOT_FOUND', 'Room not found');
+
+      const nextRoom = roomDoc ? roomDoc.data() : null;
+      const nextRoomType = nextRoom ? nextRoom.type : (roomType || current.roomType);
+      if (nextRoomType) updates.roomType = nextRoomType;
+      if (roomChanged) updates.roomSnapshot = roomSnapshot(nextRoom);
+      if (nextRoom && willBeActive && roomChanged && !isSellable(nextRoom)) {
+        throw httpError(409, 'ROOM_NOT_SELLABLE', `Room ${nextRoom.roomNumber} is out of service`);
+      }
+
+      // New dates or a new room type must meet the stay restrictions, as on
+      // create; staff may override them with `restrictionOverride: { reason }`
+      const restrictionOverride = willBeActive && (datesChanged || nextRoomType !== current.roomType)
+        ? await checkStayRestrictions({
+            roomType: nextRoomType,
+            checkIn: nextStart,
+            checkOut: nextEnd,
+            override: req.body.restrictionOverride || null,
+            user: req.user,
+            transaction
+          })
+        : null;
+      if (restrictionOverride) updates.restrictionOverride = restrictionOverride;
+      if (nextRoom && willBeActive && (roomChanged || partyChanged)) assertFits(nextRoom, nextOccupancy, rules);
+
+      const typeCheck = willBeActive && nextRoomType
+        ? await assertTypeAvailable(transaction, {
+            roomType: nextRoomType,
+            checkIn: nextStart,
+            checkOut: nextEnd,
+            excludeBookingId: id
+          })
+        : null;
+
+      // A new room, type or dates means a new price. Giving a room-type
+      // reservation its room of that type keeps the price the guest booked.
+      const isAssignment = roomChanged && !current.roomId && !datesChanged && !partyChanged
+        && nextRoomType === current.roomType;
+      const fitting = typeCheck && !nextRoom
+        ? fittingRooms(typeCheck.rooms, { occupancy: nextOccupancy, rules })
+        : [];
+      if (typeCheck && !nextRoom && fitting.length === 0) {
+        throw httpError(409, 'OVER_CAPACITY', `No ${nextRoomType} room holds this party`);
+      }
+
+      let repricing = null;
+      let droppedRedemption = null;
+      if (stayChanged && willBeActive && !isAssignment) {
+        // Today's seasons and overrides, on the rate plan terms the booking was made with
+        const rates = await loadRates({
+          from: nextStart,
+          to: nextEnd,
+          ratePlan: current.ratePlan || null,
+          excludeBookingId: id
+        });
+        const stayQuote = nextRoom
+          ? priceStay(nextRoom, nextStart, nextEnd, party, rates)
+          : cheapestStay(fitting, nextStart, nextEnd, party, rates);
+        // A promo code the booking was made with keeps its discount terms for
+        // as long as the changed stay meets its room types and minimum nights
+        const keepsPromotion = current.promotion && promotionCoversStay(current.promotion, {
+          roomType: nextRoomType,
+          checkIn: nextStart,
+          checkOut: nextEnd
+        });
+        const quote = keepsPromotion ? applyPromotion(stayQuote, current.promotion) : stayQuote;
+        repricing = planRepricing(id, current, quote.total, payments, { checkIn: nextStart, checkOut: nextEnd });
+        updates.priceBreakdown = quote.breakdown;
+        updates.nightlyRates = quote.nightly;
+        if (current.promotion) updates.promotion = keepsPromotion ? { ...current.promotion, amount: quote.discount } : null;
+        // A dropped code no longer counts towards its limits
+        if (current.promotion && !keepsPromotion) droppedRedemption = await readRedemption(transaction, id, current);
+        updates.commissionAmount = commissionFor(quote.total, updates.commissionRate ?? current.commissionRate);
+      }
+
+      const oldLocks = wasActive
+        ? await readRoomNights(transaction, current.roomId, currentStart, currentEnd)
+        : [];
+      const newLocks = willBeActive && nextRoomId
+        ? await assertRoomAvailable(transaction, {
+            roomId: nextRoomId,
+            checkIn: nextStart,
+            checkOut: nextEnd,
+            excludeBookingId: id
+          })
+        : [];
+
+      if (repricing) {
+        Object.assign(updates, repricing.bookingUpdates);
+        updates.priceHistory = admin.firestore.FieldValue.arrayUnion({
+          previousTotal: current.totalPrice || 0,
+          newTotal: repricing.newTotal,
+          delta: repricing.delta,
+          roomId: nextRoomId,
+          checkIn: admin.firestore.Timestamp.fromDate(nextStart),
+          checkOut: admin.firestore.Timestamp.fromDate(nextEnd),
+          at: admin.firestore.Timestamp.now(),
+          by: req.user.uid
+        });
+      }
+
+      transaction.update(bookingRef, updates);
+      if (typeCheck) touchRoomType(transaction, typeCheck);
+      if (restrictionOverride) recordOverride(transaction, id, restrictionOverride, req.user);
+      if (updates.promotion !== undefined) {
+        transaction.update(db.collection('promo_redemptions').doc(id), {
+          discount: updates.promotion ? updates.promotion.amount : 0
+        });
+      }
+      releaseRedemption(transaction, droppedRedemption, 'terms_not_met');
+
+      const kept = new Set(newLocks.map(snap => snap.id));
+      releaseRoomNights(transaction, oldLocks.filter(snap => !kept.has(snap.id)), id);
+      claimRoomNights(transaction, newLocks, id);
+
+      if (repricing) {
+        repricing.paymentUpdates.forEach(({ ref, changes }) => transaction.update(ref, {
+          ...changes,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+
+        if (repricing.entry) {
+          const entryRef = db.collection('payments').doc();
+          const entry = {
+            bookingId: id,
+            userId: current.userId || null,
+            currency: RELWORX_CONFIG.CURRENCY,
+            provider: current.paymentMethod || null,
+            phone: current.paymentPhone || current.guestPhone || null,
+            reason: 'modification',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            ...repricing.entry
+          };
+          transaction.set(entryRef, entry);
+          if (entry.type === 'top_up') topUp = { id: entryRef.id, ...entry };
+        }
+
+        repricing.installments.forEach(installment => {
+          const installmentRef = db.collection('payments').doc();
+          transaction.set(installmentRef, installment);
+          if (installment.status === 'pending') topUp = { id: installmentRef.id, ...installment };
+        });
+      }
+
+      return repricing
+        ? { totalPrice: repricing.newTotal, previousTotal: current.totalPrice || 0, delta: repricing.delta }
+        : { totalPrice: current.totalPrice };
+    });
+
+    // Prompt the guest for the difference on the phone they paid with
+    if (topUp && topUp.provider === 'Mobile Money' && topUp.phone) {
+      try {
+        await requestPayment({
+          amount: topUp.amount,
+          msisdn: topUp.phone,
+          reference: topUp.customer_reference,
+          narration: topUp.type === 'installment'
+            ? installmentNarration({ confirmationCode: bookingLabel }, topUp)
+            : `Top-up ${bookingLabel}`
+        });
+      } catch (payError) {
+        console.error('Top-up prompt failed:', payError.response?.data || payError.message);
+      }
+    }
+
+    if (groupId) result.group = await syncGroupTotals(groupId);
+
+    res.json({ success: true, ...result });
 
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
     res.status(500).json({ error: error.message });
   }
 });
@@ -363,27 +905,157 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
 // ==========================================
 // 4. Cancel
 // ==========================================
+
+// GET /bookings/:id/cancellation - Preview penalty and refund before confirming
+router.get('/:id/cancellation', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const bookingDoc = await db.collection('bookings').doc(id).get();
+    if (!bookingDoc.exists) return res.status(404).json({ error: 'Booking not found' });
+
+    const booking = bookingDoc.data();
+    ensureCanManage(req.user, booking);
+
+    const quote = await quoteCancellation(id, booking);
+    res.json({ success: true, cancellation: quote });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Cancellation preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.post('/:id/cancel', verifyToken, async (req, res) => {
+  try {
+    const booking = await cancelBooking(req.params.id, {
+      by: req.user.uid,
+      authorize: (current) => ensureCanManage(req.user, current)
+    });
+    const group = booking.groupId ? await syncGroupTotals(booking.groupId) : undefined;
+
+    res.json({ success: true, cancellation: booking.cancellation, group });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 5. Front desk: check-in, check-out, no-show
+// The stay's dates turn into times with the hotel's check-in and check-out
+// times in its timezone
+// ==========================================
+
+router.post('/:id/check-in', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const booking = await applyTransition(req.params.id, 'checked_in', req.user.uid);
+    res.json({ success: true, status: booking.status });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/check-out', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const booking = await applyTransition(req.params.id, 'checked_out', req.user.uid);
+    res.json({ success: true, status: booking.status });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Check-out error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/no-show', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const booking = await applyTransition(req.params.id, 'no_show', req.user.uid);
+    res.json({ success: true, status: booking.status });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('No-show error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 6. Folio: incidental charges, adjustments and settlement
+// ==========================================
+router.get('/:id/folio', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // Optional: Add check to ensure user owns booking or is admin
-    const bookingRef = db.collection('bookings').doc(id);
-    const booking = await bookingRef.get();
-    
-    if (!booking.exists) return res.status(404).json({error: 'Booking not found'});
-    
-    // Allow if admin or if booking belongs to user
-    if (req.user.role !== 'admin' && req.user.role !== 'manager' && booking.data().userId !== req.user.uid) {
-        return res.status(403).json({error: 'Unauthorized'});
+    const bookingDoc = await db.collection('bookings').doc(id).get();
+    if (!bookingDoc.exists) return res.status(404).json({ error: 'Booking not found' });
+
+    const booking = bookingDoc.data();
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    if (!isStaff && booking.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    await bookingRef.update({
-      status: 'cancelled',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    res.json({ success: true });
+    const folio = await loadFolio(id, booking);
+    res.json({ success: true, folio });
+  } catch (error) {
+    console.error('Get folio error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/folio/lines', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const { type, category, description, amount, quantity, reason } = req.body;
+    const line = await postFolioLine(req.params.id, { type, category, description, amount, quantity, reason }, req.user.uid);
+    res.status(201).json({ success: true, line });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Post folio line error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/folio/lines/:lineId/void', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const result = await voidFolioLine(req.params.id, req.params.lineId, { reason: req.body.reason, by: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Void folio line error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/folio/transfer', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const { account, note } = req.body;
+    const cityLedger = await transferToCityLedger(req.params.id, { account, note, by: req.user.uid });
+    res.json({ success: true, cityLedger });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('City ledger transfer error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 7. GET /bookings/:id/invoice?format=html|pdf
+// ==========================================
+router.get('/:id/invoice', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const bookingDoc = await db.collection('bookings').doc(id).get();
+    if (!bookingDoc.exists) return res.status(404).json({ error: 'Booking not found' });
+
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    if (!isStaff && bookingDoc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const invoice = await buildInvoice(id);
+    await sendDocument(res, invoice, req.query.format);
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Invoice error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../config/firebase'); 
 const { verifyToken, requireRole } = require('../middleware/auth');
-const { DateTime, Interval } = require('luxon');
+const { DateTime } = require('luxon');
+const { REVENUE_STATUSES } = require('../services/bookingStatus');
+const { CHANNELS, commissionOwed } = require('../services/channels');
 
 // Helper: Initialize Chart Buckets (Map for O(1) lookup)
 const initChartMap = (range) => {
@@ -46,7 +48,6 @@ const initChartMap = (range) => {
 router.get('/stats', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
   try {
     const { range = '7d' } = req.query; 
-    const now = DateTime.now();
 
     // 1. Fetch Data
     const [bookingsSnap, paymentsSnap, roomsSnap, usersSnap] = await Promise.all([
@@ -63,6 +64,13 @@ router.get('/stats', verifyToken, requireRole(['admin', 'manager']), async (req,
     let activeBookingsCount = 0;
     const recentBookings = [];
 
+    // Bookings, revenue and commission per channel over the chart range.
+    // Bookings made before channels were recorded show as 'unknown'.
+    const channelMap = new Map([...CHANNELS, 'unknown'].map(channel => [
+      channel,
+      { channel, bookings: 0, revenue: 0, commission: 0 }
+    ]));
+
     // 3. Process Bookings
     bookingsSnap.forEach(doc => {
       const b = { id: doc.id, ...doc.data() };
@@ -71,9 +79,6 @@ router.get('/stats', verifyToken, requireRole(['admin', 'manager']), async (req,
       const rawDate = b.createdAt ? b.createdAt.toDate() : new Date();
       const bookingDate = DateTime.fromJSDate(rawDate);
       
-      const checkIn = b.checkIn ? DateTime.fromJSDate(b.checkIn.toDate()) : now;
-      const checkOut = b.checkOut ? DateTime.fromJSDate(b.checkOut.toDate()) : now;
-
       // --- CHART AGGREGATION ---
       // Determine the key for this booking based on selected range
       const matchKey = range === '1y' 
@@ -88,20 +93,26 @@ router.get('/stats', verifyToken, requireRole(['admin', 'manager']), async (req,
         entry.bookings += 1;
 
         // Increment Revenue (only if valid)
-        if (b.paymentStatus === 'paid' || b.status === 'confirmed') {
+        const countsAsRevenue = b.paymentStatus === 'paid' || REVENUE_STATUSES.includes(b.status);
+        if (countsAsRevenue) {
           const amount = Number(b.totalPrice) || 0;
           entry.revenue += amount;
         }
+
+        // --- CHANNEL BREAKDOWN ---
+        const channelEntry = channelMap.get(b.channel) || channelMap.get('unknown');
+        channelEntry.bookings += 1;
+        if (countsAsRevenue) channelEntry.revenue += Number(b.totalPrice) || 0;
+        channelEntry.commission += commissionOwed(b);
       }
 
       // --- TOTAL METRICS ---
-      if (b.paymentStatus === 'paid' || b.status === 'confirmed') {
+      if (b.paymentStatus === 'paid' || REVENUE_STATUSES.includes(b.status)) {
         totalRevenue += (Number(b.totalPrice) || 0);
       }
 
-      // --- ACTIVE BOOKINGS ---
-      const stayInterval = Interval.fromDateTimes(checkIn, checkOut);
-      if (stayInterval.contains(now) && b.status !== 'cancelled') {
+      // --- ACTIVE BOOKINGS (guests in-house) ---
+      if (b.status === 'checked_in') {
         activeBookingsCount++;
       }
 
@@ -156,6 +167,10 @@ router.get('/stats', verifyToken, requireRole(['admin', 'manager']), async (req,
         },
         payments: {
           breakdown: paymentChartData
+        },
+        channels: {
+          breakdown: [...channelMap.values()].filter(entry => entry.channel !== 'unknown' || entry.bookings > 0),
+          commissionTotal: [...channelMap.values()].reduce((sum, entry) => sum + entry.commission, 0)
         }
       }
     });
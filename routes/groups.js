@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyToken } = require('../middleware/auth');
+const { httpError } = require('../utils/httpError');
+const { RELWORX_CONFIG, generateReference, requestPayment } = require('../services/relworx');
+const {
+  assertRoomAvailable,
+  assertTypeAvailable,
+  touchRoomType,
+  claimRoomNights
+} = require('../services/inventory');
+const { overlaps, isSellable, fittingRooms } = require('../services/availability');
+const { holdExpiryFor } = require('../services/bookingExpiry');
+const { formatPhoneNumber, findOrCreateUser } = require('../services/guests');
+const { priceStay, cheapestStay } = require('../services/pricing');
+const { getHotelSettings } = require('../services/hotelSettings');
+const { stayClockFrom, parseStayDate, stayDateFields } = require('../services/stayDates');
+const { resolveRatePlan, loadRates } = require('../services/rates');
+const { commissionFor, resolveChannel } = require('../services/channels');
+const { occupancyRulesFrom, parseOccupancy, occupancyFields, fitsRoom } = require('../services/occupancy');
+const { reserveConfirmationCode, claimConfirmationCode } = require('../services/confirmationCodes');
+const { searchKeywords } = require('../services/bookingSearch');
+const { roomSnapshot, guestSnapshot } = require('../services/bookingSnapshots');
+const { checkStayRestrictions, recordOverride } = require('../services/stayRestrictions');
+
+const MAX_GROUP_ROOMS = 20;
+
+// ==========================================
+// 1. POST /api/v1/groups (Create group reservation & one combined charge)
+// ==========================================
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const {
+      groupName, rooms,
+      leadGuestName, leadGuestPhone, leadGuestEmail,
+      checkIn, checkOut,
+      paymentMethod, receivedBy, paymentPhone,
+      channel, partnerId, commissionRate, ratePlanId, restrictionOverride
+    } = req.body;
+
+    // As for single bookings, only staff record a group as confirmed or paid
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    const status = isStaff ? req.body.status : undefined;
+    const paymentStatus = isStaff ? req.body.paymentStatus : undefined;
+
+    if (!Array.isArray(rooms) || rooms.length === 0) {
+      return res.status(400).json({ error: 'At least one room is required' });
+    }
+    if (rooms.length > MAX_GROUP_ROOMS) {
+      return res.status(400).json({ error: `A group can hold at most ${MAX_GROUP_ROOMS} rooms` });
+    }
+    if (!leadGuestName) return res.status(400).json({ error: 'Lead guest name is required' });
+
+    if (paymentMethod === 'Cash' && !receivedBy) {
+      return res.status(400).json({ error: 'Cash payment requires "receivedBy" staff.' });
+    }
+    if (status && !['pending', 'confirmed'].includes(status)) {
+      return res.status(400).json({ error: 'New bookings must be "pending" or "confirmed"' });
+    }
+
+    // 1. Resolve every line: dates (group dates unless overridden), room or type, price
+    const poolCache = new Map();
+    const settings = await getHotelSettings();
+    const rules = occupancyRulesFrom(settings);
+    const clock = stayClockFrom(settings);
+    // Every room of the group is on the same rate plan (default: the hotel's)
+    const ratePlan = await resolveRatePlan(ratePlanId || null);
+    const lines = [];
+    for (const [index, line] of rooms.entries()) {
+      const start = parseStayDate(line.checkIn || checkIn, clock);
+      const end = parseStayDate(line.checkOut || checkOut, clock);
+      if (!start || !end) {
+        return res.status(400).json({ error: `Invalid dates for room ${index + 1}` });
+      }
+      if (start >= end) return res.status(400).json({ error: `Check-out must be after check-in for room ${index + 1}` });
+      if (!line.roomId && !line.roomType) {
+        return res.status(400).json({ error: `Room ${index + 1} needs a roomId or roomType` });
+      }
+
+      let occupancy;
+      try {
+        occupancy = parseOccupancy(line);
+      } catch (validationError) {
+        return res.status(400).json({ error: `Room ${index + 1}: ${validationError.message}`, code: validationError.code });
+      }
+      const party = { occupancy, rules };
+      const rates = await loadRates({ from: start, to: end, ratePlan });
+
+      let roomType = line.roomType;
+      let quote;
+      let room = null;
+      if (line.roomId) {
+        const roomDoc = await db.collection('rooms').doc(line.roomId).get();
+        if (!roomDoc.exists) return res.status(404).json({ error: `Room not found: ${line.roomId}` });
+        room = roomDoc.data();
+        if (!isSellable(room)) {
+          return res.status(409).json({ error: `Room ${room.roomNumber} is out of service`, code: 'ROOM_NOT_SELLABLE' });
+        }
+        roomType = room.type;
+        if (!fitsRoom(room, occupancy, rules)) {
+          return res.status(409).json({ error: `Room ${room.roomNumber} cannot hold the party of room ${index + 1}`, code: 'OVER_CAPACITY' });
+        }
+        quote = priceStay(room, start, end, party, rates);
+      } else {
+        if (!poolCache.has(roomType)) {
+          const typeSnap = await db.collection('rooms').where('type', '==', roomType).get();
+          poolCache.set(roomType, typeSnap.docs.map(doc => doc.data()).filter(isSellable));
+        }
+        const pool = poolCache.get(roomType);
+        if (pool.length === 0) return res.status(404).json({ error: `No rooms of type "${roomType}"` });
+        const fitting = fittingRooms(pool, party);
+        if (fitting.length === 0) {
+          return res.status(409).json({ error: `No ${roomType} room holds the party of room ${index + 1}`, code: 'OVER_CAPACITY' });
+        }
+        quote = cheapestStay(fitting, start, end, party, rates);
+      }
+
+      // Each room meets the stay restrictions of its type, unless staff
+      // override them (one `restrictionOverride: { reason }` for the group)
+      const override = await checkStayRestrictions({
+        roomType,
+        checkIn: start,
+        checkOut: end,
+        override: restrictionOverride || null,
+        user: req.user
+      });
+
+      lines.push({
+        ...line,
+        roomId: line.roomId || null,
+        roomType,
+        room,
+        occupancy,
+        start,
+        end,
+        totalPrice: quote.total,
+        priceBreakdown: quote.breakdown,
+        nightlyRates: quote.nightly,
+        restrictionOverride: override
+      });
+    }
+
+    // Every room of the group comes through the same channel
+    const source = await resolveChannel(isStaff ? { channel, partnerId, commissionRate } : {}, { user: req.user });
+
+    const userId = await findOrCreateUser(leadGuestName, leadGuestPhone, leadGuestEmail);
+    const groupRef = db.collection('booking_groups').doc();
+    const groupId = groupRef.id;
+
+    const bookingStatus = status || 'pending';
+    const method = paymentMethod || 'Mobile Money';
+    const formattedPaymentPhone = method === 'Mobile Money' ? formatPhoneNumber(paymentPhone) : null;
+    const holdExpiresAt = bookingStatus === 'pending' && paymentStatus !== 'paid'
+      ? admin.firestore.Timestamp.fromDate(holdExpiryFor(method))
+      : null;
+
+    // 2. Build one booking per line
+    const members = lines.map(line => {
+      const ref = db.collection('bookings').doc();
+      return {
+        ref,
+        line,
+        data: {
+          roomId: line.roomId,
+          roomType: line.roomType,
+          groupId,
+          userId,
+          guestName: line.guestName || leadGuestName,
+          guestPhone: formatPhoneNumber(leadGuestPhone),
+          guestEmail: leadGuestEmail || '',
+          ...occupancyFields(line.occupancy),
+          checkIn: admin.firestore.Timestamp.fromDate(line.start),
+          checkOut: admin.firestore.Timestamp.fromDate(line.end),
+          ...stayDateFields(line.start, line.end),
+          totalPrice: line.totalPrice,
+          priceBreakdown: line.priceBreakdown,
+          ratePlan,
+          nightlyRates: line.nightlyRates,
+          ...source,
+          commissionAmount: commissionFor(line.totalPrice, source.commissionRate),
+          status: bookingStatus,
+          statusHistory: [{ from: null, to: bookingStatus, at: admin.firestore.Timestamp.now(), by: req.user.uid }],
+          holdExpiresAt,
+          paymentStatus: paymentStatus || 'unpaid',
+          paymentMethod: method,
+          paymentPhone: formattedPaymentPhone,
+          receivedBy: method === 'Cash' ? receivedBy : null,
+          roomSnapshot: roomSnapshot(line.room),
+          guestSnapshot: guestSnapshot({
+            userId,
+            name: line.guestName || leadGuestName,
+            phone: formatPhoneNumber(leadGuestPhone),
+            email: leadGuestEmail
+          }),
+          restrictionOverride: line.restrictionOverride,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: req.user.uid
+        }
+      };
+    });
+
+    const totalPrice = members.reduce((sum, m) => sum + m.data.totalPrice, 0);
+    const allocations = {};
+    members.forEach(m => { allocations[m.ref.id] = m.data.totalPrice; });
+
+    // 🟢 One combined payment record for the whole group
+    const myReference = generateReference();
+    const paymentData = {
+      groupId,
+      bookingId: null,
+      bookingIds: members.map(m => m.ref.id),
+      allocations,
+      userId,
+      amount: totalPrice,
+      currency: RELWORX_CONFIG.CURRENCY,
+      provider: method,
+      phone: formattedPaymentPhone || formatPhoneNumber(leadGuestPhone),
+      status: paymentStatus || 'pending',
+      customer_reference: myReference,
+      externalReference: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const groupData = {
+      name: groupName || `${leadGuestName} group`,
+      leadGuest: {
+        userId,
+        name: leadGuestName,
+        phone: formatPhoneNumber(leadGuestPhone),
+        email: leadGuestEmail || null
+      },
+      bookingIds: members.map(m => m.ref.id),
+      roomCount: members.length,
+      activeRooms: members.length,
+      totalPrice,
+      channel: source.channel,
+      partnerId: source.partnerId,
+      status: 'active',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+
+    // 3. All-or-nothing: every room is checked against existing bookings and
+    // against the rooms already taken by earlier lines of this request
+    const confirmationCode = await db.runTransaction(async (transaction) => {
+      const accepted = [];
+      const typeChecks = new Map();
+      const lockSets = [];
+
+      for (const member of members) {
+        const { line } = member;
+        const probe = { ...member.data, id: member.ref.id };
+
+        const typeCheck = await assertTypeAvailable(transaction, {
+          roomType: line.roomType,
+          checkIn: line.start,
+          checkOut: line.end,
+          pendingBookings: accepted
+        });
+        typeChecks.set(line.roomType, typeCheck);
+
+        if (line.roomId) {
+          if (accepted.some(other => other.roomId === line.roomId && overlaps(other, line.start, line.end))) {
+            throw httpError(409, 'ROOM_UNAVAILABLE', 'The same room is requested twice for overlapping dates');
+          }
+          lockSets.push(await assertRoomAvailable(transaction, {
+            roomId: line.roomId,
+            checkIn: line.start,
+            checkOut: line.end
+          }));
+        } else {
+          lockSets.push([]);
+        }
+
+        accepted.push(probe);
+      }
+
+      // The group and each of its rooms get their own code
+      const taken = [];
+      const groupCode = await reserveConfirmationCode(transaction, taken);
+      taken.push(groupCode.code);
+      const memberCodes = [];
+      for (let i = 0; i < members.length; i++) {
+        const reservation = await reserveConfirmationCode(transaction, taken);
+        taken.push(reservation.code);
+        memberCodes.push(reservation);
+      }
+
+      transaction.set(groupRef, { ...groupData, confirmationCode: groupCode.code });
+      claimConfirmationCode(transaction, groupCode, { groupId });
+      members.forEach((member, i) => {
+        const confirmationCode = memberCodes[i].code;
+        transaction.set(member.ref, {
+          ...member.data,
+          confirmationCode,
+          searchKeywords: searchKeywords({ ...member.data, confirmationCode })
+        });
+        claimConfirmationCode(transaction, memberCodes[i], { bookingId: member.ref.id });
+        claimRoomNights(transaction, lockSets[i], member.ref.id);
+        if (member.line.restrictionOverride) {
+          recordOverride(transaction, member.ref.id, member.line.restrictionOverride, req.user);
+        }
+      });
+      typeChecks.forEach(typeCheck => touchRoomType(transaction, typeCheck));
+      transaction.set(db.collection('payments').doc(), paymentData);
+      return groupCode.code;
+    });
+
+    // 4. Single payment prompt for the combined total
+    let paymentMessage = 'Group reservation created successfully.';
+    if (method === 'Mobile Money' && formattedPaymentPhone) {
+      try {
+        await requestPayment({
+          amount: totalPrice,
+          msisdn: formattedPaymentPhone,
+          reference: myReference,
+          narration: `Group ${confirmationCode}`
+        });
+        paymentMessage = 'Group reservation created. Payment prompt sent to phone.';
+      } catch (payError) {
+        console.error('Group payment initiation failed:', payError.response?.data || payError.message);
+        paymentMessage = 'Group reservation created, but payment prompt failed. Try manually.';
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      id: groupId,
+      confirmationCode,
+      bookingIds: groupData.bookingIds,
+      totalPrice,
+      message: paymentMessage
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Create group error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 2. GET /api/v1/groups/:id (Group with its bookings)
+// ==========================================
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const groupDoc = await db.collection('booking_groups').doc(req.params.id).get();
+    if (!groupDoc.exists) return res.status(404).json({ error: 'Group not found' });
+
+    const group = groupDoc.data();
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    if (!isStaff && group.leadGuest.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const membersSnap = await db.collection('bookings').where('groupId', '==', groupDoc.id).get();
+    const bookings = membersSnap.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        confirmationCode: data.confirmationCode || null,
+        roomId: data.roomId,
+        roomType: data.roomType,
+        guestName: data.guestName,
+        guests: data.guests,
+        checkIn: data.checkIn.toDate().toISOString(),
+        checkOut: data.checkOut.toDate().toISOString(),
+        totalPrice: data.totalPrice,
+        status: data.status,
+        paymentStatus: data.paymentStatus
+      };
+    });
+
+    res.json({ success: true, group: { id: groupDoc.id, ...group, bookings } });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
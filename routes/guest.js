@@ -0,0 +1,182 @@
+// routes/guest.js
+// Self-service for guests without a sign-in: look a booking up by its
+// confirmation code plus phone number or surname, then view, pay or cancel it
+// with the short-lived guest token returned by the lookup. A group's code
+// returns every room of the group, each with its own token.
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyGuestToken } = require('../middleware/auth');
+const { RELWORX_CONFIG, generateReference, requestPayment } = require('../services/relworx');
+const { ACTIVE_STATUSES, canTransition } = require('../services/bookingStatus');
+const { quoteCancellation } = require('../services/cancellationPolicy');
+const { cancelBooking } = require('../services/bookingLifecycle');
+const { syncGroupTotals } = require('../services/bookingGroups');
+const { loadFolio } = require('../services/folio');
+const { formatPhoneNumber } = require('../services/guests');
+const { findGuestBooking, issueGuestToken } = require('../services/guestAccess');
+
+// What a guest may see of their booking
+const guestView = (id, booking, folio) => ({
+  id,
+  confirmationCode: booking.confirmationCode,
+  guestName: booking.guestName,
+  roomType: booking.roomType || null,
+  guests: booking.guests,
+  adults: booking.adults || booking.guests,
+  childAges: booking.childAges || [],
+  checkIn: booking.checkIn.toDate().toISOString(),
+  checkOut: booking.checkOut.toDate().toISOString(),
+  status: booking.status,
+  paymentStatus: booking.paymentStatus,
+  totalPrice: booking.totalPrice,
+  balanceDue: Math.max(0, folio.balance),
+  cancellation: booking.cancellation || null
+});
+
+const loadGuestBooking = async (bookingId) => {
+  const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+  return bookingDoc.exists ? bookingDoc.data() : null;
+};
+
+// ==========================================
+// 1. POST /api/v1/guest/lookup (Code + phone or surname → guest token)
+// ==========================================
+router.post('/lookup', async (req, res) => {
+  try {
+    const { code, phone, surname } = req.body;
+    if (!code || (!phone && !surname)) {
+      return res.status(400).json({ error: 'Confirmation code and phone number or surname are required' });
+    }
+
+    const found = await findGuestBooking({ code, phone, surname });
+    // Same answer for a wrong code and a wrong phone/surname
+    if (!found) return res.status(404).json({ error: 'No booking matches these details' });
+
+    const { booking, group } = found;
+    const folio = await loadFolio(booking.id, booking);
+    const response = {
+      success: true,
+      token: issueGuestToken(booking.id),
+      booking: guestView(booking.id, booking, folio)
+    };
+    if (group) {
+      const rooms = await Promise.all(group.bookings.map(async (member) => ({
+        token: issueGuestToken(member.id),
+        booking: guestView(member.id, member, await loadFolio(member.id, member))
+      })));
+      response.group = { id: group.id, confirmationCode: group.confirmationCode, rooms };
+    }
+    res.json(response);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Guest lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 2. GET /api/v1/guest/booking
+// ==========================================
+router.get('/booking', verifyGuestToken, async (req, res) => {
+  try {
+    const { bookingId } = req.guest;
+    const booking = await loadGuestBooking(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    const folio = await loadFolio(bookingId, booking);
+    res.json({ success: true, booking: guestView(bookingId, booking, folio) });
+  } catch (error) {
+    console.error('Guest booking error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 3. POST /api/v1/guest/booking/pay (Mobile Money prompt for the balance)
+// ==========================================
+router.post('/booking/pay', verifyGuestToken, async (req, res) => {
+  try {
+    const { bookingId } = req.guest;
+    const booking = await loadGuestBooking(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ error: `Cannot pay for a ${booking.status} booking`, code: 'BOOKING_INACTIVE' });
+    }
+
+    const folio = await loadFolio(bookingId, booking);
+    if (folio.balance <= 0) return res.status(409).json({ error: 'Nothing is due on this booking', code: 'NOTHING_DUE' });
+
+    const phone = formatPhoneNumber(req.body.phoneNumber || booking.paymentPhone || booking.guestPhone);
+    if (!phone) return res.status(400).json({ error: 'Phone number is required' });
+
+    const internalReference = generateReference();
+    const paymentDocRef = await db.collection('payments').add({
+      bookingId,
+      userId: booking.userId || null,
+      amount: folio.balance,
+      currency: RELWORX_CONFIG.CURRENCY,
+      provider: 'Mobile Money',
+      phone,
+      status: 'pending',
+      customer_reference: internalReference,
+      externalReference: null,
+      initiatedBy: 'guest',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    try {
+      await requestPayment({
+        amount: folio.balance,
+        msisdn: phone,
+        reference: internalReference,
+        narration: `Booking ${booking.confirmationCode}`
+      });
+    } catch (apiError) {
+      console.error('Relworx API Fail:', apiError.response?.data);
+      await paymentDocRef.update({ status: 'failed', failureReason: 'API Call Failed' });
+      return res.status(502).json({ error: 'Failed to trigger mobile money prompt' });
+    }
+
+    res.json({ success: true, amount: folio.balance, message: 'Payment prompt sent' });
+  } catch (error) {
+    console.error('Guest pay error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 4. Cancel (preview, then confirm)
+// ==========================================
+router.get('/booking/cancellation', verifyGuestToken, async (req, res) => {
+  try {
+    const { bookingId } = req.guest;
+    const booking = await loadGuestBooking(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(409).json({ error: `A ${booking.status} booking cannot be cancelled`, code: 'ILLEGAL_TRANSITION' });
+    }
+
+    const quote = await quoteCancellation(bookingId, booking);
+    res.json({ success: true, cancellation: quote });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Guest cancellation preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/booking/cancel', verifyGuestToken, async (req, res) => {
+  try {
+    const booking = await cancelBooking(req.guest.bookingId, { by: 'guest' });
+    if (booking.groupId) await syncGroupTotals(booking.groupId);
+
+    res.json({ success: true, cancellation: booking.cancellation });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Guest cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
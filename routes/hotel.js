@@ -1,10 +1,16 @@
 // routes/hotel.js
 const express = require('express');
 const router = express.Router();
-const { db, admin } = require('../server');
+const { db, admin } = require('../config/firebase');
 const { verifyToken, requireRole, auditLog } = require('../middleware/auth');
-
-const HOTEL_DOC_ID = 'hotel_settings';
+const { DateTime } = require('luxon');
+const { REVENUE_STATUSES } = require('../services/bookingStatus');
+const { HOTEL_DOC_ID } = require('../services/hotelSettings');
+const { validateCancellationRules } = require('../services/cancellationPolicy');
+const { validateTaxes } = require('../services/invoices');
+const { validateOccupancyRules } = require('../services/occupancy');
+const { roomStatuses } = require('../services/availability');
+const { getStayClock, isValidTimezone } = require('../services/stayDates');
 
 // GET /api/v1/hotel - Get hotel information (Public)
 router.get('/', async (req, res) => {
@@ -49,12 +55,18 @@ router.patch('/', verifyToken, requireRole('admin', 'super_admin'), auditLog, as
       'contact',
       'checkInTime',
       'checkOutTime',
+      'timezone',
       'policies',
       'amenities',
       'images',
       'socialMedia',
       'cancellationPolicy',
+      'cancellationRules',
+      'taxes',
+      'taxId',
+      'invoicePrefix',
       'childPolicy',
+      'occupancyRules',
       'petPolicy'
     ];
 
@@ -94,6 +106,55 @@ router.patch('/', verifyToken, requireRole('admin', 'super_admin'), auditLog, as
       });
     }
 
+    // Stay dates, check-in/check-out times and "today" are all in this zone
+    if (filteredUpdates.timezone !== undefined && !isValidTimezone(filteredUpdates.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timezone must be an IANA timezone name (e.g., Africa/Kampala)',
+        data: null,
+        error: { code: 'INVALID_TIMEZONE' }
+      });
+    }
+
+    if (filteredUpdates.cancellationRules !== undefined) {
+      try {
+        validateCancellationRules(filteredUpdates.cancellationRules);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          data: null,
+          error: { code: validationError.code }
+        });
+      }
+    }
+
+    if (filteredUpdates.taxes !== undefined) {
+      try {
+        validateTaxes(filteredUpdates.taxes);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          data: null,
+          error: { code: validationError.code }
+        });
+      }
+    }
+
+    if (filteredUpdates.occupancyRules !== undefined) {
+      try {
+        validateOccupancyRules(filteredUpdates.occupancyRules);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          data: null,
+          error: { code: validationError.code }
+        });
+      }
+    }
+
     filteredUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
     filteredUpdates.updatedBy = req.user.id;
 
@@ -124,12 +185,13 @@ router.get('/stats', verifyToken, requireRole('admin', 'super_admin'), async (re
     // Get total rooms
     const roomsSnapshot = await db.collection('rooms').get();
     const totalRooms = roomsSnapshot.size;
-    const activeRooms = roomsSnapshot.docs.filter(doc => doc.data().isActive).length;
+    const activeRooms = roomsSnapshot.docs.filter(doc => doc.data().isActive !== false).length;
 
-    // Get bookings stats
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    // Get bookings stats for this month at the hotel
+    const clock = await getStayClock();
+    const month = DateTime.now().setZone(clock.zone);
+    const startOfMonth = month.startOf('month').toJSDate();
+    const endOfMonth = month.endOf('month').toJSDate();
 
     const bookingsSnapshot = await db.collection('bookings')
       .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(startOfMonth))
@@ -142,7 +204,7 @@ router.get('/stats', verifyToken, requireRole('admin', 'super_admin'), async (re
 
     bookingsSnapshot.forEach(doc => {
       const booking = doc.data();
-      if (booking.status === 'confirmed') {
+      if (REVENUE_STATUSES.includes(booking.status)) {
         confirmedBookings++;
         monthlyRevenue += booking.totalPrice || 0;
       } else if (booking.status === 'cancelled') {
@@ -150,15 +212,9 @@ router.get('/stats', verifyToken, requireRole('admin', 'super_admin'), async (re
       }
     });
 
-    // Get current occupancy
-    const today = admin.firestore.Timestamp.fromDate(new Date());
-    const activeBookingsSnapshot = await db.collection('bookings')
-      .where('status', '==', 'confirmed')
-      .where('checkIn', '<=', today)
-      .where('checkOut', '>=', today)
-      .get();
-
-    const occupiedRooms = activeBookingsSnapshot.size;
+    // Get current occupancy (rooms occupied right now)
+    const statuses = await roomStatuses(roomsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    const occupiedRooms = [...statuses.values()].filter(entry => entry.status === 'Occupied').length;
     const occupancyRate = totalRooms > 0 ? ((occupiedRooms / totalRooms) * 100).toFixed(2) : 0;
 
     // Get total users
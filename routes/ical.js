@@ -0,0 +1,168 @@
+// routes/ical.js
+// Room calendars for channel sync: our .ics feeds out, external calendars in.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  issueFeedToken,
+  roomCalendar,
+  addFeed,
+  uploadToFeed,
+  syncFeed,
+  removeFeed,
+  syncAllFeeds
+} = require('../services/calendarSync');
+
+// Uploads arrive either as JSON { name, ics } or as a raw text/calendar body
+const calendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' });
+const uploadedIcs = (req) => (typeof req.body === 'string' ? req.body : req.body.ics);
+
+const feedView = (doc) => {
+  const feed = doc.data();
+  return {
+    id: doc.id,
+    ...feed,
+    lastSyncedAt: feed.lastSyncedAt ? feed.lastSyncedAt.toDate().toISOString() : null
+  };
+};
+
+const sendError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// ==========================================
+// 1. GET /api/v1/ical/rooms/:roomId.ics?token=...
+// Public feed for booking sites; the token is the only credential
+// ==========================================
+router.get('/rooms/:roomId.ics', async (req, res) => {
+  try {
+    const domain = process.env.ICAL_DOMAIN || req.hostname;
+    const calendar = await roomCalendar(req.params.roomId, req.query.token, { domain });
+    if (!calendar) return res.status(404).json({ success: false, message: 'Calendar not found' });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.send(calendar);
+  } catch (error) {
+    sendError(res, error, 'Room calendar');
+  }
+});
+
+// ==========================================
+// 2. POST /api/v1/ical/rooms/:roomId/token
+// Issue (or rotate) the token of a room's feed URL
+// ==========================================
+router.post('/rooms/:roomId/token', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const token = await issueFeedToken(req.params.roomId);
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/rooms/${req.params.roomId}.ics?token=${token}`;
+
+    res.json({
+      success: true,
+      message: 'Calendar link issued; links given out before no longer work',
+      data: { token, feedUrl }
+    });
+  } catch (error) {
+    sendError(res, error, 'Issue calendar token');
+  }
+});
+
+// ==========================================
+// 3. GET /api/v1/ical/rooms/:roomId/feeds
+// External calendars imported into a room, with their last sync result
+// ==========================================
+router.get('/rooms/:roomId/feeds', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const snapshot = await db.collection('ical_feeds').where('roomId', '==', req.params.roomId).get();
+
+    res.json({ success: true, data: snapshot.docs.map(feedView) });
+  } catch (error) {
+    sendError(res, error, 'List calendar feeds');
+  }
+});
+
+// ==========================================
+// 4. POST /api/v1/ical/rooms/:roomId/feeds
+// Register a calendar by URL ({ name, url }) or upload one ({ name, ics },
+// or a text/calendar body with ?name=), and import it right away
+// ==========================================
+router.post('/rooms/:roomId/feeds', verifyToken, requireRole(['admin', 'manager']), calendarBody, async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const name = isText ? req.query.name : req.body.name;
+    const url = isText ? null : req.body.url;
+
+    const feed = await addFeed(req.params.roomId, {
+      name,
+      url: url || null,
+      ics: url ? null : uploadedIcs(req),
+      by: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      message: feed.conflicts.length > 0
+        ? `Calendar imported; ${feed.conflicts.length} event(s) overlap our bookings`
+        : 'Calendar imported successfully',
+      data: feed
+    });
+  } catch (error) {
+    sendError(res, error, 'Add calendar feed');
+  }
+});
+
+// ==========================================
+// 5. POST /api/v1/ical/feeds/:feedId/sync
+// Re-import now: URL feeds are fetched, uploaded feeds take the new file
+// ==========================================
+router.post('/feeds/:feedId/sync', verifyToken, requireRole(['admin', 'manager']), calendarBody, async (req, res) => {
+  try {
+    const ics = uploadedIcs(req);
+    const result = ics ? await uploadToFeed(req.params.feedId, ics) : await syncFeed(req.params.feedId);
+
+    res.json({ success: true, message: 'Calendar synced successfully', data: result });
+  } catch (error) {
+    sendError(res, error, 'Sync calendar feed');
+  }
+});
+
+// ==========================================
+// 6. DELETE /api/v1/ical/feeds/:feedId
+// Stop importing a calendar and free the nights it blocked
+// ==========================================
+router.delete('/feeds/:feedId', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const result = await removeFeed(req.params.feedId);
+
+    res.json({
+      success: true,
+      message: 'Calendar removed successfully',
+      data: { id: req.params.feedId, ...result }
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove calendar feed');
+  }
+});
+
+// ==========================================
+// 7. POST /api/v1/ical/sync
+// Sync every URL feed now instead of waiting for the scheduler
+// ==========================================
+router.post('/sync', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await syncAllFeeds();
+
+    res.json({
+      success: true,
+      message: `Synced ${result.synced.length} calendar(s), ${result.failed.length} failed`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Sync calendars');
+  }
+});
+
+module.exports = router;
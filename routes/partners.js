@@ -0,0 +1,159 @@
+// routes/partners.js
+// OTAs and travel agents that send us bookings, and the commission owed to them.
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { PARTNER_CHANNELS, validateCommissionRate, commissionOwed } = require('../services/channels');
+
+// Validate a create/update body; `partial` allows leaving fields out
+const partnerFields = (body, partial) => {
+  const { name, type, commissionRate, contact, isActive } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string') return { error: 'Partner name is required' };
+    fields.name = name.trim();
+  }
+  if (type !== undefined || !partial) {
+    if (!PARTNER_CHANNELS.includes(type)) return { error: `type must be one of: ${PARTNER_CHANNELS.join(', ')}` };
+    fields.type = type;
+  }
+  if (commissionRate !== undefined || !partial) {
+    try {
+      validateCommissionRate(commissionRate);
+    } catch (validationError) {
+      return { error: validationError.message };
+    }
+    fields.commissionRate = commissionRate;
+  }
+  if (contact !== undefined) fields.contact = contact || null;
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+
+  return { fields };
+};
+
+// ==========================================
+// 1. GET /api/v1/partners
+// ==========================================
+router.get('/', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const snapshot = await db.collection('partners').orderBy('name').get();
+    const partners = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    res.json({ success: true, data: partners });
+  } catch (error) {
+    console.error('List partners error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 2. POST /api/v1/partners
+// ==========================================
+router.post('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const { error, fields } = partnerFields(req.body, false);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const partnerData = {
+      contact: null,
+      ...fields,
+      isActive: fields.isActive ?? true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+    const partnerRef = await db.collection('partners').add(partnerData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Partner created successfully',
+      data: { id: partnerRef.id, ...partnerData }
+    });
+  } catch (error) {
+    console.error('Create partner error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 3. PUT /api/v1/partners/:id
+// A new rate applies to bookings made from now on
+// ==========================================
+router.put('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const partnerRef = db.collection('partners').doc(req.params.id);
+    const partnerDoc = await partnerRef.get();
+    if (!partnerDoc.exists) return res.status(404).json({ success: false, message: 'Partner not found' });
+
+    const { error, fields } = partnerFields(req.body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const cleanUpdates = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await partnerRef.update(cleanUpdates);
+
+    res.json({
+      success: true,
+      message: 'Partner updated successfully',
+      data: { id: partnerDoc.id, ...partnerDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    console.error('Update partner error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 4. GET /api/v1/partners/:id/commissions
+// Commission per booking, optionally for stays checking in between from and to
+// ==========================================
+router.get('/:id/commissions', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const partnerDoc = await db.collection('partners').doc(req.params.id).get();
+    if (!partnerDoc.exists) return res.status(404).json({ success: false, message: 'Partner not found' });
+
+    let query = db.collection('bookings').where('partnerId', '==', req.params.id);
+    for (const [op, value] of [['>=', from], ['<', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return res.status(400).json({ success: false, message: 'Invalid date filter' });
+      query = query.where('checkIn', op, admin.firestore.Timestamp.fromDate(date));
+    }
+    const snapshot = await query.get();
+
+    const bookings = snapshot.docs.map(doc => {
+      const b = doc.data();
+      return {
+        id: doc.id,
+        confirmationCode: b.confirmationCode || null,
+        guestName: b.guestName,
+        checkIn: b.checkIn.toDate().toISOString(),
+        checkOut: b.checkOut.toDate().toISOString(),
+        status: b.status,
+        totalPrice: b.totalPrice,
+        commissionRate: b.commissionRate,
+        commissionOwed: commissionOwed(b)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        partner: { id: partnerDoc.id, ...partnerDoc.data() },
+        bookings,
+        totalOwed: bookings.reduce((sum, b) => sum + b.commissionOwed, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Partner commissions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
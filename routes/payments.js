@@ -1,29 +1,91 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios'); 
 const { db, admin } = require('../config/firebase'); 
 const { verifyToken, requireRole } = require('../middleware/auth');
-
-// CONFIG
-const RELWORX_CONFIG = {
-  API_KEY: process.env.RELWORX_API_KEY || 'a6d10c136873fd.e0jfX4fshl9u_YyDvkiiXA', 
-  ACCOUNT_NO: 'REL0309E04069',
-  BASE_URL: 'https://payments.relworx.com/api', 
-  CURRENCY: 'UGX'
-};
+const { idempotent } = require('../middleware/idempotency');
+const { RELWORX_CONFIG, generateReference, requestPayment } = require('../services/relworx');
+const { canTransition, transitionUpdates } = require('../services/bookingStatus');
+const { buildReceipt } = require('../services/invoices');
+const { sendDocument } = require('../services/documentRenderer');
+const { createListContext } = require('../services/batchLoader');
+const { roomAmountPaid, readBookingPayments } = require('../services/bookingPayments');
 
 const formatMsisdn = (phone) => {
   if (!phone) return null;
-  let clean = phone.replace(/[\s\-\(\)]/g, '');
+  let clean = phone.replace(/[\s\-()]/g, '');
   if (clean.startsWith('0')) return `+256${clean.slice(1)}`;
   if (!clean.startsWith('+')) return `+256${clean}`;
   return clean;
 };
 
-const generateReference = () => {
-  return 'TX-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+// Booking fields for a successful payment. Only a pending booking is
+// auto-confirmed; if its hold already lapsed the room may have been resold,
+// so keep the money on record and let staff decide (rebook or refund).
+const paidBookingUpdates = (booking, by, paymentStatus = 'paid') => {
+  if (booking.status === 'expired') {
+    return {
+      paymentStatus,
+      paidAfterExpiry: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  const updates = {
+    paymentStatus,
+    holdExpiresAt: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (canTransition(booking.status, 'confirmed')) {
+    Object.assign(updates, transitionUpdates(booking, 'confirmed', by));
+  }
+  return updates;
+};
+
+// Bookings whose payment status follows this payment. A group payment covers
+// every booking of the group; folio settlements and refunds leave the room
+// status alone. A charge voided when its booking was cancelled settles
+// nothing: money that still arrives for it stays on record for staff to refund.
+const bookingsSettledBy = (payment) => {
+  if (['folio', 'refund'].includes(payment.type) || payment.status === 'void') return [];
+  if (Array.isArray(payment.bookingIds)) return payment.bookingIds;
+  return payment.bookingId ? [payment.bookingId] : [];
 };
 
+// An installment pays for its own period: the booking is paid once the money
+// received, this installment included, covers the stay, and partly paid until
+// then, whichever installment of the schedule it was
+const settledPaymentStatus = async (bookingId, booking, paymentRef, payment, transaction = null) => {
+  if (payment.type !== 'installment') return 'paid';
+  const payments = (await readBookingPayments(bookingId, booking, transaction))
+    .map(p => (p.ref.path === paymentRef.path ? { ...p, status: 'paid' } : p));
+  return roomAmountPaid(payments) >= (Number(booking.totalPrice) || 0) ? 'paid' : 'partial';
+};
+
+// Record a successful payment and settle its bookings in one transaction. The
+// expiry sweeper may lapse a hold at any moment: reading the bookings here
+// means a hold expired before the commit is seen as expired (paidAfterExpiry)
+// rather than confirmed from a stale snapshot without its night locks.
+const settlePayment = (paymentRef, paymentUpdates, by) => db.runTransaction(async (transaction) => {
+  const paymentDoc = await transaction.get(paymentRef);
+  if (!paymentDoc.exists) return false;
+
+  const payment = paymentDoc.data();
+  const bookingRefs = bookingsSettledBy(payment).map(id => db.collection('bookings').doc(id));
+  const bookingDocs = bookingRefs.length > 0 ? await transaction.getAll(...bookingRefs) : [];
+
+  const bookingUpdates = [];
+  for (const bookingDoc of bookingDocs) {
+    if (!bookingDoc.exists) continue;
+    const booking = bookingDoc.data();
+    const paymentStatus = await settledPaymentStatus(bookingDoc.id, booking, paymentRef, payment, transaction);
+    bookingUpdates.push([bookingDoc.ref, paidBookingUpdates(booking, by, paymentStatus)]);
+  }
+
+  transaction.update(paymentRef, paymentUpdates);
+  bookingUpdates.forEach(([ref, updates]) => transaction.update(ref, updates));
+  return true;
+});
+
 // ==========================================
 // 0. GET /api/v1/payments/me (User's Own Payments)
 // ==========================================
@@ -58,25 +120,28 @@ router.get('/me', verifyToken, async (req, res) => {
 // ==========================================
 router.get('/', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
   try {
+    const ctx = createListContext();
     const snapshot = await db.collection('payments').orderBy('createdAt', 'desc').limit(100).get();
-    
-    const payments = await Promise.all(snapshot.docs.map(async (doc) => {
+    ctx.tracker.charge(snapshot.size);
+
+    // One batched read for all payers instead of one per row
+    await ctx.users.loadMany(snapshot.docs.map(doc => doc.data().userId));
+
+    const payments = snapshot.docs.map(doc => {
       const data = doc.data();
-      let guestName = 'Unknown';
-      if (data.userId) {
-        const userSnap = await db.collection('users').doc(data.userId).get();
-        if (userSnap.exists) guestName = userSnap.data().name || userSnap.data().displayName;
-      }
+      const user = ctx.users.get(data.userId);
       return {
         id: doc.id,
         ...data,
-        guest: guestName,
+        guest: user ? user.name || user.displayName : 'Unknown',
         date: data.createdAt ? data.createdAt.toDate().toISOString() : new Date().toISOString()
       };
-    }));
+    });
 
+    res.set('X-Read-Count', String(ctx.tracker.reads));
     res.json({ success: true, payments });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
     res.status(500).json({ error: error.message });
   }
 });
@@ -96,6 +161,15 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
     
     if (!paymentDoc.exists) return res.status(404).json({ error: 'Payment not found' });
 
+    if (status === 'success' || status === 'paid') {
+      // Auto-confirm
+      await settlePayment(paymentRef, {
+        status,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, req.user.uid);
+      return res.json({ success: true, message: 'Payment status updated' });
+    }
+
     // Update Payment
     await paymentRef.update({ 
       status, 
@@ -103,16 +177,16 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
     });
 
     // Sync Booking Status
-    const bookingId = paymentDoc.data().bookingId;
-    if (bookingId) {
-      let bookingUpdates = {};
-      if (status === 'success' || status === 'paid') {
-        bookingUpdates.paymentStatus = 'paid';
-        bookingUpdates.status = 'confirmed'; // Auto-confirm
-      } else if (status === 'failed') {
-        bookingUpdates.paymentStatus = 'failed';
+    if (status === 'failed') {
+      for (const bookingId of bookingsSettledBy(paymentDoc.data())) {
+        const bookingRef = db.collection('bookings').doc(bookingId);
+        const bookingDoc = await bookingRef.get();
+        if (!bookingDoc.exists) continue;
+
+        // A later installment failing leaves the periods already paid for standing
+        const earlierPeriodsPaid = paymentDoc.data().type === 'installment' && bookingDoc.data().paymentStatus === 'partial';
+        if (!earlierPeriodsPaid) await bookingRef.update({ paymentStatus: 'failed' });
       }
-      await db.collection('bookings').doc(bookingId).update(bookingUpdates);
     }
 
     res.json({ success: true, message: 'Payment status updated' });
@@ -124,10 +198,11 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
 
 // ==========================================
 // 3. POST /api/v1/payments/initiate (Retry/Start)
+// Safe to retry with an Idempotency-Key header
 // ==========================================
-router.post('/initiate', verifyToken, async (req, res) => {
+router.post('/initiate', verifyToken, idempotent('payments.initiate'), async (req, res) => {
   try {
-    const { bookingId, phoneNumber, amount } = req.body;
+    const { bookingId, phoneNumber, amount, purpose } = req.body;
 
     if (!bookingId || !phoneNumber || !amount) {
       return res.status(400).json({ error: 'Missing details' });
@@ -136,9 +211,13 @@ router.post('/initiate', verifyToken, async (req, res) => {
     const formattedPhone = formatMsisdn(phoneNumber);
     const internalReference = generateReference();
 
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    const bookingLabel = (bookingDoc.exists && bookingDoc.data().confirmationCode) || bookingId.slice(0,6);
+
     // 1. Create a NEW Payment Record (Audit Trail)
     const paymentData = {
       bookingId,
+      ...(purpose === 'folio' && { type: 'folio' }), // settles incidentals on the folio
       userId: req.user.uid,
       amount: Number(amount),
       currency: RELWORX_CONFIG.CURRENCY,
@@ -154,24 +233,12 @@ router.post('/initiate', verifyToken, async (req, res) => {
 
     // 2. Call Relworx
     try {
-      await axios.post(
-        `${RELWORX_CONFIG.BASE_URL}/mobile-money/request-payment`,
-        {
-          account_no: RELWORX_CONFIG.ACCOUNT_NO,
-          amount: amount,
-          currency: RELWORX_CONFIG.CURRENCY,
-          msisdn: formattedPhone,
-          reference: internalReference,
-          narration: `Booking ${bookingId.slice(0,6)}`
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RELWORX_CONFIG.API_KEY}`,
-            'Accept': 'application/vnd.relworx.v2'
-          }
-        }
-      );
+      await requestPayment({
+        amount: amount,
+        msisdn: formattedPhone,
+        reference: internalReference,
+        narration: `Booking ${bookingLabel}`
+      });
 
       res.json({ success: true, message: 'Payment prompt sent' });
 
@@ -187,6 +254,66 @@ router.post('/initiate', verifyToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// 3b. POST /api/v1/payments/record (Front desk settles a folio in cash/card)
+// ==========================================
+router.post('/record', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const { bookingId, amount, method, reference } = req.body;
+
+    if (!bookingId || !(Number(amount) > 0)) {
+      return res.status(400).json({ error: 'bookingId and a positive amount are required' });
+    }
+    if (!['Cash', 'Card', 'Bank Transfer'].includes(method)) {
+      return res.status(400).json({ error: 'Method must be Cash, Card or Bank Transfer' });
+    }
+
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) return res.status(404).json({ error: 'Booking not found' });
+
+    const paymentDocRef = await db.collection('payments').add({
+      bookingId,
+      type: 'folio',
+      userId: bookingDoc.data().userId || null,
+      amount: Number(amount),
+      currency: RELWORX_CONFIG.CURRENCY,
+      provider: method,
+      status: 'paid',
+      externalReference: reference || null,
+      receivedBy: req.user.uid,
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.status(201).json({ success: true, id: paymentDocRef.id });
+  } catch (error) {
+    console.error('Record Payment Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// 3c. GET /api/v1/payments/:id/receipt?format=html|pdf
+// ==========================================
+router.get('/:id/receipt', verifyToken, async (req, res) => {
+  try {
+    const paymentDoc = await db.collection('payments').doc(req.params.id).get();
+    if (!paymentDoc.exists) return res.status(404).json({ error: 'Payment not found' });
+
+    const isStaff = ['admin', 'manager', 'receptionist'].includes(req.user.role);
+    if (!isStaff && paymentDoc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const receipt = await buildReceipt(req.params.id);
+    await sendDocument(res, receipt, req.query.format);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error('Receipt Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==========================================
 // 4. POST /webhook
 // ==========================================
@@ -205,26 +332,14 @@ router.post('/webhook', async (req, res) => {
     }
 
     const doc = q.docs[0];
-    const data = doc.data();
 
     if (status && status.toLowerCase() === 'success') {
-      const batch = db.batch();
-      
-      batch.update(doc.ref, {
+      // Confirm Booking (every room of a group)
+      await settlePayment(doc.ref, {
         status: 'success',
         externalReference: provider_transaction_id,
         paidAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      // Confirm Booking
-      const bookingRef = db.collection('bookings').doc(data.bookingId);
-      batch.update(bookingRef, {
-        paymentStatus: 'paid',
-        status: 'confirmed',
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      await batch.commit();
+      }, 'relworx');
     } else {
       await doc.ref.update({ status: 'failed', failureReason: message });
     }
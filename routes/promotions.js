@@ -0,0 +1,170 @@
+// routes/promotions.js
+// Promo codes and the discount report per campaign (see services/promotions.js).
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { httpError } = require('../utils/httpError');
+const { promoCodeFields, campaignReport } = require('../services/promotions');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Codes limited to room types must name types that exist
+const unknownRoomTypes = async (roomTypes) => {
+  for (const roomType of roomTypes || []) {
+    const snapshot = await db.collection('rooms').where('type', '==', roomType).limit(1).get();
+    if (snapshot.empty) return `No rooms of type "${roomType}"`;
+  }
+  return null;
+};
+
+const sendError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// ==========================================
+// 1. GET /api/v1/promotions[?campaign=]
+// ==========================================
+router.get('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    let query = db.collection('promo_codes');
+    if (req.query.campaign) query = query.where('campaign', '==', req.query.campaign);
+    const snapshot = await query.get();
+
+    const codes = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.campaign.localeCompare(b.campaign) || a.code.localeCompare(b.code));
+
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    sendError(res, error, 'List promo codes');
+  }
+});
+
+// ==========================================
+// 2. GET /api/v1/promotions/report[?from=YYYY-MM-DD][&to=YYYY-MM-DD]
+// Discounts given per campaign, for codes redeemed from `from` up to `to`
+// ==========================================
+router.get('/report', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !DATE_ONLY.test(from)) || (to && !DATE_ONLY.test(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const report = await campaignReport({
+      from: from ? new Date(`${from}T00:00:00.000Z`) : null,
+      to: to ? new Date(`${to}T00:00:00.000Z`) : null
+    });
+
+    res.json({ success: true, data: { from: from || null, to: to || null, ...report } });
+  } catch (error) {
+    sendError(res, error, 'Promotion report');
+  }
+});
+
+// ==========================================
+// 3. POST /api/v1/promotions
+// ==========================================
+router.post('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const fields = promoCodeFields(req.body);
+    const unknownType = await unknownRoomTypes(fields.roomTypes);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const codeData = {
+      description: '',
+      ...fields,
+      usedCount: 0,
+      isActive: fields.isActive ?? true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+
+    // The code is the document id, so two requests for the same code cannot
+    // both create it. Codes saved before that under generated ids are checked too.
+    const codeRef = db.collection('promo_codes').doc(fields.code);
+    await db.runTransaction(async (transaction) => {
+      const [codeDoc, legacySnap] = await Promise.all([
+        transaction.get(codeRef),
+        transaction.get(db.collection('promo_codes').where('code', '==', fields.code).limit(1))
+      ]);
+      if (codeDoc.exists || !legacySnap.empty) {
+        throw httpError(409, 'PROMO_CODE_TAKEN', `${fields.code} is already a promo code`);
+      }
+      transaction.create(codeRef, codeData);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { id: codeRef.id, ...codeData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create promo code');
+  }
+});
+
+// ==========================================
+// 4. PUT /api/v1/promotions/:id
+// Applies to bookings made from now on; deactivate with { isActive: false }
+// ==========================================
+router.put('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const codeRef = db.collection('promo_codes').doc(req.params.id);
+    const codeDoc = await codeRef.get();
+    if (!codeDoc.exists) return res.status(404).json({ success: false, message: 'Promo code not found' });
+
+    const fields = promoCodeFields(req.body, true, codeDoc.data());
+    const unknownType = await unknownRoomTypes(fields.roomTypes);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const cleanUpdates = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await codeRef.update(cleanUpdates);
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { id: codeDoc.id, ...codeDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update promo code');
+  }
+});
+
+// ==========================================
+// 5. GET /api/v1/promotions/:id/redemptions
+// ==========================================
+router.get('/:id/redemptions', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const codeDoc = await db.collection('promo_codes').doc(req.params.id).get();
+    if (!codeDoc.exists) return res.status(404).json({ success: false, message: 'Promo code not found' });
+
+    const snapshot = await db.collection('promo_redemptions').where('codeId', '==', req.params.id).get();
+    const redemptions = snapshot.docs.map(doc => {
+      const r = doc.data();
+      return { ...r, redeemedAt: r.redeemedAt ? r.redeemedAt.toDate().toISOString() : null };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promoCode: { id: codeDoc.id, ...codeDoc.data() },
+        redemptions,
+        // Uses given back by an expired or cancelled booking are listed, not counted
+        discountTotal: redemptions.filter(r => !r.voided).reduce((sum, r) => sum + (Number(r.discount) || 0), 0)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Promo code redemptions');
+  }
+});
+
+module.exports = router;
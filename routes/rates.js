@@ -0,0 +1,459 @@
+// routes/rates.js
+// Rate plans, seasonal prices, one-off price overrides (see services/rates.js)
+// and dynamic pricing rules with their limits (see services/dynamicPricing.js).
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { ratePlanFields, seasonFields, overrideFields, previewPricingRule } = require('../services/rates');
+const { pricingRuleFields, limitFields } = require('../services/dynamicPricing');
+const { MAX_NIGHTS } = require('../services/availabilityCalendar');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Seasons and overrides are set per room type, which must exist
+const unknownRoomType = async (roomType) => {
+  if (!roomType) return null;
+  const snapshot = await db.collection('rooms').where('type', '==', roomType).limit(1).get();
+  return snapshot.empty ? `No rooms of type "${roomType}"` : null;
+};
+
+// Only one plan is the default: making a plan the default unsets the others
+const clearOtherDefaults = async (batch, planId) => {
+  const snapshot = await db.collection('rate_plans').where('isDefault', '==', true).get();
+  snapshot.docs
+    .filter(doc => doc.id !== planId)
+    .forEach(doc => batch.update(doc.ref, { isDefault: false, updatedAt: admin.firestore.FieldValue.serverTimestamp() }));
+};
+
+const sendError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// ==========================================
+// 1. GET /api/v1/rates/plans (Public)
+// Active plans for the booking widget
+// ==========================================
+router.get('/plans', async (req, res) => {
+  try {
+    const snapshot = await db.collection('rate_plans').orderBy('name').get();
+    const plans = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(plan => plan.isActive !== false);
+
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    sendError(res, error, 'List rate plans');
+  }
+});
+
+// ==========================================
+// 2. POST /api/v1/rates/plans
+// ==========================================
+router.post('/plans', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const fields = ratePlanFields(req.body);
+    const planRef = db.collection('rate_plans').doc();
+    const planData = {
+      description: '',
+      ...fields,
+      isDefault: fields.isDefault ?? false,
+      isActive: fields.isActive ?? true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+
+    const batch = db.batch();
+    if (planData.isDefault) await clearOtherDefaults(batch, planRef.id);
+    batch.set(planRef, planData);
+    await batch.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate plan created successfully',
+      data: { id: planRef.id, ...planData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create rate plan');
+  }
+});
+
+// ==========================================
+// 3. PUT /api/v1/rates/plans/:id
+// Applies to bookings made from now on; existing bookings keep their terms
+// ==========================================
+router.put('/plans/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const planRef = db.collection('rate_plans').doc(req.params.id);
+    const planDoc = await planRef.get();
+    if (!planDoc.exists) return res.status(404).json({ success: false, message: 'Rate plan not found' });
+
+    const cleanUpdates = {
+      ...ratePlanFields(req.body, true),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+
+    const batch = db.batch();
+    if (cleanUpdates.isDefault) await clearOtherDefaults(batch, planRef.id);
+    batch.update(planRef, cleanUpdates);
+    await batch.commit();
+
+    res.json({
+      success: true,
+      message: 'Rate plan updated successfully',
+      data: { id: planDoc.id, ...planDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update rate plan');
+  }
+});
+
+// ==========================================
+// 4. GET /api/v1/rates/seasons[?from=YYYY-MM-DD][&roomType=]
+// ==========================================
+router.get('/seasons', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const { from, roomType } = req.query;
+    if (from && !DATE_ONLY.test(from)) {
+      return res.status(400).json({ success: false, message: 'from must be a YYYY-MM-DD date' });
+    }
+
+    let query = db.collection('rate_seasons');
+    if (from) query = query.where('endDate', '>=', from);
+    const snapshot = await query.get();
+
+    const seasons = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(season => !roomType || season.roomType === roomType)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    res.json({ success: true, data: seasons });
+  } catch (error) {
+    sendError(res, error, 'List seasons');
+  }
+});
+
+// ==========================================
+// 5. POST /api/v1/rates/seasons
+// ==========================================
+router.post('/seasons', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const fields = seasonFields(req.body);
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const seasonData = {
+      weekendPrice: null,
+      ...fields,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+    const seasonRef = await db.collection('rate_seasons').add(seasonData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Season created successfully',
+      data: { id: seasonRef.id, ...seasonData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create season');
+  }
+});
+
+// ==========================================
+// 6. PUT /api/v1/rates/seasons/:id
+// ==========================================
+router.put('/seasons/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const seasonRef = db.collection('rate_seasons').doc(req.params.id);
+    const seasonDoc = await seasonRef.get();
+    if (!seasonDoc.exists) return res.status(404).json({ success: false, message: 'Season not found' });
+
+    const fields = seasonFields(req.body, true, seasonDoc.data());
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const cleanUpdates = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await seasonRef.update(cleanUpdates);
+
+    res.json({
+      success: true,
+      message: 'Season updated successfully',
+      data: { id: seasonDoc.id, ...seasonDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update season');
+  }
+});
+
+// ==========================================
+// 7. DELETE /api/v1/rates/seasons/:id
+// ==========================================
+router.delete('/seasons/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const seasonRef = db.collection('rate_seasons').doc(req.params.id);
+    const seasonDoc = await seasonRef.get();
+    if (!seasonDoc.exists) return res.status(404).json({ success: false, message: 'Season not found' });
+
+    await seasonRef.delete();
+
+    res.json({ success: true, message: 'Season deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete season');
+  }
+});
+
+// ==========================================
+// 8. GET /api/v1/rates/overrides?from=YYYY-MM-DD&to=YYYY-MM-DD[&roomType=]
+// Overrides for the nights from `from` up to `to`
+// ==========================================
+router.get('/overrides', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const { from, to, roomType } = req.query;
+    if (!DATE_ONLY.test(from || '') || !DATE_ONLY.test(to || '')) {
+      return res.status(400).json({ success: false, message: 'from and to dates (YYYY-MM-DD) are required' });
+    }
+
+    const snapshot = await db.collection('rate_overrides')
+      .where('date', '>=', from)
+      .where('date', '<', to)
+      .get();
+    const overrides = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(override => !roomType || override.roomType === roomType)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    res.json({ success: true, data: overrides });
+  } catch (error) {
+    sendError(res, error, 'List overrides');
+  }
+});
+
+// ==========================================
+// 9. POST /api/v1/rates/overrides
+// Sets the price of one night for a room type, replacing an earlier override
+// ==========================================
+router.post('/overrides', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const fields = overrideFields(req.body);
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const existing = await db.collection('rate_overrides')
+      .where('roomType', '==', fields.roomType)
+      .where('date', '==', fields.date)
+      .get();
+    const overrideRef = existing.empty ? db.collection('rate_overrides').doc() : existing.docs[0].ref;
+    const overrideData = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await overrideRef.set(overrideData, { merge: true });
+
+    res.status(existing.empty ? 201 : 200).json({
+      success: true,
+      message: existing.empty ? 'Price override created successfully' : 'Price override updated successfully',
+      data: { id: overrideRef.id, ...overrideData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Set override');
+  }
+});
+
+// ==========================================
+// 10. DELETE /api/v1/rates/overrides/:id
+// ==========================================
+router.delete('/overrides/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const overrideRef = db.collection('rate_overrides').doc(req.params.id);
+    const overrideDoc = await overrideRef.get();
+    if (!overrideDoc.exists) return res.status(404).json({ success: false, message: 'Price override not found' });
+
+    await overrideRef.delete();
+
+    res.json({ success: true, message: 'Price override deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete override');
+  }
+});
+
+// ==========================================
+// 11. GET /api/v1/rates/rules
+// ==========================================
+router.get('/rules', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const snapshot = await db.collection('pricing_rules').get();
+    const rules = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.priority || 0) - (b.priority || 0) || a.name.localeCompare(b.name));
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    sendError(res, error, 'List pricing rules');
+  }
+});
+
+// ==========================================
+// 12. POST /api/v1/rates/rules/preview
+// { ruleId?, changes, from, to, roomType? }: nightly rates now and with the
+// rule added or changed (and enabled). Nothing is saved.
+// ==========================================
+router.post('/rules/preview', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { ruleId, changes, from, to, roomType } = req.body;
+    if (!DATE_ONLY.test(from || '') || !DATE_ONLY.test(to || '')) {
+      return res.status(400).json({ success: false, message: 'from and to dates (YYYY-MM-DD) are required' });
+    }
+    const fromDate = new Date(`${from}T00:00:00.000Z`);
+    const toDate = new Date(`${to}T00:00:00.000Z`);
+    const nights = (toDate - fromDate) / (1000 * 60 * 60 * 24);
+    if (nights < 1 || nights > MAX_NIGHTS) {
+      return res.status(400).json({ success: false, message: `A preview covers 1 to ${MAX_NIGHTS} nights` });
+    }
+
+    const preview = await previewPricingRule({
+      ruleId: ruleId || null,
+      changes: changes || {},
+      from: fromDate,
+      to: toDate,
+      roomType: roomType || null
+    });
+
+    res.json({ success: true, data: { from, to, ...preview } });
+  } catch (error) {
+    sendError(res, error, 'Preview pricing rule');
+  }
+});
+
+// ==========================================
+// 13. POST /api/v1/rates/rules
+// New rules start disabled unless `isActive` is set: preview them first
+// ==========================================
+router.post('/rules', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const fields = pricingRuleFields(req.body);
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const ruleData = {
+      ...fields,
+      isActive: fields.isActive ?? false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+    const ruleRef = await db.collection('pricing_rules').add(ruleData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: { id: ruleRef.id, ...ruleData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create pricing rule');
+  }
+});
+
+// ==========================================
+// 14. PUT /api/v1/rates/rules/:id
+// Enable or disable with { isActive }
+// ==========================================
+router.put('/rules/:id', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const ruleRef = db.collection('pricing_rules').doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+
+    const fields = pricingRuleFields(req.body, true, ruleDoc.data());
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const cleanUpdates = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await ruleRef.update(cleanUpdates);
+
+    res.json({
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: { id: ruleDoc.id, ...ruleDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update pricing rule');
+  }
+});
+
+// ==========================================
+// 15. DELETE /api/v1/rates/rules/:id
+// ==========================================
+router.delete('/rules/:id', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const ruleRef = db.collection('pricing_rules').doc(req.params.id);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+
+    await ruleRef.delete();
+
+    res.json({ success: true, message: 'Pricing rule deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete pricing rule');
+  }
+});
+
+// ==========================================
+// 16. GET /api/v1/rates/limits
+// Floor and ceiling per room type for rule-adjusted rates
+// ==========================================
+router.get('/limits', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const snapshot = await db.collection('price_limits').get();
+    const limits = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    res.json({ success: true, data: limits });
+  } catch (error) {
+    sendError(res, error, 'List price limits');
+  }
+});
+
+// ==========================================
+// 17. PUT /api/v1/rates/limits
+// { roomType, floor, ceiling }; replaces the room type's limits
+// ==========================================
+router.put('/limits', verifyToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const fields = limitFields(req.body);
+    const unknownType = await unknownRoomType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const existing = await db.collection('price_limits').where('roomType', '==', fields.roomType).get();
+    const limitRef = existing.empty ? db.collection('price_limits').doc() : existing.docs[0].ref;
+    const limitData = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await limitRef.set(limitData);
+
+    res.json({
+      success: true,
+      message: 'Price limits saved successfully',
+      data: { id: limitRef.id, ...limitData }
+    });
+  } catch (error) {
+    sendError(res, error, 'Save price limits');
+  }
+});
+
+module.exports = router;
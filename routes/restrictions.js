@@ -0,0 +1,126 @@
+// routes/restrictions.js
+// Stay restrictions: minimum/maximum stay and days closed to arrival or
+// departure, per room type and date range (see services/stayRestrictions.js).
+const express = require('express');
+const router = express.Router();
+const { db, admin } = require('../config/firebase');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { restrictionFields } = require('../services/stayRestrictions');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A room type must exist before rules are set for it
+const assertKnownType = async (roomType) => {
+  if (!roomType) return null;
+  const snapshot = await db.collection('rooms').where('type', '==', roomType).limit(1).get();
+  return snapshot.empty ? `No rooms of type "${roomType}"` : null;
+};
+
+// ==========================================
+// 1. GET /api/v1/restrictions[?from=YYYY-MM-DD][&roomType=]
+// Restrictions that have not ended by `from` (default: all)
+// ==========================================
+router.get('/', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const { from, roomType } = req.query;
+    if (from && !DATE_ONLY.test(from)) {
+      return res.status(400).json({ success: false, message: 'from must be a YYYY-MM-DD date' });
+    }
+
+    let query = db.collection('stay_restrictions');
+    if (from) query = query.where('endDate', '>=', from);
+    const snapshot = await query.get();
+
+    const restrictions = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(restriction => !roomType || !restriction.roomType || restriction.roomType === roomType)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    res.json({ success: true, data: restrictions });
+  } catch (error) {
+    console.error('List restrictions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 2. POST /api/v1/restrictions
+// ==========================================
+router.post('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const fields = restrictionFields(req.body);
+    const unknownType = await assertKnownType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const restrictionData = {
+      ...fields,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.user.uid
+    };
+    const restrictionRef = await db.collection('stay_restrictions').add(restrictionData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Restriction created successfully',
+      data: { id: restrictionRef.id, ...restrictionData }
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    console.error('Create restriction error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 3. PUT /api/v1/restrictions/:id
+// Applies to bookings made from now on
+// ==========================================
+router.put('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const restrictionRef = db.collection('stay_restrictions').doc(req.params.id);
+    const restrictionDoc = await restrictionRef.get();
+    if (!restrictionDoc.exists) return res.status(404).json({ success: false, message: 'Restriction not found' });
+
+    const fields = restrictionFields(req.body, { partial: true, current: restrictionDoc.data() });
+    const unknownType = await assertKnownType(fields.roomType);
+    if (unknownType) return res.status(400).json({ success: false, message: unknownType });
+
+    const cleanUpdates = {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid
+    };
+    await restrictionRef.update(cleanUpdates);
+
+    res.json({
+      success: true,
+      message: 'Restriction updated successfully',
+      data: { id: restrictionDoc.id, ...restrictionDoc.data(), ...cleanUpdates }
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    console.error('Update restriction error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 4. DELETE /api/v1/restrictions/:id
+// ==========================================
+router.delete('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const restrictionRef = db.collection('stay_restrictions').doc(req.params.id);
+    const restrictionDoc = await restrictionRef.get();
+    if (!restrictionDoc.exists) return res.status(404).json({ success: false, message: 'Restriction not found' });
+
+    await restrictionRef.delete();
+
+    res.json({ success: true, message: 'Restriction deleted successfully' });
+  } catch (error) {
+    console.error('Delete restriction error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
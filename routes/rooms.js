@@ -3,6 +3,12 @@ const router = express.Router();
 // Ensure this points to where we initialized Firebase earlier
 const { db, admin } = require('../config/firebase'); 
 const { verifyToken, requireRole } = require('../middleware/auth');
+const { checkOutRoom } = require('../services/bookingLifecycle');
+const { parseLongStayRates } = require('../services/pricing');
+const { parseRoomCapacity } = require('../services/occupancy');
+const { listRoomBlocks, createMaintenanceBlock, removeMaintenanceBlock } = require('../services/roomBlocks');
+const { roomStatuses } = require('../services/availability');
+const { getStayClock, parseStayDate } = require('../services/stayDates');
 
 // ==========================================
 // 1. GET /api/v1/rooms 
@@ -20,54 +26,11 @@ router.get('/', async (req, res) => {
     const roomsSnapshot = await roomsQuery.get();
     const rooms = roomsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-    // 2. Fetch Active Bookings (Pending or Confirmed, Future or Current)
-    const now = new Date();
-    const bookingsSnapshot = await db.collection('bookings')
-      .where('status', 'in', ['confirmed', 'pending'])
-      .where('checkOut', '>', admin.firestore.Timestamp.fromDate(now))
-      .get();
+    // 2. Calculate Status per Room (Maintenance, Occupied while checked in, Available)
+    const statuses = await roomStatuses(rooms);
+    const processedRooms = rooms.map(room => ({ ...room, ...statuses.get(room.id) }));
 
-    // Group bookings by room
-    const bookingsByRoom = {};
-    bookingsSnapshot.forEach(doc => {
-      const b = doc.data();
-      if (!bookingsByRoom[b.roomId]) bookingsByRoom[b.roomId] = [];
-      bookingsByRoom[b.roomId].push({
-        checkIn: b.checkIn.toDate(),
-        checkOut: b.checkOut.toDate(),
-      });
-    });
-
-    // 3. Calculate Status per Room
-    const processedRooms = rooms.map(room => {
-      // If manually set to Maintenance, keep it
-      if (room.status === 'Maintenance') {
-        return { ...room, nextAvailable: null };
-      }
-
-      const roomBookings = bookingsByRoom[room.id] || [];
-      // Sort by start time
-      roomBookings.sort((a, b) => a.checkIn - b.checkIn);
-
-      let calculatedStatus = 'Available';
-      let nextAvailable = null;
-
-      for (const booking of roomBookings) {
-        if (now >= booking.checkIn && now < booking.checkOut) {
-          calculatedStatus = 'Occupied';
-          nextAvailable = booking.checkOut;
-          break; // Found the current active booking
-        }
-      }
-
-      return {
-        ...room,
-        status: calculatedStatus,
-        nextAvailable: nextAvailable ? nextAvailable.toISOString() : null
-      };
-    });
-
-    // 4. Apply Status Filter (in memory)
+    // 3. Apply Status Filter (in memory)
     const finalRooms = filterStatus 
       ? processedRooms.filter(r => r.status === filterStatus)
       : processedRooms;
@@ -106,33 +69,8 @@ router.get('/:id', async (req, res) => {
     const roomData = { id: roomDoc.id, ...roomDoc.data() };
 
     // Calculate Dynamic Status for Single Room
-    const now = new Date();
-    const bookingsSnapshot = await db.collection('bookings')
-      .where('roomId', '==', id)
-      .where('status', 'in', ['confirmed', 'pending'])
-      .where('checkOut', '>', admin.firestore.Timestamp.fromDate(now))
-      .orderBy('checkIn', 'asc') // Get earliest first
-      .get();
-
-    if (roomData.status !== 'Maintenance') {
-      let calculatedStatus = 'Available';
-      let nextAvailable = null;
-
-      for (const doc of bookingsSnapshot.docs) {
-        const b = doc.data();
-        const checkIn = b.checkIn.toDate();
-        const checkOut = b.checkOut.toDate();
-
-        if (now >= checkIn && now < checkOut) {
-          calculatedStatus = 'Occupied';
-          nextAvailable = checkOut;
-          break;
-        }
-      }
-      
-      roomData.status = calculatedStatus;
-      roomData.nextAvailable = nextAvailable ? nextAvailable.toISOString() : null;
-    }
+    const statuses = await roomStatuses([roomData]);
+    Object.assign(roomData, statuses.get(roomData.id));
 
     res.json({
       success: true,
@@ -153,6 +91,11 @@ router.post('/', verifyToken, requireRole(['admin', 'manager',]), async (req, re
       roomNumber, 
       type, 
       price, 
+      weeklyRate,
+      monthlyRate,
+      capacity,
+      maxAdults,
+      includedGuests,
       status, 
       amenities, 
       description 
@@ -165,6 +108,18 @@ router.post('/', verifyToken, requireRole(['admin', 'manager',]), async (req, re
       });
     }
 
+    // Optional long-stay rates: 7 nights and 30 nights
+    const longStay = parseLongStayRates({ weeklyRate, monthlyRate });
+    if (longStay.error) {
+      return res.status(400).json({ success: false, message: longStay.error });
+    }
+
+    // Optional occupancy limits: guests (infants aside), adults, guests in the rate
+    const limits = parseRoomCapacity({ capacity, maxAdults, includedGuests });
+    if (limits.error) {
+      return res.status(400).json({ success: false, message: limits.error });
+    }
+
     const existingRoom = await db.collection('rooms')
       .where('roomNumber', '==', roomNumber)
       .limit(1)
@@ -181,6 +136,11 @@ router.post('/', verifyToken, requireRole(['admin', 'manager',]), async (req, re
       roomNumber,
       type,
       price: Number(price),
+      weeklyRate: longStay.rates.weeklyRate || null,
+      monthlyRate: longStay.rates.monthlyRate || null,
+      capacity: limits.fields.capacity || null,
+      maxAdults: limits.fields.maxAdults || null,
+      includedGuests: limits.fields.includedGuests || null,
       status: status || 'Available',
       amenities: amenities || [],
       description: description || '',
@@ -216,11 +176,26 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
       roomNumber, 
       type, 
       price, 
+      weeklyRate,
+      monthlyRate,
+      capacity,
+      maxAdults,
+      includedGuests,
       status, 
       amenities, 
       description 
     } = updates;
 
+    // null or '' clears a long-stay rate or occupancy limit
+    const longStay = parseLongStayRates({ weeklyRate, monthlyRate });
+    if (longStay.error) {
+      return res.status(400).json({ success: false, message: longStay.error });
+    }
+    const limits = parseRoomCapacity({ capacity, maxAdults, includedGuests });
+    if (limits.error) {
+      return res.status(400).json({ success: false, message: limits.error });
+    }
+
     const roomRef = db.collection('rooms').doc(id);
     const roomDoc = await roomRef.get();
 
@@ -243,6 +218,8 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
       ...(roomNumber && { roomNumber }),
       ...(type && { type }),
       ...(price && { price: Number(price) }),
+      ...longStay.rates,
+      ...limits.fields,
       ...(status && { status }),
       ...(amenities && { amenities }),
       ...(description && { description }),
@@ -252,39 +229,17 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
 
     // 🟢 FORCE END ACTIVE BOOKINGS LOGIC
     // If Admin manually sets status to 'Available' or 'Maintenance', 
-    // we must end any currently running bookings to reflect this state immediately.
+    // we must check out any in-house guests to reflect this state immediately.
+    // A guest whose folio is not settled stops the whole change (409 FOLIO_UNSETTLED)
     if (status === 'Available' || status === 'Maintenance') {
-      const now = new Date();
-      
-      const activeBookingsSnapshot = await db.collection('bookings')
-        .where('roomId', '==', id)
-        .where('status', 'in', ['confirmed', 'pending'])
-        .where('checkOut', '>', admin.firestore.Timestamp.fromDate(now))
-        .get();
-
-      const batch = db.batch();
-      let updatesCount = 0;
-
-      activeBookingsSnapshot.forEach(doc => {
-        const data = doc.data();
-        // If booking started in the past (is active now)
-        if (data.checkIn.toDate() <= now) {
-          batch.update(doc.ref, {
-            checkOut: admin.firestore.Timestamp.fromDate(now),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-          });
-          updatesCount++;
-        }
-      });
-
-      if (updatesCount > 0) {
-        await batch.commit();
-        console.log(`Auto-ended ${updatesCount} bookings for room ${id} due to status change to ${status}`);
+      const checkedOut = await checkOutRoom(id, cleanUpdates, req.user.uid);
+      if (checkedOut > 0) {
+        console.log(`Auto-checked-out ${checkedOut} bookings for room ${id} due to status change to ${status}`);
       }
+    } else {
+      await roomRef.update(cleanUpdates);
     }
 
-    await roomRef.update(cleanUpdates);
-
     res.json({
       success: true,
       message: 'Room updated successfully',
@@ -292,6 +247,7 @@ router.put('/:id', verifyToken, requireRole(['admin', 'manager', 'receptionist']
     });
 
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
     console.error('Update room error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
@@ -325,4 +281,71 @@ router.delete('/:id', verifyToken, requireRole(['admin', 'manager']), async (req
   }
 });
 
+// ==========================================
+// 6. GET /api/v1/rooms/:id/blocks
+// Maintenance and imported calendar blocks that have not ended
+// ==========================================
+router.get('/:id/blocks', verifyToken, requireRole(['admin', 'manager', 'receptionist']), async (req, res) => {
+  try {
+    const blocks = await listRoomBlocks(req.params.id, { from: new Date() });
+
+    res.json({ success: true, data: blocks });
+  } catch (error) {
+    console.error('List room blocks error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 7. POST /api/v1/rooms/:id/blocks
+// Take a room out of sale for maintenance: { start, end, reason }
+// ==========================================
+router.post('/:id/blocks', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const { start, end, reason } = req.body;
+    const clock = await getStayClock();
+    const startDate = parseStayDate(start, clock);
+    const endDate = parseStayDate(end, clock);
+    if (!startDate || !endDate) {
+      return res.status(400).json({ success: false, message: 'start and end dates are required' });
+    }
+
+    const block = await createMaintenanceBlock(req.params.id, {
+      start: startDate,
+      end: endDate,
+      reason: reason || null,
+      by: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room blocked successfully',
+      data: { ...block, start: block.start.toDate().toISOString(), end: block.end.toDate().toISOString() }
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    console.error('Create room block error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// 8. DELETE /api/v1/rooms/:id/blocks/:blockId
+// ==========================================
+router.delete('/:id/blocks/:blockId', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    await removeMaintenanceBlock(req.params.id, req.params.blockId);
+
+    res.json({
+      success: true,
+      message: 'Block removed successfully',
+      data: { id: req.params.blockId }
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    console.error('Remove room block error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,7 +7,7 @@ const { verifyToken, requireRole } = require('../middleware/auth');
 // --- HELPER: Format Phone to E.164 (+256...) ---
 const formatPhoneNumber = (phone) => {
   if (!phone) return null;
-  let cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
+  let cleanPhone = phone.replace(/[\s\-()]/g, '');
   
   if (cleanPhone.startsWith('0')) {
     return '+256' + cleanPhone.substring(1);
@@ -0,0 +1,63 @@
+// scripts/backfillStayDates.js
+// One-off migration for bookings made before stay dates were stored as hotel
+// calendar dates: adds `checkInDate`/`checkOutDate` and moves the checkIn and
+// checkOut timestamps to UTC midnight of those dates, as new bookings store
+// them. Bookings that already have both dates are left alone, so it is safe
+// to run again.
+//
+//   npm run backfill-stay-dates            # write the changes
+//   npm run backfill-stay-dates -- --dry-run
+require('dotenv').config();
+const { db, admin } = require('../config/firebase');
+const { getStayClock, bookingStayDates, stayDateFields } = require('../services/stayDates');
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+const backfillStayDates = async ({ dryRun = false } = {}) => {
+  const clock = await getStayClock();
+  const snapshot = await db.collection('bookings').get();
+
+  const pending = snapshot.docs
+    .filter(doc => !doc.data().checkInDate || !doc.data().checkOutDate)
+    .map(doc => {
+      const { checkIn, checkOut } = bookingStayDates(doc.data(), clock);
+      return {
+        ref: doc.ref,
+        updates: {
+          checkIn: admin.firestore.Timestamp.fromDate(checkIn),
+          checkOut: admin.firestore.Timestamp.fromDate(checkOut),
+          ...stayDateFields(checkIn, checkOut)
+        }
+      };
+    });
+
+  if (!dryRun) {
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      pending.slice(i, i + BATCH_SIZE).forEach(({ ref, updates }) => batch.update(ref, updates));
+      await batch.commit();
+    }
+  }
+
+  return {
+    checked: snapshot.size,
+    updated: pending.map(({ ref, updates }) => ({ id: ref.id, checkInDate: updates.checkInDate, checkOutDate: updates.checkOutDate }))
+  };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  backfillStayDates({ dryRun })
+    .then(({ checked, updated }) => {
+      updated.forEach(row => console.log(`${row.id}: ${row.checkInDate} -> ${row.checkOutDate}`));
+      console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated.length} of ${checked} booking(s)`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Stay date backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillStayDates };
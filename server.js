@@ -29,10 +29,11 @@ const authLimiter = rateLimit({
   message: 'Too many authentication attempts, please try again later'
 });
 
-const apiLimiter = rateLimit({
+// Guest lookups are unauthenticated: keep confirmation codes from being guessed
+const guestLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: 'Too many requests, please try again later'
+  max: 10,
+  message: 'Too many booking lookups, please try again later'
 });
 
 // Routes
@@ -42,9 +43,19 @@ const hotelRoutes = require('./routes/hotel');
 const roomRoutes = require('./routes/rooms');
 const availabilityRoutes = require('./routes/availability');
 const bookingRoutes = require('./routes/bookings');
+const groupRoutes = require('./routes/groups');
+const guestRoutes = require('./routes/guest');
 const paymentRoutes = require('./routes/payments');
+const partnerRoutes = require('./routes/partners');
+const icalRoutes = require('./routes/ical');
+const restrictionRoutes = require('./routes/restrictions');
+const rateRoutes = require('./routes/rates');
+const promotionRoutes = require('./routes/promotions');
 const cmsRoutes = require('./routes/cms');
 const dashboardRoutes = require('./routes/dashboard');
+const { startExpirySweeper } = require('./services/bookingExpiry');
+const { startBillingScheduler } = require('./services/billingSchedule');
+const { startCalendarSync } = require('./services/calendarSync');
 
 // Mount routes
 app.use('/api/v1/auth', authLimiter, authRoutes);
@@ -53,7 +64,15 @@ app.use('/api/v1/hotel', hotelRoutes);
 app.use('/api/v1/rooms', roomRoutes);
 app.use('/api/v1/availability', availabilityRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
+app.use('/api/v1/groups', groupRoutes);
+app.use('/api/v1/guest/lookup', guestLimiter);
+app.use('/api/v1/guest', guestRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/partners', partnerRoutes);
+app.use('/api/v1/ical', icalRoutes);
+app.use('/api/v1/restrictions', restrictionRoutes);
+app.use('/api/v1/rates', rateRoutes);
+app.use('/api/v1/promotions', promotionRoutes);
 app.use('/api/v1/dashboard', dashboardRoutes);
 app.use('/api/v1/cms', cmsRoutes);
 
@@ -86,6 +105,15 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`🚀 Hotel Management API running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Release rooms held by unpaid pending bookings
+  startExpirySweeper();
+
+  // Request weekly/monthly installments of long stays as their periods start
+  startBillingScheduler();
+
+  // Pull external room calendars (OTAs) in as blocks
+  startCalendarSync();
 });
 
 module.exports = { app };
\ No newline at end of file
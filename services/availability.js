@@ -0,0 +1,211 @@
+// services/availability.js
+// The rules for whether a room can be sold, shared by every route that asks.
+// ./inventory applies the same rules inside transactions.
+const { db, admin } = require('../config/firebase');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { priceStay, cheapestStay, averageNightlyRate } = require('./pricing');
+const { fitsRoom } = require('./occupancy');
+const { getStayClock, hotelToday, checkOutAt, bookingStayDates } = require('./stayDates');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// ==========================================
+// RULES
+// ==========================================
+
+// One key per night of the stay: 2025-01-01 -> 2025-01-03 gives two nights
+const nightKeys = (checkIn, checkOut) => {
+  const keys = [];
+  for (let t = checkIn.getTime(); t < checkOut.getTime(); t += DAY_MS) {
+    keys.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return keys;
+};
+
+const overlaps = (booking, checkIn, checkOut) => {
+  const existingStart = booking.checkIn.toDate().getTime();
+  const existingEnd = booking.checkOut.toDate().getTime();
+  return checkIn.getTime() < existingEnd && checkOut.getTime() > existingStart;
+};
+
+// Inactive rooms and rooms under maintenance are never sold
+const isSellable = (room) => room.status !== 'Maintenance' && room.isActive !== false;
+
+// Sellable rooms that hold the party; `party` is { occupancy, rules } or null
+const fittingRooms = (rooms, party = null) => rooms.filter(room =>
+  isSellable(room) && (!party || fitsRoom(room, party.occupancy, party.rules))
+);
+
+// Blocked dates (maintenance, imported external calendars) live in
+// `room_blocks` as { roomId, start, end }. They hold a room like a booking
+// does, so they are turned into stay-shaped entries for the same checks.
+const blockStays = (snapshot) => snapshot.docs.map(doc => {
+  const block = doc.data();
+  return { id: `block:${doc.id}`, roomId: block.roomId, checkIn: block.start, checkOut: block.end, block: true, source: block.source };
+});
+
+// Pure: nightly usage of a room type by the given active bookings
+const typeUsageByNight = ({ bookings, roomIds, roomType, checkIn, checkOut, excludeBookingId = null }) => {
+  const usage = new Map();
+  for (const night of nightKeys(checkIn, checkOut)) {
+    const nightStart = new Date(`${night}T00:00:00.000Z`);
+    const nightEnd = new Date(nightStart.getTime() + DAY_MS);
+
+    let count = 0;
+    for (const booking of bookings) {
+      if (booking.id === excludeBookingId) continue;
+      const inPool = booking.roomId ? roomIds.has(booking.roomId) : booking.roomType === roomType;
+      if (inPool && overlaps(booking, nightStart, nightEnd)) count++;
+    }
+    usage.set(night, count);
+  }
+  return usage;
+};
+
+// Pure: what can be sold for a stay, given every room and every stay
+// (bookings and blocks) that reaches into it, priced with `rates` (./rates)
+const availableForStay = ({ rooms, stays, checkIn, checkOut, party = null, rates = null }) => {
+  const takenRoomIds = new Set(
+    stays.filter(stay => stay.roomId && overlaps(stay, checkIn, checkOut)).map(stay => stay.roomId)
+  );
+  const freeRooms = fittingRooms(rooms, party).filter(room => !takenRoomIds.has(room.id));
+
+  const pools = new Map();
+  rooms.filter(isSellable).forEach(room => {
+    if (!pools.has(room.type)) pools.set(room.type, []);
+    pools.get(room.type).push(room);
+  });
+
+  const roomTypes = [...pools.entries()].map(([type, pool]) => {
+    const usage = typeUsageByNight({
+      bookings: stays,
+      roomIds: new Set(pool.map(room => room.id)),
+      roomType: type,
+      checkIn,
+      checkOut
+    });
+    const peak = Math.max(0, ...usage.values());
+    // Unassigned reservations may take the rooms that fit this party, so the
+    // pool count caps the rooms free for it
+    const freeOfType = freeRooms.filter(room => room.type === type);
+    const quote = cheapestStay(freeOfType, checkIn, checkOut, party, rates);
+
+    return {
+      type,
+      totalRooms: pool.length,
+      available: Math.min(freeOfType.length, Math.max(0, pool.length - peak)),
+      pricePerNight: quote ? averageNightlyRate(quote.nightly) : null,
+      totalPrice: quote ? quote.total : null,
+      priceBreakdown: quote ? quote.breakdown : [],
+      nightlyRates: quote ? quote.nightly : []
+    };
+  });
+
+  return {
+    rooms: freeRooms.map(room => ({ room, quote: priceStay(room, checkIn, checkOut, party, rates) })),
+    roomTypes
+  };
+};
+
+// ==========================================
+// QUERIES
+// ==========================================
+
+// Active bookings still running at `from`, and with `to` only those that
+// start before it. Transactions pass both so they read (and conflict with)
+// the overlapping stays only.
+const activeStaysQuery = (from, to = null) => {
+  const query = db.collection('bookings')
+    .where('status', 'in', ACTIVE_STATUSES)
+    .where('checkOut', '>', admin.firestore.Timestamp.fromDate(from));
+  return to ? query.where('checkIn', '<', admin.firestore.Timestamp.fromDate(to)) : query;
+};
+
+const blocksQuery = (from) => db.collection('room_blocks')
+  .where('end', '>', admin.firestore.Timestamp.fromDate(from));
+
+// Sellable rooms, optionally of one type. Rooms written before `isActive`
+// existed have no such field, so the flag is checked here, not in the query.
+const readSellableRooms = async (roomType = null) => {
+  const roomsQuery = roomType
+    ? db.collection('rooms').where('type', '==', roomType)
+    : db.collection('rooms');
+  const snapshot = await roomsQuery.get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isSellable);
+};
+
+// Bookings and blocks that overlap [from, to), as stays
+const readStays = async (from, to) => {
+  const [bookingsSnap, blocksSnap] = await Promise.all([
+    activeStaysQuery(from, to).get(),
+    blocksQuery(from).get()
+  ]);
+  return [
+    ...bookingsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    ...blockStays(blocksSnap)
+  ].filter(stay => stay.checkIn.toDate() < to);
+};
+
+// Free rooms (with their quote) and room-type counts for a stay, priced with
+// `rates` (loaded by ./rates)
+const searchAvailability = async ({ checkIn, checkOut, party = null, roomType = null, rates = null }) => {
+  const [rooms, stays] = await Promise.all([
+    readSellableRooms(roomType),
+    readStays(checkIn, checkOut)
+  ]);
+
+  return availableForStay({ rooms, stays, checkIn, checkOut, party, rates });
+};
+
+// Live front-desk status of rooms: Maintenance (a room that is not sellable,
+// or a maintenance block covering tonight at the hotel), Occupied while a
+// guest is checked in (even past the booked check-out), otherwise Available.
+// A confirmed guest who has not arrived leaves the room Available, so a
+// no-show's room can still go to a walk-in. `nextAvailable` is the hotel's
+// check-out time on the last in-house guest's departure day.
+const roomStatuses = async (rooms, now = new Date()) => {
+  const clock = await getStayClock();
+  const today = hotelToday(clock, now);
+  const [inHouseSnap, blocksSnap] = await Promise.all([
+    db.collection('bookings').where('status', '==', 'checked_in').get(),
+    blocksQuery(today).get()
+  ]);
+
+  const occupiedUntil = new Map();
+  inHouseSnap.forEach(doc => {
+    const b = doc.data();
+    const until = checkOutAt(bookingStayDates(b, clock).checkOut, clock);
+    if (!occupiedUntil.has(b.roomId) || until > occupiedUntil.get(b.roomId)) occupiedUntil.set(b.roomId, until);
+  });
+
+  const blockedRoomIds = new Set(blockStays(blocksSnap)
+    .filter(block => block.source === 'maintenance' && block.checkIn.toDate() <= today)
+    .map(block => block.roomId));
+
+  return new Map(rooms.map(room => {
+    if (!isSellable(room) || blockedRoomIds.has(room.id)) {
+      return [room.id, { status: 'Maintenance', nextAvailable: null }];
+    }
+    const until = occupiedUntil.get(room.id);
+    return [room.id, until
+      ? { status: 'Occupied', nextAvailable: until.toISOString() }
+      : { status: 'Available', nextAvailable: null }];
+  }));
+};
+
+module.exports = {
+  DAY_MS,
+  nightKeys,
+  overlaps,
+  isSellable,
+  fittingRooms,
+  blockStays,
+  typeUsageByNight,
+  availableForStay,
+  activeStaysQuery,
+  blocksQuery,
+  readSellableRooms,
+  readStays,
+  searchAvailability,
+  roomStatuses
+};
@@ -0,0 +1,162 @@
+// services/availabilityCalendar.js
+// Night-by-night availability grid for the booking widget and tape chart.
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { DAY_MS, nightKeys, isSellable, activeStaysQuery, blocksQuery } = require('./availability');
+const { nightlyRates } = require('./pricing');
+const { loadRates } = require('./rates');
+
+const MAX_NIGHTS = 62;
+
+// A night's state, strongest first: a room under maintenance is not sold
+// even if a stay is recorded on it
+const STATES = ['maintenance', 'booked', 'held', 'free'];
+
+const stateOfBooking = (booking) => (booking.status === 'pending' ? 'held' : 'booked');
+
+// Imported calendar events are stays sold on another site
+const stateOfBlock = (block) => (block.source === 'maintenance' ? 'maintenance' : 'booked');
+
+const stronger = (a, b) => (STATES.indexOf(a) <= STATES.indexOf(b) ? a : b);
+
+// Indexes of the nights in [from, from + nights) that a stay overlaps
+const nightRange = (start, end, from, nights) => {
+  const first = Math.max(0, Math.floor((start.getTime() - from.getTime()) / DAY_MS));
+  const last = Math.min(nights - 1, Math.ceil((end.getTime() - from.getTime()) / DAY_MS) - 1);
+  return [first, last];
+};
+
+// Pure: build the grid from what was read; prices are each room's nightly
+// rate under `rates` (see ./rates)
+const buildCalendar = ({ rooms, bookings, blocks, from, to, view, rates = null }) => {
+  const dates = nightKeys(from, to);
+  const nights = dates.length;
+  const prices = new Map(rooms.map(room => [room.id, nightlyRates(room, from, nights, rates).map(night => night.rate)]));
+
+  const grid = new Map(rooms.map(room => [
+    room.id,
+    dates.map(() => (isSellable(room) ? 'free' : 'maintenance'))
+  ]));
+  const mark = (roomId, state, start, end) => {
+    const cells = grid.get(roomId);
+    if (!cells) return;
+    const [first, last] = nightRange(start, end, from, nights);
+    for (let i = first; i <= last; i++) cells[i] = stronger(cells[i], state);
+  };
+
+  // Room-type reservations without a room yet: counted per type and night
+  const unassigned = new Map();
+  for (const booking of bookings) {
+    const start = booking.checkIn.toDate();
+    const end = booking.checkOut.toDate();
+    if (booking.roomId) {
+      mark(booking.roomId, stateOfBooking(booking), start, end);
+      continue;
+    }
+    if (!booking.roomType) continue;
+    if (!unassigned.has(booking.roomType)) {
+      unassigned.set(booking.roomType, { booked: dates.map(() => 0), held: dates.map(() => 0) });
+    }
+    const counts = unassigned.get(booking.roomType)[stateOfBooking(booking)];
+    const [first, last] = nightRange(start, end, from, nights);
+    for (let i = first; i <= last; i++) counts[i]++;
+  }
+  for (const block of blocks) {
+    mark(block.roomId, stateOfBlock(block), block.start.toDate(), block.end.toDate());
+  }
+
+  if (view === 'room') {
+    return {
+      nights: dates,
+      rooms: rooms.map(room => ({
+        id: room.id,
+        roomNumber: room.roomNumber,
+        type: room.type,
+        nights: grid.get(room.id).map((state, i) => ({
+          date: dates[i],
+          state,
+          price: prices.get(room.id)[i]
+        }))
+      })),
+      unassigned: [...unassigned.entries()].map(([roomType, counts]) => ({ roomType, ...counts }))
+    };
+  }
+
+  const types = new Map();
+  for (const room of rooms) {
+    if (!types.has(room.type)) types.set(room.type, []);
+    types.get(room.type).push(room);
+  }
+
+  return {
+    nights: dates,
+    roomTypes: [...types.entries()].map(([type, pool]) => {
+      const waiting = unassigned.get(type);
+      return {
+        type,
+        totalRooms: pool.length,
+        nights: dates.map((date, i) => {
+          const night = { date, booked: 0, held: 0, maintenance: 0, free: 0 };
+          let fromPrice = null;
+          for (const room of pool) {
+            const state = grid.get(room.id)[i];
+            night[state]++;
+            if (state === 'free') {
+              const price = prices.get(room.id)[i];
+              fromPrice = fromPrice === null ? price : Math.min(fromPrice, price);
+            }
+          }
+          // Unassigned reservations take free rooms of the type
+          if (waiting) {
+            const taken = Math.min(night.free, waiting.booked[i] + waiting.held[i]);
+            night.booked += waiting.booked[i];
+            night.held += waiting.held[i];
+            night.free -= taken;
+          }
+          return { ...night, price: night.free > 0 ? fromPrice : null };
+        })
+      };
+    })
+  };
+};
+
+// Grid for the nights from `from` up to `to`; view is 'type' or 'room'.
+// Prices follow `ratePlanId` (default: the hotel's default plan).
+const availabilityCalendar = async ({ from, to, roomType = null, view = 'type', ratePlanId = null }) => {
+  if (!['room', 'type'].includes(view)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'view must be "room" or "type"');
+  }
+  if (to <= from) throw httpError(400, 'INVALID_CHECKOUT', '"to" must be after "from"');
+  if ((to - from) / DAY_MS > MAX_NIGHTS) {
+    throw httpError(400, 'RANGE_TOO_LONG', `At most ${MAX_NIGHTS} nights can be shown at once`);
+  }
+
+  let roomsQuery = db.collection('rooms');
+  if (roomType) roomsQuery = roomsQuery.where('type', '==', roomType);
+
+  const [roomsSnap, bookingsSnap, blocksSnap, rates] = await Promise.all([
+    roomsQuery.get(),
+    activeStaysQuery(from).get(),
+    blocksQuery(from).get(),
+    loadRates({ from, to, ratePlanId })
+  ]);
+
+  const rooms = roomsSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(room => room.isActive !== false)
+    .sort((a, b) => String(a.roomNumber).localeCompare(String(b.roomNumber), undefined, { numeric: true }));
+  const bookings = bookingsSnap.docs
+    .map(doc => doc.data())
+    .filter(b => b.checkIn.toDate() < to && (b.roomId || !roomType || b.roomType === roomType));
+  const blocks = blocksSnap.docs
+    .map(doc => doc.data())
+    .filter(block => block.start.toDate() < to);
+
+  return { ...buildCalendar({ rooms, bookings, blocks, from, to, view, rates }), ratePlan: rates.plan };
+};
+
+module.exports = {
+  MAX_NIGHTS,
+  buildCalendar,
+  availabilityCalendar
+};
@@ -0,0 +1,64 @@
+// services/batchLoader.js
+// Request-scoped, batched document loading for list endpoints.
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+
+const MAX_READS_PER_REQUEST = Number(process.env.MAX_READS_PER_REQUEST) || 1000;
+
+// getAll accepts many refs, but keep each RPC to a sensible size
+const GET_ALL_CHUNK = 100;
+
+const createReadTracker = ({ cap = MAX_READS_PER_REQUEST } = {}) => {
+  let reads = 0;
+  return {
+    charge(count) {
+      reads += Math.max(1, count);
+      if (reads > cap) {
+        throw httpError(503, 'READ_CAP_EXCEEDED', `Request exceeded its read budget of ${cap} documents; narrow the filters or page size`);
+      }
+    },
+    get reads() {
+      return reads;
+    }
+  };
+};
+
+const createDocLoader = (collection, tracker) => {
+  const cache = new Map();
+
+  // Load every id not seen yet in this request; returns id → data (or null)
+  const loadMany = async (ids) => {
+    const missing = [...new Set(ids.filter(Boolean))].filter(id => !cache.has(id));
+
+    for (let i = 0; i < missing.length; i += GET_ALL_CHUNK) {
+      const chunk = missing.slice(i, i + GET_ALL_CHUNK);
+      tracker.charge(chunk.length);
+      const snaps = await db.getAll(...chunk.map(id => db.collection(collection).doc(id)));
+      snaps.forEach(snap => cache.set(snap.id, snap.exists ? snap.data() : null));
+    }
+
+    return cache;
+  };
+
+  return {
+    loadMany,
+    get: (id) => (id ? cache.get(id) || null : null)
+  };
+};
+
+// Loaders for the collections booking and payment rows point at
+const createListContext = (options) => {
+  const tracker = createReadTracker(options);
+  return {
+    tracker,
+    rooms: createDocLoader('rooms', tracker),
+    users: createDocLoader('users', tracker)
+  };
+};
+
+module.exports = {
+  MAX_READS_PER_REQUEST,
+  createReadTracker,
+  createDocLoader,
+  createListContext
+};
@@ -0,0 +1,213 @@
+// services/billingSchedule.js
+// Periodic billing for long stays: weekly or monthly bookings are charged in
+// installments, each requested as its period starts.
+const { db, admin } = require('../config/firebase');
+const { runEvery } = require('../utils/runEvery');
+const { RELWORX_CONFIG, generateReference, requestPayment } = require('./relworx');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { PAID_STATUSES, roomAmountPaid, readBookingPayments } = require('./bookingPayments');
+const { nightsBetween } = require('./pricing');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Nights per billing period; 'upfront' is a single payment for the whole stay
+const CYCLE_NIGHTS = { upfront: null, weekly: 7, monthly: 30 };
+const BILLING_CYCLES = Object.keys(CYCLE_NIGHTS);
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.BILLING_SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000;
+// How long an installment whose prompt failed waits before it is asked for again
+const PROMPT_RETRY_MS = Number(process.env.INSTALLMENT_RETRY_MS) || 60 * 60 * 1000;
+
+const isPeriodic = (booking) => Boolean(CYCLE_NIGHTS[booking.billingCycle]);
+
+// The stay cut into billing periods; the last one may be short
+const billingPeriods = (checkIn, checkOut, cycle) => {
+  const length = CYCLE_NIGHTS[cycle];
+  if (!length) return [{ index: 0, from: checkIn, to: checkOut, nights: nightsBetween(checkIn, checkOut) }];
+
+  const periods = [];
+  for (let from = checkIn; from < checkOut;) {
+    const to = new Date(Math.min(from.getTime() + length * DAY_MS, checkOut.getTime()));
+    periods.push({ index: periods.length, from, to, nights: nightsBetween(from, to) });
+    from = to;
+  }
+  return periods;
+};
+
+// Split `amount` by nights over the periods not yet over at `now` nor already
+// paid for (up to `paidThrough`). Rounding is settled on the last installment
+// so the parts add up to the amount. The first installment is due straight
+// away, later ones when their period starts.
+const buildInstallments = ({ amount, checkIn, checkOut, cycle, now = new Date(), paidThrough = null }) => {
+  const periods = billingPeriods(checkIn, checkOut, cycle);
+  const cutoff = paidThrough && paidThrough > now ? paidThrough : now;
+  const remaining = periods.filter(p => p.to > cutoff);
+  const due = remaining.length > 0 ? remaining : periods.slice(-1);
+  const totalNights = due.reduce((sum, p) => sum + p.nights, 0);
+
+  let allocated = 0;
+  return due.map((period, i) => {
+    const last = i === due.length - 1;
+    const share = last ? amount - allocated : Math.round(amount * period.nights / totalNights);
+    allocated += share;
+    return {
+      ...period,
+      count: periods.length,
+      amount: share,
+      dueAt: i > 0 && period.from > now ? period.from : now
+    };
+  });
+};
+
+// Payment records for a schedule. The first installment is `pending` (the
+// caller sends its prompt); later ones wait as `scheduled`.
+const installmentPayments = ({ bookingId, booking, amount, checkIn, checkOut, now = new Date(), paidThrough = null }) => {
+  const installments = buildInstallments({ amount, checkIn, checkOut, cycle: booking.billingCycle, now, paidThrough });
+
+  return installments.map((installment, i) => ({
+    bookingId,
+    userId: booking.userId || null,
+    type: 'installment',
+    amount: installment.amount,
+    currency: RELWORX_CONFIG.CURRENCY,
+    provider: booking.paymentMethod || null,
+    phone: booking.paymentPhone || booking.guestPhone || null,
+    status: installment.dueAt > now ? 'scheduled' : 'pending',
+    customer_reference: generateReference(),
+    externalReference: null,
+    installment: {
+      index: installment.index,
+      count: installment.count,
+      final: i === installments.length - 1,
+      from: admin.firestore.Timestamp.fromDate(installment.from),
+      to: admin.firestore.Timestamp.fromDate(installment.to),
+      nights: installment.nights
+    },
+    dueAt: admin.firestore.Timestamp.fromDate(installment.dueAt),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+};
+
+// End of the last period the guest has already paid for, if any
+const paidThrough = (payments) => payments
+  .filter(p => p.type === 'installment' && PAID_STATUSES.includes(p.status) && p.installment)
+  .map(p => p.installment.to.toDate())
+  .reduce((latest, to) => (latest && latest > to ? latest : to), null);
+
+const installmentNarration = (booking, payment) => {
+  const label = booking.confirmationCode || payment.bookingId.slice(0, 6);
+  return `Booking ${label} (${payment.installment.index + 1}/${payment.installment.count})`;
+};
+
+// Release one scheduled installment. Re-checked in a transaction so two
+// scheduler runs never prompt the guest twice. Returns the payment to
+// prompt for, `{ voided: true }` when it is no longer owed, or null when
+// another run already handled it.
+const releaseInstallment = async (paymentRef) => {
+  return db.runTransaction(async (transaction) => {
+    const paymentDoc = await transaction.get(paymentRef);
+    if (!paymentDoc.exists || paymentDoc.data().status !== 'scheduled') return null;
+
+    const payment = paymentDoc.data();
+    const bookingRef = db.collection('bookings').doc(payment.bookingId);
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+
+    // Nothing to collect for a stay that ended early, or one already paid ahead
+    const outstanding = booking && ACTIVE_STATUSES.includes(booking.status)
+      ? (Number(booking.totalPrice) || 0) - roomAmountPaid(await readBookingPayments(payment.bookingId, booking, transaction))
+      : 0;
+
+    if (outstanding <= 0) {
+      transaction.update(paymentRef, {
+        status: 'void',
+        voidReason: booking && ACTIVE_STATUSES.includes(booking.status) ? 'already_paid' : 'booking_inactive',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { voided: true };
+    }
+
+    const amount = Math.min(Number(payment.amount) || 0, outstanding);
+    transaction.update(paymentRef, {
+      status: 'pending',
+      amount,
+      ...(payment.nextAttemptAt && { nextAttemptAt: null }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { ...payment, amount, booking };
+  });
+};
+
+// One scheduler run: release every installment whose period has started.
+// An installment whose prompt failed stays scheduled and is asked for again
+// from `nextAttemptAt`; the run lists it under `retrying` for staff.
+// Exported so the admin endpoint can run it on demand with a chosen clock.
+const sendDueInstallments = async ({ now = new Date() } = {}) => {
+  const snapshot = await db.collection('payments')
+    .where('type', '==', 'installment')
+    .where('status', '==', 'scheduled')
+    .where('dueAt', '<=', admin.firestore.Timestamp.fromDate(now))
+    .get();
+
+  const sent = [];
+  const voided = [];
+  const retrying = [];
+  for (const doc of snapshot.docs) {
+    const { nextAttemptAt } = doc.data();
+    if (nextAttemptAt && nextAttemptAt.toDate() > now) continue;
+
+    try {
+      const payment = await releaseInstallment(doc.ref);
+      if (!payment) continue;
+      if (payment.voided) {
+        voided.push(doc.id);
+        continue;
+      }
+
+      // Cash and card installments are collected at the desk
+      if (payment.provider === 'Mobile Money' && payment.phone) {
+        try {
+          await requestPayment({
+            amount: payment.amount,
+            msisdn: payment.phone,
+            reference: payment.customer_reference,
+            narration: installmentNarration(payment.booking, payment)
+          });
+        } catch (apiError) {
+          console.error('Installment prompt failed:', apiError.response?.data || apiError.message);
+          await doc.ref.update({
+            status: 'scheduled',
+            nextAttemptAt: admin.firestore.Timestamp.fromDate(new Date(now.getTime() + PROMPT_RETRY_MS)),
+            promptFailures: admin.firestore.FieldValue.increment(1),
+            failureReason: 'API Call Failed',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          retrying.push(doc.id);
+          continue;
+        }
+      }
+      sent.push(doc.id);
+    } catch (error) {
+      console.error(`Failed to release installment ${doc.id}:`, error);
+    }
+  }
+
+  return { checked: snapshot.size, sent, voided, retrying };
+};
+
+const startBillingScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => runEvery(intervalMs, 'Billing scheduler run', async () => {
+  const { sent, retrying } = await sendDueInstallments();
+  if (sent.length > 0) console.log(`🧾 Requested ${sent.length} installment payment(s)`);
+  if (retrying.length > 0) console.warn(`⚠️ ${retrying.length} installment prompt(s) failed and will be retried: ${retrying.join(', ')}`);
+});
+
+module.exports = {
+  BILLING_CYCLES,
+  isPeriodic,
+  paidThrough,
+  buildInstallments,
+  installmentPayments,
+  installmentNarration,
+  sendDueInstallments,
+  startBillingScheduler
+};
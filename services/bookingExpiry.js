@@ -0,0 +1,115 @@
+// services/bookingExpiry.js
+// Releases rooms held by pending bookings whose payment never arrived.
+const { db, admin } = require('../config/firebase');
+const { runEvery } = require('../utils/runEvery');
+const { readRoomNights, releaseRoomNights } = require('./inventory');
+const { transitionUpdates } = require('./bookingStatus');
+const { readRedemption, releaseRedemption } = require('./promotions');
+
+// Hold windows in minutes, per payment method
+const HOLD_MINUTES = {
+  'Mobile Money': Number(process.env.HOLD_MINUTES_MOBILE_MONEY) || 30,
+  Cash: Number(process.env.HOLD_MINUTES_CASH) || 24 * 60,
+  default: Number(process.env.HOLD_MINUTES_DEFAULT) || 2 * 60
+};
+
+const SWEEP_INTERVAL_MS = Number(process.env.HOLD_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+const holdMinutesFor = (paymentMethod) => HOLD_MINUTES[paymentMethod] || HOLD_MINUTES.default;
+
+const holdExpiryFor = (paymentMethod, from = new Date()) => {
+  return new Date(from.getTime() + holdMinutesFor(paymentMethod) * 60 * 1000);
+};
+
+// Bookings created before holds existed fall back to createdAt + window
+const expiryOf = (booking) => {
+  if (booking.holdExpiresAt) return booking.holdExpiresAt.toDate();
+  if (booking.createdAt) return holdExpiryFor(booking.paymentMethod, booking.createdAt.toDate());
+  return null;
+};
+
+// Expire a single booking. Re-checks everything inside the transaction so a
+// payment confirmed between the sweep query and now is never expired.
+const expireBooking = async (bookingId, now = new Date()) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) return false;
+
+    const booking = bookingDoc.data();
+    const expiresAt = expiryOf(booking);
+    if (booking.status !== 'pending' || booking.paymentStatus === 'paid') return false;
+    if (!expiresAt || expiresAt > now) return false;
+
+    // Group members share one combined payment, which lapses with them
+    const [lockSnaps, paymentsSnap, groupPaymentsSnap, redemptionSnap] = await Promise.all([
+      readRoomNights(transaction, booking.roomId, booking.checkIn.toDate(), booking.checkOut.toDate()),
+      transaction.get(
+        db.collection('payments')
+          .where('bookingId', '==', bookingId)
+          .where('status', '==', 'pending')
+      ),
+      booking.groupId
+        ? transaction.get(
+          db.collection('payments')
+            .where('groupId', '==', booking.groupId)
+            .where('status', '==', 'pending')
+        )
+        : null,
+      readRedemption(transaction, bookingId, booking)
+    ]);
+
+    transaction.update(bookingRef, {
+      ...transitionUpdates(booking, 'expired', 'system'),
+      paymentStatus: 'expired'
+    });
+
+    const pendingPayments = groupPaymentsSnap ? [...paymentsSnap.docs, ...groupPaymentsSnap.docs] : paymentsSnap.docs;
+    pendingPayments.forEach(doc => {
+      transaction.update(doc.ref, {
+        status: 'expired',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    releaseRoomNights(transaction, lockSnaps, bookingId);
+    releaseRedemption(transaction, redemptionSnap, 'booking_expired');
+    return true;
+  });
+};
+
+// One sweep over all pending bookings. Exported so tests and the admin
+// endpoint can run it on demand with a chosen clock.
+const expirePendingBookings = async ({ now = new Date() } = {}) => {
+  const snapshot = await db.collection('bookings')
+    .where('status', '==', 'pending')
+    .get();
+
+  const expired = [];
+  for (const doc of snapshot.docs) {
+    const expiresAt = expiryOf(doc.data());
+    if (!expiresAt || expiresAt > now) continue;
+
+    try {
+      if (await expireBooking(doc.id, now)) expired.push(doc.id);
+    } catch (error) {
+      console.error(`Failed to expire booking ${doc.id}:`, error);
+    }
+  }
+
+  return { checked: snapshot.size, expired };
+};
+
+const startExpirySweeper = (intervalMs = SWEEP_INTERVAL_MS) => runEvery(intervalMs, 'Booking expiry sweep', async () => {
+  const { expired } = await expirePendingBookings();
+  if (expired.length > 0) console.log(`⏰ Expired ${expired.length} unpaid booking(s)`);
+});
+
+module.exports = {
+  HOLD_MINUTES,
+  holdExpiryFor,
+  expireBooking,
+  expirePendingBookings,
+  startExpirySweeper
+};
@@ -0,0 +1,48 @@
+// services/bookingGroups.js
+// Group reservations: several bookings held together under one lead guest.
+const { db, admin } = require('../config/firebase');
+
+// Members that no longer count towards the group's room total
+const RELEASED_STATUSES = ['cancelled', 'expired'];
+
+// Recompute the group-level total and status after one of its bookings was
+// cancelled or modified. A released member still contributes the penalty
+// it was charged on cancellation.
+const syncGroupTotals = async (groupId) => {
+  const groupRef = db.collection('booking_groups').doc(groupId);
+
+  return db.runTransaction(async (transaction) => {
+    const [groupDoc, membersSnap] = await Promise.all([
+      transaction.get(groupRef),
+      transaction.get(db.collection('bookings').where('groupId', '==', groupId))
+    ]);
+    if (!groupDoc.exists) return null;
+
+    let totalPrice = 0;
+    let activeRooms = 0;
+    membersSnap.forEach(doc => {
+      const booking = doc.data();
+      if (RELEASED_STATUSES.includes(booking.status)) {
+        totalPrice += (booking.cancellation && booking.cancellation.penalty) || 0;
+      } else {
+        totalPrice += Number(booking.totalPrice) || 0;
+        activeRooms++;
+      }
+    });
+
+    let status = 'active';
+    if (activeRooms === 0) status = 'cancelled';
+    else if (activeRooms < membersSnap.size) status = 'partially_cancelled';
+
+    const totals = { totalPrice, activeRooms, status };
+    transaction.update(groupRef, {
+      ...totals,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return totals;
+  });
+};
+
+module.exports = {
+  syncGroupTotals
+};
@@ -0,0 +1,185 @@
+// services/bookingLifecycle.js
+// Moving a booking through its lifecycle (see ./bookingStatus for the rules),
+// shared by the staff booking routes and the guest self-service routes.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { RELWORX_CONFIG } = require('./relworx');
+const { ACTIVE_STATUSES, transitionUpdates } = require('./bookingStatus');
+const { readRoomNights, releaseRoomNights } = require('./inventory');
+const { quoteCancellation } = require('./cancellationPolicy');
+const { getStayClock, checkInAt, checkOutAt, bookingStayDates } = require('./stayDates');
+const { loadFolio, assertFolioSettled } = require('./folio');
+const { readBookingPayments } = require('./bookingPayments');
+const { readRedemption, releaseRedemption } = require('./promotions');
+
+// Room charges the guest has not paid yet. Voided on cancellation so a prompt
+// answered late can no longer collect for the booking.
+const ROOM_CHARGE_TYPES = ['booking', 'top_up', 'installment'];
+const unpaidRoomCharges = (payments) => payments.filter(p => !p.groupShare &&
+  ROOM_CHARGE_TYPES.includes(p.type || 'booking') &&
+  ['pending', 'scheduled'].includes(p.status));
+
+// A group's combined payment still pending stops covering a cancelled room:
+// its share comes off the amount, or the payment is voided with the last room
+const releaseGroupShares = (transaction, payments, bookingId) => {
+  payments
+    .filter(p => p.groupShare && p.status === 'pending')
+    .forEach(payment => {
+      const remaining = (payment.bookingIds || []).filter(id => id !== bookingId);
+      transaction.update(payment.ref, remaining.length > 0
+        ? {
+            amount: admin.firestore.FieldValue.increment(-(Number(payment.amount) || 0)),
+            [`allocations.${bookingId}`]: admin.firestore.FieldValue.delete(),
+            bookingIds: admin.firestore.FieldValue.arrayRemove(bookingId),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          }
+        : {
+            status: 'void',
+            voidReason: 'booking_cancelled',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+    });
+};
+
+// Front-desk rules on top of the status table, for every route that moves a
+// booking. Times come from the stay's dates and the hotel's clock; the folio
+// is checked separately at check-out since it needs the transaction.
+const assertStayAllows = (booking, to, clock, now = new Date()) => {
+  const stay = bookingStayDates(booking, clock);
+  if (to === 'checked_in') {
+    if (!booking.roomId) {
+      throw httpError(409, 'ROOM_NOT_ASSIGNED', 'Assign a room before checking in');
+    }
+    if (now >= checkOutAt(stay.checkOut, clock)) {
+      throw httpError(409, 'STAY_ENDED', 'Cannot check in after the stay has ended');
+    }
+  }
+  if (to === 'no_show' && now < checkInAt(stay.checkIn, clock)) {
+    throw httpError(409, 'ARRIVAL_NOT_DUE', 'Cannot mark a no-show before the check-in time on the arrival date');
+  }
+};
+
+// Check a move of `booking` to `to` and read what it will write: the booking
+// fields and the room-night locks to free when it stops holding the room
+const readTransition = async (transaction, bookingId, booking, to, by, clock) => {
+  const updates = transitionUpdates(booking, to, by);
+  assertStayAllows(booking, to, clock);
+  if (to === 'checked_out') assertFolioSettled(await loadFolio(bookingId, booking, transaction));
+
+  const lockSnaps = ACTIVE_STATUSES.includes(booking.status) && !ACTIVE_STATUSES.includes(to)
+    ? await readRoomNights(transaction, booking.roomId, booking.checkIn.toDate(), booking.checkOut.toDate())
+    : [];
+  return { updates, lockSnaps };
+};
+
+// Move a booking to `to` and free its room-nights when it stops holding the room.
+// `prepare(transaction, booking)` runs after the booking is read and before any
+// write: it may throw to veto the move (e.g. a guest cancelling someone else's booking), do extra
+// reads, and return `{ updates, write }` to add booking fields and other writes.
+const applyTransition = async (bookingId, to, by, prepare = null) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const clock = await getStayClock();
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+    const booking = bookingDoc.data();
+    const { updates, lockSnaps } = await readTransition(transaction, bookingId, booking, to, by, clock);
+    const extra = (prepare && await prepare(transaction, booking)) || {};
+
+    transaction.update(bookingRef, { ...updates, ...extra.updates });
+    releaseRoomNights(transaction, lockSnaps, bookingId);
+    if (extra.write) extra.write(transaction);
+
+    return { id: bookingId, ...booking, ...extra.updates, status: to };
+  });
+};
+
+// Check out every guest still in a room and write `roomUpdates` to it in one
+// transaction, so one unsettled folio leaves every guest and the room as they
+// were. Returns how many guests were checked out.
+const checkOutRoom = async (roomId, roomUpdates, by) => {
+  const roomRef = db.collection('rooms').doc(roomId);
+  const clock = await getStayClock();
+
+  return db.runTransaction(async (transaction) => {
+    const inHouseSnap = await transaction.get(
+      db.collection('bookings')
+        .where('roomId', '==', roomId)
+        .where('status', '==', 'checked_in')
+    );
+
+    const departures = [];
+    for (const doc of inHouseSnap.docs) {
+      departures.push({ doc, ...await readTransition(transaction, doc.id, doc.data(), 'checked_out', by, clock) });
+    }
+
+    departures.forEach(({ doc, updates, lockSnaps }) => {
+      transaction.update(doc.ref, updates);
+      releaseRoomNights(transaction, lockSnaps, doc.id);
+    });
+    transaction.update(roomRef, roomUpdates);
+    return departures.length;
+  });
+};
+
+// Cancel a booking, recording the penalty and any refund owed and voiding
+// the room charges still unpaid (its share of a pending group payment too)
+// and giving back its promo code use.
+// `authorize(booking)` may throw to refuse the caller.
+const cancelBooking = async (bookingId, { by, authorize = null }) => {
+  // Recompute inside the transaction so the recorded penalty matches the
+  // payments that exist at the moment of cancelling
+  return applyTransition(bookingId, 'cancelled', by, async (transaction, current) => {
+    if (authorize) authorize(current);
+
+    const [quote, payments, redemptionSnap] = await Promise.all([
+      quoteCancellation(bookingId, current, transaction),
+      readBookingPayments(bookingId, current, transaction),
+      readRedemption(transaction, bookingId, current)
+    ]);
+    const cancellation = {
+      ...quote,
+      refundStatus: quote.refundable > 0 ? 'due' : 'none',
+      calculatedAt: admin.firestore.Timestamp.now(),
+      calculatedBy: by
+    };
+
+    return {
+      updates: { cancellation },
+      write: (t) => {
+        unpaidRoomCharges(payments).forEach(payment => {
+          t.update(payment.ref, {
+            status: 'void',
+            voidReason: 'booking_cancelled',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+        releaseGroupShares(t, payments, bookingId);
+        releaseRedemption(t, redemptionSnap, 'booking_cancelled');
+        // Finance works from the payments list: record the refund owed there
+        if (quote.refundable <= 0) return;
+        t.set(db.collection('payments').doc(), {
+          bookingId,
+          userId: current.userId || null,
+          type: 'refund',
+          amount: quote.refundable,
+          currency: RELWORX_CONFIG.CURRENCY,
+          provider: current.paymentMethod || null,
+          phone: current.paymentPhone || current.guestPhone || null,
+          status: 'refund_due',
+          reason: 'cancellation',
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    };
+  });
+};
+
+module.exports = {
+  assertStayAllows,
+  applyTransition,
+  checkOutRoom,
+  cancelBooking
+};
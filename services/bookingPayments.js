@@ -0,0 +1,55 @@
+// services/bookingPayments.js
+// The payments that belong to a booking, including its share of a group payment.
+const { db } = require('../config/firebase');
+
+const PAID_STATUSES = ['success', 'paid'];
+
+// Money actually received for a booking, net of refunds already paid out
+const amountPaidFrom = (payments) => {
+  return payments.reduce((sum, p) => {
+    const amount = Number(p.amount) || 0;
+    if (p.type === 'refund') return p.status === 'refunded' ? sum - amount : sum;
+    return PAID_STATUSES.includes(p.status) ? sum + amount : sum;
+  }, 0);
+};
+
+// Money held against the room itself: folio settlements pay for incidentals,
+// and refunds already owed to the guest are taken off so they are not owed twice
+const roomAmountPaid = (payments) => {
+  const roomPayments = payments.filter(p => p.type !== 'folio');
+  const refundsDue = roomPayments
+    .filter(p => p.type === 'refund' && p.status === 'refund_due')
+    .reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  return amountPaidFrom(roomPayments) - refundsDue;
+};
+
+// Returns plain payment objects with their `ref`. Group shares are flagged
+// `groupShare: true` and carry the booking's allocated amount as `amount`.
+const readBookingPayments = async (bookingId, booking, transaction = null) => {
+  const read = (query) => (transaction ? transaction.get(query) : query.get());
+
+  const [ownSnap, groupSnap] = await Promise.all([
+    read(db.collection('payments').where('bookingId', '==', bookingId)),
+    booking.groupId ? read(db.collection('payments').where('groupId', '==', booking.groupId)) : null
+  ]);
+
+  const payments = ownSnap.docs.map(doc => ({ ref: doc.ref, ...doc.data() }));
+
+  if (groupSnap) {
+    groupSnap.docs.forEach(doc => {
+      const payment = doc.data();
+      const share = payment.allocations && payment.allocations[bookingId];
+      if (share === undefined) return;
+      payments.push({ ref: doc.ref, ...payment, amount: share, groupShare: true });
+    });
+  }
+
+  return payments;
+};
+
+module.exports = {
+  PAID_STATUSES,
+  amountPaidFrom,
+  roomAmountPaid,
+  readBookingPayments
+};
@@ -0,0 +1,202 @@
+// services/bookingSearch.js
+// Server-side filtering, guest search and cursor pagination for booking lists.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { BOOKING_STATUSES } = require('./bookingStatus');
+
+const SORT_FIELDS = ['createdAt', 'checkIn', 'checkOut'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+
+const prefixes = (word) => {
+  const out = [];
+  for (let i = MIN_PREFIX; i <= Math.min(word.length, MAX_PREFIX); i++) out.push(word.slice(0, i));
+  return out;
+};
+
+// Keywords for a booking's guest details; recompute whenever they change.
+// Firestore has no full-text search, so a term is matched with array-contains.
+const searchKeywords = ({ guestName, guestPhone, guestEmail, confirmationCode }) => {
+  const keywords = new Set();
+
+  String(guestName || '').toLowerCase().split(/\s+/).filter(Boolean)
+    .forEach(word => prefixes(word).forEach(p => keywords.add(p)));
+
+  // Phones are searchable as typed locally (07..), internationally, or by the last digits
+  const digits = String(guestPhone || '').replace(/\D/g, '');
+  if (digits) {
+    keywords.add(digits);
+    if (digits.startsWith('256')) keywords.add(`0${digits.slice(3)}`);
+    if (digits.length >= 9) keywords.add(digits.slice(-9));
+    if (digits.length >= 4) keywords.add(digits.slice(-4));
+  }
+
+  if (guestEmail) {
+    const email = String(guestEmail).toLowerCase();
+    keywords.add(email);
+    keywords.add(email.split('@')[0]);
+  }
+  if (confirmationCode) {
+    const code = String(confirmationCode).toLowerCase();
+    keywords.add(code);
+    keywords.add(code.replace(/^[a-z]+-/, ''));
+  }
+
+  return [...keywords];
+};
+
+// The single keyword a free-text search term is looked up by
+const searchToken = (term) => {
+  const clean = String(term).trim().toLowerCase();
+  if (/^[+\d\s()-]+$/.test(clean)) {
+    const digits = clean.replace(/\D/g, '');
+    return digits.startsWith('256') ? `0${digits.slice(3)}` : digits;
+  }
+  if (clean.includes('@')) return clean;
+  // Multi-word names are matched on their longest word
+  const words = clean.split(/\s+/).sort((a, b) => b.length - a.length);
+  return words[0].slice(0, MAX_PREFIX);
+};
+
+// Pages are ordered by the sort field, then the document id, so a cursor
+// resumes exactly where the last page ended
+const encodeCursor = (doc, sortField) => {
+  const value = doc.get(sortField);
+  return Buffer.from(JSON.stringify({ v: value ? value.toMillis() : null, id: doc.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof v !== 'number' || typeof id !== 'string') throw new Error('bad cursor');
+    return { value: admin.firestore.Timestamp.fromMillis(v), id };
+  } catch (error) {
+    throw httpError(400, 'INVALID_CURSOR', 'Invalid pagination cursor');
+  }
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw httpError(400, 'INVALID_FILTER', `Invalid "${name}" date`);
+  return admin.firestore.Timestamp.fromDate(date);
+};
+
+// Turn query-string parameters into a validated list request.
+//   status, paymentStatus (comma separated), roomId, roomType, userId,
+//   channel, partnerId, from/to (range on the sort field), q (guest search),
+//   sort (createdAt|checkIn|checkOut), order (asc|desc), limit, cursor
+const parseListParams = (query) => {
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw httpError(400, 'INVALID_SORT', `sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = query.order || (sort === 'createdAt' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(order)) throw httpError(400, 'INVALID_SORT', 'order must be asc or desc');
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(400, 'INVALID_LIMIT', `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const statuses = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+  const unknown = statuses.filter(s => !BOOKING_STATUSES.includes(s));
+  if (unknown.length > 0) throw httpError(400, 'INVALID_FILTER', `Unknown status: ${unknown.join(', ')}`);
+
+  const paymentStatuses = query.paymentStatus
+    ? String(query.paymentStatus).split(',').map(s => s.trim()).filter(Boolean)
+    : [];
+  // Firestore allows one "in" per query
+  if (statuses.length > 1 && paymentStatuses.length > 1) {
+    throw httpError(400, 'INVALID_FILTER', 'Only one of status or paymentStatus may list several values');
+  }
+
+  return {
+    statuses,
+    paymentStatuses,
+    roomId: query.roomId || null,
+    roomType: query.roomType || null,
+    userId: query.userId || null,
+    channel: query.channel || null,
+    partnerId: query.partnerId || null,
+    from: query.from ? parseDate(query.from, 'from') : null,
+    to: query.to ? parseDate(query.to, 'to') : null,
+    search: query.q && String(query.q).trim() ? searchToken(query.q) : null,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+};
+
+const applyValues = (query, field, values) => {
+  if (values.length === 1) return query.where(field, '==', values[0]);
+  if (values.length > 1) return query.where(field, 'in', values);
+  return query;
+};
+
+// One page of bookings. Returns the raw documents so callers shape the rows.
+// firestore.indexes.json has an index of each filter field with each sort
+// field and order; Firestore merges them when several filters are combined.
+const listBookings = async (params) => {
+  let query = db.collection('bookings');
+
+  query = applyValues(query, 'status', params.statuses);
+  query = applyValues(query, 'paymentStatus', params.paymentStatuses);
+  if (params.roomId) query = query.where('roomId', '==', params.roomId);
+  if (params.roomType) query = query.where('roomType', '==', params.roomType);
+  if (params.userId) query = query.where('userId', '==', params.userId);
+  if (params.channel) query = query.where('channel', '==', params.channel);
+  if (params.partnerId) query = query.where('partnerId', '==', params.partnerId);
+  if (params.search) query = query.where('searchKeywords', 'array-contains', params.search);
+  if (params.from) query = query.where(params.sort, '>=', params.from);
+  if (params.to) query = query.where(params.sort, '<=', params.to);
+
+  query = query
+    .orderBy(params.sort, params.order)
+    .orderBy(admin.firestore.FieldPath.documentId(), params.order);
+
+  if (params.cursor) query = query.startAfter(params.cursor.value, params.cursor.id);
+
+  // One extra row tells whether another page exists
+  const snapshot = await query.limit(params.limit + 1).get();
+  const docs = snapshot.docs.slice(0, params.limit);
+  const hasMore = snapshot.docs.length > params.limit;
+
+  return {
+    docs,
+    hasMore,
+    readCount: snapshot.size,
+    nextCursor: hasMore ? encodeCursor(docs[docs.length - 1], params.sort) : null
+  };
+};
+
+// Backfill `searchKeywords` on bookings written before search existed
+const reindexSearchKeywords = async () => {
+  const snapshot = await db.collection('bookings').get();
+  let updated = 0;
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of snapshot.docs) {
+    batch.update(doc.ref, { searchKeywords: searchKeywords(doc.data()) });
+    pending++;
+    updated++;
+    if (pending === 400) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+  if (pending > 0) await batch.commit();
+
+  return { updated };
+};
+
+module.exports = {
+  searchKeywords,
+  parseListParams,
+  listBookings,
+  reindexSearchKeywords
+};
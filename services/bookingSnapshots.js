@@ -0,0 +1,46 @@
+// services/bookingSnapshots.js
+// Denormalized copies of the room and guest a booking points at, written with
+// the booking so list endpoints can render rows without reading `rooms` or
+// `users`. Snapshots describe the booking as made; older bookings without
+// them fall back to batched lookups (see ./batchLoader).
+
+const roomSnapshot = (room) => (room ? { roomNumber: room.roomNumber || null, type: room.type || null } : null);
+
+const guestSnapshot = ({ userId, name, phone, email }) => ({
+  userId: userId || null,
+  name: name || null,
+  phone: phone || null,
+  email: email || null
+});
+
+const roomNameOf = (booking, rooms) => {
+  if (!booking.roomId) return `Unassigned (${booking.roomType || 'any'})`;
+  const room = booking.roomSnapshot || rooms.get(booking.roomId);
+  return room ? room.roomNumber + ' - ' + room.type : 'Unknown';
+};
+
+// Guest name and phone for staff lists: the snapshot, else the user record,
+// else whatever was typed on the booking
+const guestOf = (booking, users) => {
+  if (booking.guestSnapshot && booking.guestSnapshot.name) {
+    return { guestName: booking.guestSnapshot.name, guestPhone: booking.guestSnapshot.phone };
+  }
+  const user = users.get(booking.userId);
+  if (user) return { guestName: user.name || user.displayName, guestPhone: user.phoneNumber };
+  return { guestName: booking.guestName, guestPhone: booking.guestPhone };
+};
+
+// Ids still needing a lookup because the booking has no snapshot
+const missingRoomIds = (bookings) => bookings.filter(b => b.roomId && !b.roomSnapshot).map(b => b.roomId);
+const missingUserIds = (bookings) => bookings
+  .filter(b => b.userId && !(b.guestSnapshot && b.guestSnapshot.name))
+  .map(b => b.userId);
+
+module.exports = {
+  roomSnapshot,
+  guestSnapshot,
+  roomNameOf,
+  guestOf,
+  missingRoomIds,
+  missingUserIds
+};
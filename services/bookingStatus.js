@@ -0,0 +1,69 @@
+// services/bookingStatus.js
+// Booking lifecycle: the only place that decides which status moves are legal.
+const { admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+
+// from -> allowed next statuses
+const TRANSITIONS = {
+  pending: ['confirmed', 'checked_in', 'cancelled', 'expired'],
+  confirmed: ['checked_in', 'cancelled', 'no_show'],
+  checked_in: ['checked_out'],
+  checked_out: [],
+  cancelled: [],
+  no_show: [],
+  expired: []
+};
+
+const BOOKING_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses that hold the room and count towards revenue
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked_in'];
+const REVENUE_STATUSES = ['confirmed', 'checked_in', 'checked_out'];
+
+// Timestamp / actor fields written when a booking enters a status
+const STATUS_STAMPS = {
+  confirmed: ['confirmedAt', 'confirmedBy'],
+  checked_in: ['checkedInAt', 'checkedInBy'],
+  checked_out: ['checkedOutAt', 'checkedOutBy'],
+  cancelled: ['cancelledAt', 'cancelledBy'],
+  no_show: ['noShowAt', 'noShowBy'],
+  expired: ['expiredAt', 'expiredBy']
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!BOOKING_STATUSES.includes(to)) {
+    throw httpError(400, 'INVALID_STATUS', `Unknown booking status "${to}"`);
+  }
+  if (!canTransition(from, to)) {
+    throw httpError(409, 'ILLEGAL_TRANSITION', `Cannot move a ${from} booking to ${to}`);
+  }
+};
+
+// Firestore fields for moving `booking` to `to`, including the audit trail.
+// `by` is the staff uid, or 'system' for background jobs.
+const transitionUpdates = (booking, to, by) => {
+  assertTransition(booking.status, to);
+
+  const now = admin.firestore.Timestamp.now();
+  const [atField, byField] = STATUS_STAMPS[to];
+
+  return {
+    status: to,
+    [atField]: now,
+    [byField]: by || null,
+    statusHistory: admin.firestore.FieldValue.arrayUnion({ from: booking.status, to, at: now, by: by || null }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+};
+
+module.exports = {
+  TRANSITIONS,
+  BOOKING_STATUSES,
+  ACTIVE_STATUSES,
+  REVENUE_STATUSES,
+  canTransition,
+  assertTransition,
+  transitionUpdates
+};
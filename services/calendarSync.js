@@ -0,0 +1,313 @@
+// services/calendarSync.js
+// Two-way iCal sync of room calendars with external booking sites: each room
+// exports a secret feed of its stays and maintenance blocks, and `ical_feeds`
+// are imported as `room_blocks`.
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const axios = require('axios');
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { runEvery } = require('../utils/runEvery');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { overlaps } = require('./availability');
+const { toNight } = require('./roomBlocks');
+const { touchRoomType, roomTypeRef } = require('./inventory');
+const { getStayClock, hotelToday } = require('./stayDates');
+const { parseIcs, buildIcs } = require('./ical');
+
+const FETCH_TIMEOUT_MS = Number(process.env.ICAL_FETCH_TIMEOUT_MS) || 15 * 1000;
+const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+const SYNC_INTERVAL_MS = Number(process.env.ICAL_SYNC_INTERVAL_MS) || 30 * 60 * 1000;
+const BATCH_LIMIT = 400;
+// Firestore's cap on the writes of one transaction
+const MAX_TRANSACTION_WRITES = 500;
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+const issueFeedToken = async (roomId) => {
+  const roomRef = db.collection('rooms').doc(roomId);
+  const roomDoc = await roomRef.get();
+  if (!roomDoc.exists) throw httpError(404, 'ROOM_NOT_FOUND', 'Room not found');
+
+  // A new token revokes the URL given out before
+  const icalToken = crypto.randomBytes(24).toString('hex');
+  await roomRef.update({ icalToken, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return icalToken;
+};
+
+const tokenMatches = (room, token) => {
+  if (!room.icalToken || typeof token !== 'string') return false;
+  const expected = Buffer.from(room.icalToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// The .ics text for a room's feed, or null when the token does not match.
+// Guest details never leave the hotel: every stay is just "Reserved".
+// Imported blocks are left out so two sites syncing each other cannot echo them.
+const roomCalendar = async (roomId, token, { domain, now = new Date() }) => {
+  const roomDoc = await db.collection('rooms').doc(roomId).get();
+  if (!roomDoc.exists || !tokenMatches(roomDoc.data(), token)) return null;
+  const room = roomDoc.data();
+
+  const [bookingsSnap, blocksSnap] = await Promise.all([
+    db.collection('bookings')
+      .where('roomId', '==', roomId)
+      .where('status', 'in', ACTIVE_STATUSES)
+      .get(),
+    db.collection('room_blocks').where('roomId', '==', roomId).get()
+  ]);
+
+  const stays = bookingsSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(b => b.checkOut.toDate() > now)
+    .map(b => ({
+      uid: `booking-${b.id}@${domain}`,
+      summary: 'Reserved',
+      start: toNight(b.checkIn.toDate()),
+      end: toNight(b.checkOut.toDate())
+    }));
+  const blocks = blocksSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(b => b.source === 'maintenance' && b.end.toDate() > now)
+    .map(b => ({
+      uid: `block-${b.id}@${domain}`,
+      summary: 'Not available',
+      start: b.start.toDate(),
+      end: b.end.toDate()
+    }));
+
+  return buildIcs({
+    name: `Room ${room.roomNumber}`,
+    events: [...stays, ...blocks].sort((a, b) => a.start - b.start),
+    now
+  });
+};
+
+// ==========================================
+// IMPORT
+// ==========================================
+
+// `file://` URLs are for local testing and only read from ICAL_FIXTURE_DIR
+const fetchCalendar = async (url) => {
+  if (url.startsWith('file://')) {
+    const fixtureDir = process.env.ICAL_FIXTURE_DIR;
+    const filePath = path.resolve(decodeURIComponent(url.slice('file://'.length)));
+    if (!fixtureDir || !filePath.startsWith(path.resolve(fixtureDir) + path.sep)) {
+      throw httpError(400, 'INVALID_FEED_URL', 'File calendars are only read from ICAL_FIXTURE_DIR');
+    }
+    return fs.readFile(filePath, 'utf8');
+  }
+
+  const response = await axios.get(url, {
+    timeout: FETCH_TIMEOUT_MS,
+    responseType: 'text',
+    maxContentLength: MAX_CALENDAR_BYTES,
+    headers: { Accept: 'text/calendar' }
+  });
+  return String(response.data);
+};
+
+const validateFeedUrl = (url) => {
+  if (typeof url !== 'string' || !/^(https?|webcal|file):\/\//i.test(url)) {
+    throw httpError(400, 'INVALID_FEED_URL', 'Calendar URL must be an http(s) or webcal URL');
+  }
+  // webcal:// is http(s) by another name
+  return url.replace(/^webcal:\/\//i, 'https://');
+};
+
+// Replace a feed's blocks with the events of `text`. Past events are dropped.
+// Events that overlap one of our active bookings are still blocked and
+// reported as conflicts, since the room is then sold twice. The swap is one
+// transaction, so availability never sees the feed half-imported.
+const importCalendar = async (feedId, feed, text, { now = new Date() } = {}) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw httpError(422, 'INVALID_CALENDAR', 'Not an iCalendar file');
+  }
+  const clock = await getStayClock();
+  const today = hotelToday(clock, now);
+  const events = parseIcs(text, { zone: clock.zone }).filter(event => event.end > today);
+
+  const feedRef = db.collection('ical_feeds').doc(feedId);
+  return db.runTransaction(async (transaction) => {
+    const [roomDoc, oldBlocksSnap, bookingsSnap] = await Promise.all([
+      transaction.get(db.collection('rooms').doc(feed.roomId)),
+      transaction.get(db.collection('room_blocks').where('feedId', '==', feedId)),
+      transaction.get(
+        db.collection('bookings')
+          .where('roomId', '==', feed.roomId)
+          .where('status', 'in', ACTIVE_STATUSES)
+      )
+    ]);
+
+    // An event keeps the block it had (same UID); blocks left over are deleted
+    const oldByUid = new Map();
+    oldBlocksSnap.docs.forEach(doc => oldByUid.set(doc.data().uid, [...(oldByUid.get(doc.data().uid) || []), doc]));
+    const placed = events.map(event => ({ event, existing: (oldByUid.get(event.uid) || []).shift() || null }));
+    const staleBlocks = [...oldByUid.values()].flat();
+    if (events.length + staleBlocks.length + 2 > MAX_TRANSACTION_WRITES) {
+      throw httpError(422, 'CALENDAR_TOO_LARGE', `A calendar can hold at most ${MAX_TRANSACTION_WRITES - 2} upcoming events`);
+    }
+
+    const conflicts = [];
+    for (const event of events) {
+      bookingsSnap.docs
+        .filter(doc => overlaps(doc.data(), event.start, event.end))
+        .forEach(doc => conflicts.push({ uid: event.uid, bookingId: doc.id, confirmationCode: doc.data().confirmationCode || null }));
+    }
+
+    staleBlocks.forEach(doc => transaction.delete(doc.ref));
+    placed.forEach(({ event, existing }) => {
+      transaction.set(existing ? existing.ref : db.collection('room_blocks').doc(), {
+        roomId: feed.roomId,
+        start: admin.firestore.Timestamp.fromDate(event.start),
+        end: admin.firestore.Timestamp.fromDate(event.end),
+        source: 'ical',
+        feedId,
+        uid: event.uid,
+        summary: event.summary,
+        createdAt: existing ? existing.data().createdAt : admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    // Blocked nights change the room type's pool, like a booking would
+    if (roomDoc.exists && roomDoc.data().type) {
+      touchRoomType(transaction, { ref: roomTypeRef(roomDoc.data().type) });
+    }
+    transaction.update(feedRef, {
+      lastSyncedAt: admin.firestore.Timestamp.fromDate(now),
+      lastError: null,
+      eventCount: events.length,
+      conflicts
+    });
+
+    return { events: events.length, conflicts };
+  });
+};
+
+// Fetch and import a URL feed, recording the failure on the feed if it fails
+const syncFeed = async (feedId) => {
+  const feedRef = db.collection('ical_feeds').doc(feedId);
+  const feedDoc = await feedRef.get();
+  if (!feedDoc.exists) throw httpError(404, 'FEED_NOT_FOUND', 'Calendar feed not found');
+
+  const feed = feedDoc.data();
+  if (!feed.url) throw httpError(409, 'FEED_HAS_NO_URL', 'This calendar was uploaded; upload a new file to update it');
+
+  let text;
+  try {
+    text = await fetchCalendar(feed.url);
+  } catch (error) {
+    await feedRef.update({ lastError: error.message, lastErrorAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (error.status) throw error;
+    throw httpError(502, 'FEED_FETCH_FAILED', `Could not fetch ${feed.name}: ${error.message}`);
+  }
+
+  try {
+    return await importCalendar(feedId, feed, text);
+  } catch (error) {
+    await feedRef.update({ lastError: error.message, lastErrorAt: admin.firestore.FieldValue.serverTimestamp() });
+    throw error;
+  }
+};
+
+// Register a feed for a room and import it: from `url`, or from the uploaded
+// `ics` text. A URL is fetched first so a wrong one is not registered.
+const addFeed = async (roomId, { name, url = null, ics = null, by = null }) => {
+  if (!name) throw httpError(400, 'FEED_NAME_REQUIRED', 'Calendar name is required');
+  if (!url && !ics) throw httpError(400, 'FEED_SOURCE_REQUIRED', 'Provide a calendar URL or an .ics file');
+
+  const roomDoc = await db.collection('rooms').doc(roomId).get();
+  if (!roomDoc.exists) throw httpError(404, 'ROOM_NOT_FOUND', 'Room not found');
+
+  const feedUrl = url ? validateFeedUrl(url) : null;
+  let text = ics;
+  if (feedUrl) {
+    try {
+      text = await fetchCalendar(feedUrl);
+    } catch (error) {
+      if (error.status) throw error;
+      throw httpError(502, 'FEED_FETCH_FAILED', `Could not fetch ${name}: ${error.message}`);
+    }
+  }
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw httpError(422, 'INVALID_CALENDAR', 'Not an iCalendar file');
+  }
+
+  const feed = {
+    roomId,
+    name,
+    url: feedUrl,
+    source: url ? 'url' : 'upload',
+    lastSyncedAt: null,
+    lastError: null,
+    eventCount: 0,
+    conflicts: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    createdBy: by
+  };
+  const feedRef = await db.collection('ical_feeds').add(feed);
+
+  const result = await importCalendar(feedRef.id, feed, text);
+  return { id: feedRef.id, ...feed, ...result };
+};
+
+// Replace an uploaded feed's events with a new file
+const uploadToFeed = async (feedId, ics) => {
+  const feedDoc = await db.collection('ical_feeds').doc(feedId).get();
+  if (!feedDoc.exists) throw httpError(404, 'FEED_NOT_FOUND', 'Calendar feed not found');
+  return importCalendar(feedId, feedDoc.data(), ics);
+};
+
+// Delete a feed and free every night it blocked
+const removeFeed = async (feedId) => {
+  const feedRef = db.collection('ical_feeds').doc(feedId);
+  const feedDoc = await feedRef.get();
+  if (!feedDoc.exists) throw httpError(404, 'FEED_NOT_FOUND', 'Calendar feed not found');
+
+  const blocksSnap = await db.collection('room_blocks').where('feedId', '==', feedId).get();
+  const refs = [...blocksSnap.docs.map(doc => doc.ref), feedRef];
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  return { removedBlocks: blocksSnap.size };
+};
+
+// One run over every URL feed. Exported so the admin endpoint can run it on demand.
+const syncAllFeeds = async () => {
+  const snapshot = await db.collection('ical_feeds').where('source', '==', 'url').get();
+
+  const synced = [];
+  const failed = [];
+  for (const doc of snapshot.docs) {
+    try {
+      const result = await syncFeed(doc.id);
+      synced.push({ feedId: doc.id, ...result });
+    } catch (error) {
+      failed.push({ feedId: doc.id, error: error.message, code: error.code });
+    }
+  }
+  return { synced, failed };
+};
+
+const startCalendarSync = (intervalMs = SYNC_INTERVAL_MS) => runEvery(intervalMs, 'Calendar sync', async () => {
+  const { synced, failed } = await syncAllFeeds();
+  const conflicts = synced.reduce((sum, feed) => sum + feed.conflicts.length, 0);
+  if (conflicts > 0) console.warn(`📅 Calendar sync found ${conflicts} overlap(s) with our bookings`);
+  if (failed.length > 0) console.error(`📅 ${failed.length} calendar feed(s) failed to sync`);
+});
+
+module.exports = {
+  issueFeedToken,
+  roomCalendar,
+  addFeed,
+  uploadToFeed,
+  syncFeed,
+  removeFeed,
+  syncAllFeeds,
+  startCalendarSync
+};
@@ -0,0 +1,115 @@
+// services/cancellationPolicy.js
+// What a cancellation costs the guest, from the tiers of the hotel's
+// `cancellationRules` (or the whole total on a non-refundable rate plan).
+const { httpError } = require('../utils/httpError');
+const { getHotelSettings } = require('./hotelSettings');
+const { stayClockFrom, checkInAt, bookingStayDates } = require('./stayDates');
+const { roomAmountPaid, readBookingPayments } = require('./bookingPayments');
+
+const PENALTY_TYPES = ['none', 'nights', 'percent', 'fixed'];
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+// Without configured rules cancellation stays free, as it always was
+const DEFAULT_RULES = { tiers: [{ hoursBefore: 0, penalty: { type: 'none' } }] };
+const NON_REFUNDABLE_TIER = { hoursBefore: 0, penalty: { type: 'percent', value: 100 } };
+
+// { tiers: [{ hoursBefore: 48, penalty: { type: 'nights', value: 1 } }, ...] },
+// hours counted to the hotel's check-in time on the arrival date
+const validateCancellationRules = (rules) => {
+  if (!rules || !Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+    throw httpError(400, 'INVALID_CANCELLATION_RULES', 'cancellationRules.tiers must be a non-empty array');
+  }
+
+  for (const tier of rules.tiers) {
+    const { hoursBefore, penalty } = tier || {};
+    if (typeof hoursBefore !== 'number' || hoursBefore < 0) {
+      throw httpError(400, 'INVALID_CANCELLATION_RULES', 'Each tier needs a non-negative "hoursBefore"');
+    }
+    if (!penalty || !PENALTY_TYPES.includes(penalty.type)) {
+      throw httpError(400, 'INVALID_CANCELLATION_RULES', `Penalty type must be one of: ${PENALTY_TYPES.join(', ')}`);
+    }
+    if (penalty.type !== 'none' && !(Number(penalty.value) > 0)) {
+      throw httpError(400, 'INVALID_CANCELLATION_RULES', `A "${penalty.type}" penalty needs a positive value`);
+    }
+    if (penalty.type === 'percent' && penalty.value > 100) {
+      throw httpError(400, 'INVALID_CANCELLATION_RULES', 'A percent penalty cannot exceed 100');
+    }
+  }
+};
+
+// The tier with the largest `hoursBefore` the cancellation still meets; later
+// than every tier (after arrival) gets the strictest
+const pickTier = (tiers, hoursBeforeCheckIn) => {
+  const sorted = [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+  return sorted.find(tier => hoursBeforeCheckIn >= tier.hoursBefore) || sorted[sorted.length - 1];
+};
+
+// A "nights" penalty charges the first nights of the stay at the rates the
+// booking was priced with; bookings without them are charged the average night
+const penaltyAmount = (penalty, totalPrice, nights, nightly = []) => {
+  switch (penalty.type) {
+    case 'nights':
+      if (nightly.length > 0) {
+        const firstNights = nightly.slice(0, penalty.value).reduce((sum, night) => sum + (Number(night.rate) || 0), 0);
+        return Math.min(Math.round(firstNights), totalPrice);
+      }
+      return Math.round((totalPrice / nights) * Math.min(penalty.value, nights));
+    case 'percent':
+      return Math.round(totalPrice * penalty.value / 100);
+    case 'fixed':
+      return Math.min(Number(penalty.value), totalPrice);
+    default:
+      return 0;
+  }
+};
+
+// Pure calculation: what cancelling `booking` at `now` costs and what is refundable
+const computeCancellation = ({ booking, rules, payments = [], clock = stayClockFrom(), now = new Date() }) => {
+  const effectiveRules = rules && Array.isArray(rules.tiers) && rules.tiers.length > 0 ? rules : DEFAULT_RULES;
+
+  const { checkIn, checkOut } = bookingStayDates(booking, clock);
+  const totalPrice = Number(booking.totalPrice) || 0;
+  const nights = Math.max(1, Math.ceil((checkOut - checkIn) / DAY_MS));
+
+  const hoursBeforeCheckIn = Math.floor((checkInAt(checkIn, clock) - now) / HOUR_MS);
+  const tier = booking.ratePlan && booking.ratePlan.refundable === false
+    ? NON_REFUNDABLE_TIER
+    : pickTier(effectiveRules.tiers, hoursBeforeCheckIn);
+
+  const penalty = penaltyAmount(tier.penalty, totalPrice, nights, Array.isArray(booking.nightlyRates) ? booking.nightlyRates : []);
+  const amountPaid = Math.max(0, roomAmountPaid(payments));
+
+  return {
+    hoursBeforeCheckIn,
+    tier: { hoursBefore: tier.hoursBefore, penalty: tier.penalty },
+    totalPrice,
+    penalty,
+    amountPaid,
+    refundable: Math.max(0, amountPaid - penalty),
+    penaltyOutstanding: Math.max(0, penalty - amountPaid)
+  };
+};
+
+// Load the hotel's rules and the booking's payments, then compute. Pass a
+// transaction to read them as part of it (the cancel endpoint does).
+const quoteCancellation = async (bookingId, booking, transaction = null, now = new Date()) => {
+  const [settings, payments] = await Promise.all([
+    getHotelSettings(transaction),
+    readBookingPayments(bookingId, booking, transaction)
+  ]);
+
+  return computeCancellation({
+    booking,
+    rules: settings.cancellationRules,
+    payments,
+    clock: stayClockFrom(settings),
+    now
+  });
+};
+
+module.exports = {
+  validateCancellationRules,
+  computeCancellation,
+  quoteCancellation
+};
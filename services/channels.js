@@ -0,0 +1,72 @@
+// services/channels.js
+// Where a booking came from, and the commission owed to whoever sent it.
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { REVENUE_STATUSES } = require('./bookingStatus');
+
+const CHANNELS = ['walk_in', 'phone', 'website', 'ota', 'agent'];
+const PARTNER_CHANNELS = ['ota', 'agent'];
+const STAFF_ROLES = ['admin', 'super_admin', 'manager', 'receptionist'];
+
+const validateCommissionRate = (rate) => {
+  if (typeof rate !== 'number' || rate < 0 || rate > 100) {
+    throw httpError(400, 'INVALID_COMMISSION', 'commissionRate must be a percentage between 0 and 100');
+  }
+};
+
+// Bookings staff key in default to walk-ins, self-service ones to the website
+const defaultChannel = (user) => (user && STAFF_ROLES.includes(user.role) ? 'walk_in' : 'website');
+
+const commissionFor = (totalPrice, commissionRate) => {
+  return Math.round((Number(totalPrice) || 0) * (Number(commissionRate) || 0) / 100);
+};
+
+// Validate the channel fields of a booking request and return the booking
+// fields to store. `commissionRate` overrides the partner's default rate.
+const resolveChannel = async ({ channel, partnerId, commissionRate }, { user = null, transaction = null } = {}) => {
+  const source = channel || (partnerId ? null : defaultChannel(user));
+
+  let partner = null;
+  if (partnerId) {
+    const ref = db.collection('partners').doc(partnerId);
+    const partnerDoc = transaction ? await transaction.get(ref) : await ref.get();
+    if (!partnerDoc.exists) throw httpError(404, 'PARTNER_NOT_FOUND', 'Partner not found');
+    partner = partnerDoc.data();
+    if (partner.isActive === false) throw httpError(409, 'PARTNER_INACTIVE', `${partner.name} is not an active partner`);
+  }
+
+  const resolved = source || partner.type;
+  if (!CHANNELS.includes(resolved)) {
+    throw httpError(400, 'INVALID_CHANNEL', `channel must be one of: ${CHANNELS.join(', ')}`);
+  }
+  if (PARTNER_CHANNELS.includes(resolved) && !partner) {
+    throw httpError(400, 'PARTNER_REQUIRED', `${resolved} bookings need a partnerId`);
+  }
+  if (partner && partner.type !== resolved) {
+    throw httpError(400, 'INVALID_CHANNEL', `${partner.name} is registered as ${partner.type}, not ${resolved}`);
+  }
+  if (commissionRate !== undefined && commissionRate !== null) validateCommissionRate(commissionRate);
+
+  return {
+    channel: resolved,
+    partnerId: partnerId || null,
+    partnerName: partner ? partner.name : null,
+    commissionRate: partner ? (commissionRate ?? (Number(partner.commissionRate) || 0)) : 0
+  };
+};
+
+// Commission owed on a booking as it stands; `commissionAmount` on the
+// booking is the commission on its current total, whatever its status
+const commissionOwed = (booking) => {
+  if (!booking.commissionRate || !REVENUE_STATUSES.includes(booking.status)) return 0;
+  return commissionFor(booking.totalPrice, booking.commissionRate);
+};
+
+module.exports = {
+  CHANNELS,
+  PARTNER_CHANNELS,
+  validateCommissionRate,
+  commissionFor,
+  resolveChannel,
+  commissionOwed
+};
@@ -0,0 +1,61 @@
+// services/confirmationCodes.js
+// Short, human-readable confirmation codes such as MPT-7K3Q9.
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+
+const CODE_PREFIX = process.env.CONFIRMATION_CODE_PREFIX || 'MPT';
+// No look-alikes (0/O, 1/I/L): codes are read out over the phone
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 5;
+const MAX_ATTEMPTS = 5;
+
+const generateCode = () => {
+  let body = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    body += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${CODE_PREFIX}-${body}`;
+};
+
+// Accept what guests actually type: lower case, spaces, a missing prefix
+const normalizeCode = (input) => {
+  if (!input) return null;
+  const clean = String(input).toUpperCase().replace(/[\s-]/g, '');
+  const body = clean.startsWith(CODE_PREFIX) ? clean.slice(CODE_PREFIX.length) : clean;
+  if (body.length !== CODE_LENGTH || [...body].some(ch => !CODE_ALPHABET.includes(ch))) return null;
+  return `${CODE_PREFIX}-${body}`;
+};
+
+// Find a free code. Reads only, so it can run before the transaction's writes;
+// claim the result with claimConfirmationCode.
+const reserveConfirmationCode = async (transaction, taken = []) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const code = generateCode();
+    if (taken.includes(code)) continue;
+    const ref = db.collection('confirmation_codes').doc(code);
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return { code, ref };
+  }
+  throw httpError(503, 'CODE_UNAVAILABLE', 'Could not issue a confirmation code, please retry');
+};
+
+// `target` is { bookingId } or { groupId }
+const claimConfirmationCode = (transaction, reservation, target) => {
+  transaction.set(reservation.ref, { ...target, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+};
+
+const findByConfirmationCode = async (input) => {
+  const code = normalizeCode(input);
+  if (!code) return null;
+  const doc = await db.collection('confirmation_codes').doc(code).get();
+  return doc.exists ? { code, ...doc.data() } : null;
+};
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  reserveConfirmationCode,
+  claimConfirmationCode,
+  findByConfirmationCode
+};
@@ -0,0 +1,183 @@
+// services/documentRenderer.js
+// Renders invoice and receipt documents (built by services/invoices.js) as
+// standalone HTML or PDF. Everything is generated in-process: no templates
+// are fetched and no external rendering service is called.
+const PDFDocument = require('pdfkit');
+
+const TITLES = { invoice: 'INVOICE', receipt: 'RECEIPT' };
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (amount, currency) => `${currency} ${Math.round(Number(amount) || 0).toLocaleString('en-US')}`;
+
+const formatDate = (iso) => (iso ? iso.slice(0, 10) : '');
+
+// Address and contact may be stored as plain strings or as objects
+const flatten = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return [value];
+  return Object.values(value).filter(v => typeof v === 'string' && v);
+};
+
+const hotelLines = (hotel) => [
+  ...flatten(hotel.address),
+  ...flatten(hotel.contact),
+  ...(hotel.taxId ? [`TIN: ${hotel.taxId}`] : [])
+];
+
+// Label/value pairs shown under the document title
+const metaRows = (doc) => {
+  const rows = [[`${doc.type === 'invoice' ? 'Invoice' : 'Receipt'} No.`, doc.number], ['Date', formatDate(doc.issuedAt)]];
+  if (doc.stay) {
+    rows.push(['Booking', doc.stay.confirmationCode || doc.stay.bookingId]);
+    rows.push(['Stay', `${formatDate(doc.stay.checkIn)} to ${formatDate(doc.stay.checkOut)}`]);
+  }
+  if (doc.payment) {
+    rows.push(['Method', doc.payment.method || '']);
+    rows.push(['Reference', doc.payment.reference || '']);
+    if (doc.payment.invoiceNumber) rows.push(['Invoice', doc.payment.invoiceNumber]);
+  }
+  return rows;
+};
+
+// Totals block below the line items
+const totalRows = (doc) => {
+  const rows = [['Subtotal', doc.subtotal]];
+  doc.taxes.forEach(tax => {
+    rows.push([`${tax.name} ${tax.rate}%${tax.inclusive ? ' (included)' : ''}`, tax.amount]);
+  });
+  rows.push(['Total', doc.total]);
+  if (doc.type === 'invoice') {
+    rows.push(['Paid', doc.paid]);
+    if (doc.transferred) rows.push(['Transferred to account', doc.transferred]);
+    rows.push(['Balance due', doc.balanceDue]);
+  }
+  return rows;
+};
+
+const renderHtml = (doc) => {
+  const title = TITLES[doc.type];
+  const currency = doc.currency;
+
+  const itemRows = doc.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${escapeHtml(money(item.unitAmount, currency))}</td>
+          <td class="num">${escapeHtml(money(item.amount, currency))}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(doc.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    h2 { margin: 24px 0 8px; font-size: 18px; letter-spacing: 2px; }
+    .muted { color: #666; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; font-size: 14px; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .totals tr:last-child td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(doc.hotel.name)}</h1>
+  ${hotelLines(doc.hotel).map(line => `<div class="muted">${escapeHtml(line)}</div>`).join('\n  ')}
+  <h2>${title}</h2>
+  <table>
+    ${metaRows(doc).map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+  <p><strong>Bill to:</strong> ${escapeHtml(doc.billTo.name)}${doc.billTo.guestName && doc.billTo.guestName !== doc.billTo.name ? ` (guest: ${escapeHtml(doc.billTo.guestName)})` : ''}</p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+  <table class="totals">
+    ${totalRows(doc).map(([label, amount]) => `<tr><td class="num">${escapeHtml(label)}</td><td class="num">${escapeHtml(money(amount, currency))}</td></tr>`).join('\n    ')}
+  </table>
+</body>
+</html>
+`;
+};
+
+const renderPdf = (doc) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${TITLES[doc.type]} ${doc.number}` } });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const currency = doc.currency;
+  const left = 50;
+  const columns = { description: left, quantity: 300, unit: 350, amount: 450 };
+
+  pdf.font('Helvetica-Bold').fontSize(18).text(doc.hotel.name);
+  pdf.font('Helvetica').fontSize(9).fillColor('#555');
+  hotelLines(doc.hotel).forEach(line => pdf.text(line));
+  pdf.fillColor('#000').moveDown();
+
+  pdf.font('Helvetica-Bold').fontSize(14).text(TITLES[doc.type], { characterSpacing: 2 });
+  pdf.font('Helvetica').fontSize(10).moveDown(0.5);
+  metaRows(doc).forEach(([label, value]) => pdf.text(`${label}: ${value}`));
+  pdf.moveDown(0.5).text(`Bill to: ${doc.billTo.name || ''}`);
+  pdf.moveDown();
+
+  const row = (cells, bold = false) => {
+    const y = pdf.y;
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    pdf.text(cells[0], columns.description, y, { width: 240 });
+    const bottom = pdf.y;
+    pdf.text(cells[1], columns.quantity, y, { width: 40, align: 'right' });
+    pdf.text(cells[2], columns.unit, y, { width: 90, align: 'right' });
+    pdf.text(cells[3], columns.amount, y, { width: 95, align: 'right' });
+    pdf.y = Math.max(bottom, pdf.y) + 4;
+  };
+
+  row(['Description', 'Qty', 'Unit', 'Amount'], true);
+  doc.items.forEach(item => row([
+    item.description,
+    String(item.quantity),
+    money(item.unitAmount, currency),
+    money(item.amount, currency)
+  ]));
+
+  pdf.moveDown();
+  const totals = totalRows(doc);
+  totals.forEach(([label, amount], i) => {
+    const y = pdf.y;
+    pdf.font(i === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    pdf.text(label, columns.quantity - 100, y, { width: 240, align: 'right' });
+    pdf.text(money(amount, currency), columns.amount, y, { width: 95, align: 'right' });
+  });
+
+  pdf.end();
+});
+
+// Respond with the document as HTML (default) or, for `format=pdf`, a PDF
+const sendDocument = async (res, doc, format) => {
+  if (format === 'pdf') {
+    const pdf = await renderPdf(doc);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${doc.number}.pdf"`);
+    return res.send(pdf);
+  }
+  res.type('html').send(renderHtml(doc));
+};
+
+module.exports = {
+  renderHtml,
+  renderPdf,
+  sendDocument
+};
@@ -0,0 +1,180 @@
+// services/dynamicPricing.js
+// Pricing rules (`pricing_rules`) that move nightly rates with forecast
+// occupancy or lead time, kept within each room type's `price_limits`.
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { nightKeys, isSellable, typeUsageByNight, readSellableRooms, readStays } = require('./availability');
+const { nightlyRates } = require('./pricing');
+
+// occupancy: forecast percent of the room type's rooms sold or blocked on the
+// night; lead_time: days from today (at the hotel) to arrival
+const TRIGGERS = ['occupancy', 'lead_time'];
+const ADJUSTMENT_TYPES = ['percent', 'amount'];
+
+const invalid = (message) => httpError(400, 'INVALID_PRICING_RULE', message);
+
+// ==========================================
+// VALIDATION (create/update bodies; `partial` allows leaving fields out)
+// ==========================================
+
+const pricingRuleFields = (body, partial = false, current = {}) => {
+  const { name, roomType, trigger, min, max, adjustment, priority, isActive } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string') throw invalid('Rule name is required');
+    fields.name = name.trim();
+  }
+  if (roomType !== undefined || !partial) fields.roomType = roomType || null;
+  if (trigger !== undefined || !partial) {
+    if (!TRIGGERS.includes(trigger)) throw invalid(`trigger must be one of: ${TRIGGERS.join(', ')}`);
+    fields.trigger = trigger;
+  }
+  if (min !== undefined || !partial) {
+    if (!Number.isFinite(min ?? 0) || (min ?? 0) < 0) throw invalid('min must be a non-negative number');
+    fields.min = min ?? 0;
+  }
+  if (max !== undefined || !partial) {
+    if (max !== null && max !== undefined && !Number.isFinite(max)) throw invalid('max must be a number or null');
+    fields.max = max ?? null;
+  }
+  if (adjustment !== undefined || !partial) {
+    if (!adjustment || !ADJUSTMENT_TYPES.includes(adjustment.type) || !Number.isFinite(adjustment.value)) {
+      throw invalid(`adjustment must be { type: ${ADJUSTMENT_TYPES.join(' | ')}, value }`);
+    }
+    if (adjustment.type === 'percent' && adjustment.value <= -100) throw invalid('A percent adjustment must be above -100');
+    fields.adjustment = { type: adjustment.type, value: adjustment.value };
+  }
+  if (priority !== undefined || !partial) {
+    if (!Number.isInteger(priority ?? 0)) throw invalid('priority must be a whole number');
+    fields.priority = priority ?? 0;
+  }
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+
+  const merged = { ...current, ...fields };
+  if (merged.max !== null && merged.max <= merged.min) throw invalid('max must be greater than min');
+  if (merged.trigger === 'occupancy' && (merged.min > 100 || (merged.max !== null && merged.max > 100))) {
+    throw invalid('An occupancy band is a percentage between 0 and 100');
+  }
+
+  return fields;
+};
+
+const limitFields = (body) => {
+  const { roomType, floor, ceiling } = body;
+  if (!roomType || typeof roomType !== 'string') throw httpError(400, 'INVALID_PRICE_LIMITS', 'roomType is required');
+
+  const fields = { roomType };
+  for (const [key, value] of [['floor', floor], ['ceiling', ceiling]]) {
+    if (value === undefined || value === null || value === '') {
+      fields[key] = null;
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, 'INVALID_PRICE_LIMITS', `${key} must be a positive number`);
+    fields[key] = amount;
+  }
+  if (fields.floor && fields.ceiling && fields.floor > fields.ceiling) {
+    throw httpError(400, 'INVALID_PRICE_LIMITS', 'The floor cannot be above the ceiling');
+  }
+  return fields;
+};
+
+// ==========================================
+// LOADING
+// ==========================================
+
+const byPriority = (a, b) => (a.priority || 0) - (b.priority || 0) || a.name.localeCompare(b.name);
+
+// Pure: forecast occupancy (percent) per room type and night, leaving out
+// `excludeBookingId` (a booking being repriced does not raise its own price)
+const occupancyByNight = ({ rooms, stays, from, to, excludeBookingId = null }) => {
+  const pools = new Map();
+  rooms.filter(isSellable).forEach(room => {
+    if (!pools.has(room.type)) pools.set(room.type, []);
+    pools.get(room.type).push(room);
+  });
+
+  const occupancy = {};
+  for (const [type, pool] of pools) {
+    const usage = typeUsageByNight({
+      bookings: stays,
+      roomIds: new Set(pool.map(room => room.id)),
+      roomType: type,
+      checkIn: from,
+      checkOut: to,
+      excludeBookingId
+    });
+    occupancy[type] = {};
+    for (const night of nightKeys(from, to)) {
+      occupancy[type][night] = Math.min(100, Math.round((usage.get(night) / pool.length) * 100));
+    }
+  }
+  return occupancy;
+};
+
+const forecastOccupancy = async (from, to, excludeBookingId = null) => {
+  const [rooms, stays] = await Promise.all([
+    readSellableRooms(),
+    readStays(from, to)
+  ]);
+  return occupancyByNight({ rooms, stays, from, to, excludeBookingId });
+};
+
+const loadLimits = async () => {
+  const snapshot = await db.collection('price_limits').get();
+  return Object.fromEntries(snapshot.docs.map(doc => [doc.data().roomType, doc.data()]));
+};
+
+// What the rules need to price nights from `from` up to `to`: the active
+// rules (or `rules`, for a preview), the limits and, if any rule uses it,
+// the forecast occupancy (without `excludeBookingId`)
+const loadDynamicPricing = async ({ from, to, rules = null, excludeBookingId = null }) => {
+  const activeRules = rules || (await db.collection('pricing_rules').where('isActive', '==', true).get())
+    .docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  if (activeRules.length === 0) return { rules: [], limits: {}, occupancy: {} };
+
+  const [limits, occupancy] = await Promise.all([
+    loadLimits(),
+    activeRules.some(rule => rule.trigger === 'occupancy') ? forecastOccupancy(from, to, excludeBookingId) : {}
+  ]);
+  return { rules: [...activeRules].sort(byPriority), limits, occupancy };
+};
+
+// Pure: each night's rate for each room type (its cheapest room), with the
+// current rules and the proposed ones. Every night is priced as if the stay
+// started on it, so lead-time rules count the days to that night.
+const previewNights = ({ rooms, from, to, rates, proposed }) => {
+  const cheapestOfType = new Map();
+  rooms.filter(isSellable).forEach(room => {
+    const best = cheapestOfType.get(room.type);
+    if (!best || Number(room.price) < Number(best.price)) cheapestOfType.set(room.type, room);
+  });
+
+  return [...cheapestOfType.values()].map(room => ({
+    roomType: room.type,
+    nights: nightKeys(from, to).map(date => {
+      const night = new Date(`${date}T00:00:00.000Z`);
+      const [current] = nightlyRates(room, night, 1, rates);
+      const [next] = nightlyRates(room, night, 1, { ...rates, dynamic: proposed });
+      return {
+        date,
+        occupancy: (proposed.occupancy[room.type] || {})[date] ?? null,
+        currentRate: current.rate,
+        proposedRate: next.rate,
+        difference: next.rate - current.rate,
+        adjustments: next.adjustments || []
+      };
+    })
+  }));
+};
+
+module.exports = {
+  TRIGGERS,
+  pricingRuleFields,
+  limitFields,
+  occupancyByNight,
+  forecastOccupancy,
+  loadDynamicPricing,
+  previewNights
+};
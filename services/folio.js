@@ -0,0 +1,251 @@
+// services/folio.js
+// The guest folio: everything a booking is charged and everything paid against it.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { DAY_MS } = require('./availability');
+const { PAID_STATUSES, readBookingPayments } = require('./bookingPayments');
+
+const LINE_TYPES = ['charge', 'adjustment'];
+const CHARGE_CATEGORIES = ['restaurant', 'bar', 'room_service', 'laundry', 'minibar', 'telephone', 'other'];
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : value || null);
+
+const readFolioLines = async (bookingId, transaction = null) => {
+  const query = db.collection('folio_lines').where('bookingId', '==', bookingId);
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+// Pure: itemized folio with a running balance. Positive amounts are owed by
+// the guest, negative amounts reduce what is owed.
+const buildFolio = ({ booking, lines = [], payments = [] }) => {
+  const nights = Math.max(1, Math.ceil((toDate(booking.checkOut) - toDate(booking.checkIn)) / DAY_MS));
+  const entries = [{
+    kind: 'room',
+    description: booking.roomType ? `Room nights (${booking.roomType})` : 'Room nights',
+    quantity: nights,
+    amount: Number(booking.totalPrice) || 0,
+    date: toDate(booking.checkIn)
+  }];
+
+  lines
+    .filter(line => !line.voided)
+    .forEach(line => entries.push({
+      id: line.id,
+      kind: line.type,
+      category: line.category || null,
+      description: line.description,
+      quantity: line.quantity || 1,
+      amount: line.amount,
+      date: toDate(line.postedAt),
+      postedBy: line.postedBy || null
+    }));
+
+  payments.forEach(payment => {
+    const amount = Number(payment.amount) || 0;
+    if (payment.type === 'refund') {
+      if (payment.status !== 'refunded') return;
+      entries.push({ id: payment.ref ? payment.ref.id : null, kind: 'refund', description: 'Refund', amount, date: toDate(payment.updatedAt || payment.createdAt) });
+    } else if (PAID_STATUSES.includes(payment.status)) {
+      entries.push({
+        id: payment.ref ? payment.ref.id : null,
+        kind: 'payment',
+        description: payment.groupShare ? 'Payment (group share)' : `Payment${payment.provider ? ` (${payment.provider})` : ''}`,
+        amount: -amount,
+        date: toDate(payment.paidAt || payment.updatedAt || payment.createdAt)
+      });
+    }
+  });
+
+  // Room nights first, then in posting order
+  const [room, ...rest] = entries;
+  rest.sort((a, b) => (a.date ? a.date.getTime() : 0) - (b.date ? b.date.getTime() : 0));
+
+  const totals = { charges: 0, adjustments: 0, payments: 0, refunds: 0, transferred: 0 };
+  let balance = 0;
+  const items = [room, ...rest].map(entry => {
+    balance += entry.amount;
+    if (entry.kind === 'room' || entry.kind === 'charge') totals.charges += entry.amount;
+    else if (entry.kind === 'adjustment') totals.adjustments += entry.amount;
+    else if (entry.kind === 'payment') totals.payments -= entry.amount;
+    else if (entry.kind === 'refund') totals.refunds += entry.amount;
+    else if (entry.kind === 'transfer') totals.transferred -= entry.amount;
+    return { ...entry, date: entry.date ? entry.date.toISOString() : null, balance };
+  });
+
+  return {
+    items,
+    totals,
+    balance,
+    settled: balance <= 0,
+    cityLedger: booking.cityLedger || null
+  };
+};
+
+const loadFolio = async (bookingId, booking, transaction = null) => {
+  const [lines, payments] = await Promise.all([
+    readFolioLines(bookingId, transaction),
+    readBookingPayments(bookingId, booking, transaction)
+  ]);
+  return buildFolio({ booking, lines, payments });
+};
+
+const assertFolioSettled = (folio) => {
+  if (!folio.settled) {
+    throw httpError(409, 'FOLIO_UNSETTLED', `Folio has an outstanding balance of ${folio.balance}. Settle it or transfer it to the city ledger`);
+  }
+};
+
+const validateLine = ({ type, category, description, amount, quantity }) => {
+  if (!LINE_TYPES.includes(type)) {
+    throw httpError(400, 'INVALID_FOLIO_LINE', `Line type must be one of: ${LINE_TYPES.join(', ')}`);
+  }
+  if (!description) throw httpError(400, 'INVALID_FOLIO_LINE', 'Description is required');
+
+  const unitAmount = Number(amount);
+  const qty = quantity === undefined ? 1 : Number(quantity);
+  if (!Number.isFinite(unitAmount) || unitAmount === 0) {
+    throw httpError(400, 'INVALID_FOLIO_LINE', 'Amount must be a non-zero number');
+  }
+  if (!Number.isInteger(qty) || qty < 1) throw httpError(400, 'INVALID_FOLIO_LINE', 'Quantity must be a positive integer');
+
+  if (type === 'charge') {
+    if (unitAmount < 0) throw httpError(400, 'INVALID_FOLIO_LINE', 'Use an adjustment to credit the guest');
+    if (!CHARGE_CATEGORIES.includes(category)) {
+      throw httpError(400, 'INVALID_FOLIO_LINE', `Category must be one of: ${CHARGE_CATEGORIES.join(', ')}`);
+    }
+  }
+
+  return { unitAmount, qty };
+};
+
+// Post a charge (quantity × unit amount) or a signed adjustment to an open folio
+const postFolioLine = async (bookingId, line, by) => {
+  const { unitAmount, qty } = validateLine(line);
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const lineRef = db.collection('folio_lines').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+    const booking = bookingDoc.data();
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      throw httpError(409, 'FOLIO_CLOSED', `Cannot post to the folio of a ${booking.status} booking`);
+    }
+
+    const data = {
+      bookingId,
+      type: line.type,
+      category: line.type === 'charge' ? line.category : null,
+      description: line.description,
+      quantity: qty,
+      unitAmount,
+      amount: unitAmount * qty,
+      reason: line.reason || null,
+      voided: false,
+      postedAt: admin.firestore.Timestamp.now(),
+      postedBy: by
+    };
+    transaction.set(lineRef, data);
+    return { id: lineRef.id, ...data };
+  });
+};
+
+// Lines are never deleted, only voided, so the folio stays auditable
+const voidFolioLine = async (bookingId, lineId, { reason, by }) => {
+  if (!reason) throw httpError(400, 'REASON_REQUIRED', 'A reason is required to void a folio line');
+
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const lineRef = db.collection('folio_lines').doc(lineId);
+
+  return db.runTransaction(async (transaction) => {
+    const [bookingDoc, lineDoc] = await Promise.all([transaction.get(bookingRef), transaction.get(lineRef)]);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+    if (!lineDoc.exists || lineDoc.data().bookingId !== bookingId) {
+      throw httpError(404, 'FOLIO_LINE_NOT_FOUND', 'Folio line not found');
+    }
+    if (!ACTIVE_STATUSES.includes(bookingDoc.data().status)) {
+      throw httpError(409, 'FOLIO_CLOSED', 'The folio of this booking is closed');
+    }
+    if (lineDoc.data().type === 'transfer') {
+      throw httpError(409, 'TRANSFER_LOCKED', 'City ledger transfers cannot be voided from the folio');
+    }
+    if (lineDoc.data().voided) return { id: lineId, voided: true };
+
+    transaction.update(lineRef, {
+      voided: true,
+      voidReason: reason,
+      voidedAt: admin.firestore.Timestamp.now(),
+      voidedBy: by
+    });
+    return { id: lineId, voided: true };
+  });
+};
+
+// Move the outstanding balance to a city ledger account. The folio gets a
+// closing transfer line (so it reads as settled) and the account gets an
+// open receivable for accounts to invoice.
+const transferToCityLedger = async (bookingId, { account, note = null, by }) => {
+  if (!account) throw httpError(400, 'ACCOUNT_REQUIRED', 'City ledger account is required');
+
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+    const booking = bookingDoc.data();
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      throw httpError(409, 'FOLIO_CLOSED', `Cannot transfer the folio of a ${booking.status} booking`);
+    }
+
+    const folio = await loadFolio(bookingId, booking, transaction);
+    if (folio.balance <= 0) throw httpError(409, 'NOTHING_TO_TRANSFER', 'The folio has no outstanding balance');
+
+    const ledgerRef = db.collection('city_ledger').doc();
+    const now = admin.firestore.Timestamp.now();
+
+    transaction.set(ledgerRef, {
+      account,
+      bookingId,
+      guestName: booking.guestName || null,
+      amount: folio.balance,
+      status: 'open',
+      note,
+      createdAt: now,
+      createdBy: by
+    });
+    transaction.set(db.collection('folio_lines').doc(), {
+      bookingId,
+      type: 'transfer',
+      category: null,
+      description: `Transferred to city ledger: ${account}`,
+      quantity: 1,
+      unitAmount: -folio.balance,
+      amount: -folio.balance,
+      cityLedgerId: ledgerRef.id,
+      voided: false,
+      postedAt: now,
+      postedBy: by
+    });
+    transaction.update(bookingRef, {
+      cityLedger: { id: ledgerRef.id, account, amount: folio.balance, transferredAt: now, transferredBy: by },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: ledgerRef.id, account, amount: folio.balance };
+  });
+};
+
+module.exports = {
+  LINE_TYPES,
+  CHARGE_CATEGORIES,
+  buildFolio,
+  loadFolio,
+  assertFolioSettled,
+  postFolioLine,
+  voidFolioLine,
+  transferToCityLedger
+};
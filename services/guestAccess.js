@@ -0,0 +1,106 @@
+// services/guestAccess.js
+// Booking access for guests without an account: a confirmation code plus the
+// phone number or surname on the booking buys a short-lived token scoped to
+// that one booking. A group's code buys one such token for each of its rooms.
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { formatPhoneNumber } = require('./guests');
+const { findByConfirmationCode } = require('./confirmationCodes');
+
+const GUEST_TOKEN_TTL = process.env.GUEST_TOKEN_TTL || '30m';
+const GUEST_TOKEN_SCOPE = 'guest_booking';
+
+// Tokens must survive a restart and be valid on every instance, so they are
+// only signed with a configured secret. Without one the guest endpoints answer
+// 503 and the rest of the API runs as before.
+const GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET || null;
+if (!GUEST_TOKEN_SECRET) {
+  console.warn('⚠️ GUEST_TOKEN_SECRET is not set: guest booking access is disabled');
+}
+
+const assertGuestAccessEnabled = () => {
+  if (!GUEST_TOKEN_SECRET) {
+    throw httpError(503, 'GUEST_ACCESS_DISABLED', 'Guest booking access is not available');
+  }
+};
+
+const surnameOf = (name) => {
+  const parts = String(name || '').trim().toLowerCase().split(/\s+/);
+  return parts[parts.length - 1] || '';
+};
+
+const phonesMatch = (a, b) => {
+  if (!a || !b) return false;
+  return formatPhoneNumber(String(a)) === formatPhoneNumber(String(b));
+};
+
+// The bookings a code stands for: one room, or every room of a group with
+// the group's lead guest
+const resolveCode = async (entry) => {
+  if (entry.bookingId) return { bookingIds: [entry.bookingId], group: null };
+  if (!entry.groupId) return null;
+  const groupDoc = await db.collection('booking_groups').doc(entry.groupId).get();
+  if (!groupDoc.exists) return null;
+  const group = groupDoc.data();
+  return {
+    bookingIds: group.bookingIds || [],
+    group: { id: groupDoc.id, confirmationCode: group.confirmationCode || entry.code, leadGuest: group.leadGuest || null }
+  };
+};
+
+// Returns `{ booking, group }` when the code and the phone or surname match,
+// otherwise null. `booking` is `{ id, ...booking }` (a group's first room);
+// `group` is null for a room's own code, else `{ id, confirmationCode,
+// bookings }` with every room of the group. Callers must not reveal which
+// part was wrong.
+const findGuestBooking = async ({ code, phone, surname }) => {
+  assertGuestAccessEnabled();
+  if (!phone && !surname) return null;
+
+  const entry = await findByConfirmationCode(code);
+  const resolved = entry && await resolveCode(entry);
+  if (!resolved || resolved.bookingIds.length === 0) return null;
+
+  const bookingDocs = await db.getAll(...resolved.bookingIds.map(id => db.collection('bookings').doc(id)));
+  const bookings = bookingDocs.filter(doc => doc.exists).map(doc => ({ id: doc.id, ...doc.data() }));
+  if (bookings.length === 0) return null;
+
+  const [booking] = bookings;
+  const leadGuest = resolved.group && resolved.group.leadGuest;
+  // A group's lead guest may not be the guest named on its first room
+  const contacts = [
+    { name: booking.guestName, phones: [booking.guestPhone, booking.paymentPhone] },
+    ...(leadGuest ? [{ name: leadGuest.name, phones: [leadGuest.phone] }] : [])
+  ];
+  const matches = contacts.some(contact => (phone
+    ? contact.phones.some(known => phonesMatch(phone, known))
+    : surnameOf(surname) === surnameOf(contact.name)));
+  if (!matches) return null;
+
+  const group = resolved.group
+    ? { id: resolved.group.id, confirmationCode: resolved.group.confirmationCode, bookings }
+    : null;
+  return { booking, group };
+};
+
+const issueGuestToken = (bookingId) => {
+  assertGuestAccessEnabled();
+  return jwt.sign({ bookingId, scope: GUEST_TOKEN_SCOPE }, GUEST_TOKEN_SECRET, { expiresIn: GUEST_TOKEN_TTL });
+};
+
+// Throws when the token is invalid, expired or not a guest token
+const readGuestToken = (token) => {
+  assertGuestAccessEnabled();
+  const payload = jwt.verify(token, GUEST_TOKEN_SECRET);
+  if (payload.scope !== GUEST_TOKEN_SCOPE || !payload.bookingId) {
+    throw new Error('Not a guest booking token');
+  }
+  return payload;
+};
+
+module.exports = {
+  findGuestBooking,
+  issueGuestToken,
+  readGuestToken
+};
@@ -0,0 +1,56 @@
+// services/guests.js
+// Guest identity helpers shared by the booking routes.
+const { db, admin } = require('../config/firebase');
+
+const formatPhoneNumber = (phone) => {
+  if (!phone) return null;
+  let cleanPhone = phone.replace(/[\s\-()]/g, '');
+  if (cleanPhone.startsWith('0')) return '+256' + cleanPhone.substring(1);
+  if (!cleanPhone.startsWith('+')) return '+256' + cleanPhone;
+  return cleanPhone;
+};
+
+const findOrCreateUser = async (name, phone, email) => {
+  const formattedPhone = formatPhoneNumber(phone);
+  if (formattedPhone) {
+    const phoneQuery = await db.collection('users').where('phoneNumber', '==', formattedPhone).limit(1).get();
+    if (!phoneQuery.empty) return phoneQuery.docs[0].id;
+  }
+  if (email) {
+    const emailQuery = await db.collection('users').where('email', '==', email).limit(1).get();
+    if (!emailQuery.empty) return emailQuery.docs[0].id;
+  }
+  try {
+    const userRecord = await admin.auth().createUser({
+      displayName: name,
+      phoneNumber: formattedPhone, 
+      email: email || undefined,   
+      emailVerified: true,
+      disabled: false
+    });
+    await db.collection('users').doc(userRecord.uid).set({
+      name: name,
+      email: email || null,
+      phoneNumber: formattedPhone,
+      role: 'customer',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await admin.auth().setCustomUserClaims(userRecord.uid, { role: 'customer' });
+    return userRecord.uid;
+  } catch (error) {
+    if (error.code === 'auth/phone-number-already-exists') {
+      const user = await admin.auth().getUserByPhoneNumber(formattedPhone);
+      return user.uid;
+    }
+    if (error.code === 'auth/email-already-exists') {
+        const user = await admin.auth().getUserByEmail(email);
+        return user.uid;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  formatPhoneNumber,
+  findOrCreateUser
+};
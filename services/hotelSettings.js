@@ -0,0 +1,21 @@
+// services/hotelSettings.js
+// Access to the single hotel settings document (settings/hotel_settings).
+const { db } = require('../config/firebase');
+
+const HOTEL_DOC_ID = 'hotel_settings';
+
+const hotelSettingsRef = () => db.collection('settings').doc(HOTEL_DOC_ID);
+
+// Read through a transaction when one is given so the value is consistent
+// with the rest of the transaction's reads
+const getHotelSettings = async (transaction = null) => {
+  const ref = hotelSettingsRef();
+  const doc = transaction ? await transaction.get(ref) : await ref.get();
+  return doc.exists ? doc.data() : {};
+};
+
+module.exports = {
+  HOTEL_DOC_ID,
+  hotelSettingsRef,
+  getHotelSettings
+};
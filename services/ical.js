@@ -0,0 +1,145 @@
+// services/ical.js
+// Minimal iCalendar (RFC 5545) reading and writing for room calendar sync.
+const { DateTime, IANAZone } = require('luxon');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Long lines are folded onto continuation lines that start with a space or tab
+const unfold = (text) => String(text).replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '');
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// "DTSTART;VALUE=DATE:20250101" -> { name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20250101' }
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// The UTC midnight of the hotel date a DATE or DATE-TIME value falls on. UTC
+// times (Z) and times in a named zone (TZID) are moved to the hotel's `zone`
+// first; dates and floating times are taken at their written date.
+const parseDate = (value, params = {}, zone = 'UTC') => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [year, month, day, , hour, minute, second] = match.slice(1, 8).map(Number);
+  const time = match[4];
+
+  const tzid = String(params.TZID || '').replace(/^"|"$/g, '');
+  const source = match[8] ? 'UTC' : (IANAZone.isValidZone(tzid) ? tzid : null);
+  if (!time || !source) return new Date(Date.UTC(year, month - 1, day));
+
+  const local = DateTime.fromObject({ year, month, day, hour, minute, second }, { zone: source }).setZone(zone);
+  return new Date(Date.UTC(local.year, local.month - 1, local.day));
+};
+
+// Parse a calendar into [{ uid, summary, start, end }], dated in the hotel's
+// timezone `zone`. Events without a usable start are skipped; a missing or
+// empty end means one night.
+const parseIcs = (text, { zone = 'UTC' } = {}) => {
+  const events = [];
+  let current = null;
+
+  for (const raw of unfold(text).split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.toUpperCase() === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line.toUpperCase() === 'END:VEVENT') {
+      if (current && current.start) {
+        const end = current.end && current.end > current.start
+          ? current.end
+          : new Date(current.start.getTime() + DAY_MS);
+        events.push({
+          uid: current.uid || `${current.start.toISOString().slice(0, 10)}-${events.length}`,
+          summary: current.summary || '',
+          start: current.start,
+          end
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const prop = parseLine(line);
+    if (!prop) continue;
+    if (prop.name === 'UID') current.uid = prop.value.trim();
+    else if (prop.name === 'SUMMARY') current.summary = unescapeText(prop.value);
+    else if (prop.name === 'DTSTART') current.start = parseDate(prop.value, prop.params, zone);
+    else if (prop.name === 'DTEND') current.end = parseDate(prop.value, prop.params, zone);
+    else if (prop.name === 'STATUS' && prop.value.trim().toUpperCase() === 'CANCELLED') current.start = null;
+  }
+
+  return events;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are limited to 75 octets; continuation lines start with a space
+const fold = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let chunk = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(chunk + char, 'utf8') > limit) {
+      parts.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  parts.push(chunk);
+  return parts.join('\r\n ');
+};
+
+// Build a calendar of all-day events: [{ uid, summary, start, end }]
+const buildIcs = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Hotel Management API//Room Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatStamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseIcs,
+  buildIcs
+};
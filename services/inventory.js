@@ -0,0 +1,196 @@
+// services/inventory.js
+// Room-night locks (`room_nights/{roomId}_{YYYY-MM-DD}`) that make booking
+// writes atomic.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const {
+  DAY_MS,
+  nightKeys,
+  overlaps,
+  isSellable,
+  blockStays,
+  typeUsageByNight,
+  activeStaysQuery,
+  blocksQuery
+} = require('./availability');
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+const lockRef = (roomId, night) => db.collection('room_nights').doc(`${roomId}_${night}`);
+
+// ==========================================
+// TRANSACTION STEPS
+// Firestore requires every read of a transaction to happen before its first
+// write, so reading (assert/read) and writing (claim/release) are split.
+// ==========================================
+
+// Read the lock documents of a stay without checking them (used to release).
+// Bookings still waiting for a room (room-type reservations) hold no locks.
+const readRoomNights = async (transaction, roomId, checkIn, checkOut) => {
+  if (!roomId) return [];
+  const refs = nightKeys(checkIn, checkOut).map(night => lockRef(roomId, night));
+  if (refs.length === 0) return [];
+  return transaction.getAll(...refs);
+};
+
+// Read the locks and the overlapping bookings of a stay and throw a 409 if any
+// other active booking holds one of its nights. Returns the lock snapshots so
+// the caller can claim them once its own reads are done.
+const assertRoomAvailable = async (transaction, { roomId, checkIn, checkOut, excludeBookingId = null }) => {
+  const [lockSnaps, bookingsSnap, blocksSnap] = await Promise.all([
+    readRoomNights(transaction, roomId, checkIn, checkOut),
+    // Bookings made before locks existed have no lock documents
+    transaction.get(
+      db.collection('bookings')
+        .where('roomId', '==', roomId)
+        .where('status', 'in', ACTIVE_STATUSES)
+    ),
+    transaction.get(db.collection('room_blocks').where('roomId', '==', roomId))
+  ]);
+
+  if (blockStays(blocksSnap).some(block => overlaps(block, checkIn, checkOut))) {
+    throw httpError(409, 'ROOM_BLOCKED', 'Room is blocked on these dates');
+  }
+
+  for (const doc of bookingsSnap.docs) {
+    if (doc.id === excludeBookingId) continue;
+    if (overlaps(doc.data(), checkIn, checkOut)) {
+      throw httpError(409, 'ROOM_UNAVAILABLE', 'Room is unavailable');
+    }
+  }
+
+  // A lock is only stale if its booking is gone, inactive or no longer covers
+  // that night (e.g. cancelled or shortened through a path that did not release)
+  const activeById = new Map(bookingsSnap.docs.map(doc => [doc.id, doc.data()]));
+  for (const snap of lockSnaps) {
+    if (!snap.exists) continue;
+    const { bookingId, night } = snap.data();
+    if (bookingId === excludeBookingId) continue;
+
+    const owner = activeById.get(bookingId);
+    if (!owner) continue;
+
+    const nightStart = new Date(`${night}T00:00:00.000Z`);
+    if (overlaps(owner, nightStart, new Date(nightStart.getTime() + DAY_MS))) {
+      throw httpError(409, 'ROOM_UNAVAILABLE', 'Room is unavailable');
+    }
+  }
+
+  return lockSnaps;
+};
+
+const claimRoomNights = (transaction, lockSnaps, bookingId) => {
+  for (const snap of lockSnaps) {
+    transaction.set(snap.ref, {
+      roomId: snap.id.slice(0, -11),
+      night: snap.id.slice(-10),
+      bookingId,
+      lockedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+};
+
+// Only delete locks this booking still owns
+const releaseRoomNights = (transaction, lockSnaps, bookingId) => {
+  for (const snap of lockSnaps) {
+    if (snap.exists && snap.data().bookingId === bookingId) {
+      transaction.delete(snap.ref);
+    }
+  }
+};
+
+// A maintenance block owns the locks of its nights too, so a booking racing
+// the block is retried and then sees it
+const claimBlockNights = (transaction, lockSnaps, blockId) => {
+  for (const snap of lockSnaps) {
+    transaction.set(snap.ref, {
+      roomId: snap.id.slice(0, -11),
+      night: snap.id.slice(-10),
+      blockId,
+      lockedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+};
+
+const releaseBlockNights = (transaction, lockSnaps, blockId) => {
+  for (const snap of lockSnaps) {
+    if (snap.exists && snap.data().blockId === blockId) {
+      transaction.delete(snap.ref);
+    }
+  }
+};
+
+// ==========================================
+// ROOM TYPES
+// A room-type reservation holds no particular room, so it is counted against
+// the pool of sellable rooms of that type: on every night, assigned bookings in
+// the pool plus unassigned bookings of the type must stay below the pool size.
+// Every write that changes a type's usage also writes its `room_type_inventory`
+// document, which serializes those transactions the same way room-night locks do.
+// ==========================================
+
+const roomTypeRef = (roomType) => db.collection('room_type_inventory').doc(encodeURIComponent(roomType));
+
+// Read the type's pool and active bookings and throw a 409 if one more booking
+// of the type would overbook any night. `pendingBookings` are bookings of the
+// same request not written yet (group reservations). Returns what was read so
+// the caller can price or assign from it, plus the ref for touchRoomType().
+const assertTypeAvailable = async (transaction, { roomType, checkIn, checkOut, excludeBookingId = null, pendingBookings = [] }) => {
+  const ref = roomTypeRef(roomType);
+  const [, roomsSnap, bookingsSnap, blocksSnap] = await Promise.all([
+    transaction.get(ref),
+    transaction.get(db.collection('rooms').where('type', '==', roomType)),
+    transaction.get(activeStaysQuery(checkIn, checkOut)),
+    transaction.get(blocksQuery(checkIn))
+  ]);
+
+  const rooms = roomsSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(isSellable);
+  if (rooms.length === 0) {
+    throw httpError(404, 'ROOM_TYPE_NOT_FOUND', `No sellable rooms of type "${roomType}"`);
+  }
+
+  const bookings = [
+    ...bookingsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    ...pendingBookings
+  ];
+  // A blocked room is out of the pool on its blocked nights
+  const usage = typeUsageByNight({
+    bookings: [...bookings, ...blockStays(blocksSnap)],
+    roomIds: new Set(rooms.map(room => room.id)),
+    roomType,
+    checkIn,
+    checkOut,
+    excludeBookingId
+  });
+
+  for (const [night, count] of usage) {
+    if (count >= rooms.length) {
+      throw httpError(409, 'ROOM_TYPE_UNAVAILABLE', `No ${roomType} room is free on ${night}`);
+    }
+  }
+
+  return { ref, rooms, bookings, blocks: blockStays(blocksSnap) };
+};
+
+const touchRoomType = (transaction, typeCheck) => {
+  transaction.set(typeCheck.ref, {
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+};
+
+module.exports = {
+  roomTypeRef,
+  assertTypeAvailable,
+  touchRoomType,
+  readRoomNights,
+  assertRoomAvailable,
+  claimRoomNights,
+  releaseRoomNights,
+  claimBlockNights,
+  releaseBlockNights
+};
@@ -0,0 +1,201 @@
+// services/invoices.js
+// Invoices for bookings and receipts for payments, numbered from counter
+// documents and taxed with the hotel's `taxes` settings.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { getHotelSettings } = require('./hotelSettings');
+const { PAID_STATUSES } = require('./bookingPayments');
+const { loadFolio } = require('./folio');
+
+const NUMBER_SERIES = {
+  invoice: { counter: 'invoices', field: 'invoiceNumber', defaultPrefix: 'INV-' },
+  receipt: { counter: 'receipts', field: 'receiptNumber', defaultPrefix: 'RCT-' }
+};
+
+const validateTaxes = (taxes) => {
+  if (!Array.isArray(taxes)) throw httpError(400, 'INVALID_TAXES', 'taxes must be an array');
+
+  for (const tax of taxes) {
+    if (!tax || !tax.name) throw httpError(400, 'INVALID_TAXES', 'Each tax needs a name');
+    if (typeof tax.rate !== 'number' || tax.rate < 0 || tax.rate > 100) {
+      throw httpError(400, 'INVALID_TAXES', `Tax "${tax.name}" needs a rate between 0 and 100`);
+    }
+    // Nothing charges a tax on top of the folio, so an added tax could never be collected
+    if (tax.inclusive !== undefined && tax.inclusive !== true) {
+      throw httpError(400, 'INVALID_TAXES', `Tax "${tax.name}" must be included in prices`);
+    }
+  }
+};
+
+// Pure: tax lines for a subtotal. Taxes are included in the prices the folio
+// charges and only shown; settings saved with `inclusive: false` before that
+// was refused are read the same way, since the guest was never charged more.
+const computeTaxes = (subtotal, taxes = []) => {
+  const rate = taxes.reduce((sum, t) => sum + t.rate, 0);
+  const net = rate > 0 ? subtotal / (1 + rate / 100) : subtotal;
+
+  const lines = taxes.map(tax => ({
+    name: tax.name,
+    rate: tax.rate,
+    inclusive: true,
+    amount: Math.round(net * tax.rate / 100)
+  }));
+
+  return { lines, total: subtotal };
+};
+
+// Read the doc's number, or issue the next one in the series and stamp it on
+// the doc in the same transaction, so a number is issued once, on the first
+// render, and every later render shows the same number and date
+const ensureNumber = async (transaction, series, ref, data, settings) => {
+  const { counter, field, defaultPrefix } = NUMBER_SERIES[series];
+  if (data[field]) {
+    const stamped = data[`${field}IssuedAt`];
+    return { number: data[field], issuedAt: stamped ? stamped.toDate() : null };
+  }
+
+  const counterRef = db.collection('counters').doc(counter);
+  const counterDoc = await transaction.get(counterRef);
+  const next = (counterDoc.exists ? counterDoc.data().next : 1) || 1;
+
+  const prefix = (series === 'invoice' && settings.invoicePrefix) || defaultPrefix;
+  const number = `${prefix}${String(next).padStart(6, '0')}`;
+
+  const issuedAt = admin.firestore.Timestamp.now();
+  transaction.set(counterRef, { next: next + 1, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  transaction.update(ref, { [field]: number, [`${field}IssuedAt`]: issuedAt });
+  return { number, issuedAt: issuedAt.toDate() };
+};
+
+const hotelDetails = (settings) => ({
+  name: settings.name || 'Hotel',
+  address: settings.address || null,
+  contact: settings.contact || null,
+  taxId: settings.taxId || null
+});
+
+// Invoice for a booking: the folio's charges and adjustments as line items,
+// taxes, payments received and the balance due
+const buildInvoice = async (bookingId) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (transaction) => {
+    const [bookingDoc, settings] = await Promise.all([
+      transaction.get(bookingRef),
+      getHotelSettings(transaction)
+    ]);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+    const booking = bookingDoc.data();
+    const folio = await loadFolio(bookingId, booking, transaction);
+    const { number, issuedAt } = await ensureNumber(transaction, 'invoice', bookingRef, booking, settings);
+
+    const items = folio.items
+      .filter(item => ['room', 'charge', 'adjustment'].includes(item.kind))
+      .map(item => ({
+        description: item.description,
+        quantity: item.quantity || 1,
+        unitAmount: Math.round(item.amount / (item.quantity || 1)),
+        amount: item.amount
+      }));
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+    const taxes = computeTaxes(subtotal, settings.taxes || []);
+    const paid = folio.totals.payments - folio.totals.refunds;
+
+    return {
+      type: 'invoice',
+      number,
+      issuedAt: (issuedAt || new Date()).toISOString(),
+      currency: settings.currency || 'UGX',
+      hotel: hotelDetails(settings),
+      billTo: {
+        name: booking.cityLedger ? booking.cityLedger.account : booking.guestName,
+        guestName: booking.guestName,
+        phone: booking.guestPhone || null,
+        email: booking.guestEmail || null
+      },
+      stay: {
+        bookingId,
+        confirmationCode: booking.confirmationCode || null,
+        roomType: booking.roomType || null,
+        checkIn: booking.checkIn.toDate().toISOString(),
+        checkOut: booking.checkOut.toDate().toISOString()
+      },
+      items,
+      subtotal,
+      taxes: taxes.lines,
+      total: taxes.total,
+      paid,
+      transferred: folio.totals.transferred,
+      balanceDue: Math.max(0, taxes.total - paid - folio.totals.transferred)
+    };
+  });
+};
+
+// Receipt for one successful payment
+const buildReceipt = async (paymentId) => {
+  const paymentRef = db.collection('payments').doc(paymentId);
+
+  return db.runTransaction(async (transaction) => {
+    const [paymentDoc, settings] = await Promise.all([
+      transaction.get(paymentRef),
+      getHotelSettings(transaction)
+    ]);
+    if (!paymentDoc.exists) throw httpError(404, 'PAYMENT_NOT_FOUND', 'Payment not found');
+
+    const payment = paymentDoc.data();
+    if (payment.type === 'refund' || !PAID_STATUSES.includes(payment.status)) {
+      throw httpError(409, 'PAYMENT_NOT_SUCCESSFUL', 'Receipts are only issued for successful payments');
+    }
+
+    const bookingId = payment.bookingId || (payment.bookingIds && payment.bookingIds[0]) || null;
+    const bookingDoc = bookingId ? await transaction.get(db.collection('bookings').doc(bookingId)) : null;
+    const booking = bookingDoc && bookingDoc.exists ? bookingDoc.data() : {};
+    const groupDoc = payment.groupId ? await transaction.get(db.collection('booking_groups').doc(payment.groupId)) : null;
+    const group = groupDoc && groupDoc.exists ? groupDoc.data() : {};
+
+    const { number, issuedAt } = await ensureNumber(transaction, 'receipt', paymentRef, payment, settings);
+    const amount = Number(payment.amount) || 0;
+    const taxes = computeTaxes(amount, settings.taxes || []);
+
+    const paidAt = payment.paidAt || payment.updatedAt || payment.createdAt;
+    return {
+      type: 'receipt',
+      number,
+      issuedAt: (issuedAt || new Date()).toISOString(),
+      currency: payment.currency || settings.currency || 'UGX',
+      hotel: hotelDetails(settings),
+      billTo: {
+        name: booking.guestName || null,
+        phone: payment.phone || booking.guestPhone || null,
+        email: booking.guestEmail || null
+      },
+      payment: {
+        id: paymentId,
+        method: payment.provider || null,
+        reference: payment.externalReference || payment.customer_reference || null,
+        paidAt: paidAt ? paidAt.toDate().toISOString() : null,
+        bookingIds: payment.bookingIds || (payment.bookingId ? [payment.bookingId] : []),
+        invoiceNumber: booking.invoiceNumber || null
+      },
+      items: [{
+        description: payment.groupId
+          ? `Group reservation ${group.confirmationCode || payment.groupId.slice(0, 6)}`
+          : `Payment for booking ${booking.confirmationCode || String(bookingId).slice(0, 6)}`,
+        quantity: 1,
+        unitAmount: amount,
+        amount
+      }],
+      subtotal: amount,
+      taxes: taxes.lines,
+      total: amount
+    };
+  });
+};
+
+module.exports = {
+  validateTaxes,
+  computeTaxes,
+  buildInvoice,
+  buildReceipt
+};
@@ -0,0 +1,147 @@
+// services/occupancy.js
+// Who is staying (adults, children and their ages), checked against what a
+// room holds and priced with the hotel's `occupancyRules` surcharges.
+const { httpError } = require('../utils/httpError');
+
+const MAX_CHILD_AGE = 17;
+
+const DEFAULT_RULES = {
+  childMaxAge: 11,
+  infantMaxAge: 2,
+  includedGuests: 2,
+  extraAdultPerNight: 0,
+  extraChildPerNight: 0
+};
+
+const isWhole = (value, min) => Number.isInteger(value) && value >= min;
+
+const validateOccupancyRules = (rules) => {
+  if (!rules || typeof rules !== 'object') {
+    throw httpError(400, 'INVALID_OCCUPANCY_RULES', 'occupancyRules must be an object');
+  }
+  const { childMaxAge, infantMaxAge, includedGuests, extraAdultPerNight, extraChildPerNight } = rules;
+
+  if (childMaxAge !== undefined && !(isWhole(childMaxAge, 0) && childMaxAge <= MAX_CHILD_AGE)) {
+    throw httpError(400, 'INVALID_OCCUPANCY_RULES', `childMaxAge must be a whole number from 0 to ${MAX_CHILD_AGE}`);
+  }
+  if (infantMaxAge !== undefined && !isWhole(infantMaxAge, 0)) {
+    throw httpError(400, 'INVALID_OCCUPANCY_RULES', 'infantMaxAge must be a whole number');
+  }
+  if ((infantMaxAge ?? DEFAULT_RULES.infantMaxAge) > (childMaxAge ?? DEFAULT_RULES.childMaxAge)) {
+    throw httpError(400, 'INVALID_OCCUPANCY_RULES', 'infantMaxAge cannot be above childMaxAge');
+  }
+  if (includedGuests !== undefined && !isWhole(includedGuests, 1)) {
+    throw httpError(400, 'INVALID_OCCUPANCY_RULES', 'includedGuests must be at least 1');
+  }
+  for (const [name, value] of [['extraAdultPerNight', extraAdultPerNight], ['extraChildPerNight', extraChildPerNight]]) {
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+      throw httpError(400, 'INVALID_OCCUPANCY_RULES', `${name} must be a non-negative amount`);
+    }
+  }
+};
+
+const occupancyRulesFrom = (settings) => ({ ...DEFAULT_RULES, ...(settings.occupancyRules || {}) });
+
+// Validate the party from a booking request. Requests that only send
+// `guests` are read as that many adults.
+const parseOccupancy = ({ adults, childAges, guests }) => {
+  const ages = childAges === undefined || childAges === null ? [] : childAges;
+  if (!Array.isArray(ages) || !ages.every(age => isWhole(age, 0) && age <= MAX_CHILD_AGE)) {
+    throw httpError(400, 'INVALID_OCCUPANCY', `childAges must be a list of ages from 0 to ${MAX_CHILD_AGE}`);
+  }
+
+  const adultCount = adults === undefined || adults === null
+    ? (childAges === undefined ? Number(guests) || 1 : 1)
+    : Number(adults);
+  if (!isWhole(adultCount, 1)) throw httpError(400, 'INVALID_OCCUPANCY', 'At least one adult is required');
+
+  return { adults: adultCount, childAges: ages };
+};
+
+// The party stored on a booking; bookings made before the breakdown only have `guests`
+const occupancyOf = (booking) => ({
+  adults: booking.adults || Number(booking.guests) || 1,
+  childAges: booking.childAges || []
+});
+
+// Booking fields for a party. `guests` stays the head count.
+const occupancyFields = ({ adults, childAges }) => ({
+  adults,
+  children: childAges.length,
+  childAges,
+  guests: adults + childAges.length
+});
+
+// Split the party as the rules see it: older children are adults, infants
+// are neither charged nor given a bed
+const classify = ({ adults, childAges }, rules) => {
+  const infants = childAges.filter(age => age <= rules.infantMaxAge).length;
+  const olderChildren = childAges.filter(age => age > rules.childMaxAge).length;
+  return {
+    adults: adults + olderChildren,
+    children: childAges.length - infants - olderChildren,
+    infants
+  };
+};
+
+const fitsRoom = (room, occupancy, rules) => {
+  const party = classify(occupancy, rules);
+  if (room.capacity && party.adults + party.children > Number(room.capacity)) return false;
+  if (room.maxAdults && party.adults > Number(room.maxAdults)) return false;
+  return true;
+};
+
+const assertFits = (room, occupancy, rules) => {
+  if (fitsRoom(room, occupancy, rules)) return;
+  const limit = room.maxAdults
+    ? `${room.capacity || room.maxAdults} guests, at most ${room.maxAdults} adults`
+    : `${room.capacity} guests`;
+  throw httpError(409, 'OVER_CAPACITY', `Room ${room.roomNumber} holds ${limit}`);
+};
+
+// Surcharges for `nights` in a room as breakdown lines ({ unit, count, rate, amount }).
+// Adults take the included places first.
+const occupancySurcharges = (room, occupancy, rules, nights) => {
+  const party = classify(occupancy, rules);
+  const included = Number(room.includedGuests) || rules.includedGuests;
+  const extraAdults = Math.max(0, party.adults - included);
+  const extraChildren = Math.max(0, party.children - Math.max(0, included - party.adults));
+
+  const breakdown = [
+    { unit: 'extra_adult', count: extraAdults * nights, rate: rules.extraAdultPerNight },
+    { unit: 'extra_child', count: extraChildren * nights, rate: rules.extraChildPerNight }
+  ]
+    .filter(line => line.count > 0 && line.rate > 0)
+    .map(line => ({ ...line, amount: line.count * line.rate }));
+
+  return { total: breakdown.reduce((sum, line) => sum + line.amount, 0), breakdown };
+};
+
+// Validate optional capacity fields from a room create/update body
+const parseRoomCapacity = ({ capacity, maxAdults, includedGuests }) => {
+  const fields = {};
+  for (const [name, value] of [['capacity', capacity], ['maxAdults', maxAdults], ['includedGuests', includedGuests]]) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[name] = null;
+      continue;
+    }
+    const count = Number(value);
+    if (!isWhole(count, 1)) return { error: `${name} must be a whole number of at least 1` };
+    fields[name] = count;
+  }
+  return { fields };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  validateOccupancyRules,
+  occupancyRulesFrom,
+  parseOccupancy,
+  occupancyOf,
+  occupancyFields,
+  fitsRoom,
+  assertFits,
+  occupancySurcharges,
+  parseRoomCapacity
+};
@@ -0,0 +1,208 @@
+// services/pricing.js
+// Stay pricing shared by booking creation, modification and group reservations.
+const { occupancySurcharges } = require('./occupancy');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const RATE_UNITS = [
+  { unit: 'month', nights: 30, field: 'monthlyRate' },
+  { unit: 'week', nights: 7, field: 'weeklyRate' },
+  { unit: 'night', nights: 1, field: 'price' }
+];
+
+const nightsBetween = (checkIn, checkOut) => {
+  const diffNights = Math.ceil((checkOut.getTime() - checkIn.getTime()) / DAY_MS);
+  return diffNights > 0 ? diffNights : 1;
+};
+
+// Validate optional long-stay rates from a room create/update body
+const parseLongStayRates = ({ weeklyRate, monthlyRate }) => {
+  const rates = {};
+  for (const [field, value] of [['weeklyRate', weeklyRate], ['monthlyRate', monthlyRate]]) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      rates[field] = null;
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) return { error: `${field} must be a positive number` };
+    rates[field] = amount;
+  }
+  return { rates };
+};
+
+// Friday and Saturday nights take a season's `weekendPrice`
+const WEEKEND_NIGHTS = [5, 6];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const seasonLength = (season) => new Date(season.endDate) - new Date(season.startDate);
+
+// An `adjustment` ({ type: 'percent' | 'amount', value }) on a rate covering
+// `nights`, an amount being per night
+const adjustRate = (rate, adjustment, nights = 1) => {
+  const adjusted = adjustment.type === 'percent'
+    ? rate * (1 + adjustment.value / 100)
+    : rate + adjustment.value * nights;
+  return Math.max(0, Math.round(adjusted));
+};
+
+const applyPlan = (rate, plan, nights = 1) => (plan && plan.adjustment ? adjustRate(rate, plan.adjustment, nights) : rate);
+
+// Dynamic pricing rules on a night's rate: every active rule whose occupancy
+// or lead-time band the night falls in, in priority order, kept within the
+// room type's floor and ceiling. `dynamic` is { rules, limits, occupancy }
+// from ./dynamicPricing; `leadDays` is how far ahead the stay starts.
+const applyRules = (rate, room, day, leadDays, dynamic) => {
+  const adjustments = [];
+  if (!dynamic || dynamic.rules.length === 0) return { rate, adjustments };
+
+  let adjusted = rate;
+  for (const rule of dynamic.rules) {
+    if (rule.roomType && rule.roomType !== room.type) continue;
+    const value = rule.trigger === 'occupancy'
+      ? ((dynamic.occupancy[room.type] || {})[day] ?? 0)
+      : leadDays;
+    if (value < rule.min || (rule.max !== null && value >= rule.max)) continue;
+
+    const next = adjustRate(adjusted, rule.adjustment);
+    adjustments.push({ ruleId: rule.id, name: rule.name, amount: next - adjusted });
+    adjusted = next;
+  }
+
+  const limits = dynamic.limits[room.type];
+  if (adjustments.length > 0 && limits) {
+    if (limits.floor) adjusted = Math.max(adjusted, limits.floor);
+    if (limits.ceiling) adjusted = Math.min(adjusted, limits.ceiling);
+  }
+  return { rate: adjusted, adjustments };
+};
+
+// A night's rate before the plan: a one-off override for the room type, else
+// the narrowest season covering it, else the room's `price`
+const baseRate = (room, night, rates) => {
+  const day = isoDate(night);
+  const override = rates && rates.overrides.find(o => o.roomType === room.type && o.date === day);
+  if (override) return { rate: Number(override.price), source: 'override' };
+
+  const season = rates && rates.seasons
+    .filter(s => s.roomType === room.type && s.startDate <= day && day <= s.endDate)
+    .reduce((best, s) => (best === null || seasonLength(s) < seasonLength(best) ? s : best), null);
+  if (season) {
+    const weekend = WEEKEND_NIGHTS.includes(night.getUTCDay()) && Number(season.weekendPrice) > 0;
+    return { rate: Number(weekend ? season.weekendPrice : season.price), source: weekend ? 'season_weekend' : 'season' };
+  }
+
+  return { rate: Number(room.price) || 0, source: 'base' };
+};
+
+// Each night of the stay with its rate under `rates` ({ plan, seasons,
+// overrides, dynamic, today }, see ./rates). Without `rates` every night is
+// the room's `price`. Overrides are set by hand and are not moved by rules.
+const nightlyRates = (room, checkIn, nights, rates = null) => {
+  const leadDays = rates && rates.today ? Math.round((checkIn - rates.today) / DAY_MS) : 0;
+  const list = [];
+  for (let i = 0; i < nights; i++) {
+    const night = new Date(checkIn.getTime() + i * DAY_MS);
+    const day = isoDate(night);
+    const base = baseRate(room, night, rates);
+    const { rate, adjustments } = base.source === 'override'
+      ? { rate: base.rate, adjustments: [] }
+      : applyRules(base.rate, room, day, leadDays, rates && rates.dynamic);
+
+    const entry = { date: day, rate: applyPlan(rate, rates && rates.plan), source: base.source };
+    if (adjustments.length > 0) entry.adjustments = adjustments;
+    list.push(entry);
+  }
+  return list;
+};
+
+// Cheapest cover of the nights with their nightly rates and the room's weekly
+// and monthly rates (unbounded knapsack over the stay, in date order).
+// Returns { total, breakdown: [{ unit, count, rate, amount }], nightly }, where
+// `nightly` marks each night with the unit that charged it.
+const priceNights = (room, nightly, plan = null) => {
+  if (!(Number(room.price) > 0)) return { total: 0, breakdown: [], nightly: [] };
+  const units = RATE_UNITS
+    .filter(u => u.unit !== 'night' && Number(room[u.field]) > 0)
+    .map(u => ({ ...u, rate: applyPlan(Number(room[u.field]), plan, u.nights) }));
+
+  const nights = nightly.length;
+  const cost = [0];
+  const choice = [null];
+  for (let n = 1; n <= nights; n++) {
+    // By the night first so a tie is charged by the night
+    cost[n] = cost[n - 1] + nightly[n - 1].rate;
+    choice[n] = null;
+    for (const u of [...units].reverse()) {
+      // A week or month may run past the checkout date if that is still cheaper
+      const candidate = cost[Math.max(0, n - u.nights)] + u.rate;
+      if (candidate < cost[n]) {
+        cost[n] = candidate;
+        choice[n] = u;
+      }
+    }
+  }
+
+  const charged = nightly.map(night => ({ ...night, unit: 'night' }));
+  const counts = new Map();
+  for (let n = nights; n > 0;) {
+    const u = choice[n];
+    if (!u) {
+      n -= 1;
+      continue;
+    }
+    counts.set(u, (counts.get(u) || 0) + 1);
+    for (let i = Math.max(0, n - u.nights); i < n; i++) charged[i].unit = u.unit;
+    n = Math.max(0, n - u.nights);
+  }
+
+  const breakdown = units
+    .filter(u => counts.has(u))
+    .map(u => ({ unit: u.unit, count: counts.get(u), rate: u.rate, amount: counts.get(u) * u.rate }));
+  // Single nights, one line per nightly rate
+  const byRate = new Map();
+  charged.filter(night => night.unit === 'night').forEach(night => {
+    byRate.set(night.rate, (byRate.get(night.rate) || 0) + 1);
+  });
+  byRate.forEach((count, rate) => breakdown.push({ unit: 'night', count, rate, amount: count * rate }));
+
+  return { total: cost[nights], breakdown, nightly: charged };
+};
+
+// `party` ({ occupancy, rules }, see ./occupancy) adds child and
+// extra-person surcharges to the room rate; `rates` (see ./rates) brings the
+// rate plan, seasonal prices and overrides
+const priceStay = (room, checkIn, checkOut, party = null, rates = null) => {
+  const nights = nightsBetween(checkIn, checkOut);
+  const base = priceNights(room, nightlyRates(room, checkIn, nights, rates), rates && rates.plan);
+  if (!party) return { nights, ...base };
+
+  const extras = occupancySurcharges(room, party.occupancy, party.rules, nights);
+  return {
+    nights,
+    total: base.total + extras.total,
+    breakdown: [...base.breakdown, ...extras.breakdown],
+    nightly: base.nightly
+  };
+};
+
+// The average room rate of a quote's nights, for "per night" displays
+const averageNightlyRate = (nightly) => (nightly.length > 0
+  ? Math.round(nightly.reduce((sum, night) => sum + night.rate, 0) / nightly.length)
+  : 0);
+
+// Room-type reservations are quoted at the cheapest room of the type for the stay
+const cheapestStay = (rooms, checkIn, checkOut, party = null, rates = null) => {
+  return rooms
+    .map(room => priceStay(room, checkIn, checkOut, party, rates))
+    .reduce((best, quote) => (best === null || quote.total < best.total ? quote : best), null);
+};
+
+module.exports = {
+  nightsBetween,
+  parseLongStayRates,
+  nightlyRates,
+  averageNightlyRate,
+  priceStay,
+  cheapestStay
+};
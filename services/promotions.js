@@ -0,0 +1,274 @@
+// services/promotions.js
+// Promo codes (`promo_codes/{CODE}`): a percent or amount off a stay's total, grouped
+// into campaigns for reporting. Each use is a `promo_redemptions` document
+// under the booking's id.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { isoDate } = require('./stayDates');
+const { nightsBetween } = require('./pricing');
+const { REVENUE_STATUSES } = require('./bookingStatus');
+const { createReadTracker, createDocLoader } = require('./batchLoader');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DISCOUNT_TYPES = ['percent', 'amount'];
+
+const invalid = (message) => httpError(400, 'INVALID_PROMO_CODE', message);
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const limitField = (value, name) => {
+  if (value === null || value === '') return null;
+  if (!Number.isInteger(value) || value < 1) throw invalid(`${name} must be a whole number above zero`);
+  return value;
+};
+
+// ==========================================
+// VALIDATION (create/update bodies; `partial` allows leaving fields out)
+// ==========================================
+
+const promoCodeFields = (body, partial = false, current = {}) => {
+  const { code, campaign, description, discount, validFrom, validUntil, minNights, roomTypes, maxUses, maxUsesPerGuest, isActive } = body;
+  const fields = {};
+
+  if (!partial) {
+    if (!/^[A-Z0-9_-]{3,32}$/.test(normalizeCode(code))) {
+      throw invalid('code must be 3 to 32 letters, digits, dashes or underscores');
+    }
+    fields.code = normalizeCode(code);
+  } else if (code !== undefined && normalizeCode(code) !== current.code) {
+    throw invalid('A code cannot be renamed; create a new one');
+  }
+  if (campaign !== undefined || !partial) {
+    if (!campaign || typeof campaign !== 'string') throw invalid('campaign is required');
+    fields.campaign = campaign.trim();
+  }
+  if (description !== undefined) fields.description = description || '';
+  if (discount !== undefined || !partial) {
+    if (!discount || !DISCOUNT_TYPES.includes(discount.type) || !Number.isFinite(discount.value) || discount.value <= 0) {
+      throw invalid(`discount must be { type: ${DISCOUNT_TYPES.join(' | ')}, value } with a positive value`);
+    }
+    if (discount.type === 'percent' && discount.value > 100) throw invalid('A percent discount cannot exceed 100');
+    fields.discount = { type: discount.type, value: discount.value };
+  }
+  if (validFrom !== undefined || !partial) {
+    if (!DATE_ONLY.test(validFrom || '')) throw invalid('validFrom must be a YYYY-MM-DD date');
+    fields.validFrom = validFrom;
+  }
+  if (validUntil !== undefined || !partial) {
+    if (validUntil && !DATE_ONLY.test(validUntil)) throw invalid('validUntil must be a YYYY-MM-DD date or null');
+    fields.validUntil = validUntil || null;
+  }
+  if (minNights !== undefined || !partial) fields.minNights = limitField(minNights ?? null, 'minNights');
+  if (roomTypes !== undefined || !partial) {
+    if (roomTypes && (!Array.isArray(roomTypes) || roomTypes.some(type => !type || typeof type !== 'string'))) {
+      throw invalid('roomTypes must be a list of room types or null');
+    }
+    fields.roomTypes = roomTypes && roomTypes.length > 0 ? [...new Set(roomTypes)] : null;
+  }
+  if (maxUses !== undefined || !partial) fields.maxUses = limitField(maxUses ?? null, 'maxUses');
+  if (maxUsesPerGuest !== undefined || !partial) fields.maxUsesPerGuest = limitField(maxUsesPerGuest ?? null, 'maxUsesPerGuest');
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+
+  const merged = { ...current, ...fields };
+  if (merged.validUntil && merged.validUntil < merged.validFrom) throw invalid('validUntil cannot be before validFrom');
+
+  return fields;
+};
+
+// ==========================================
+// APPLYING A CODE
+// ==========================================
+
+const promotionAppliesTo = (promotion, roomType) => !promotion.roomTypes || promotion.roomTypes.includes(roomType);
+
+// Whether a changed stay still meets the terms a booking's code was given on.
+// Snapshots taken before the limits were stored carry none to check.
+const promotionCoversStay = (promotion, { roomType, checkIn, checkOut }) => {
+  if (!promotionAppliesTo(promotion, roomType)) return false;
+  return !promotion.minNights || nightsBetween(checkIn, checkOut) >= promotion.minNights;
+};
+
+// The discount terms and amount kept on a booking, with the limits a changed
+// stay is checked against
+const promotionSnapshot = (promotion, amount) => ({
+  id: promotion.id,
+  code: promotion.code,
+  campaign: promotion.campaign,
+  discount: promotion.discount,
+  roomTypes: promotion.roomTypes || null,
+  minNights: promotion.minNights || null,
+  amount
+});
+
+// Pure: a quote ({ total, breakdown, ... }) with the discount taken off and
+// shown as a `discount` line of the breakdown
+const applyPromotion = (quote, promotion) => {
+  const total = Number(quote.total) || 0;
+  const amount = promotion.discount.type === 'percent'
+    ? Math.round(total * promotion.discount.value / 100)
+    : Math.min(total, promotion.discount.value);
+
+  return {
+    ...quote,
+    total: total - amount,
+    breakdown: [...quote.breakdown, { unit: 'discount', code: promotion.code, count: 1, rate: -amount, amount: -amount }],
+    discount: amount
+  };
+};
+
+// Find `code` and check it can be used today (the hotel's date) for the stay.
+// With `roomType` the code must also cover that room type; without it, use
+// promotionAppliesTo per room type. The per-guest limit is checked when the
+// booking is written (see claimRedemption).
+const resolvePromotion = async ({ code, roomType = null, checkIn, checkOut, today }) => {
+  const snapshot = await db.collection('promo_codes').where('code', '==', normalizeCode(code)).limit(1).get();
+  if (snapshot.empty) throw httpError(404, 'PROMO_NOT_FOUND', 'Promo code not found');
+
+  const promotion = { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  const day = isoDate(today);
+  if (promotion.isActive === false) throw httpError(422, 'PROMO_INACTIVE', 'This promo code is no longer offered');
+  if (day < promotion.validFrom) throw httpError(422, 'PROMO_NOT_STARTED', `This promo code can be used from ${promotion.validFrom}`);
+  if (promotion.validUntil && day > promotion.validUntil) throw httpError(422, 'PROMO_EXPIRED', 'This promo code has expired');
+  if (promotion.minNights && nightsBetween(checkIn, checkOut) < promotion.minNights) {
+    throw httpError(422, 'PROMO_MIN_NIGHTS', `This promo code needs a stay of at least ${promotion.minNights} night(s)`);
+  }
+  if (roomType && !promotionAppliesTo(promotion, roomType)) {
+    throw httpError(422, 'PROMO_ROOM_TYPE', `This promo code does not apply to ${roomType} rooms`);
+  }
+  if (promotion.maxUses && (promotion.usedCount || 0) >= promotion.maxUses) {
+    throw httpError(422, 'PROMO_USED_UP', 'This promo code has been fully used');
+  }
+  return promotion;
+};
+
+// ==========================================
+// REDEMPTION (inside the booking transaction)
+// ==========================================
+
+// Reads: re-check the usage limits against the latest count and the guest's
+// earlier redemptions. Call before the transaction writes anything.
+const claimRedemption = async (transaction, promotion, userId) => {
+  const codeRef = db.collection('promo_codes').doc(promotion.id);
+  const [codeDoc, guestSnap] = await Promise.all([
+    transaction.get(codeRef),
+    promotion.maxUsesPerGuest && userId
+      ? transaction.get(db.collection('promo_redemptions').where('codeId', '==', promotion.id).where('userId', '==', userId))
+      : null
+  ]);
+  if (!codeDoc.exists || codeDoc.data().isActive === false) {
+    throw httpError(422, 'PROMO_INACTIVE', 'This promo code is no longer offered');
+  }
+  const { maxUses, usedCount = 0 } = codeDoc.data();
+  if (maxUses && usedCount >= maxUses) throw httpError(422, 'PROMO_USED_UP', 'This promo code has been fully used');
+  const guestUses = guestSnap ? guestSnap.docs.filter(doc => !doc.data().voided).length : 0;
+  if (guestSnap && guestUses >= promotion.maxUsesPerGuest) {
+    throw httpError(422, 'PROMO_GUEST_LIMIT', 'This guest has already used this promo code');
+  }
+  return { codeRef };
+};
+
+// Writes: count the use and record the redemption under the booking's id. It
+// counts towards the limits until the booking expires or is cancelled (see
+// releaseRedemption).
+const recordRedemption = (transaction, claim, { bookingId, userId, promotion, user }) => {
+  transaction.update(claim.codeRef, { usedCount: admin.firestore.FieldValue.increment(1) });
+  transaction.set(db.collection('promo_redemptions').doc(bookingId), {
+    codeId: promotion.id,
+    code: promotion.code,
+    campaign: promotion.campaign,
+    bookingId,
+    userId: userId || null,
+    discount: promotion.amount,
+    redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+    redeemedBy: user.uid
+  });
+};
+
+// Reads: the redemption of a booking that used a code, to release it
+const readRedemption = (transaction, bookingId, booking) => (booking.promotion
+  ? transaction.get(db.collection('promo_redemptions').doc(bookingId))
+  : null);
+
+// Writes: a booking that expired or was cancelled before arrival gives its
+// use back. The redemption is kept, marked void, for the campaign report.
+const releaseRedemption = (transaction, redemptionSnap, reason) => {
+  if (!redemptionSnap || !redemptionSnap.exists || redemptionSnap.data().voided) return;
+  transaction.update(redemptionSnap.ref, {
+    voided: true,
+    voidReason: reason,
+    voidedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.update(db.collection('promo_codes').doc(redemptionSnap.data().codeId), {
+    usedCount: admin.firestore.FieldValue.increment(-1)
+  });
+};
+
+// ==========================================
+// REPORTING
+// ==========================================
+
+// Discounts per campaign for codes redeemed between `from` and `to` (either
+// may be null). A discount counts as given once the booking earns revenue;
+// pending bookings are shown apart and cancelled ones only counted.
+const campaignReport = async ({ from = null, to = null }) => {
+  let query = db.collection('promo_redemptions');
+  if (from) query = query.where('redeemedAt', '>=', admin.firestore.Timestamp.fromDate(from));
+  if (to) query = query.where('redeemedAt', '<', admin.firestore.Timestamp.fromDate(to));
+
+  const tracker = createReadTracker();
+  const snapshot = await query.get();
+  tracker.charge(snapshot.size);
+  const bookings = createDocLoader('bookings', tracker);
+  await bookings.loadMany(snapshot.docs.map(doc => doc.data().bookingId));
+
+  const campaigns = new Map();
+  snapshot.docs.forEach(doc => {
+    const redemption = doc.data();
+    if (!campaigns.has(redemption.campaign)) {
+      campaigns.set(redemption.campaign, {
+        campaign: redemption.campaign,
+        codes: new Set(),
+        redemptions: 0,
+        discountTotal: 0,
+        revenue: 0,
+        pendingDiscount: 0,
+        cancelled: 0
+      });
+    }
+    const row = campaigns.get(redemption.campaign);
+    const booking = bookings.get(redemption.bookingId);
+    row.codes.add(redemption.code);
+    row.redemptions += 1;
+    if (booking && REVENUE_STATUSES.includes(booking.status)) {
+      row.discountTotal += Number(redemption.discount) || 0;
+      row.revenue += Number(booking.totalPrice) || 0;
+    } else if (booking && booking.status === 'pending') {
+      row.pendingDiscount += Number(redemption.discount) || 0;
+    } else {
+      row.cancelled += 1;
+    }
+  });
+
+  const rows = [...campaigns.values()]
+    .map(row => ({ ...row, codes: [...row.codes].sort() }))
+    .sort((a, b) => b.discountTotal - a.discountTotal || a.campaign.localeCompare(b.campaign));
+  return {
+    campaigns: rows,
+    discountTotal: rows.reduce((sum, row) => sum + row.discountTotal, 0)
+  };
+};
+
+module.exports = {
+  normalizeCode,
+  promoCodeFields,
+  promotionAppliesTo,
+  promotionCoversStay,
+  promotionSnapshot,
+  applyPromotion,
+  resolvePromotion,
+  claimRedemption,
+  recordRedemption,
+  readRedemption,
+  releaseRedemption,
+  campaignReport
+};
@@ -0,0 +1,193 @@
+// services/rates.js
+// Rate plans (`rate_plans`), seasonal prices (`rate_seasons`) and one-night
+// price overrides (`rate_overrides`): validation and loading. The pricing
+// itself is in ./pricing.
+const { db } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { isoDate, getStayClock, hotelToday } = require('./stayDates');
+const { readSellableRooms } = require('./availability');
+const { pricingRuleFields, loadDynamicPricing, previewNights } = require('./dynamicPricing');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ADJUSTMENT_TYPES = ['percent', 'amount'];
+
+const invalid = (message) => httpError(400, 'INVALID_RATE', message);
+
+const dateField = (value, name) => {
+  if (!DATE_ONLY.test(value || '') || isNaN(new Date(value).getTime())) throw invalid(`${name} must be a YYYY-MM-DD date`);
+  return value;
+};
+
+const priceField = (value, name, { optional = false } = {}) => {
+  if (optional && (value === null || value === '')) return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) throw invalid(`${name} must be a positive number`);
+  return amount;
+};
+
+// ==========================================
+// VALIDATION (create/update bodies; `partial` allows leaving fields out)
+// ==========================================
+
+const ratePlanFields = (body, partial = false) => {
+  const { name, description, refundable, adjustment, isDefault, isActive } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string') throw invalid('Rate plan name is required');
+    fields.name = name.trim();
+  }
+  if (description !== undefined) fields.description = description || '';
+  if (refundable !== undefined || !partial) fields.refundable = refundable !== false;
+  if (adjustment !== undefined || !partial) {
+    if (adjustment) {
+      if (!ADJUSTMENT_TYPES.includes(adjustment.type)) {
+        throw invalid(`adjustment.type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`);
+      }
+      if (!Number.isFinite(adjustment.value) || (adjustment.type === 'percent' && adjustment.value <= -100)) {
+        throw invalid('adjustment.value must be a number (a percent above -100)');
+      }
+    }
+    fields.adjustment = adjustment ? { type: adjustment.type, value: adjustment.value } : null;
+  }
+  if (isDefault !== undefined) fields.isDefault = Boolean(isDefault);
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+
+  return fields;
+};
+
+const seasonFields = (body, partial = false, current = {}) => {
+  const { roomType, startDate, endDate, price, weekendPrice, name } = body;
+  const fields = {};
+
+  if (roomType !== undefined || !partial) {
+    if (!roomType || typeof roomType !== 'string') throw invalid('roomType is required');
+    fields.roomType = roomType;
+  }
+  if (startDate !== undefined || !partial) fields.startDate = dateField(startDate, 'startDate');
+  if (endDate !== undefined || !partial) fields.endDate = dateField(endDate, 'endDate');
+  if (price !== undefined || !partial) fields.price = priceField(price, 'price');
+  if (weekendPrice !== undefined) fields.weekendPrice = priceField(weekendPrice, 'weekendPrice', { optional: true });
+  if (name !== undefined || !partial) fields.name = name ? String(name).trim() : null;
+
+  const merged = { ...current, ...fields };
+  if (merged.startDate > merged.endDate) throw invalid('endDate cannot be before startDate');
+
+  return fields;
+};
+
+const overrideFields = (body) => {
+  const { roomType, date, price, reason } = body;
+  if (!roomType || typeof roomType !== 'string') throw invalid('roomType is required');
+
+  return {
+    roomType,
+    date: dateField(date, 'date'),
+    price: priceField(price, 'price'),
+    reason: reason ? String(reason).trim() : null
+  };
+};
+
+// ==========================================
+// LOADING
+// ==========================================
+
+// The plan terms stored on a booking, so later changes to the plan do not
+// change what the guest agreed to
+const planSnapshot = (plan) => (plan ? {
+  id: plan.id,
+  name: plan.name,
+  refundable: plan.refundable !== false,
+  adjustment: plan.adjustment || null
+} : null);
+
+// The plan a booking is priced with: the one asked for, else the hotel's
+// default plan, else none (the rooms' own prices)
+const resolveRatePlan = async (ratePlanId = null) => {
+  if (ratePlanId) {
+    const doc = await db.collection('rate_plans').doc(ratePlanId).get();
+    if (!doc.exists) throw httpError(404, 'RATE_PLAN_NOT_FOUND', 'Rate plan not found');
+    if (doc.data().isActive === false) throw httpError(400, 'RATE_PLAN_INACTIVE', 'This rate plan is no longer offered');
+    return planSnapshot({ id: doc.id, ...doc.data() });
+  }
+
+  const snapshot = await db.collection('rate_plans').where('isDefault', '==', true).get();
+  const plan = snapshot.docs.find(doc => doc.data().isActive !== false);
+  return plan ? planSnapshot({ id: plan.id, ...plan.data() }) : null;
+};
+
+// Everything needed to price nights from `from` up to `to`. Pass `ratePlan`
+// (a stored snapshot) to reprice a booking on the terms it was made with.
+// `rules` replaces the active pricing rules (for a preview); the booking
+// `excludeBookingId` is left out of the occupancy forecast.
+const loadRates = async ({ from, to, ratePlanId = null, ratePlan = undefined, rules = null, excludeBookingId = null }) => {
+  const [plan, seasonsSnap, overridesSnap, dynamic, clock] = await Promise.all([
+    ratePlan !== undefined ? ratePlan : resolveRatePlan(ratePlanId),
+    db.collection('rate_seasons').where('endDate', '>=', isoDate(from)).get(),
+    db.collection('rate_overrides')
+      .where('date', '>=', isoDate(from))
+      .where('date', '<', isoDate(to))
+      .get(),
+    loadDynamicPricing({ from, to, rules, excludeBookingId }),
+    getStayClock()
+  ]);
+
+  return {
+    plan,
+    seasons: seasonsSnap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(season => season.startDate < isoDate(to)),
+    overrides: overridesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    dynamic,
+    today: hotelToday(clock)
+  };
+};
+
+// What a pricing rule change would do to nightly rates from `from` up to
+// `to`: `ruleId` (optional) is the stored rule being changed, `changes` the
+// new or edited fields. The rule is previewed as enabled; nothing is saved.
+const previewPricingRule = async ({ ruleId = null, changes = {}, from, to, roomType = null }) => {
+  const activeSnap = await db.collection('pricing_rules').where('isActive', '==', true).get();
+  const activeRules = activeSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+  let current = {};
+  if (ruleId) {
+    const ruleDoc = await db.collection('pricing_rules').doc(ruleId).get();
+    if (!ruleDoc.exists) throw httpError(404, 'PRICING_RULE_NOT_FOUND', 'Pricing rule not found');
+    current = ruleDoc.data();
+  }
+  const draft = {
+    ...current,
+    ...pricingRuleFields(changes, Boolean(ruleId), current),
+    id: ruleId || 'preview',
+    isActive: true
+  };
+  const proposedRules = [...activeRules.filter(rule => rule.id !== ruleId), draft];
+
+  const [rooms, rates, proposed] = await Promise.all([
+    readSellableRooms(roomType),
+    loadRates({ from, to, ratePlan: null, rules: activeRules }),
+    loadDynamicPricing({ from, to, rules: proposedRules })
+  ]);
+
+  return {
+    rule: draft,
+    roomTypes: previewNights({
+      rooms,
+      from,
+      to,
+      rates,
+      proposed
+    })
+  };
+};
+
+module.exports = {
+  ratePlanFields,
+  seasonFields,
+  overrideFields,
+  planSnapshot,
+  resolveRatePlan,
+  loadRates,
+  previewPricingRule
+};
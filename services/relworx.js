@@ -0,0 +1,43 @@
+// services/relworx.js
+// Relworx mobile-money client shared by the bookings and payments routes.
+const axios = require('axios');
+
+const RELWORX_CONFIG = {
+  API_KEY: process.env.RELWORX_API_KEY || 'a6d10c136873fd.e0jfX4fshl9u_YyDvkiiXA',
+  ACCOUNT_NO: 'REL0309E04069',
+  BASE_URL: 'https://payments.relworx.com/api',
+  CURRENCY: 'UGX'
+};
+
+const generateReference = () => {
+  return 'TX-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+};
+
+// Send a payment prompt to the customer's phone. Relworx echoes `reference`
+// back as "customer_reference" in the webhook, which is how we match it.
+const requestPayment = ({ amount, msisdn, reference, narration }) => {
+  return axios.post(
+    `${RELWORX_CONFIG.BASE_URL}/mobile-money/request-payment`,
+    {
+      account_no: RELWORX_CONFIG.ACCOUNT_NO,
+      amount,
+      currency: RELWORX_CONFIG.CURRENCY,
+      msisdn,
+      reference,
+      narration
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${RELWORX_CONFIG.API_KEY}`,
+        'Accept': 'application/vnd.relworx.v2'
+      }
+    }
+  );
+};
+
+module.exports = {
+  RELWORX_CONFIG,
+  generateReference,
+  requestPayment
+};
@@ -0,0 +1,177 @@
+// services/roomAssignment.js
+// Assigning a concrete room to a room-type reservation.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const {
+  readRoomNights,
+  assertRoomAvailable,
+  claimRoomNights,
+  releaseRoomNights
+} = require('./inventory');
+const { DAY_MS, overlaps, isSellable, blockStays, fittingRooms, activeStaysQuery, blocksQuery } = require('./availability');
+const { roomSnapshot } = require('./bookingSnapshots');
+const { getHotelSettings } = require('./hotelSettings');
+const { occupancyRulesFrom, occupancyOf, assertFits } = require('./occupancy');
+
+// Gaps of this many nights or fewer count as unsellable
+const ORPHAN_GAP_NIGHTS = Number(process.env.ORPHAN_GAP_NIGHTS) || 2;
+
+const gapNights = (from, to) => Math.floor((to - from) / DAY_MS);
+
+// How much placing the stay in a room fragments its calendar (lower is better):
+// touching a neighbouring booking is ideal, leaving an orphan gap is worst
+const fitScore = (roomBookings, checkIn, checkOut) => {
+  let before = null;
+  let after = null;
+
+  for (const booking of roomBookings) {
+    const start = booking.checkIn.toDate();
+    const end = booking.checkOut.toDate();
+    if (end <= checkIn) {
+      const gap = gapNights(end, checkIn);
+      before = before === null ? gap : Math.min(before, gap);
+    }
+    if (start >= checkOut) {
+      const gap = gapNights(checkOut, start);
+      after = after === null ? gap : Math.min(after, gap);
+    }
+  }
+
+  const sideScore = (gap) => {
+    if (gap === null) return 1;
+    if (gap === 0) return 0;
+    return gap <= ORPHAN_GAP_NIGHTS ? 5 : 1;
+  };
+  return sideScore(before) + sideScore(after);
+};
+
+// Pure: best free room for a stay, or null when every room is taken
+const chooseRoom = ({ rooms, bookings, checkIn, checkOut, excludeBookingId = null }) => {
+  const candidates = [];
+
+  for (const room of rooms) {
+    const roomBookings = bookings.filter(b => b.roomId === room.id && b.id !== excludeBookingId);
+    if (roomBookings.some(b => overlaps(b, checkIn, checkOut))) continue;
+    candidates.push({ room, score: fitScore(roomBookings, checkIn, checkOut) });
+  }
+
+  candidates.sort((a, b) => a.score - b.score
+    || String(a.room.roomNumber).localeCompare(String(b.room.roomNumber), undefined, { numeric: true }));
+
+  return candidates.length > 0 ? candidates[0].room : null;
+};
+
+// Assign (or re-assign) a room to a booking. Without `roomId` the best room of
+// the booking's type is chosen automatically.
+const assignRoom = async (bookingId, { roomId = null, by = null } = {}) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) throw httpError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+
+    const booking = bookingDoc.data();
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      throw httpError(409, 'BOOKING_INACTIVE', `Cannot assign a room to a ${booking.status} booking`);
+    }
+    if (booking.status === 'checked_in' && booking.roomId) {
+      throw httpError(409, 'GUEST_IN_HOUSE', 'Move an in-house guest by editing the booking');
+    }
+
+    const checkIn = booking.checkIn.toDate();
+    const checkOut = booking.checkOut.toDate();
+    const occupancy = occupancyOf(booking);
+    const rules = occupancyRulesFrom(await getHotelSettings(transaction));
+
+    let room;
+    if (roomId) {
+      const roomDoc = await transaction.get(db.collection('rooms').doc(roomId));
+      if (!roomDoc.exists) throw httpError(404, 'ROOM_NOT_FOUND', 'Room not found');
+      room = { id: roomDoc.id, ...roomDoc.data() };
+      if (booking.roomType && room.type !== booking.roomType) {
+        throw httpError(409, 'ROOM_TYPE_MISMATCH', `Room ${room.roomNumber} is not a ${booking.roomType} room`);
+      }
+      if (!isSellable(room)) {
+        throw httpError(409, 'ROOM_NOT_SELLABLE', `Room ${room.roomNumber} is out of service`);
+      }
+      assertFits(room, occupancy, rules);
+    } else {
+      if (!booking.roomType) throw httpError(400, 'ROOM_TYPE_REQUIRED', 'Booking has no room type to assign from');
+
+      const [roomsSnap, bookingsSnap, blocksSnap] = await Promise.all([
+        transaction.get(db.collection('rooms').where('type', '==', booking.roomType)),
+        transaction.get(activeStaysQuery(checkIn, checkOut)),
+        transaction.get(blocksQuery(checkIn))
+      ]);
+
+      room = chooseRoom({
+        rooms: fittingRooms(roomsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })), { occupancy, rules }),
+        // Blocked dates rule a room out like a booking does
+        bookings: [...bookingsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })), ...blockStays(blocksSnap)],
+        checkIn,
+        checkOut,
+        excludeBookingId: bookingId
+      });
+      if (!room) throw httpError(409, 'NO_ROOM_AVAILABLE', `No ${booking.roomType} room is free for the whole stay`);
+    }
+
+    const oldLocks = booking.roomId && booking.roomId !== room.id
+      ? await readRoomNights(transaction, booking.roomId, checkIn, checkOut)
+      : [];
+    const newLocks = await assertRoomAvailable(transaction, {
+      roomId: room.id,
+      checkIn,
+      checkOut,
+      excludeBookingId: bookingId
+    });
+
+    transaction.update(bookingRef, {
+      roomId: room.id,
+      roomType: booking.roomType || room.type,
+      roomSnapshot: roomSnapshot(room),
+      roomAssignment: roomId ? 'manual' : 'auto',
+      roomAssignedAt: admin.firestore.Timestamp.now(),
+      roomAssignedBy: by,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    releaseRoomNights(transaction, oldLocks, bookingId);
+    claimRoomNights(transaction, newLocks, bookingId);
+
+    return { bookingId, roomId: room.id, roomNumber: room.roomNumber };
+  });
+};
+
+// Assign rooms to every unassigned booking arriving before `until`,
+// earliest arrival first and longer stays first on the same day
+const autoAssignArrivals = async ({ until, by = null }) => {
+  const snapshot = await db.collection('bookings')
+    .where('roomId', '==', null)
+    .where('status', 'in', ACTIVE_STATUSES)
+    .get();
+
+  const due = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(b => b.checkIn.toDate() <= until)
+    .sort((a, b) => a.checkIn.toMillis() - b.checkIn.toMillis()
+      || (b.checkOut.toMillis() - b.checkIn.toMillis()) - (a.checkOut.toMillis() - a.checkIn.toMillis()));
+
+  const assigned = [];
+  const failed = [];
+  for (const booking of due) {
+    try {
+      assigned.push(await assignRoom(booking.id, { by }));
+    } catch (error) {
+      failed.push({ bookingId: booking.id, error: error.message, code: error.code });
+    }
+  }
+
+  return { assigned, failed };
+};
+
+module.exports = {
+  fitScore,
+  chooseRoom,
+  assignRoom,
+  autoAssignArrivals
+};
@@ -0,0 +1,117 @@
+// services/roomBlocks.js
+// Dates a room cannot be sold on although no booking holds it (`room_blocks`).
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { overlaps, isSellable } = require('./availability');
+const {
+  readRoomNights,
+  claimBlockNights,
+  releaseBlockNights,
+  assertTypeAvailable,
+  touchRoomType
+} = require('./inventory');
+
+const toNight = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const blockView = (doc) => {
+  const block = doc.data();
+  return {
+    id: doc.id,
+    ...block,
+    start: block.start.toDate().toISOString(),
+    end: block.end.toDate().toISOString()
+  };
+};
+
+const listRoomBlocks = async (roomId, { from = null } = {}) => {
+  const snapshot = await db.collection('room_blocks').where('roomId', '==', roomId).get();
+  return snapshot.docs
+    .filter(doc => !from || doc.data().end.toDate() > from)
+    .sort((a, b) => a.data().start.toMillis() - b.data().start.toMillis())
+    .map(blockView);
+};
+
+// Block a room for maintenance. Refused while an active booking holds any of
+// the nights (move or cancel the booking first), or while room-type
+// reservations need the room to fit on them.
+const createMaintenanceBlock = async (roomId, { start, end, reason = null, by = null }) => {
+  const from = toNight(start);
+  const to = toNight(end);
+  if (to <= from) throw httpError(400, 'INVALID_DATES', 'A block must end after it starts');
+
+  const roomRef = db.collection('rooms').doc(roomId);
+  const blockRef = db.collection('room_blocks').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const [roomDoc, bookingsSnap, lockSnaps] = await Promise.all([
+      transaction.get(roomRef),
+      transaction.get(
+        db.collection('bookings')
+          .where('roomId', '==', roomId)
+          .where('status', 'in', ACTIVE_STATUSES)
+      ),
+      readRoomNights(transaction, roomId, from, to)
+    ]);
+    if (!roomDoc.exists) throw httpError(404, 'ROOM_NOT_FOUND', 'Room not found');
+    const room = roomDoc.data();
+
+    const clash = bookingsSnap.docs.find(doc => overlaps(doc.data(), from, to));
+    if (clash) {
+      const label = clash.data().confirmationCode || clash.id;
+      throw httpError(409, 'ROOM_BOOKED', `Booking ${label} holds this room on some of these nights`);
+    }
+
+    // The block takes the room out of its type's pool like one more booking would
+    let typeCheck = null;
+    if (room.type && isSellable(room)) {
+      try {
+        typeCheck = await assertTypeAvailable(transaction, { roomType: room.type, checkIn: from, checkOut: to });
+      } catch (error) {
+        if (error.code !== 'ROOM_TYPE_UNAVAILABLE') throw error;
+        throw httpError(409, 'ROOM_TYPE_OVERBOOKED', `${room.type} reservations need this room on some of these nights`);
+      }
+    }
+
+    const block = {
+      roomId,
+      start: admin.firestore.Timestamp.fromDate(from),
+      end: admin.firestore.Timestamp.fromDate(to),
+      source: 'maintenance',
+      reason,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: by
+    };
+    transaction.set(blockRef, block);
+    claimBlockNights(transaction, lockSnaps, blockRef.id);
+    if (typeCheck) touchRoomType(transaction, typeCheck);
+    return { id: blockRef.id, ...block };
+  });
+};
+
+// Imported blocks are owned by their feed and go away with it
+const removeMaintenanceBlock = async (roomId, blockId) => {
+  const blockRef = db.collection('room_blocks').doc(blockId);
+
+  await db.runTransaction(async (transaction) => {
+    const blockDoc = await transaction.get(blockRef);
+    if (!blockDoc.exists || blockDoc.data().roomId !== roomId) {
+      throw httpError(404, 'BLOCK_NOT_FOUND', 'Block not found');
+    }
+    const block = blockDoc.data();
+    if (block.source !== 'maintenance') {
+      throw httpError(409, 'BLOCK_IMPORTED', 'Imported blocks are removed by removing or re-syncing their calendar');
+    }
+
+    const lockSnaps = await readRoomNights(transaction, roomId, block.start.toDate(), block.end.toDate());
+    transaction.delete(blockRef);
+    releaseBlockNights(transaction, lockSnaps, blockId);
+  });
+};
+
+module.exports = {
+  toNight,
+  listRoomBlocks,
+  createMaintenanceBlock,
+  removeMaintenanceBlock
+};
@@ -0,0 +1,199 @@
+// services/stayAlternatives.js
+// What to offer a guest when the stay they asked for cannot be sold: shifted
+// dates, another room type, or a split stay across two rooms.
+const { DAY_MS, availableForStay, fittingRooms, readSellableRooms, readStays } = require('./availability');
+const { cheapestStay } = require('./pricing');
+const { getStayClock, hotelToday, isoDate } = require('./stayDates');
+const { stayViolations, readRestrictions } = require('./stayRestrictions');
+const { loadRates } = require('./rates');
+
+// Errors from a booking attempt that alternatives can help with
+const UNAVAILABLE_CODES = ['ROOM_UNAVAILABLE', 'ROOM_TYPE_UNAVAILABLE', 'ROOM_BLOCKED', 'OVER_CAPACITY'];
+
+const MAX_SHIFT_DAYS = 7;
+const MAX_SUGGESTIONS = 5;
+
+// Ranking: lower is better. A day's shift weighs like a change of room
+// type; paying half as much again weighs like one more day.
+const PENALTY = { room_type: 1, split_stay: 1.5 };
+const EXTRA_COST_WEIGHT = 2;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const priced = (suggestion, quote, requestedTotal) => ({
+  ...suggestion,
+  totalPrice: quote.total,
+  priceBreakdown: quote.breakdown,
+  nightlyRates: quote.nightly,
+  priceDifference: requestedTotal === null ? null : quote.total - requestedTotal
+});
+
+const penaltyOf = (suggestion, requestedTotal) => {
+  const base = suggestion.type === 'shifted_dates' ? Math.abs(suggestion.shiftDays) : PENALTY[suggestion.type];
+  const extra = requestedTotal ? Math.max(0, suggestion.priceDifference) / requestedTotal : 0;
+  return base + extra * EXTRA_COST_WEIGHT;
+};
+
+// Pure: suggestions from every active room and every stay around the request.
+// `roomType` is the type asked for (the room's type when a room was asked for).
+const buildAlternatives = ({
+  rooms,
+  stays,
+  checkIn,
+  checkOut,
+  party = null,
+  roomType = null,
+  roomId = null,
+  restrictions = [],
+  rates = null,
+  today,
+  maxShiftDays = MAX_SHIFT_DAYS,
+  limit = MAX_SUGGESTIONS
+}) => {
+  const nights = Math.round((checkOut - checkIn) / DAY_MS);
+  const wanted = roomType ? rooms.filter(room => room.type === roomType) : rooms;
+
+  // What the guest expected to pay, for the price differences
+  const requestedQuote = cheapestStay(fittingRooms(wanted, party), checkIn, checkOut, party, rates);
+  const requestedTotal = requestedQuote ? requestedQuote.total : null;
+
+  const allowed = (type, from, to) =>
+    stayViolations({ restrictions, roomType: type, checkIn: from, checkOut: to }).length === 0;
+
+  // Free rooms ({ room, quote }) for a stay, limited to the requested type if
+  // there is one. A room only counts while its type's pool, which includes
+  // reservations still waiting for a room, has space too.
+  const freeRooms = (from, to) => {
+    const result = availableForStay({ rooms, stays, checkIn: from, checkOut: to, party, rates });
+    const open = new Set(result.roomTypes
+      .filter(t => t.available > 0 && allowed(t.type, from, to))
+      .map(t => t.type));
+    return result.rooms.filter(({ room }) => open.has(room.type) && (!roomType || room.type === roomType));
+  };
+  const cheapest = (options) => options.reduce((a, b) => (b.quote.total < a.quote.total ? b : a));
+
+  const suggestions = [];
+
+  // 1. Same length, nearest dates first
+  for (let shift = 1; shift <= maxShiftDays; shift++) {
+    for (const days of [-shift, shift]) {
+      const from = addDays(checkIn, days);
+      const to = addDays(checkOut, days);
+      if (from < today) continue;
+
+      const candidates = freeRooms(from, to);
+      if (candidates.length === 0) continue;
+
+      const best = cheapest(candidates);
+      suggestions.push(priced({
+        type: 'shifted_dates',
+        shiftDays: days,
+        roomType: best.room.type,
+        checkIn: isoDate(from),
+        checkOut: isoDate(to)
+      }, best.quote, requestedTotal));
+    }
+  }
+
+  // 2. Same dates, another type; or another room of the type when a room was asked for
+  const sameDates = availableForStay({ rooms, stays, checkIn, checkOut, party, rates });
+  for (const entry of sameDates.roomTypes) {
+    if (entry.available === 0 || entry.totalPrice === null) continue;
+    if (entry.type === roomType && !roomId) continue;
+    if (!allowed(entry.type, checkIn, checkOut)) continue;
+
+    suggestions.push(priced({
+      type: 'room_type',
+      roomType: entry.type,
+      checkIn: isoDate(checkIn),
+      checkOut: isoDate(checkOut)
+    }, { total: entry.totalPrice, breakdown: entry.priceBreakdown, nightly: entry.nightlyRates }, requestedTotal));
+  }
+
+  // 3. Two rooms of the requested type (any type if none was asked for),
+  // moving on the night that makes the stay cheapest
+  const wholeStayFree = freeRooms(checkIn, checkOut).length > 0;
+  let bestSplit = null;
+  for (let night = 1; night < nights && !wholeStayFree; night++) {
+    const middle = addDays(checkIn, night);
+    const first = freeRooms(checkIn, middle);
+    if (first.length === 0) continue;
+    const a = cheapest(first);
+    const second = freeRooms(middle, checkOut).filter(option => option.room.id !== a.room.id);
+    if (second.length === 0) continue;
+    const b = cheapest(second);
+
+    const total = a.quote.total + b.quote.total;
+    if (!bestSplit || total < bestSplit.total) bestSplit = { a, b, middle, total };
+  }
+  if (bestSplit) {
+    const { a, b, middle } = bestSplit;
+    const segment = ({ room, quote }, from, to) => ({
+      roomId: room.id,
+      roomNumber: room.roomNumber,
+      roomType: room.type,
+      checkIn: isoDate(from),
+      checkOut: isoDate(to),
+      totalPrice: quote.total
+    });
+    suggestions.push(priced({
+      type: 'split_stay',
+      roomType: a.room.type === b.room.type ? a.room.type : null,
+      checkIn: isoDate(checkIn),
+      checkOut: isoDate(checkOut),
+      segments: [segment(a, checkIn, middle), segment(b, middle, checkOut)]
+    }, {
+      total: bestSplit.total,
+      breakdown: [...a.quote.breakdown, ...b.quote.breakdown],
+      nightly: [...a.quote.nightly, ...b.quote.nightly]
+    }, requestedTotal));
+  }
+
+  return suggestions
+    .map(suggestion => ({ suggestion, penalty: penaltyOf(suggestion, requestedTotal) }))
+    .sort((x, y) => x.penalty - y.penalty)
+    .slice(0, limit)
+    .map(({ suggestion }, index) => ({ rank: index + 1, ...suggestion }));
+};
+
+// Read the rooms and the stays around the request, then build the
+// suggestions, priced with the request's rate plan (a ./rates snapshot)
+const suggestAlternatives = async ({
+  checkIn,
+  checkOut,
+  party = null,
+  roomType = null,
+  roomId = null,
+  ratePlan = undefined,
+  now = new Date()
+}) => {
+  const from = addDays(checkIn, -MAX_SHIFT_DAYS);
+  const to = addDays(checkOut, MAX_SHIFT_DAYS);
+  const [rooms, stays, restrictions, rates, clock] = await Promise.all([
+    readSellableRooms(),
+    readStays(from, to),
+    readRestrictions(from, to),
+    loadRates({ from, to, ratePlan }),
+    getStayClock()
+  ]);
+  const today = hotelToday(clock, now);
+
+  return buildAlternatives({
+    rooms,
+    stays,
+    checkIn,
+    checkOut,
+    party,
+    roomType,
+    roomId,
+    restrictions,
+    rates,
+    today
+  });
+};
+
+module.exports = {
+  UNAVAILABLE_CODES,
+  buildAlternatives,
+  suggestAlternatives
+};
@@ -0,0 +1,94 @@
+// services/stayDates.js
+// Stay dates in the hotel's own timezone. Bookings store hotel calendar dates
+// as timestamps at UTC midnight, so one night is one UTC day.
+const { DateTime, IANAZone } = require('luxon');
+const { getHotelSettings } = require('./hotelSettings');
+
+const DEFAULT_TIMEZONE = process.env.HOTEL_TIMEZONE || 'Africa/Kampala';
+const DEFAULT_CHECK_IN_TIME = '14:00';
+const DEFAULT_CHECK_OUT_TIME = '11:00';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTimezone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+// The hotel's timezone and check-in/check-out times, from its settings
+const stayClockFrom = (settings = {}) => ({
+  zone: isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE,
+  checkInTime: TIME_OF_DAY.test(settings.checkInTime || '') ? settings.checkInTime : DEFAULT_CHECK_IN_TIME,
+  checkOutTime: TIME_OF_DAY.test(settings.checkOutTime || '') ? settings.checkOutTime : DEFAULT_CHECK_OUT_TIME
+});
+
+const getStayClock = async (transaction = null) => stayClockFrom(await getHotelSettings(transaction));
+
+const utcDate = (dt) => new Date(Date.UTC(dt.year, dt.month - 1, dt.day));
+
+// A request date as the stay date it names. "YYYY-MM-DD" is taken as is; a
+// date-time is the hotel-local date at that instant (a guest booking from
+// abroad means the hotel's calendar). Returns null if it cannot be read.
+const parseStayDate = (value, clock) => {
+  if (value instanceof Date) value = value.toISOString();
+  if (typeof value !== 'string' || !value) return null;
+
+  const dt = DATE_ONLY.test(value)
+    ? DateTime.fromISO(value, { zone: 'utc' })
+    : DateTime.fromISO(value, { zone: clock.zone });
+  return dt.isValid ? utcDate(dt) : null;
+};
+
+// Today's date at the hotel
+const hotelToday = (clock, now = new Date()) => utcDate(DateTime.fromJSDate(now).setZone(clock.zone));
+
+const atTime = (date, time, zone) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return DateTime.fromObject({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour,
+    minute
+  }, { zone }).toJSDate();
+};
+
+// The instants a stay date starts and ends at the hotel
+const checkInAt = (date, clock) => atTime(date, clock.checkInTime, clock.zone);
+const checkOutAt = (date, clock) => atTime(date, clock.checkOutTime, clock.zone);
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Booking fields for a stay
+const stayDateFields = (checkIn, checkOut) => ({
+  checkInDate: isoDate(checkIn),
+  checkOutDate: isoDate(checkOut)
+});
+
+// A booking's stay dates. Bookings made before the hotel-local dates were
+// stored have no `checkInDate`/`checkOutDate` and may hold any time of day:
+// a timestamp at UTC midnight already names the date, any other is read as
+// the hotel's date at that instant. scripts/backfillStayDates.js stores them.
+const storedStayDate = (timestamp, day, clock) => {
+  if (day) return new Date(`${day}T00:00:00.000Z`);
+  const date = timestamp.toDate();
+  return date.getTime() % DAY_MS === 0 ? date : parseStayDate(date, clock);
+};
+
+const bookingStayDates = (booking, clock) => ({
+  checkIn: storedStayDate(booking.checkIn, booking.checkInDate, clock),
+  checkOut: storedStayDate(booking.checkOut, booking.checkOutDate, clock)
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  stayClockFrom,
+  getStayClock,
+  parseStayDate,
+  hotelToday,
+  checkInAt,
+  checkOutAt,
+  isoDate,
+  stayDateFields,
+  bookingStayDates
+};
@@ -0,0 +1,166 @@
+// services/stayRestrictions.js
+// Minimum/maximum stay and closed-to-arrival/departure rules per room type and
+// date range (`stay_restrictions`). Staff may book through a broken rule with
+// a reason, kept on the booking and in `audit_logs`.
+const { db, admin } = require('../config/firebase');
+const { httpError } = require('../utils/httpError');
+const { DAY_MS } = require('./availability');
+const { isoDate } = require('./stayDates');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const RULES = {
+  minStay: 'MIN_STAY_NOT_MET',
+  maxStay: 'MAX_STAY_EXCEEDED',
+  closedToArrival: 'CLOSED_TO_ARRIVAL',
+  closedToDeparture: 'CLOSED_TO_DEPARTURE'
+};
+
+const invalid = (message) => httpError(400, 'INVALID_RESTRICTION', message);
+
+const nightCount = (value, name) => {
+  if (value === null) return null;
+  if (!Number.isInteger(value) || value < 1) throw invalid(`${name} must be a whole number of nights`);
+  return value;
+};
+
+// Validate a create/update body; `partial` allows leaving fields out.
+// `current` is the stored restriction when updating.
+const restrictionFields = (body, { partial = false, current = {} } = {}) => {
+  const { roomType, startDate, endDate, daysOfWeek, minStay, maxStay, closedToArrival, closedToDeparture, name } = body;
+  const fields = {};
+
+  if (roomType !== undefined || !partial) fields.roomType = roomType || null;
+  for (const [key, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value === undefined && partial) continue;
+    if (!DATE_ONLY.test(value || '') || isNaN(new Date(value).getTime())) throw invalid(`${key} must be a YYYY-MM-DD date`);
+    fields[key] = value;
+  }
+  if (daysOfWeek !== undefined || !partial) {
+    if (daysOfWeek && (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+        !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      throw invalid('daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)');
+    }
+    fields.daysOfWeek = daysOfWeek ? [...new Set(daysOfWeek)].sort() : null;
+  }
+  if (minStay !== undefined || !partial) fields.minStay = nightCount(minStay ?? null, 'minStay');
+  if (maxStay !== undefined || !partial) fields.maxStay = nightCount(maxStay ?? null, 'maxStay');
+  if (closedToArrival !== undefined || !partial) fields.closedToArrival = Boolean(closedToArrival);
+  if (closedToDeparture !== undefined || !partial) fields.closedToDeparture = Boolean(closedToDeparture);
+  if (name !== undefined || !partial) fields.name = name ? String(name).trim() : null;
+
+  const merged = { ...current, ...fields };
+  if (merged.startDate > merged.endDate) throw invalid('endDate cannot be before startDate');
+  if (merged.minStay && merged.maxStay && merged.minStay > merged.maxStay) {
+    throw invalid('minStay cannot be longer than maxStay');
+  }
+  if (!merged.minStay && !merged.maxStay && !merged.closedToArrival && !merged.closedToDeparture) {
+    throw invalid('A restriction needs minStay, maxStay, closedToArrival or closedToDeparture');
+  }
+
+  return fields;
+};
+
+// Does `restriction` cover the hotel date `date` for `roomType`?
+const covers = (restriction, roomType, date) => {
+  const day = isoDate(date);
+  return (!restriction.roomType || restriction.roomType === roomType) &&
+    restriction.startDate <= day && day <= restriction.endDate &&
+    (!restriction.daysOfWeek || restriction.daysOfWeek.includes(date.getUTCDay()));
+};
+
+const describe = (restriction) => (restriction.name ? ` (${restriction.name})` : '');
+
+// Pure: the rules a stay in `roomType` breaks, as { rule, code, message, restrictionId }.
+// Minimum/maximum stay and closed-to-arrival are judged on the arrival date,
+// closed-to-departure on the departure date.
+const stayViolations = ({ restrictions, roomType, checkIn, checkOut }) => {
+  const nights = Math.round((checkOut - checkIn) / DAY_MS);
+  const violations = [];
+  const broken = (rule, restriction, message) => violations.push({
+    rule,
+    code: RULES[rule],
+    message: message + describe(restriction),
+    restrictionId: restriction.id
+  });
+
+  for (const restriction of restrictions) {
+    if (covers(restriction, roomType, checkIn)) {
+      if (restriction.closedToArrival) {
+        broken('closedToArrival', restriction, `Arrivals are closed on ${isoDate(checkIn)}`);
+      }
+      if (restriction.minStay && nights < restriction.minStay) {
+        broken('minStay', restriction, `Stays arriving on ${isoDate(checkIn)} must be at least ${restriction.minStay} night(s)`);
+      }
+      if (restriction.maxStay && nights > restriction.maxStay) {
+        broken('maxStay', restriction, `Stays arriving on ${isoDate(checkIn)} can be at most ${restriction.maxStay} night(s)`);
+      }
+    }
+    if (restriction.closedToDeparture && covers(restriction, roomType, checkOut)) {
+      broken('closedToDeparture', restriction, `Departures are closed on ${isoDate(checkOut)}`);
+    }
+  }
+  return violations;
+};
+
+// Restrictions whose range reaches the stay's arrival or departure date, read
+// through `transaction` when one is given
+const readRestrictions = async (checkIn, checkOut, transaction = null) => {
+  const restrictionsQuery = db.collection('stay_restrictions').where('endDate', '>=', isoDate(checkIn));
+  const snapshot = transaction ? await transaction.get(restrictionsQuery) : await restrictionsQuery.get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(restriction => restriction.startDate <= isoDate(checkOut));
+};
+
+// Refuse a stay that breaks a rule, unless staff override it with a reason.
+// Returns the override to store on the booking, or null if none was needed.
+const checkStayRestrictions = async ({ roomType, checkIn, checkOut, override = null, user, transaction = null }) => {
+  const violations = stayViolations({
+    restrictions: await readRestrictions(checkIn, checkOut, transaction),
+    roomType,
+    checkIn,
+    checkOut
+  });
+  if (violations.length === 0) return null;
+
+  if (!override) {
+    const [first] = violations;
+    throw httpError(422, first.code, first.message);
+  }
+  if (!['admin', 'manager', 'receptionist'].includes(user.role)) {
+    throw httpError(403, 'OVERRIDE_NOT_ALLOWED', 'Only staff can override stay restrictions');
+  }
+  if (!override.reason || typeof override.reason !== 'string' || !override.reason.trim()) {
+    throw httpError(400, 'OVERRIDE_REASON_REQUIRED', 'Overriding a stay restriction needs a reason');
+  }
+
+  return {
+    rules: violations.map(({ code, restrictionId }) => ({ code, restrictionId })),
+    reason: override.reason.trim(),
+    by: user.uid,
+    at: admin.firestore.Timestamp.now()
+  };
+};
+
+// Audit entry for an override, written with the booking it allowed
+const recordOverride = (transaction, bookingId, override, user) => {
+  transaction.set(db.collection('audit_logs').doc(), {
+    userId: user.uid,
+    role: user.role,
+    action: 'OVERRIDE_STAY_RESTRICTION',
+    bookingId,
+    rules: override.rules,
+    reason: override.reason,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+module.exports = {
+  RULES,
+  restrictionFields,
+  stayViolations,
+  readRestrictions,
+  checkStayRestrictions,
+  recordOverride
+};
@@ -0,0 +1,92 @@
+// One set of availability rules, as seen by the availability search, booking
+// creation and the room list
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const availabilityRoutes = require('../routes/availability');
+const bookingRoutes = require('../routes/bookings');
+const roomRoutes = require('../routes/rooms');
+
+const app = buildApp({
+  '/api/v1/availability': availabilityRoutes,
+  '/api/v1/bookings': bookingRoutes,
+  '/api/v1/rooms': roomRoutes
+});
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+const stay = { checkIn: '2031-05-01', checkOut: '2031-05-03' };
+
+const search = () => request(app).post('/api/v1/availability').send({ ...stay, adults: 2 });
+const book = (roomId) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({ ...stay, roomId, guestName: 'Test Guest', guestPhone: '0772000001', paymentMethod: 'Cash', receivedBy: 'Front desk' });
+
+beforeEach(async () => {
+  db.reset();
+  const rooms = {
+    booked: { roomNumber: '101', isActive: true },
+    held: { roomNumber: '102', isActive: true },
+    // Rooms written before `isActive` existed are active
+    legacy: { roomNumber: '103' },
+    inactive: { roomNumber: '104', isActive: false },
+    repairs: { roomNumber: '105', isActive: true, status: 'Maintenance' },
+    blocked: { roomNumber: '106', isActive: true }
+  };
+  for (const [id, room] of Object.entries(rooms)) {
+    await db.collection('rooms').doc(id).set({ type: 'Standard', price: 100000, capacity: 2, ...room });
+  }
+  await db.collection('bookings').doc('b1').set({ roomId: 'booked', roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-01'), checkOut: stamp('2031-05-02') });
+  // An unpaid hold keeps the room until it expires
+  await db.collection('bookings').doc('b2').set({ roomId: 'held', roomType: 'Standard', status: 'pending', checkIn: stamp('2031-05-02'), checkOut: stamp('2031-05-04') });
+  await db.collection('room_blocks').doc('k1').set({ roomId: 'blocked', source: 'maintenance', start: stamp('2031-04-30'), end: stamp('2031-05-02') });
+});
+
+describe('availability rules', () => {
+  it('offers only the sellable rooms free for the whole stay', async () => {
+    const res = await search();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.rooms.map(room => room.id)).toEqual(['legacy']);
+    expect(res.body.data.roomTypes).toEqual([
+      expect.objectContaining({ type: 'Standard', totalRooms: 4, available: 1, pricePerNight: 100000, totalPrice: 200000 })
+    ]);
+  });
+
+  it.each([
+    ['booked', 'ROOM_UNAVAILABLE'],
+    ['held', 'ROOM_UNAVAILABLE'],
+    ['blocked', 'ROOM_BLOCKED'],
+    ['inactive', 'ROOM_NOT_SELLABLE'],
+    ['repairs', 'ROOM_NOT_SELLABLE']
+  ])('refuses to book room "%s" that the search leaves out', async (roomId, code) => {
+    const res = await book(roomId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe(code);
+  });
+
+  it('books the room the search offers', async () => {
+    const res = await book('legacy');
+
+    expect(res.status).toBe(201);
+    expect((await search()).body.data.rooms).toEqual([]);
+  });
+
+  it('lists rooms that cannot be sold as under maintenance', async () => {
+    const res = await request(app).get('/api/v1/rooms');
+
+    const statuses = Object.fromEntries(res.body.data.map(room => [room.id, room.status]));
+    expect(statuses).toEqual({
+      booked: 'Available',
+      held: 'Available',
+      legacy: 'Available',
+      inactive: 'Maintenance',
+      repairs: 'Maintenance',
+      blocked: 'Available'
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// GET /availability/calendar: per-type counts for everyone, the room grid for staff
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken, guestToken } = require('./support/app');
+const availabilityRoutes = require('../routes/availability');
+
+const app = buildApp({ '/api/v1/availability': availabilityRoutes });
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const calendar = (query, token = null) => {
+  const req = request(app).get('/api/v1/availability/calendar').query({ from: '2031-05-01', to: '2031-05-04', ...query });
+  return token ? req.set('Authorization', token) : req;
+};
+
+beforeEach(async () => {
+  db.reset();
+  const rooms = { r1: '101', r2: '102', r3: '103' };
+  for (const [id, roomNumber] of Object.entries(rooms)) {
+    await db.collection('rooms').doc(id).set({ roomNumber, type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  }
+  await db.collection('bookings').doc('b1').set({ roomId: 'r1', roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-01'), checkOut: stamp('2031-05-03') });
+  await db.collection('bookings').doc('b2').set({ roomId: 'r2', roomType: 'Standard', status: 'pending', checkIn: stamp('2031-05-02'), checkOut: stamp('2031-05-03') });
+  // A room-type reservation takes a free room of its type
+  await db.collection('bookings').doc('b3').set({ roomId: null, roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-03'), checkOut: stamp('2031-05-04') });
+  await db.collection('room_blocks').doc('k1').set({ roomId: 'r3', source: 'maintenance', start: stamp('2031-05-01'), end: stamp('2031-05-02') });
+});
+
+describe('GET /availability/calendar', () => {
+  it('counts each night of a room type without naming rooms', async () => {
+    const res = await calendar({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.view).toBe('type');
+    expect(res.body.data.rooms).toBeUndefined();
+    const [standard] = res.body.data.roomTypes;
+    expect(standard.totalRooms).toBe(3);
+    expect(standard.nights.map(({ date, booked, held, maintenance, free }) => ({ date, booked, held, maintenance, free }))).toEqual([
+      { date: '2031-05-01', booked: 1, held: 0, maintenance: 1, free: 1 },
+      { date: '2031-05-02', booked: 1, held: 1, maintenance: 0, free: 1 },
+      { date: '2031-05-03', booked: 1, held: 0, maintenance: 0, free: 2 }
+    ]);
+    expect(standard.nights[0].price).toBe(100000);
+  });
+
+  it('does not show the room grid to anonymous callers or guests', async () => {
+    expect((await calendar({ view: 'room' })).status).toBe(401);
+    expect((await calendar({ view: 'room' }, guestToken)).status).toBe(403);
+  });
+
+  it('shows staff the state of each room by night', async () => {
+    const res = await calendar({ view: 'room' }, staffToken);
+
+    expect(res.status).toBe(200);
+    const states = Object.fromEntries(res.body.data.rooms.map(room => [room.roomNumber, room.nights.map(night => night.state)]));
+    expect(states).toEqual({
+      101: ['booked', 'booked', 'free'],
+      102: ['free', 'held', 'free'],
+      103: ['maintenance', 'free', 'free']
+    });
+    expect(res.body.data.unassigned).toEqual([{ roomType: 'Standard', booked: [0, 0, 1], held: [0, 0, 0] }]);
+  });
+});
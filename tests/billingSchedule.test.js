@@ -0,0 +1,185 @@
+// Long stays: priced at the cheapest mix of monthly, weekly and nightly
+// rates, and billed weekly or monthly in installments
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { sendDueInstallments } = require('../services/billingSchedule');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const book = (body) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    roomId: 'r1',
+    guestName: 'Long Stay',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    ...body
+  });
+
+const installmentsOf = async (bookingId) => (await db.collection('payments')
+  .where('bookingId', '==', bookingId)
+  .where('type', '==', 'installment')
+  .get())
+  .docs.map(doc => ({ id: doc.id, ...doc.data() }))
+  .sort((a, b) => a.installment.index - b.installment.index);
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({
+    roomNumber: '101',
+    type: 'Standard',
+    price: 100000,
+    weeklyRate: 600000,
+    monthlyRate: 2000000,
+    capacity: 2,
+    isActive: true
+  });
+});
+
+describe('POST /bookings long-stay pricing', () => {
+  it('charges a week and the nights left over', async () => {
+    const res = await book({ checkOut: '2031-05-11' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalPrice).toBe(900000);
+    expect(res.body.priceBreakdown).toEqual([
+      { unit: 'week', count: 1, rate: 600000, amount: 600000 },
+      { unit: 'night', count: 3, rate: 100000, amount: 300000 }
+    ]);
+  });
+
+  it('charges a month before weeks when it is cheaper', async () => {
+    const res = await book({ checkOut: '2031-06-05' });
+
+    expect(res.body.totalPrice).toBe(2500000);
+    expect(res.body.priceBreakdown.map(line => [line.unit, line.count])).toEqual([['month', 1], ['night', 5]]);
+  });
+
+  it('charges a whole week for a shorter stay when that is cheaper', async () => {
+    await db.collection('rooms').doc('r1').update({ weeklyRate: 550000 });
+
+    const res = await book({ checkOut: '2031-05-07' });
+
+    expect(res.body.totalPrice).toBe(550000);
+    expect(res.body.priceBreakdown).toEqual([{ unit: 'week', count: 1, rate: 550000, amount: 550000 }]);
+  });
+
+  it('charges by the night when a week costs the same', async () => {
+    const res = await book({ checkOut: '2031-05-07' });
+
+    expect(res.body.totalPrice).toBe(600000);
+    expect(res.body.priceBreakdown).toEqual([{ unit: 'night', count: 6, rate: 100000, amount: 600000 }]);
+  });
+});
+
+describe('weekly billing', () => {
+  it('splits the stay into installments by nights, the first due now', async () => {
+    const res = await book({ checkOut: '2031-05-11', billingCycle: 'weekly' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.amountDueNow).toBe(630000);
+    const installments = await installmentsOf(res.body.id);
+    expect(installments.map(p => [p.status, p.amount, p.installment.nights])).toEqual([
+      ['pending', 630000, 7],
+      ['scheduled', 270000, 3]
+    ]);
+    expect(installments[1].dueAt.toDate().toISOString()).toBe('2031-05-08T00:00:00.000Z');
+  });
+
+  it('refuses a periodic booking recorded as paid in full', async () => {
+    const res = await book({ checkOut: '2031-05-11', billingCycle: 'weekly', paymentStatus: 'paid' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('releases an installment once its period starts', async () => {
+    const { body } = await book({ checkOut: '2031-05-11', billingCycle: 'weekly' });
+    const [, second] = await installmentsOf(body.id);
+
+    expect(await sendDueInstallments({ now: new Date('2031-05-07T12:00:00.000Z') })).toMatchObject({ checked: 0, sent: [] });
+
+    const run = await sendDueInstallments({ now: new Date('2031-05-08T06:00:00.000Z') });
+    expect(run).toMatchObject({ checked: 1, sent: [second.id], voided: [] });
+    expect((await installmentsOf(body.id))[1].status).toBe('pending');
+
+    // A second run finds nothing left to send
+    expect(await sendDueInstallments({ now: new Date('2031-05-08T07:00:00.000Z') })).toMatchObject({ sent: [] });
+  });
+
+  it('voids an installment the guest has already paid ahead', async () => {
+    const { body } = await book({ checkOut: '2031-05-11', billingCycle: 'weekly' });
+    const [first, second] = await installmentsOf(body.id);
+    await db.collection('payments').doc(first.id).update({ status: 'paid' });
+    await db.collection('payments').add({ bookingId: body.id, type: 'booking', amount: 270000, status: 'paid' });
+
+    const run = await sendDueInstallments({ now: new Date('2031-05-08T06:00:00.000Z') });
+
+    expect(run.voided).toEqual([second.id]);
+    expect((await installmentsOf(body.id))[1]).toMatchObject({ status: 'void', voidReason: 'already_paid' });
+  });
+
+  it('prompts a Mobile Money guest from POST /bookings/send-installments', async () => {
+    axios.post.mockResolvedValue({ data: { success: true } });
+    await db.collection('bookings').doc('b1').set({ status: 'confirmed', totalPrice: 900000, confirmationCode: 'MPT-LONG1' });
+    await db.collection('payments').doc('i1').set({
+      bookingId: 'b1',
+      type: 'installment',
+      amount: 270000,
+      provider: 'Mobile Money',
+      phone: '+256772000001',
+      status: 'scheduled',
+      customer_reference: 'ref-i1',
+      installment: { index: 1, count: 2, final: true },
+      dueAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() - 60 * 1000))
+    });
+
+    const res = await request(app).post('/api/v1/bookings/send-installments').set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ checked: 1, sent: ['i1'] });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ amount: 270000, reference: 'ref-i1', narration: 'Booking MPT-LONG1 (2/2)' }),
+      expect.anything()
+    );
+  });
+
+  it('asks again for an installment whose prompt failed', async () => {
+    await db.collection('bookings').doc('b1').set({ status: 'confirmed', totalPrice: 900000, confirmationCode: 'MPT-LONG1' });
+    await db.collection('payments').doc('i1').set({
+      bookingId: 'b1',
+      type: 'installment',
+      amount: 270000,
+      provider: 'Mobile Money',
+      phone: '+256772000001',
+      status: 'scheduled',
+      customer_reference: 'ref-i1',
+      installment: { index: 1, count: 2, final: true },
+      dueAt: admin.firestore.Timestamp.fromDate(new Date('2031-05-08T00:00:00.000Z'))
+    });
+    axios.post.mockRejectedValueOnce(new Error('Relworx is down'));
+
+    const failed = await sendDueInstallments({ now: new Date('2031-05-08T06:00:00.000Z') });
+    expect(failed).toMatchObject({ sent: [], retrying: ['i1'] });
+    const payment = (await db.collection('payments').doc('i1').get()).data();
+    expect(payment).toMatchObject({ status: 'scheduled', promptFailures: 1, failureReason: 'API Call Failed' });
+    expect(payment.nextAttemptAt.toDate().toISOString()).toBe('2031-05-08T07:00:00.000Z');
+
+    // Not again before the retry time
+    expect(await sendDueInstallments({ now: new Date('2031-05-08T06:30:00.000Z') })).toMatchObject({ sent: [], retrying: [] });
+
+    axios.post.mockResolvedValue({ data: { success: true } });
+    const retried = await sendDueInstallments({ now: new Date('2031-05-08T07:00:00.000Z') });
+    expect(retried).toMatchObject({ sent: ['i1'], retrying: [] });
+    expect((await db.collection('payments').doc('i1').get()).data()).toMatchObject({ status: 'pending', nextAttemptAt: null });
+  });
+});
@@ -0,0 +1,174 @@
+// Two bookings for the same room-night racing each other: exactly one wins
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { assertRoomAvailable, assertTypeAvailable, claimRoomNights } = require('../services/inventory');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const booking = (overrides = {}) => ({
+  guestName: 'Test Guest',
+  guestPhone: '0772000001',
+  paymentMethod: 'Cash',
+  receivedBy: 'Front desk',
+  checkIn: '2031-05-01',
+  checkOut: '2031-05-02',
+  ...overrides
+});
+
+const post = (body) => request(app).post('/api/v1/bookings').set('Authorization', staffToken).send(body);
+const put = (id, body) => request(app).put(`/api/v1/bookings/${id}`).set('Authorization', staffToken).send(body);
+
+const stay = (roomId, checkIn, checkOut) => ({
+  roomId,
+  roomType: 'Standard',
+  status: 'confirmed',
+  adults: 2,
+  childAges: [],
+  totalPrice: 100000,
+  checkIn: new Date(`${checkIn}T00:00:00.000Z`),
+  checkOut: new Date(`${checkOut}T00:00:00.000Z`)
+});
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+});
+
+describe('simultaneous bookings', () => {
+  it('lets only one of two requests for the same room and night succeed', async () => {
+    const responses = await Promise.all([
+      post(booking({ roomId: 'r1', guestPhone: '0772000001' })),
+      post(booking({ roomId: 'r1', guestPhone: '0772000002' }))
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    const loser = responses.find(res => res.status === 409);
+    expect(['ROOM_UNAVAILABLE', 'ROOM_TYPE_UNAVAILABLE']).toContain(loser.body.code);
+
+    const bookings = await db.collection('bookings').get();
+    expect(bookings.size).toBe(1);
+    const lock = await db.collection('room_nights').doc('r1_2031-05-01').get();
+    expect(lock.data().bookingId).toBe(bookings.docs[0].id);
+  });
+
+  it('lets only one of two room-type reservations take the last room', async () => {
+    const responses = await Promise.all([
+      post(booking({ roomType: 'Standard', guestPhone: '0772000001' })),
+      post(booking({ roomType: 'Standard', guestPhone: '0772000002' }))
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect((await db.collection('bookings').get()).size).toBe(1);
+  });
+
+  it('makes the losing transaction retry and see the winning lock', async () => {
+    const checkIn = new Date('2031-05-01T00:00:00.000Z');
+    const checkOut = new Date('2031-05-03T00:00:00.000Z');
+    const book = (bookingId) => db.runTransaction(async (transaction) => {
+      const locks = await assertRoomAvailable(transaction, { roomId: 'r1', checkIn, checkOut });
+      transaction.set(db.collection('bookings').doc(bookingId), {
+        roomId: 'r1',
+        status: 'confirmed',
+        checkIn,
+        checkOut
+      });
+      claimRoomNights(transaction, locks, bookingId);
+      return bookingId;
+    });
+
+    const results = await Promise.allSettled([book('b1'), book('b2')]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    const rejected = results.find(r => r.status === 'rejected');
+    expect(rejected.reason.status).toBe(409);
+    expect(rejected.reason.code).toBe('ROOM_UNAVAILABLE');
+    expect(db.conflicts).toBeGreaterThan(0);
+  });
+
+  it('still books different nights of the same room side by side', async () => {
+    const responses = await Promise.all([
+      post(booking({ roomId: 'r1', checkIn: '2031-05-01', checkOut: '2031-05-02' })),
+      post(booking({ roomId: 'r1', checkIn: '2031-05-02', checkOut: '2031-05-03', guestPhone: '0772000002' }))
+    ]);
+
+    expect(responses.map(res => res.status)).toEqual([201, 201]);
+  });
+
+  it('does not read, or retry on, bookings outside the stay', async () => {
+    const later = db.collection('bookings').doc('later');
+    await later.set({
+      roomType: 'Standard',
+      status: 'confirmed',
+      checkIn: new Date('2031-09-01T00:00:00.000Z'),
+      checkOut: new Date('2031-09-05T00:00:00.000Z')
+    });
+
+    const check = db.runTransaction(async (transaction) => {
+      const typeCheck = await assertTypeAvailable(transaction, {
+        roomType: 'Standard',
+        checkIn: new Date('2031-05-01T00:00:00.000Z'),
+        checkOut: new Date('2031-05-03T00:00:00.000Z')
+      });
+      return typeCheck.bookings.map(b => b.id);
+    });
+    await later.update({ guestName: 'Changed meanwhile' });
+
+    expect(await check).toEqual([]);
+    expect(db.conflicts).toBe(0);
+  });
+});
+
+describe('simultaneous modifications', () => {
+  beforeEach(async () => {
+    await db.collection('rooms').doc('r2').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+    await db.collection('rooms').doc('r3').set({ roomNumber: '103', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  });
+
+  it('lets only one of two bookings move onto the same room and night', async () => {
+    await db.collection('bookings').doc('b1').set(stay('r1', '2031-05-05', '2031-05-06'));
+    await db.collection('bookings').doc('b2').set(stay('r2', '2031-05-05', '2031-05-06'));
+
+    const responses = await Promise.all([
+      put('b1', { checkIn: '2031-05-01', checkOut: '2031-05-02' }),
+      put('b2', { roomId: 'r1', checkIn: '2031-05-01', checkOut: '2031-05-02' })
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+    const onNight = (await db.collection('bookings').get()).docs
+      .filter(doc => doc.data().roomId === 'r1' && doc.data().checkInDate === '2031-05-01');
+    expect(onNight).toHaveLength(1);
+    const lock = await db.collection('room_nights').doc('r1_2031-05-01').get();
+    expect(lock.data().bookingId).toBe(onNight[0].id);
+  });
+
+  it('lets only one of a room change and a new booking take the night', async () => {
+    await db.collection('bookings').doc('b2').set(stay('r2', '2031-05-01', '2031-05-02'));
+
+    const [moved, created] = await Promise.all([
+      put('b2', { roomId: 'r1' }),
+      post(booking({ roomId: 'r1' }))
+    ]);
+
+    const succeeded = [moved.status === 200, created.status === 201];
+    expect(succeeded.filter(Boolean)).toHaveLength(1);
+    expect([moved.status, created.status]).toContain(409);
+    const holders = (await db.collection('bookings').get()).docs.filter(doc => doc.data().roomId === 'r1');
+    expect(holders).toHaveLength(1);
+  });
+
+  it('refuses a room change onto a night another booking holds', async () => {
+    await db.collection('bookings').doc('b1').set(stay('r1', '2031-05-01', '2031-05-02'));
+    await db.collection('bookings').doc('b2').set(stay('r2', '2031-05-01', '2031-05-02'));
+
+    const res = await put('b2', { roomId: 'r1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ROOM_UNAVAILABLE');
+    expect((await db.collection('bookings').doc('b2').get()).data().roomId).toBe('r2');
+  });
+});
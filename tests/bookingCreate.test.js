@@ -0,0 +1,61 @@
+// POST /bookings: what a guest may and may not set on their own booking
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken, guestToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const booking = {
+  roomId: 'r1',
+  guestName: 'Test Guest',
+  guestPhone: '0772000001',
+  paymentMethod: 'Cash',
+  receivedBy: 'Front desk',
+  checkIn: '2031-05-01',
+  checkOut: '2031-05-03'
+};
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+});
+
+const stored = async (id) => {
+  const bookingDoc = await db.collection('bookings').doc(id).get();
+  const payments = await db.collection('payments').where('bookingId', '==', id).get();
+  return { booking: bookingDoc.data(), payment: payments.docs[0].data() };
+};
+
+describe('POST /bookings status and payment status', () => {
+  it('keeps a guest booking pending and unpaid whatever the body says', async () => {
+    const res = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', guestToken)
+      .send({ ...booking, status: 'confirmed', paymentStatus: 'paid' });
+
+    expect(res.status).toBe(201);
+    const { booking: saved, payment } = await stored(res.body.id);
+    expect(saved.status).toBe('pending');
+    expect(saved.paymentStatus).toBe('unpaid');
+    expect(saved.holdExpiresAt).not.toBeNull();
+    expect(payment.status).toBe('pending');
+  });
+
+  it('lets staff record a confirmed booking paid at the desk', async () => {
+    const res = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', staffToken)
+      .send({ ...booking, status: 'confirmed', paymentStatus: 'paid' });
+
+    expect(res.status).toBe(201);
+    const { booking: saved, payment } = await stored(res.body.id);
+    expect(saved.status).toBe('confirmed');
+    expect(saved.paymentStatus).toBe('paid');
+    expect(saved.holdExpiresAt).toBeNull();
+    expect(payment.status).toBe('paid');
+  });
+});
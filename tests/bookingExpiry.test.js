@@ -0,0 +1,134 @@
+// Unpaid holds: which lapse, and what an expired hold gives back
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { HOLD_MINUTES, expirePendingBookings } = require('../services/bookingExpiry');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const MINUTE_MS = 60 * 1000;
+
+const book = (overrides = {}) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    roomId: 'r1',
+    guestName: 'Test Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Mobile Money',
+    paymentPhone: '0772000001',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    checkOut: '2031-05-03',
+    ...overrides
+  });
+
+const bookingOf = async (id) => (await db.collection('bookings').doc(id).get()).data();
+const paymentsOf = async (id) => (await db.collection('payments').where('bookingId', '==', id).get()).docs.map(doc => doc.data());
+const locksOf = async (id) => (await db.collection('room_nights').where('bookingId', '==', id).get()).size;
+
+// The sweep's clock, a number of minutes after the hold was taken
+const minutesAfter = (booking, minutes) => new Date(booking.createdAt.toMillis() + minutes * MINUTE_MS);
+
+beforeEach(async () => {
+  db.reset();
+  for (const id of ['r1', 'r2']) {
+    await db.collection('rooms').doc(id).set({ roomNumber: id, type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  }
+});
+
+describe('expirePendingBookings', () => {
+  it('expires a lapsed Mobile Money hold and frees its nights', async () => {
+    const res = await book();
+    expect(res.status).toBe(201);
+    expect(await locksOf(res.body.id)).toBe(2);
+
+    const booking = await bookingOf(res.body.id);
+    const { expired } = await expirePendingBookings({ now: minutesAfter(booking, HOLD_MINUTES['Mobile Money'] + 1) });
+
+    expect(expired).toEqual([res.body.id]);
+    expect(await bookingOf(res.body.id)).toMatchObject({ status: 'expired', paymentStatus: 'expired' });
+    expect((await paymentsOf(res.body.id)).map(p => p.status)).toEqual(['expired']);
+    expect(await locksOf(res.body.id)).toBe(0);
+  });
+
+  it('leaves a hold alone until its own window lapses', async () => {
+    const res = await book();
+    const booking = await bookingOf(res.body.id);
+
+    const { expired } = await expirePendingBookings({ now: minutesAfter(booking, HOLD_MINUTES['Mobile Money'] - 1) });
+
+    expect(expired).toEqual([]);
+    expect((await bookingOf(res.body.id)).status).toBe('pending');
+  });
+
+  it('gives a cash hold its longer window', async () => {
+    const mobile = await book();
+    const cash = await book({ roomId: 'r2', paymentMethod: 'Cash', guestPhone: '0772000002' });
+    const booking = await bookingOf(cash.body.id);
+    expect(HOLD_MINUTES.Cash).toBeGreaterThan(HOLD_MINUTES['Mobile Money']);
+
+    const first = await expirePendingBookings({ now: minutesAfter(booking, HOLD_MINUTES['Mobile Money'] + 1) });
+    expect(first.expired).toEqual([mobile.body.id]);
+    expect((await bookingOf(cash.body.id)).status).toBe('pending');
+    expect(await locksOf(cash.body.id)).toBe(2);
+
+    const second = await expirePendingBookings({ now: minutesAfter(booking, HOLD_MINUTES.Cash + 1) });
+    expect(second.expired).toEqual([cash.body.id]);
+  });
+
+  it('leaves paid and confirmed bookings alone', async () => {
+    const paid = await book();
+    const confirmed = await book({ roomId: 'r2', guestPhone: '0772000002' });
+    await db.collection('bookings').doc(paid.body.id).update({ paymentStatus: 'paid' });
+    await db.collection('bookings').doc(confirmed.body.id).update({ status: 'confirmed' });
+
+    const booking = await bookingOf(paid.body.id);
+    const { expired } = await expirePendingBookings({ now: minutesAfter(booking, HOLD_MINUTES.Cash + 1) });
+
+    expect(expired).toEqual([]);
+    expect((await bookingOf(paid.body.id)).status).toBe('pending');
+    expect((await bookingOf(confirmed.body.id)).status).toBe('confirmed');
+    expect(await locksOf(paid.body.id)).toBe(2);
+    expect(await locksOf(confirmed.body.id)).toBe(2);
+  });
+
+  it('reads the hold windows from the environment', () => {
+    jest.isolateModules(() => {
+      process.env.HOLD_MINUTES_MOBILE_MONEY = '5';
+      process.env.HOLD_MINUTES_CASH = '90';
+      try {
+        const { holdExpiryFor } = require('../services/bookingExpiry');
+        const from = new Date('2031-05-01T10:00:00.000Z');
+
+        expect(holdExpiryFor('Mobile Money', from).toISOString()).toBe('2031-05-01T10:05:00.000Z');
+        expect(holdExpiryFor('Cash', from).toISOString()).toBe('2031-05-01T11:30:00.000Z');
+        expect(holdExpiryFor('Card', from).toISOString()).toBe('2031-05-01T12:00:00.000Z');
+      } finally {
+        delete process.env.HOLD_MINUTES_MOBILE_MONEY;
+        delete process.env.HOLD_MINUTES_CASH;
+      }
+    });
+  });
+});
+
+describe('POST /bookings/expire-holds', () => {
+  it('runs the sweep now', async () => {
+    const res = await book();
+    await db.collection('bookings').doc(res.body.id).update({
+      holdExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - MINUTE_MS)
+    });
+
+    const sweep = await request(app)
+      .post('/api/v1/bookings/expire-holds')
+      .set('Authorization', staffToken);
+
+    expect(sweep.status).toBe(200);
+    expect(sweep.body).toMatchObject({ success: true, checked: 1, expired: [res.body.id] });
+    expect(await locksOf(res.body.id)).toBe(0);
+  });
+});
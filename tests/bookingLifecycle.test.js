@@ -0,0 +1,193 @@
+// Front-desk moves: the same rules whether a booking moves through its own
+// endpoint, the plain update or a service
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { applyTransition } = require('../services/bookingLifecycle');
+const bookingRoutes = require('../routes/bookings');
+const roomRoutes = require('../routes/rooms');
+const paymentRoutes = require('../routes/payments');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes, '/api/v1/rooms': roomRoutes, '/api/v1/payments': paymentRoutes });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setUTCHours(0, 0, 0, 0);
+  return admin.firestore.Timestamp.fromDate(date);
+};
+
+const seedBooking = (id, overrides = {}) => db.collection('bookings').doc(id).set({
+  roomId: 'r1',
+  roomType: 'Standard',
+  guestName: 'Test Guest',
+  guestPhone: '+256772000001',
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  totalPrice: 200000,
+  checkIn: daysFromNow(-1),
+  checkOut: daysFromNow(1),
+  ...overrides
+});
+
+const statusOf = async (id) => (await db.collection('bookings').doc(id).get()).data().status;
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+});
+
+describe('PUT /bookings/:id status', () => {
+  it.each([
+    ['checked_in', 'check-in'],
+    ['checked_out', 'check-out'],
+    ['cancelled', 'cancel'],
+    ['no_show', 'no-show']
+  ])('refuses %s and points to POST /%s', async (status, endpoint) => {
+    await seedBooking('b1');
+
+    const res = await request(app)
+      .put('/api/v1/bookings/b1')
+      .set('Authorization', staffToken)
+      .send({ status });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('USE_LIFECYCLE_ENDPOINT');
+    expect(res.body.error).toContain(`/bookings/b1/${endpoint}`);
+    expect(await statusOf('b1')).toBe('confirmed');
+  });
+});
+
+describe('POST /bookings/:id/cancel', () => {
+  it('records the refund owed on a paid booking', async () => {
+    await seedBooking('b1', { checkIn: daysFromNow(10), checkOut: daysFromNow(12) });
+    await db.collection('payments').add({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'paid' });
+
+    const res = await request(app)
+      .post('/api/v1/bookings/b1/cancel')
+      .set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ penalty: 0, refundable: 200000, refundStatus: 'due' });
+    expect(await statusOf('b1')).toBe('cancelled');
+    const refunds = await db.collection('payments').where('status', '==', 'refund_due').get();
+    expect(refunds.docs.map(doc => doc.data().amount)).toEqual([200000]);
+  });
+
+  it('voids unpaid charges so a late payment does not mark the booking paid', async () => {
+    await seedBooking('b1', { status: 'pending', paymentStatus: 'unpaid', checkIn: daysFromNow(10), checkOut: daysFromNow(12) });
+    const prompt = await db.collection('payments').add({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'pending', customer_reference: 'REF1' });
+    const scheduled = await db.collection('payments').add({ bookingId: 'b1', type: 'installment', amount: 100000, status: 'scheduled' });
+
+    const res = await request(app)
+      .post('/api/v1/bookings/b1/cancel')
+      .set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    expect((await prompt.get()).data()).toMatchObject({ status: 'void', voidReason: 'booking_cancelled' });
+    expect((await scheduled.get()).data().status).toBe('void');
+
+    await request(app).post('/api/v1/payments/webhook').send({ status: 'success', customer_reference: 'REF1' });
+
+    const booking = (await db.collection('bookings').doc('b1').get()).data();
+    expect(booking).toMatchObject({ status: 'cancelled', paymentStatus: 'unpaid' });
+  });
+});
+
+describe('check-out', () => {
+  it('waits for the folio to be settled', async () => {
+    await seedBooking('b1', { status: 'checked_in' });
+
+    const refused = await request(app)
+      .post('/api/v1/bookings/b1/check-out')
+      .set('Authorization', staffToken);
+    expect(refused.status).toBe(409);
+    expect(refused.body.code).toBe('FOLIO_UNSETTLED');
+
+    await db.collection('payments').add({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'paid' });
+    const res = await request(app)
+      .post('/api/v1/bookings/b1/check-out')
+      .set('Authorization', staffToken);
+    expect(res.status).toBe(200);
+    expect(await statusOf('b1')).toBe('checked_out');
+  });
+
+  it('keeps an unsettled guest in house when the room is made available', async () => {
+    await seedBooking('b1', { status: 'checked_in' });
+
+    const res = await request(app)
+      .put('/api/v1/rooms/r1')
+      .set('Authorization', staffToken)
+      .send({ status: 'Available' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('FOLIO_UNSETTLED');
+    expect(await statusOf('b1')).toBe('checked_in');
+  });
+
+  it('checks out nobody when one guest of the room is unsettled', async () => {
+    await seedBooking('b1', { status: 'checked_in' });
+    await seedBooking('b2', { status: 'checked_in' });
+    await db.collection('payments').add({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'paid' });
+
+    const res = await request(app)
+      .put('/api/v1/rooms/r1')
+      .set('Authorization', staffToken)
+      .send({ status: 'Maintenance' });
+
+    expect(res.status).toBe(409);
+    expect(await statusOf('b1')).toBe('checked_in');
+    expect(await statusOf('b2')).toBe('checked_in');
+    expect((await db.collection('rooms').doc('r1').get()).data().status).toBeUndefined();
+  });
+
+  it('checks out settled guests and changes the room together', async () => {
+    await seedBooking('b1', { status: 'checked_in' });
+    await db.collection('payments').add({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'paid' });
+
+    const res = await request(app)
+      .put('/api/v1/rooms/r1')
+      .set('Authorization', staffToken)
+      .send({ status: 'Maintenance' });
+
+    expect(res.status).toBe(200);
+    expect(await statusOf('b1')).toBe('checked_out');
+    expect((await db.collection('rooms').doc('r1').get()).data().status).toBe('Maintenance');
+  });
+});
+
+describe('front-desk rules on every transition', () => {
+  it('will not check in a booking without a room', async () => {
+    await seedBooking('b1', { roomId: null });
+
+    await expect(applyTransition('b1', 'checked_in', 'staff1')).rejects.toMatchObject({ status: 409, code: 'ROOM_NOT_ASSIGNED' });
+    expect(await statusOf('b1')).toBe('confirmed');
+  });
+
+  it('will not check in after the stay has ended', async () => {
+    await seedBooking('b1', { checkIn: daysFromNow(-3), checkOut: daysFromNow(-1) });
+
+    await expect(applyTransition('b1', 'checked_in', 'staff1')).rejects.toMatchObject({ status: 409, code: 'STAY_ENDED' });
+  });
+
+  it('will not mark a no-show before the arrival date', async () => {
+    await seedBooking('b1', { checkIn: daysFromNow(2), checkOut: daysFromNow(4) });
+
+    await expect(applyTransition('b1', 'no_show', 'staff1')).rejects.toMatchObject({ status: 409, code: 'ARRIVAL_NOT_DUE' });
+    expect(await statusOf('b1')).toBe('confirmed');
+  });
+
+  it('checks in a guest whose stay is under way', async () => {
+    await seedBooking('b1');
+
+    const res = await request(app)
+      .post('/api/v1/bookings/b1/check-in')
+      .set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    expect(await statusOf('b1')).toBe('checked_in');
+  });
+});
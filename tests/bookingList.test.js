@@ -0,0 +1,183 @@
+// GET /bookings and /bookings/me: server-side filters, guest search, cursor
+// pages, and rooms and guests joined without a read per row
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken, guestToken } = require('./support/app');
+const { searchKeywords } = require('../services/bookingSearch');
+const { createReadTracker } = require('../services/batchLoader');
+const bookingRoutes = require('../routes/bookings');
+const paymentRoutes = require('../routes/payments');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes, '/api/v1/payments': paymentRoutes });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const seedBooking = (id, { guestName, guestPhone, checkIn, ...overrides }) => db.collection('bookings').doc(id).set({
+  roomId: 'r1',
+  roomType: 'Standard',
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  guestName,
+  guestPhone,
+  checkIn: stamp(checkIn),
+  checkOut: admin.firestore.Timestamp.fromMillis(stamp(checkIn).toMillis() + DAY_MS),
+  createdAt: stamp(checkIn),
+  searchKeywords: searchKeywords({ guestName, guestPhone, confirmationCode: `MPT-${id.toUpperCase()}` }),
+  ...overrides
+});
+
+const list = (query, token = staffToken) => request(app).get('/api/v1/bookings').query(query).set('Authorization', token);
+const ids = (res) => res.body.bookings.map(b => b.id);
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000 });
+  await seedBooking('b1', { guestName: 'Ann Okello', guestPhone: '+256772000001', checkIn: '2031-05-01' });
+  await seedBooking('b2', { guestName: 'Ben Mukasa', guestPhone: '+256772000002', checkIn: '2031-05-02', status: 'pending', paymentStatus: 'unpaid' });
+  await seedBooking('b3', { guestName: 'Carol Okello', guestPhone: '+256772000003', checkIn: '2031-05-03', userId: 'guest1' });
+  await seedBooking('b4', { guestName: 'Dan Kato', guestPhone: '+256772000004', checkIn: '2031-05-04', status: 'cancelled' });
+});
+
+describe('GET /bookings filters', () => {
+  it('filters by status and payment status', async () => {
+    expect(ids(await list({ status: 'confirmed,pending', sort: 'checkIn' }))).toEqual(['b1', 'b2', 'b3']);
+    expect(ids(await list({ paymentStatus: 'unpaid' }))).toEqual(['b2']);
+  });
+
+  it('filters by a date range on the sort field', async () => {
+    const res = await list({ sort: 'checkIn', from: '2031-05-02', to: '2031-05-03' });
+
+    expect(ids(res)).toEqual(['b2', 'b3']);
+  });
+
+  it('refuses an unknown status', async () => {
+    const res = await list({ status: 'lost' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILTER');
+  });
+});
+
+describe('GET /bookings guest search', () => {
+  it('finds guests by a word of their name', async () => {
+    expect(ids(await list({ q: 'okel', sort: 'checkIn' }))).toEqual(['b1', 'b3']);
+  });
+
+  it('finds a guest by their phone as typed locally', async () => {
+    expect(ids(await list({ q: '0772 000002' }))).toEqual(['b2']);
+  });
+
+  it('finds a booking by its confirmation code', async () => {
+    expect(ids(await list({ q: 'mpt-b4' }))).toEqual(['b4']);
+  });
+});
+
+describe('GET /bookings cursor pages', () => {
+  it('walks every booking once, newest first', async () => {
+    const first = await list({ limit: 3 });
+    expect(ids(first)).toEqual(['b4', 'b3', 'b2']);
+    expect(first.body.hasMore).toBe(true);
+
+    const second = await list({ limit: 3, cursor: first.body.nextCursor });
+    expect(ids(second)).toEqual(['b1']);
+    expect(second.body).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('keeps its place when an earlier booking is added', async () => {
+    const first = await list({ limit: 2, sort: 'checkIn' });
+    await seedBooking('b0', { guestName: 'Eve Nakato', guestPhone: '+256772000005', checkIn: '2031-04-30' });
+
+    const second = await list({ limit: 2, sort: 'checkIn', cursor: first.body.nextCursor });
+    expect(ids(second)).toEqual(['b3', 'b4']);
+  });
+
+  it('refuses a cursor it did not issue', async () => {
+    const res = await list({ cursor: 'not-a-cursor' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+});
+
+describe('GET /bookings/me', () => {
+  it('lists only the caller\'s bookings whatever the query asks', async () => {
+    const res = await request(app).get('/api/v1/bookings/me').query({ userId: 'staff1' }).set('Authorization', guestToken);
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual(['b3']);
+  });
+});
+
+describe('list joins', () => {
+  const readCount = (res) => Number(res.headers['x-read-count']);
+
+  it('reads each room and guest of older bookings once per page', async () => {
+    await db.collection('users').doc('guest1').set({ name: 'Carol N. Okello', phoneNumber: '+256772000003' });
+
+    const res = await list({ sort: 'checkIn' });
+
+    expect(res.status).toBe(200);
+    expect(readCount(res)).toBe(4 + 1 + 1);
+    expect(res.body.bookings.map(b => b.roomName)).toEqual(Array(4).fill('101 - Standard'));
+    expect(res.body.bookings[2].guestName).toBe('Carol N. Okello');
+  });
+
+  it('renders bookings with snapshots without reading rooms or users', async () => {
+    for (const id of ['b1', 'b2', 'b3', 'b4']) {
+      await db.collection('bookings').doc(id).update({
+        roomSnapshot: { roomNumber: '101', type: 'Standard' },
+        guestSnapshot: { userId: null, name: `Guest ${id}`, phone: '+256772000009', email: null }
+      });
+    }
+    // The snapshot describes the booking as made
+    await db.collection('rooms').doc('r1').update({ roomNumber: '999' });
+
+    const res = await list({ sort: 'checkIn' });
+
+    expect(readCount(res)).toBe(4);
+    expect(res.body.bookings[0]).toMatchObject({ roomName: '101 - Standard', guestName: 'Guest b1' });
+    expect(res.body.bookings[0].searchKeywords).toBeUndefined();
+  });
+
+  it('stores the snapshots on a new booking', async () => {
+    const res = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', staffToken)
+      .send({
+        roomId: 'r1',
+        guestName: 'Fay Namu',
+        guestPhone: '0772000006',
+        paymentMethod: 'Cash',
+        receivedBy: 'Front desk',
+        checkIn: '2031-06-01',
+        checkOut: '2031-06-02'
+      });
+
+    expect(res.status).toBe(201);
+    const saved = (await db.collection('bookings').doc(res.body.id).get()).data();
+    expect(saved.roomSnapshot).toEqual({ roomNumber: '101', type: 'Standard' });
+    expect(saved.guestSnapshot).toMatchObject({ name: 'Fay Namu', phone: '+256772000006' });
+  });
+
+  it('reads each payer of the payment list once', async () => {
+    await db.collection('users').doc('guest1').set({ name: 'Carol N. Okello' });
+    await db.collection('payments').doc('p1').set({ userId: 'guest1', amount: 100000, status: 'paid', createdAt: stamp('2031-05-01') });
+    await db.collection('payments').doc('p2').set({ userId: 'guest1', amount: 50000, status: 'paid', createdAt: stamp('2031-05-02') });
+
+    const res = await request(app).get('/api/v1/payments').set('Authorization', staffToken);
+
+    expect(readCount(res)).toBe(2 + 1);
+    expect(res.body.payments.map(p => p.guest)).toEqual(['Carol N. Okello', 'Carol N. Okello']);
+  });
+
+  it('stops a request that goes over its read budget', () => {
+    const tracker = createReadTracker({ cap: 5 });
+    tracker.charge(5);
+
+    expect(() => tracker.charge(1)).toThrow(expect.objectContaining({ status: 503, code: 'READ_CAP_EXCEEDED' }));
+  });
+});
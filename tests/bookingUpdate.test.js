@@ -0,0 +1,125 @@
+// PUT /bookings/:id: changed stays meet the same stay restrictions as new
+// ones and are charged or refunded the difference in price
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const update = (body) => request(app)
+  .put('/api/v1/bookings/b1')
+  .set('Authorization', staffToken)
+  .send(body);
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2 });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '201', type: 'Deluxe', price: 150000, capacity: 2 });
+  await db.collection('bookings').doc('b1').set({
+    roomId: 'r1',
+    roomType: 'Standard',
+    status: 'confirmed',
+    adults: 2,
+    childAges: [],
+    totalPrice: 200000,
+    checkIn: stamp('2031-05-01'),
+    checkOut: stamp('2031-05-03')
+  });
+  await db.collection('stay_restrictions').doc('s1').set({ name: 'May', startDate: '2031-05-01', endDate: '2031-05-31', maxStay: 3 });
+  await db.collection('stay_restrictions').doc('s2').set({ roomType: 'Deluxe', startDate: '2031-05-01', endDate: '2031-05-31', minStay: 3 });
+});
+
+describe('PUT /bookings/:id stay restrictions', () => {
+  it('refuses new dates that break a restriction', async () => {
+    const res = await update({ checkOut: '2031-05-06' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('MAX_STAY_EXCEEDED');
+    expect((await db.collection('bookings').doc('b1').get()).data().checkOut).toEqual(stamp('2031-05-03'));
+  });
+
+  it('refuses a move to a room type the stay is too short for', async () => {
+    const res = await update({ roomId: 'r2' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('MIN_STAY_NOT_MET');
+  });
+
+  it('lets staff override with a reason and records who did', async () => {
+    const res = await update({ checkOut: '2031-05-06', restrictionOverride: { reason: 'Returning guest' } });
+
+    expect(res.status).toBe(200);
+    const saved = (await db.collection('bookings').doc('b1').get()).data();
+    expect(saved.restrictionOverride).toMatchObject({
+      rules: [{ code: 'MAX_STAY_EXCEEDED', restrictionId: 's1' }],
+      reason: 'Returning guest',
+      by: 'staff1'
+    });
+    const audit = await db.collection('audit_logs').where('bookingId', '==', 'b1').get();
+    expect(audit.docs.map(doc => doc.data())).toEqual([
+      expect.objectContaining({ action: 'OVERRIDE_STAY_RESTRICTION', reason: 'Returning guest', userId: 'staff1' })
+    ]);
+  });
+
+  it('asks for a reason to override', async () => {
+    const res = await update({ checkOut: '2031-05-06', restrictionOverride: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('OVERRIDE_REASON_REQUIRED');
+  });
+
+  it('does not check restrictions when the stay is unchanged', async () => {
+    await db.collection('stay_restrictions').doc('s1').update({ maxStay: 1 });
+
+    const res = await update({ guestName: 'New Name' });
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('PUT /bookings/:id repricing', () => {
+  const payments = async () => (await db.collection('payments').where('bookingId', '==', 'b1').get()).docs.map(doc => doc.data());
+
+  beforeEach(async () => {
+    await db.collection('bookings').doc('b1').update({ paymentStatus: 'paid', paymentMethod: 'Mobile Money', paymentPhone: '+256772000001' });
+    await db.collection('payments').doc('p1').set({ bookingId: 'b1', type: 'booking', amount: 200000, status: 'paid' });
+    axios.post.mockResolvedValue({ data: { success: true } });
+  });
+
+  it('asks for a top-up when a paid stay gets longer', async () => {
+    const res = await update({ checkOut: '2031-05-04' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalPrice: 300000, previousTotal: 200000, delta: 100000 });
+    expect((await db.collection('bookings').doc('b1').get()).data().paymentStatus).toBe('partial');
+    expect(await payments()).toContainEqual(expect.objectContaining({
+      type: 'top_up', status: 'pending', amount: 100000, reason: 'modification', phone: '+256772000001'
+    }));
+    expect(axios.post).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ amount: 100000 }), expect.anything());
+  });
+
+  it('replaces an unpaid top-up when the stay changes again', async () => {
+    await update({ checkOut: '2031-05-04' });
+    const res = await update({ checkIn: '2031-05-02', checkOut: '2031-05-04' });
+
+    expect(res.status).toBe(200);
+    const topUps = (await payments()).filter(p => p.type === 'top_up');
+    expect(topUps.map(p => p.status)).toEqual(['void']);
+    expect((await db.collection('bookings').doc('b1').get()).data().paymentStatus).toBe('paid');
+  });
+
+  it('owes the guest the difference when a paid stay gets shorter', async () => {
+    const res = await update({ checkOut: '2031-05-02' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.delta).toBe(-100000);
+    expect(await payments()).toContainEqual(expect.objectContaining({ type: 'refund', status: 'refund_due', amount: 100000 }));
+  });
+});
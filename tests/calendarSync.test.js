@@ -0,0 +1,128 @@
+// Importing partner calendars and blocking rooms for maintenance
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const path = require('path');
+const { db, admin } = require('../config/firebase');
+const { parseIcs } = require('../services/ical');
+const { addFeed, uploadToFeed } = require('../services/calendarSync');
+const { createMaintenanceBlock, removeMaintenanceBlock } = require('../services/roomBlocks');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'ical');
+
+const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(day(iso));
+
+const blocksOf = async (feedId) => {
+  const snapshot = await db.collection('room_blocks').where('feedId', '==', feedId).get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.start.toMillis() - b.start.toMillis());
+};
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(([uid, start, end]) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTART;VALUE=DATE:${start}`,
+    `DTEND;VALUE=DATE:${end}`,
+    'END:VEVENT'
+  ]),
+  'END:VCALENDAR'
+].join('\r\n');
+
+beforeEach(async () => {
+  db.reset();
+  process.env.ICAL_FIXTURE_DIR = FIXTURE_DIR;
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2 });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2 });
+});
+
+describe('parseIcs', () => {
+  it('dates UTC and TZID times on the hotel calendar', () => {
+    const text = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:late\nDTSTART:20310501T220000Z\nDTEND:20310502T220000Z\nEND:VEVENT\nEND:VCALENDAR';
+
+    expect(parseIcs(text, { zone: 'Africa/Kampala' })[0]).toMatchObject({ start: day('2031-05-02'), end: day('2031-05-03') });
+    expect(parseIcs(text, { zone: 'UTC' })[0]).toMatchObject({ start: day('2031-05-01'), end: day('2031-05-02') });
+  });
+
+  it('takes floating times at their written date', () => {
+    const text = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:f\nDTSTART:20310501T230000\nEND:VEVENT\nEND:VCALENDAR';
+
+    expect(parseIcs(text, { zone: 'Africa/Kampala' })[0]).toMatchObject({ start: day('2031-05-01'), end: day('2031-05-02') });
+  });
+});
+
+describe('calendar import', () => {
+  it('imports a fixture file on the hotel calendar', async () => {
+    const feed = await addFeed('r1', { name: 'Example Stays', url: `file://${path.join(FIXTURE_DIR, 'bookings.ics')}` });
+
+    expect(feed.events).toBe(3);
+    const blocks = await blocksOf(feed.id);
+    expect(blocks.map(block => [block.uid, block.start.toDate(), block.end.toDate()])).toEqual([
+      ['stay-a@example.com', day('2031-05-01'), day('2031-05-03')],
+      ['stay-b@example.com', day('2031-05-10'), day('2031-05-12')],
+      ['stay-c@example.com', day('2031-05-21'), day('2031-05-23')]
+    ]);
+    expect((await db.collection('room_type_inventory').doc('Standard').get()).exists).toBe(true);
+  });
+
+  it('refuses files outside ICAL_FIXTURE_DIR', async () => {
+    await expect(addFeed('r1', { name: 'Elsewhere', url: 'file:///etc/hosts' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_FEED_URL' });
+  });
+
+  it('keeps the block of an event that is still there and drops the rest', async () => {
+    const feed = await addFeed('r1', { name: 'Upload', ics: calendar(['a', '20310501', '20310503'], ['b', '20310510', '20310512']) });
+    const [blockA] = await blocksOf(feed.id);
+
+    await uploadToFeed(feed.id, calendar(['a', '20310502', '20310504'], ['c', '20310520', '20310521']));
+
+    const blocks = await blocksOf(feed.id);
+    expect(blocks.map(block => block.uid)).toEqual(['a', 'c']);
+    expect(blocks[0]).toMatchObject({ id: blockA.id, start: stamp('2031-05-02') });
+  });
+
+  it('leaves the old blocks in place when the new calendar cannot be imported', async () => {
+    const feed = await addFeed('r1', { name: 'Upload', ics: calendar(['a', '20310501', '20310503']) });
+    const tooMany = Array.from({ length: 500 }, (_, i) => [`e${i}`, '20310601', '20310602']);
+
+    await expect(uploadToFeed(feed.id, calendar(...tooMany)))
+      .rejects.toMatchObject({ status: 422, code: 'CALENDAR_TOO_LARGE' });
+
+    expect((await blocksOf(feed.id)).map(block => block.uid)).toEqual(['a']);
+  });
+});
+
+describe('maintenance blocks', () => {
+  it('locks the blocked nights until the block is removed', async () => {
+    const block = await createMaintenanceBlock('r1', { start: day('2031-05-01'), end: day('2031-05-03'), reason: 'Paint' });
+
+    const locks = await db.collection('room_nights').get();
+    expect(locks.docs.map(doc => doc.id).sort()).toEqual(['r1_2031-05-01', 'r1_2031-05-02']);
+    expect(locks.docs[0].data().blockId).toBe(block.id);
+    expect((await db.collection('room_type_inventory').doc('Standard').get()).exists).toBe(true);
+
+    await removeMaintenanceBlock('r1', block.id);
+
+    expect((await db.collection('room_nights').get()).size).toBe(0);
+  });
+
+  it('is refused while room-type reservations need the room', async () => {
+    await db.collection('bookings').doc('b1').set({ roomId: 'r2', roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-01'), checkOut: stamp('2031-05-03') });
+    await db.collection('bookings').doc('b2').set({ roomId: null, roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-02'), checkOut: stamp('2031-05-04') });
+
+    await expect(createMaintenanceBlock('r1', { start: day('2031-05-01'), end: day('2031-05-03') }))
+      .rejects.toMatchObject({ status: 409, code: 'ROOM_TYPE_OVERBOOKED' });
+    expect((await db.collection('room_blocks').get()).size).toBe(0);
+  });
+
+  it('is refused while a booking holds the room', async () => {
+    await db.collection('bookings').doc('b1').set({ roomId: 'r1', roomType: 'Standard', status: 'confirmed', checkIn: stamp('2031-05-02'), checkOut: stamp('2031-05-04'), confirmationCode: 'HX7K2M' });
+
+    await expect(createMaintenanceBlock('r1', { start: day('2031-05-01'), end: day('2031-05-03') }))
+      .rejects.toMatchObject({ status: 409, code: 'ROOM_BOOKED' });
+  });
+});
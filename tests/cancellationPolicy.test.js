@@ -0,0 +1,91 @@
+// What a cancellation refunds: only money paid for the room, and only once
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+
+const { admin } = require('../config/firebase');
+const { computeCancellation } = require('../services/cancellationPolicy');
+
+const booking = {
+  status: 'confirmed',
+  totalPrice: 300000,
+  checkIn: admin.firestore.Timestamp.fromDate(new Date('2031-05-01T00:00:00.000Z')),
+  checkOut: admin.firestore.Timestamp.fromDate(new Date('2031-05-04T00:00:00.000Z'))
+};
+const now = new Date('2031-04-01T00:00:00.000Z');
+
+describe('computeCancellation', () => {
+  it('refunds what was paid for the room', () => {
+    const quote = computeCancellation({
+      booking,
+      now,
+      payments: [{ type: 'booking', amount: 300000, status: 'paid' }]
+    });
+
+    expect(quote).toMatchObject({ amountPaid: 300000, refundable: 300000 });
+  });
+
+  it('leaves folio settlements out of the refund', () => {
+    const quote = computeCancellation({
+      booking,
+      now,
+      payments: [
+        { type: 'booking', amount: 300000, status: 'paid' },
+        { type: 'folio', amount: 40000, status: 'paid' }
+      ]
+    });
+
+    expect(quote).toMatchObject({ amountPaid: 300000, refundable: 300000 });
+  });
+
+  it('does not refund again what is already owed to the guest', () => {
+    const quote = computeCancellation({
+      booking: { ...booking, totalPrice: 200000 },
+      now,
+      payments: [
+        { type: 'booking', amount: 300000, status: 'paid' },
+        { type: 'refund', amount: 100000, status: 'refund_due' }
+      ]
+    });
+
+    expect(quote).toMatchObject({ amountPaid: 200000, refundable: 200000 });
+  });
+
+  it('keeps counting refunds once they are paid out', () => {
+    const quote = computeCancellation({
+      booking: { ...booking, totalPrice: 200000 },
+      now,
+      payments: [
+        { type: 'booking', amount: 300000, status: 'paid' },
+        { type: 'refund', amount: 100000, status: 'refunded' }
+      ]
+    });
+
+    expect(quote).toMatchObject({ amountPaid: 200000, refundable: 200000 });
+  });
+});
+
+describe('computeCancellation nights penalty', () => {
+  const rules = { tiers: [{ hoursBefore: 0, penalty: { type: 'nights', value: 1 } }] };
+
+  it('charges the first night at the rate it was booked at', () => {
+    const quote = computeCancellation({
+      booking: {
+        ...booking,
+        nightlyRates: [
+          { date: '2031-05-01', rate: 150000, source: 'season' },
+          { date: '2031-05-02', rate: 75000, source: 'base' },
+          { date: '2031-05-03', rate: 75000, source: 'base' }
+        ]
+      },
+      rules,
+      now
+    });
+
+    expect(quote.penalty).toBe(150000);
+  });
+
+  it('charges an average night when the booking has no nightly rates', () => {
+    const quote = computeCancellation({ booking, rules, now });
+
+    expect(quote.penalty).toBe(100000);
+  });
+});
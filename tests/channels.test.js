@@ -0,0 +1,136 @@
+// Booking channels and partners: who sent a booking and the commission owed
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken, guestToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+const partnerRoutes = require('../routes/partners');
+const dashboardRoutes = require('../routes/dashboard');
+
+const app = buildApp({
+  '/api/v1/bookings': bookingRoutes,
+  '/api/v1/partners': partnerRoutes,
+  '/api/v1/dashboard': dashboardRoutes
+});
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const book = (body, token = staffToken) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', token)
+  .send({
+    roomId: 'r1',
+    guestName: 'Test Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    checkOut: '2031-05-03',
+    ...body
+  });
+
+const saved = async (id) => (await db.collection('bookings').doc(id).get()).data();
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  await db.collection('partners').doc('ota1').set({ name: 'Booking Site', type: 'ota', commissionRate: 15, isActive: true });
+});
+
+describe('POST /bookings channel', () => {
+  it('attributes a partner booking and works out its commission', async () => {
+    const res = await book({ partnerId: 'ota1' });
+
+    expect(res.status).toBe(201);
+    expect(await saved(res.body.id)).toMatchObject({
+      channel: 'ota',
+      partnerId: 'ota1',
+      partnerName: 'Booking Site',
+      commissionRate: 15,
+      commissionAmount: 30000
+    });
+  });
+
+  it('lets staff agree another rate for one booking', async () => {
+    const res = await book({ partnerId: 'ota1', commissionRate: 10 });
+
+    expect(await saved(res.body.id)).toMatchObject({ commissionRate: 10, commissionAmount: 20000 });
+  });
+
+  it('records staff bookings as walk-ins and guest bookings as the website', async () => {
+    const desk = await book({});
+    const online = await book({ channel: 'ota', partnerId: 'ota1', paymentMethod: 'Mobile Money', checkIn: '2031-06-01', checkOut: '2031-06-02' }, guestToken);
+
+    expect(await saved(desk.body.id)).toMatchObject({ channel: 'walk_in', commissionRate: 0 });
+    expect(await saved(online.body.id)).toMatchObject({ channel: 'website', partnerId: null, commissionAmount: 0 });
+  });
+
+  it('needs a partner for an OTA booking', async () => {
+    const res = await book({ channel: 'ota' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PARTNER_REQUIRED');
+  });
+
+  it('refuses an inactive partner', async () => {
+    await db.collection('partners').doc('ota1').update({ isActive: false });
+
+    const res = await book({ partnerId: 'ota1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PARTNER_INACTIVE');
+  });
+});
+
+describe('GET /partners/:id/commissions', () => {
+  beforeEach(async () => {
+    const partnerBooking = { partnerId: 'ota1', channel: 'ota', commissionRate: 15, totalPrice: 200000, checkOut: stamp('2031-05-10') };
+    await db.collection('bookings').doc('b1').set({ ...partnerBooking, status: 'confirmed', checkIn: stamp('2031-05-01') });
+    await db.collection('bookings').doc('b2').set({ ...partnerBooking, status: 'cancelled', checkIn: stamp('2031-05-02') });
+    await db.collection('bookings').doc('b3').set({ ...partnerBooking, status: 'checked_out', checkIn: stamp('2031-06-01') });
+  });
+
+  it('owes commission on stays that earn revenue only', async () => {
+    const res = await request(app).get('/api/v1/partners/ota1/commissions').set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bookings.map(b => [b.id, b.commissionOwed])).toEqual([['b1', 30000], ['b2', 0], ['b3', 30000]]);
+    expect(res.body.data.totalOwed).toBe(60000);
+  });
+
+  it('limits the report to arrivals in a date range', async () => {
+    const res = await request(app)
+      .get('/api/v1/partners/ota1/commissions')
+      .query({ from: '2031-05-01', to: '2031-06-01' })
+      .set('Authorization', staffToken);
+
+    expect(res.body.data.totalOwed).toBe(30000);
+  });
+
+  it('refuses a date it cannot read', async () => {
+    const res = await request(app).get('/api/v1/partners/ota1/commissions').query({ from: 'soon' }).set('Authorization', staffToken);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /dashboard/stats channels', () => {
+  it('breaks bookings, revenue and commission down by channel', async () => {
+    const now = admin.firestore.Timestamp.now();
+    await db.collection('bookings').doc('b1').set({ channel: 'ota', partnerId: 'ota1', commissionRate: 15, status: 'confirmed', totalPrice: 200000, createdAt: now });
+    await db.collection('bookings').doc('b2').set({ channel: 'walk_in', status: 'checked_out', totalPrice: 100000, createdAt: now });
+    await db.collection('bookings').doc('b3').set({ channel: 'walk_in', status: 'cancelled', totalPrice: 100000, createdAt: now });
+    await db.collection('bookings').doc('b4').set({ status: 'confirmed', totalPrice: 50000, createdAt: now });
+
+    const res = await request(app).get('/api/v1/dashboard/stats').set('Authorization', staffToken);
+
+    expect(res.status).toBe(200);
+    const byChannel = Object.fromEntries(res.body.stats.channels.breakdown.map(entry => [entry.channel, entry]));
+    expect(byChannel.ota).toMatchObject({ bookings: 1, revenue: 200000, commission: 30000 });
+    expect(byChannel.walk_in).toMatchObject({ bookings: 2, revenue: 100000, commission: 0 });
+    expect(byChannel.unknown).toMatchObject({ bookings: 1, revenue: 50000 });
+    expect(res.body.stats.channels.commissionTotal).toBe(30000);
+  });
+});
@@ -0,0 +1,84 @@
+// Occupancy-based pricing rules: the preview, and repricing a modified booking
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+const rateRoutes = require('../routes/rates');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes, '/api/v1/rates': rateRoutes });
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const highDemand = {
+  name: 'High demand',
+  roomType: null,
+  trigger: 'occupancy',
+  min: 50,
+  max: null,
+  adjustment: { type: 'percent', value: 50 },
+  priority: 0
+};
+
+const seedBooking = (id, roomId, checkIn, checkOut) => db.collection('bookings').doc(id).set({
+  roomId,
+  roomType: 'Standard',
+  status: 'confirmed',
+  adults: 2,
+  childAges: [],
+  totalPrice: 100000,
+  checkIn: stamp(checkIn),
+  checkOut: stamp(checkOut)
+});
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  // Half the Standard rooms are sold on the night of 2 May
+  await seedBooking('b2', 'r2', '2031-05-02', '2031-05-03');
+});
+
+describe('POST /rates/rules/preview', () => {
+  it('shows each night at the forecast occupancy with and without the rule', async () => {
+    await db.collection('price_limits').doc('Standard').set({ roomType: 'Standard', floor: null, ceiling: 140000 });
+
+    const res = await request(app)
+      .post('/api/v1/rates/rules/preview')
+      .set('Authorization', staffToken)
+      .send({ changes: highDemand, from: '2031-05-01', to: '2031-05-03' });
+
+    expect(res.status).toBe(200);
+    const [standard] = res.body.data.roomTypes;
+    expect(standard.roomType).toBe('Standard');
+    expect(standard.nights).toEqual([
+      expect.objectContaining({ date: '2031-05-01', occupancy: 0, currentRate: 100000, proposedRate: 100000, difference: 0 }),
+      // +50% is held to the room type's ceiling
+      expect.objectContaining({ date: '2031-05-02', occupancy: 50, currentRate: 100000, proposedRate: 140000, difference: 40000 })
+    ]);
+    expect(await db.collection('pricing_rules').get()).toHaveProperty('size', 0);
+  });
+});
+
+describe('PUT /bookings/:id with an occupancy rule', () => {
+  beforeEach(async () => {
+    await db.collection('pricing_rules').doc('p1').set({ ...highDemand, isActive: true });
+  });
+
+  it('does not count the booking being changed towards its own price', async () => {
+    await seedBooking('b1', 'r1', '2031-05-01', '2031-05-02');
+
+    const res = await request(app)
+      .put('/api/v1/bookings/b1')
+      .set('Authorization', staffToken)
+      .send({ checkOut: '2031-05-03' });
+
+    expect(res.status).toBe(200);
+    // 1 May: only this booking, so no surcharge; 2 May: b2 makes it 50%
+    expect(res.body.totalPrice).toBe(250000);
+    const saved = (await db.collection('bookings').doc('b1').get()).data();
+    expect(saved.nightlyRates.map(night => night.rate)).toEqual([100000, 150000]);
+  });
+});
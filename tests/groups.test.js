@@ -0,0 +1,137 @@
+// POST /groups: what a guest may set, and the rules every room of a group meets
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken, guestToken } = require('./support/app');
+const groupRoutes = require('../routes/groups');
+const bookingRoutes = require('../routes/bookings');
+const paymentRoutes = require('../routes/payments');
+
+const app = buildApp({
+  '/api/v1/groups': groupRoutes,
+  '/api/v1/bookings': bookingRoutes,
+  '/api/v1/payments': paymentRoutes
+});
+
+const group = {
+  leadGuestName: 'Lead Guest',
+  leadGuestPhone: '0772000001',
+  paymentMethod: 'Cash',
+  receivedBy: 'Front desk',
+  checkIn: '2031-05-01',
+  checkOut: '2031-05-03',
+  rooms: [{ roomId: 'r1', adults: 2 }, { roomType: 'Standard', adults: 1 }]
+};
+
+const create = (token, body) => request(app).post('/api/v1/groups').set('Authorization', token).send(body);
+
+const members = async () => (await db.collection('bookings').get()).docs.map(doc => doc.data());
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2 });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2 });
+  await db.collection('rooms').doc('r3').set({ roomNumber: '103', type: 'Standard', price: 100000, capacity: 2, status: 'Maintenance' });
+});
+
+describe('POST /groups', () => {
+  it('keeps a guest group pending and unpaid whatever the body says', async () => {
+    const res = await create(guestToken, { ...group, status: 'confirmed', paymentStatus: 'paid' });
+
+    expect(res.status).toBe(201);
+    for (const booking of await members()) {
+      expect(booking).toMatchObject({ status: 'pending', paymentStatus: 'unpaid' });
+      expect(booking.holdExpiresAt).not.toBeNull();
+    }
+    const payments = await db.collection('payments').get();
+    expect(payments.docs[0].data().status).toBe('pending');
+  });
+
+  it('lets staff record a confirmed group paid at the desk', async () => {
+    const res = await create(staffToken, { ...group, status: 'confirmed', paymentStatus: 'paid' });
+
+    expect(res.status).toBe(201);
+    for (const booking of await members()) {
+      expect(booking).toMatchObject({ status: 'confirmed', paymentStatus: 'paid', holdExpiresAt: null });
+    }
+  });
+
+  it('refuses a room that is out of service', async () => {
+    const res = await create(staffToken, { ...group, rooms: [{ roomId: 'r3', adults: 2 }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ROOM_NOT_SELLABLE');
+    expect(await members()).toEqual([]);
+  });
+
+  it('refuses rooms whose stay breaks a restriction', async () => {
+    await db.collection('stay_restrictions').doc('s1').set({ startDate: '2031-05-01', endDate: '2031-05-31', minStay: 3 });
+
+    const res = await create(staffToken, group);
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('MIN_STAY_NOT_MET');
+    expect(await members()).toEqual([]);
+  });
+
+  it('lets staff override a restriction for the group and audits each room', async () => {
+    await db.collection('stay_restrictions').doc('s1').set({ startDate: '2031-05-01', endDate: '2031-05-31', minStay: 3 });
+
+    const res = await create(staffToken, { ...group, restrictionOverride: { reason: 'Wedding party' } });
+
+    expect(res.status).toBe(201);
+    for (const booking of await members()) {
+      expect(booking.restrictionOverride).toMatchObject({ reason: 'Wedding party', rules: [{ code: 'MIN_STAY_NOT_MET', restrictionId: 's1' }] });
+    }
+    const audit = await db.collection('audit_logs').where('action', '==', 'OVERRIDE_STAY_RESTRICTION').get();
+    expect(audit.size).toBe(2);
+  });
+
+  it('does not let a guest override a restriction', async () => {
+    await db.collection('stay_restrictions').doc('s1').set({ startDate: '2031-05-01', endDate: '2031-05-31', minStay: 3 });
+
+    const res = await create(guestToken, { ...group, restrictionOverride: { reason: 'Please' } });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('OVERRIDE_NOT_ALLOWED');
+  });
+});
+
+describe('cancelling one room of an unpaid group', () => {
+  it('takes the room off the combined payment before it is settled', async () => {
+    const created = await create(guestToken, group);
+    const [cancelledId, keptId] = created.body.bookingIds;
+
+    const res = await request(app)
+      .post(`/api/v1/bookings/${cancelledId}/cancel`)
+      .set('Authorization', staffToken);
+    expect(res.status).toBe(200);
+    expect(res.body.group).toMatchObject({ activeRooms: 1, status: 'partially_cancelled' });
+
+    const paymentDoc = (await db.collection('payments').get()).docs[0];
+    const payment = paymentDoc.data();
+    expect(payment).toMatchObject({ status: 'pending', amount: 200000, bookingIds: [keptId], allocations: { [keptId]: 200000 } });
+    expect(payment.allocations[cancelledId]).toBeUndefined();
+
+    await request(app)
+      .post('/api/v1/payments/webhook')
+      .send({ status: 'success', customer_reference: payment.customer_reference });
+
+    const bookings = await db.collection('bookings').get();
+    const byId = Object.fromEntries(bookings.docs.map(doc => [doc.id, doc.data()]));
+    expect(byId[keptId]).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+    expect(byId[cancelledId]).toMatchObject({ status: 'cancelled', paymentStatus: 'unpaid' });
+  });
+
+  it('voids the combined payment with the last room', async () => {
+    const created = await create(guestToken, group);
+    for (const id of created.body.bookingIds) {
+      await request(app).post(`/api/v1/bookings/${id}/cancel`).set('Authorization', staffToken);
+    }
+
+    const payment = (await db.collection('payments').get()).docs[0].data();
+    expect(payment).toMatchObject({ status: 'void', voidReason: 'booking_cancelled' });
+  });
+});
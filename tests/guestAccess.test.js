@@ -0,0 +1,138 @@
+// Guest self-service: token signing and how errors reach the guest
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+jest.mock('../services/cancellationPolicy', () => ({
+  ...jest.requireActual('../services/cancellationPolicy'),
+  quoteCancellation: jest.fn()
+}));
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp } = require('./support/app');
+const { httpError } = require('../utils/httpError');
+const { quoteCancellation } = require('../services/cancellationPolicy');
+const { issueGuestToken } = require('../services/guestAccess');
+const guestRoutes = require('../routes/guest');
+
+const app = buildApp({ '/api/v1/guest': guestRoutes });
+
+describe('guest token secret', () => {
+  const configured = process.env.GUEST_TOKEN_SECRET;
+  afterEach(() => { process.env.GUEST_TOKEN_SECRET = configured; });
+
+  it('answers 503 on the guest endpoints without GUEST_TOKEN_SECRET', async () => {
+    delete process.env.GUEST_TOKEN_SECRET;
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+
+    await jest.isolateModulesAsync(async () => {
+      const { buildApp: build } = require('./support/app');
+      const routes = require('../routes/guest');
+      const guestApp = build({ '/api/v1/guest': routes });
+
+      const lookup = await request(guestApp)
+        .post('/api/v1/guest/lookup')
+        .send({ code: 'MPT-ABC123', surname: 'Guest' });
+      expect(lookup.status).toBe(503);
+      expect(lookup.body.code).toBe('GUEST_ACCESS_DISABLED');
+
+      const booking = await request(guestApp)
+        .get('/api/v1/guest/booking')
+        .set('Authorization', 'Bearer some-token');
+      expect(booking.status).toBe(503);
+    });
+  });
+});
+
+describe('GET /guest/booking/cancellation', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('bookings').doc('b1').set({
+      status: 'confirmed',
+      totalPrice: 200000,
+      checkIn: admin.firestore.Timestamp.fromDate(new Date('2031-05-01T00:00:00.000Z')),
+      checkOut: admin.firestore.Timestamp.fromDate(new Date('2031-05-03T00:00:00.000Z'))
+    });
+  });
+
+  it('passes on the status and code of a known error', async () => {
+    quoteCancellation.mockRejectedValueOnce(httpError(409, 'BOOKING_LOCKED', 'Booking is being changed'));
+
+    const res = await request(app)
+      .get('/api/v1/guest/booking/cancellation')
+      .set('Authorization', `Bearer ${issueGuestToken('b1')}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Booking is being changed', code: 'BOOKING_LOCKED' });
+  });
+
+  it('answers 500 for anything unexpected', async () => {
+    quoteCancellation.mockRejectedValueOnce(new Error('boom'));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    const res = await request(app)
+      .get('/api/v1/guest/booking/cancellation')
+      .set('Authorization', `Bearer ${issueGuestToken('b1')}`);
+
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /guest/lookup', () => {
+  beforeEach(async () => {
+    db.reset();
+    const stay = {
+      status: 'confirmed',
+      guestPhone: '+256772000001',
+      groupId: 'g1',
+      checkIn: admin.firestore.Timestamp.fromDate(new Date('2031-05-01T00:00:00.000Z')),
+      checkOut: admin.firestore.Timestamp.fromDate(new Date('2031-05-03T00:00:00.000Z'))
+    };
+    await db.collection('bookings').doc('b1').set({ ...stay, guestName: 'Ann Okello', confirmationCode: 'MPT-AAA22' });
+    await db.collection('bookings').doc('b2').set({ ...stay, guestName: 'Ben Okello', confirmationCode: 'MPT-BBB33' });
+    await db.collection('booking_groups').doc('g1').set({
+      bookingIds: ['b1', 'b2'],
+      leadGuest: { name: 'Carol Mukasa', phone: '+256772000001' },
+      confirmationCode: 'MPT-GGG44'
+    });
+    await db.collection('confirmation_codes').doc('MPT-AAA22').set({ bookingId: 'b1' });
+    await db.collection('confirmation_codes').doc('MPT-BBB33').set({ bookingId: 'b2' });
+    await db.collection('confirmation_codes').doc('MPT-GGG44').set({ groupId: 'g1' });
+  });
+
+  const lookup = (body) => request(app).post('/api/v1/guest/lookup').send(body);
+
+  it('finds the first room of a group from the group code and the lead guest', async () => {
+    const res = await lookup({ code: 'MPT-GGG44', surname: 'Mukasa' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ id: 'b1', confirmationCode: 'MPT-AAA22' });
+  });
+
+  it('returns every room of a two-room group, each with its own token', async () => {
+    const res = await lookup({ code: 'MPT-GGG44', phone: '0772000001' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.group).toMatchObject({ id: 'g1', confirmationCode: 'MPT-GGG44' });
+    expect(res.body.group.rooms.map(room => room.booking.confirmationCode)).toEqual(['MPT-AAA22', 'MPT-BBB33']);
+
+    const second = await request(app)
+      .get('/api/v1/guest/booking')
+      .set('Authorization', `Bearer ${res.body.group.rooms[1].token}`);
+    expect(second.status).toBe(200);
+    expect(second.body.booking).toMatchObject({ id: 'b2', guestName: 'Ben Okello' });
+  });
+
+  it('still finds a room from its own code', async () => {
+    const res = await lookup({ code: 'MPT-BBB33', phone: '0772000001' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.id).toBe('b2');
+    expect(res.body.group).toBeUndefined();
+  });
+
+  it('does not match a group code to someone else', async () => {
+    const res = await lookup({ code: 'MPT-GGG44', surname: 'Kato' });
+
+    expect(res.status).toBe(404);
+  });
+});
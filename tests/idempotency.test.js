@@ -0,0 +1,74 @@
+// Idempotency-Key: which responses are replayed and which release the key
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+
+const express = require('express');
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp } = require('./support/app');
+const { idempotent } = require('../middleware/idempotency');
+
+// Answers with the status and body it is told to, counting the real runs
+let runs = 0;
+const router = express.Router();
+router.post('/', idempotent('test.echo'), (req, res) => {
+  runs += 1;
+  res.status(req.body.status);
+  if (req.body.send) return res.type('text/plain').send(`run ${runs}`);
+  if (req.body.end) return res.end();
+  return res.json({ run: runs });
+});
+const app = buildApp({ '/echo': router });
+
+const post = (body) => request(app).post('/echo').set('Idempotency-Key', 'key-1').send(body);
+
+beforeEach(() => {
+  db.reset();
+  runs = 0;
+});
+
+describe('idempotent', () => {
+  it.each([201, 400, 422])('replays a %i response', async (status) => {
+    await post({ status });
+    const res = await post({ status });
+
+    expect(res.status).toBe(status);
+    expect(res.body).toEqual({ run: 1 });
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(runs).toBe(1);
+  });
+
+  it.each([404, 409, 500])('releases the key after a %i response', async (status) => {
+    await post({ status });
+    const res = await post({ status });
+
+    expect(res.body).toEqual({ run: 2 });
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(runs).toBe(2);
+  });
+
+  it('replays responses sent with res.send', async () => {
+    await post({ status: 200, send: true });
+    const res = await post({ status: 200, send: true });
+
+    expect(res.text).toBe('run 1');
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(runs).toBe(1);
+  });
+
+  it('replays responses ended without a body', async () => {
+    await post({ status: 204, end: true });
+    const res = await post({ status: 204, end: true });
+
+    expect(res.status).toBe(204);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(runs).toBe(1);
+  });
+
+  it('rejects a key reused for a different body', async () => {
+    await post({ status: 201 });
+    const res = await post({ status: 201, other: true });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
@@ -0,0 +1,115 @@
+// Invoice taxes: shown out of the prices the folio charged, never added on top
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { validateTaxes, computeTaxes, buildInvoice, buildReceipt } = require('../services/invoices');
+const paymentRoutes = require('../routes/payments');
+
+const app = buildApp({ '/api/v1/payments': paymentRoutes });
+
+const stamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+describe('computeTaxes', () => {
+  it('takes every tax out of the subtotal', () => {
+    const taxes = computeTaxes(118000, [{ name: 'VAT', rate: 18 }]);
+
+    expect(taxes).toEqual({ lines: [{ name: 'VAT', rate: 18, inclusive: true, amount: 18000 }], total: 118000 });
+  });
+});
+
+describe('validateTaxes', () => {
+  it('refuses a tax added on top of the prices', () => {
+    expect(() => validateTaxes([{ name: 'VAT', rate: 18 }, { name: 'Levy', rate: 2, inclusive: false }]))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_TAXES' }));
+  });
+
+  it('accepts taxes included in the prices', () => {
+    expect(() => validateTaxes([{ name: 'VAT', rate: 18 }, { name: 'Levy', rate: 2, inclusive: true }])).not.toThrow();
+  });
+});
+
+describe('buildInvoice', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('bookings').doc('b1').set({
+      guestName: 'Test Guest',
+      roomType: 'Standard',
+      status: 'checked_out',
+      totalPrice: 240000,
+      checkIn: stamp('2031-05-01'),
+      checkOut: stamp('2031-05-03')
+    });
+    await db.collection('payments').doc('p1').set({ bookingId: 'b1', amount: 240000, status: 'paid' });
+  });
+
+  it('leaves nothing due on a settled folio when taxes were saved as added', async () => {
+    await db.collection('settings').doc('hotel_settings').set({
+      taxes: [{ name: 'VAT', rate: 18, inclusive: true }, { name: 'Tourism levy', rate: 2, inclusive: false }]
+    });
+
+    const invoice = await buildInvoice('b1');
+
+    expect(invoice).toMatchObject({ subtotal: 240000, total: 240000, paid: 240000, balanceDue: 0 });
+    expect(invoice.taxes).toEqual([
+      { name: 'VAT', rate: 18, inclusive: true, amount: 36000 },
+      { name: 'Tourism levy', rate: 2, inclusive: true, amount: 4000 }
+    ]);
+  });
+});
+
+describe('document numbers', () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('bookings').doc('b1').set({
+      guestName: 'Test Guest',
+      confirmationCode: 'MPA-7K2Q9X',
+      status: 'confirmed',
+      totalPrice: 240000,
+      checkIn: stamp('2031-05-01'),
+      checkOut: stamp('2031-05-03')
+    });
+    await db.collection('payments').doc('p1').set({ bookingId: 'b1', amount: 240000, status: 'paid' });
+  });
+
+  const counter = async (name) => (await db.collection('counters').doc(name).get()).data().next;
+
+  it('issues an invoice number once however often the invoice is rendered', async () => {
+    const [first, second] = await Promise.all([buildInvoice('b1'), buildInvoice('b1')]);
+    const third = await buildInvoice('b1');
+
+    expect(first.number).toBe('INV-000001');
+    expect([second.number, third.number]).toEqual(['INV-000001', 'INV-000001']);
+    expect(third.issuedAt).toBe(first.issuedAt);
+    expect(await counter('invoices')).toBe(2);
+  });
+
+  it('keeps the receipt number across repeated downloads', async () => {
+    const first = await request(app).get('/api/v1/payments/p1/receipt').set('Authorization', staffToken);
+    const second = await request(app).get('/api/v1/payments/p1/receipt').set('Authorization', staffToken);
+
+    expect(first.status).toBe(200);
+    expect(first.text).toContain('RCT-000001');
+    expect(second.text).toContain('RCT-000001');
+    expect(second.text).not.toContain('RCT-000002');
+    expect(await counter('receipts')).toBe(2);
+  });
+
+  it('names the booking by its confirmation code', async () => {
+    const [receipt, invoice] = [await buildReceipt('p1'), await buildInvoice('b1')];
+
+    expect(receipt.items[0].description).toBe('Payment for booking MPA-7K2Q9X');
+    expect(invoice.stay.confirmationCode).toBe('MPA-7K2Q9X');
+  });
+
+  it('names a group payment by the group code', async () => {
+    await db.collection('booking_groups').doc('g1').set({ confirmationCode: 'MPA-G4R8T2' });
+    await db.collection('payments').doc('p2').set({ groupId: 'g1', bookingIds: ['b1'], amount: 240000, status: 'paid' });
+
+    const receipt = await buildReceipt('p2');
+
+    expect(receipt.items[0].description).toBe('Group reservation MPA-G4R8T2');
+  });
+});
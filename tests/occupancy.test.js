@@ -0,0 +1,110 @@
+// Adults and children: checked against what a room holds and charged the
+// hotel's child and extra-person surcharges
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const book = (body) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    guestName: 'Family Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    checkOut: '2031-05-03',
+    ...body
+  });
+
+const saved = async (id) => (await db.collection('bookings').doc(id).get()).data();
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('settings').doc('hotel_settings').set({
+    occupancyRules: { childMaxAge: 11, infantMaxAge: 2, includedGuests: 2, extraAdultPerNight: 30000, extraChildPerNight: 15000 }
+  });
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 3, maxAdults: 2 });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '201', type: 'Family', price: 150000, capacity: 2 });
+  await db.collection('rooms').doc('r3').set({ roomNumber: '202', type: 'Family', price: 150000, capacity: 4 });
+});
+
+describe('POST /bookings party', () => {
+  it('records adults, children and their ages', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [8] });
+
+    expect(res.status).toBe(201);
+    expect(await saved(res.body.id)).toMatchObject({ adults: 2, children: 1, childAges: [8], guests: 3 });
+  });
+
+  it('reads a request with only `guests` as that many adults', async () => {
+    const res = await book({ roomId: 'r1', guests: 2 });
+
+    expect(res.status).toBe(201);
+    expect(await saved(res.body.id)).toMatchObject({ adults: 2, children: 0, guests: 2 });
+  });
+
+  it('refuses ages it cannot read', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [25] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_OCCUPANCY');
+  });
+});
+
+describe('POST /bookings capacity', () => {
+  it('refuses more guests than the room holds', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [5, 7] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('OVER_CAPACITY');
+  });
+
+  it('counts an older child as an adult', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [14] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('OVER_CAPACITY');
+  });
+
+  it('does not give an infant a place', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [8, 1] });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('books a room type in a room of that type that holds the party', async () => {
+    const res = await book({ roomType: 'Family', adults: 3 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalPrice).toBe(150000 * 2 + 30000 * 2);
+  });
+
+  it('refuses a room type none of whose rooms hold the party', async () => {
+    const res = await book({ roomType: 'Family', adults: 5 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('OVER_CAPACITY');
+  });
+});
+
+describe('POST /bookings surcharges', () => {
+  it('charges a child beyond the included guests per night', async () => {
+    const res = await book({ roomId: 'r1', adults: 2, childAges: [8] });
+
+    expect(res.body.totalPrice).toBe(230000);
+    expect(res.body.priceBreakdown).toContainEqual({ unit: 'extra_child', count: 2, rate: 15000, amount: 30000 });
+  });
+
+  it('charges nothing for an infant or within the included guests', async () => {
+    const res = await book({ roomId: 'r1', adults: 1, childAges: [8, 1] });
+
+    expect(res.body.totalPrice).toBe(200000);
+  });
+});
@@ -0,0 +1,134 @@
+// Which bookings a payment settles, and how far
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const paymentRoutes = require('../routes/payments');
+const { expireBooking } = require('../services/bookingExpiry');
+
+const app = buildApp({ '/api/v1/payments': paymentRoutes });
+
+const stamp = iso => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const bookingOf = async (id) => (await db.collection('bookings').doc(id).get()).data();
+
+const installment = (index, status, from, to) => ({
+  bookingId: 'b1',
+  type: 'installment',
+  amount: 700000,
+  status,
+  customer_reference: `ref-${index}`,
+  installment: { index, count: 2, final: index === 1, from: stamp(from), to: stamp(to), nights: 7 }
+});
+
+const webhook = (reference, status) => request(app)
+  .post('/api/v1/payments/webhook')
+  .send({ status, customer_reference: reference, provider_transaction_id: `tx-${reference}`, message: status });
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('bookings').doc('b1').set({
+    status: 'confirmed',
+    paymentStatus: 'partial',
+    billingCycle: 'weekly',
+    totalPrice: 1400000,
+    checkIn: stamp('2031-05-01'),
+    checkOut: stamp('2031-05-15')
+  });
+});
+
+describe('installment payments', () => {
+  it('leaves the booking partly paid while an earlier period is unpaid', async () => {
+    await db.collection('payments').doc('i0').set(installment(0, 'failed', '2031-05-01', '2031-05-08'));
+    await db.collection('payments').doc('i1').set(installment(1, 'pending', '2031-05-08', '2031-05-15'));
+
+    await webhook('ref-1', 'success');
+
+    expect((await bookingOf('b1')).paymentStatus).toBe('partial');
+  });
+
+  it('marks the booking paid once every period is paid', async () => {
+    await db.collection('payments').doc('i0').set(installment(0, 'success', '2031-05-01', '2031-05-08'));
+    await db.collection('payments').doc('i1').set(installment(1, 'pending', '2031-05-08', '2031-05-15'));
+
+    await webhook('ref-1', 'success');
+
+    expect((await bookingOf('b1')).paymentStatus).toBe('paid');
+  });
+
+  it('keeps earlier periods paid when a later one fails', async () => {
+    await db.collection('payments').doc('i0').set(installment(0, 'success', '2031-05-01', '2031-05-08'));
+    await db.collection('payments').doc('i1').set(installment(1, 'pending', '2031-05-08', '2031-05-15'));
+
+    const res = await request(app)
+      .put('/api/v1/payments/i1')
+      .set('Authorization', staffToken)
+      .send({ status: 'failed' });
+
+    expect(res.status).toBe(200);
+    expect((await bookingOf('b1')).paymentStatus).toBe('partial');
+  });
+});
+
+describe('refunds', () => {
+  it('do not change the booking they are paid back for', async () => {
+    await db.collection('bookings').doc('b1').update({ status: 'cancelled', paymentStatus: 'refund_due' });
+    await db.collection('payments').doc('r1').set({ bookingId: 'b1', type: 'refund', amount: 700000, status: 'refund_due' });
+
+    const res = await request(app)
+      .put('/api/v1/payments/r1')
+      .set('Authorization', staffToken)
+      .send({ status: 'paid' });
+
+    expect(res.status).toBe(200);
+    expect(await bookingOf('b1')).toMatchObject({ status: 'cancelled', paymentStatus: 'refund_due' });
+  });
+});
+
+describe('a hold that lapses while its payment arrives', () => {
+  beforeEach(async () => {
+    await db.collection('bookings').doc('h1').set({
+      status: 'pending',
+      paymentStatus: 'pending',
+      roomId: 'r1',
+      totalPrice: 200000,
+      checkIn: stamp('2031-06-01'),
+      checkOut: stamp('2031-06-03'),
+      holdExpiresAt: stamp('2031-01-01')
+    });
+    for (const night of ['2031-06-01', '2031-06-02']) {
+      await db.collection('room_nights').doc(`r1_${night}`).set({ roomId: 'r1', night, bookingId: 'h1' });
+    }
+    await db.collection('payments').doc('p1').set({
+      bookingId: 'h1', amount: 200000, status: 'pending', customer_reference: 'ref-h1'
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('is not confirmed when the sweeper expires it between the read and the commit', async () => {
+    // The sweeper commits after the webhook's reads but before its writes
+    const runTransaction = db.runTransaction.bind(db);
+    jest.spyOn(db, 'runTransaction').mockImplementationOnce(fn => runTransaction(async (transaction) => {
+      const result = await fn(transaction);
+      await expireBooking('h1', new Date('2031-01-02T00:00:00.000Z'));
+      return result;
+    }));
+
+    const res = await webhook('ref-h1', 'success');
+
+    expect(res.status).toBe(200);
+    expect(await bookingOf('h1')).toMatchObject({ status: 'expired', paymentStatus: 'paid', paidAfterExpiry: true });
+    expect((await db.collection('payments').doc('p1').get()).data().status).toBe('success');
+    expect((await db.collection('room_nights').where('bookingId', '==', 'h1').get()).empty).toBe(true);
+  });
+
+  it('is confirmed when the payment arrives first', async () => {
+    await webhook('ref-h1', 'success');
+
+    expect(await bookingOf('h1')).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+    expect(await expireBooking('h1', new Date('2031-01-02T00:00:00.000Z'))).toBe(false);
+  });
+});
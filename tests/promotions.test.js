@@ -0,0 +1,200 @@
+// Promo codes: usage limits, and uses given back by expired or cancelled bookings
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const { expirePendingBookings } = require('../services/bookingExpiry');
+const bookingRoutes = require('../routes/bookings');
+const promotionRoutes = require('../routes/promotions');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes, '/api/v1/promotions': promotionRoutes });
+
+const createCode = (fields) => request(app)
+  .post('/api/v1/promotions')
+  .set('Authorization', staffToken)
+  .send({ code: 'SPRING', campaign: 'Spring', discount: { type: 'percent', value: 10 }, validFrom: '2020-01-01', ...fields });
+
+const book = (overrides = {}) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    roomType: 'Standard',
+    guestName: 'Test Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    checkOut: '2031-05-03',
+    promoCode: 'spring',
+    ...overrides
+  });
+
+const codeDoc = async () => (await db.collection('promo_codes').get()).docs[0].data();
+
+beforeEach(async () => {
+  db.reset();
+  for (const id of ['r1', 'r2', 'r3']) {
+    await db.collection('rooms').doc(id).set({ roomNumber: id, type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  }
+});
+
+describe('promo code limits', () => {
+  it('takes the discount off and counts the use', async () => {
+    await createCode({ maxUses: 5 });
+
+    const res = await book();
+
+    expect(res.status).toBe(201);
+    const booking = (await db.collection('bookings').doc(res.body.id).get()).data();
+    expect(booking.totalPrice).toBe(180000);
+    expect(booking.promotion).toMatchObject({ code: 'SPRING', amount: 20000 });
+    expect((await codeDoc()).usedCount).toBe(1);
+  });
+
+  it('refuses a code once it is used up', async () => {
+    await createCode({ maxUses: 1 });
+    expect((await book()).status).toBe(201);
+
+    const res = await book({ guestPhone: '0772000002' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('PROMO_USED_UP');
+  });
+
+  it('refuses a guest who already used the code', async () => {
+    await createCode({ maxUsesPerGuest: 1 });
+    expect((await book()).status).toBe(201);
+
+    const res = await book({ checkIn: '2031-06-01', checkOut: '2031-06-03' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('PROMO_GUEST_LIMIT');
+  });
+
+  it('refuses a stay shorter than the code needs', async () => {
+    await createCode({ minNights: 3 });
+
+    const res = await book();
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('PROMO_MIN_NIGHTS');
+  });
+});
+
+describe('creating codes', () => {
+  it('creates a code once when two requests race for it', async () => {
+    const results = await Promise.all([createCode({}), createCode({ code: ' spring ' })]);
+
+    expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(results.find(res => res.status === 409).body.code).toBe('PROMO_CODE_TAKEN');
+    const codes = await db.collection('promo_codes').get();
+    expect(codes.docs.map(doc => doc.id)).toEqual(['SPRING']);
+  });
+
+  it('refuses a code saved before codes were keyed by name', async () => {
+    await db.collection('promo_codes').doc('legacy1').set({ code: 'SPRING', campaign: 'Old', discount: { type: 'percent', value: 5 } });
+
+    const res = await createCode({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PROMO_CODE_TAKEN');
+  });
+});
+
+describe('giving a use back', () => {
+  it('releases the use of a cancelled booking', async () => {
+    await createCode({ maxUses: 1, maxUsesPerGuest: 1 });
+    const first = await book({ status: 'confirmed' });
+
+    const cancelled = await request(app)
+      .post(`/api/v1/bookings/${first.body.id}/cancel`)
+      .set('Authorization', staffToken);
+    expect(cancelled.status).toBe(200);
+
+    expect((await codeDoc()).usedCount).toBe(0);
+    const redemption = (await db.collection('promo_redemptions').doc(first.body.id).get()).data();
+    expect(redemption).toMatchObject({ voided: true, voidReason: 'booking_cancelled' });
+    // Both the overall and the guest's limit are free again
+    expect((await book({ checkIn: '2031-06-01', checkOut: '2031-06-03' })).status).toBe(201);
+  });
+
+  it('releases the use of an expired hold', async () => {
+    await createCode({ maxUses: 1 });
+    const held = await book();
+
+    const { expired } = await expirePendingBookings({ now: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000) });
+
+    expect(expired).toEqual([held.body.id]);
+    expect((await codeDoc()).usedCount).toBe(0);
+    const redemption = (await db.collection('promo_redemptions').doc(held.body.id).get()).data();
+    expect(redemption).toMatchObject({ voided: true, voidReason: 'booking_expired' });
+  });
+
+  it('leaves given-back uses out of the code\'s discount total', async () => {
+    await createCode({});
+    const kept = await book();
+    const cancelled = await book({ checkIn: '2031-06-01', checkOut: '2031-06-03' });
+    await request(app).post(`/api/v1/bookings/${cancelled.body.id}/cancel`).set('Authorization', staffToken);
+
+    const codeId = (await db.collection('promo_codes').get()).docs[0].id;
+    const res = await request(app).get(`/api/v1/promotions/${codeId}/redemptions`).set('Authorization', staffToken);
+
+    expect(res.body.data.redemptions).toHaveLength(2);
+    expect(res.body.data.discountTotal).toBe(20000);
+    expect(kept.status).toBe(201);
+  });
+});
+
+describe('changing a booking made with a code', () => {
+  const change = (id, body) => request(app)
+    .put(`/api/v1/bookings/${id}`)
+    .set('Authorization', staffToken)
+    .send(body);
+
+  const bookingOf = async (id) => (await db.collection('bookings').doc(id).get()).data();
+  const redemptionOf = async (id) => (await db.collection('promo_redemptions').doc(id).get()).data();
+
+  it('keeps the discount while the stay still meets the code\'s terms', async () => {
+    await createCode({ minNights: 2, roomTypes: ['Standard'] });
+    const booked = await book({ checkOut: '2031-05-04' });
+
+    const res = await change(booked.body.id, { checkOut: '2031-05-03' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalPrice).toBe(180000);
+    expect((await bookingOf(booked.body.id)).promotion).toMatchObject({ code: 'SPRING', minNights: 2, amount: 20000 });
+    expect((await redemptionOf(booked.body.id)).discount).toBe(20000);
+  });
+
+  it('drops the discount when the stay is cut below the minimum nights', async () => {
+    await createCode({ minNights: 2 });
+    const booked = await book();
+    expect(booked.body.totalPrice).toBe(180000);
+
+    const res = await change(booked.body.id, { checkOut: '2031-05-02' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalPrice).toBe(100000);
+    const booking = await bookingOf(booked.body.id);
+    expect(booking.promotion).toBeNull();
+    expect(booking.priceBreakdown.some(line => line.unit === 'discount')).toBe(false);
+    expect(await redemptionOf(booked.body.id)).toMatchObject({ discount: 0, voided: true, voidReason: 'terms_not_met' });
+    expect((await codeDoc()).usedCount).toBe(0);
+  });
+
+  it('drops the discount when the booking moves to a room type the code leaves out', async () => {
+    await db.collection('rooms').doc('d1').set({ roomNumber: 'd1', type: 'Deluxe', price: 150000, capacity: 2, isActive: true });
+    await createCode({ roomTypes: ['Standard'] });
+    const booked = await book();
+
+    const res = await change(booked.body.id, { roomId: 'd1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalPrice).toBe(300000);
+    expect((await bookingOf(booked.body.id)).promotion).toBeNull();
+    expect(await redemptionOf(booked.body.id)).toMatchObject({ discount: 0, voided: true });
+    expect((await codeDoc()).usedCount).toBe(0);
+  });
+});
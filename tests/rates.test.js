@@ -0,0 +1,99 @@
+// Seasons and one-night overrides: which price a night is sold at
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+const rateRoutes = require('../routes/rates');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes, '/api/v1/rates': rateRoutes });
+
+const post = (path, body) => request(app).post(`/api/v1/rates/${path}`).set('Authorization', staffToken).send(body);
+
+// Thursday 1 May to Monday 5 May: Friday and Saturday are weekend nights
+const book = (body = {}) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    roomId: 'r1',
+    guestName: 'Test Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    checkIn: '2031-05-01',
+    checkOut: '2031-05-05',
+    ...body
+  });
+
+const nights = (res) => res.body.nightlyRates.map(night => [night.date, night.rate, night.source]);
+
+let narrowSeasonId;
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  await post('seasons', { roomType: 'Standard', name: 'May', startDate: '2031-05-01', endDate: '2031-05-31', price: 120000, weekendPrice: 150000 });
+  narrowSeasonId = (await post('seasons', { roomType: 'Standard', name: 'Festival', startDate: '2031-05-02', endDate: '2031-05-03', price: 130000 })).body.data.id;
+  await post('overrides', { roomType: 'Standard', date: '2031-05-03', price: 90000, reason: 'Local event' });
+});
+
+describe('night prices', () => {
+  it('takes an override over any season, and the narrowest season over wider ones', async () => {
+    const res = await book();
+
+    expect(res.status).toBe(201);
+    expect(nights(res)).toEqual([
+      ['2031-05-01', 120000, 'season'],
+      ['2031-05-02', 130000, 'season'],
+      ['2031-05-03', 90000, 'override'],
+      ['2031-05-04', 120000, 'season']
+    ]);
+    expect(res.body.totalPrice).toBe(460000);
+  });
+
+  it('charges a season\'s weekend price on Friday and Saturday nights', async () => {
+    await request(app).delete(`/api/v1/rates/seasons/${narrowSeasonId}`).set('Authorization', staffToken);
+
+    const res = await book();
+
+    expect(nights(res)[1]).toEqual(['2031-05-02', 150000, 'season_weekend']);
+  });
+
+  it('replaces the override for a night rather than adding another', async () => {
+    const res = await post('overrides', { roomType: 'Standard', date: '2031-05-03', price: 95000 });
+
+    expect(res.status).toBe(200);
+    expect(nights(await book())[2]).toEqual(['2031-05-03', 95000, 'override']);
+  });
+
+  it('applies the rate plan on top of the night\'s price', async () => {
+    const plan = await post('plans', { name: 'Member', adjustment: { type: 'percent', value: -10 } });
+
+    const res = await book({ ratePlanId: plan.body.data.id });
+
+    expect(nights(res).map(([, rate]) => rate)).toEqual([108000, 117000, 81000, 108000]);
+  });
+
+  it('uses the room\'s price outside every season', async () => {
+    const res = await book({ checkIn: '2031-06-01', checkOut: '2031-06-02' });
+
+    expect(nights(res)).toEqual([['2031-06-01', 100000, 'base']]);
+  });
+});
+
+describe('POST /rates/seasons', () => {
+  it('refuses a season that ends before it starts', async () => {
+    const res = await post('seasons', { roomType: 'Standard', startDate: '2031-07-10', endDate: '2031-07-01', price: 120000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RATE');
+  });
+
+  it('refuses a room type the hotel does not have', async () => {
+    const res = await post('seasons', { roomType: 'Suite', startDate: '2031-07-01', endDate: '2031-07-10', price: 120000 });
+
+    expect(res.status).toBe(400);
+  });
+});
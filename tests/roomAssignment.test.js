@@ -0,0 +1,55 @@
+// Giving a room-type reservation its room, by hand or automatically
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const assign = (roomId) => request(app)
+  .post('/api/v1/bookings/b1/assign-room')
+  .set('Authorization', staffToken)
+  .send(roomId ? { roomId } : {});
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true, status: 'Maintenance' });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2, isActive: false });
+  await db.collection('rooms').doc('r3').set({ roomNumber: '103', type: 'Standard', price: 100000, capacity: 2 });
+  await db.collection('bookings').doc('b1').set({
+    roomId: null,
+    roomType: 'Standard',
+    status: 'confirmed',
+    adults: 2,
+    childAges: [],
+    checkIn: admin.firestore.Timestamp.fromDate(new Date('2031-05-01T00:00:00.000Z')),
+    checkOut: admin.firestore.Timestamp.fromDate(new Date('2031-05-03T00:00:00.000Z'))
+  });
+});
+
+describe('POST /bookings/:id/assign-room', () => {
+  it.each(['r1', 'r2'])('refuses room %s that is out of service', async (roomId) => {
+    const res = await assign(roomId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ROOM_NOT_SELLABLE');
+    expect((await db.collection('bookings').doc('b1').get()).data().roomId).toBeNull();
+  });
+
+  it('assigns a sellable room by hand', async () => {
+    const res = await assign('r3');
+
+    expect(res.status).toBe(200);
+    expect((await db.collection('bookings').doc('b1').get()).data()).toMatchObject({ roomId: 'r3', roomAssignment: 'manual' });
+  });
+
+  it('only picks sellable rooms automatically', async () => {
+    const res = await assign(null);
+
+    expect(res.status).toBe(200);
+    expect((await db.collection('bookings').doc('b1').get()).data()).toMatchObject({ roomId: 'r3', roomAssignment: 'auto' });
+  });
+});
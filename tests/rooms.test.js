@@ -0,0 +1,53 @@
+// Live room status follows the front desk: a room is occupied by a guest who
+// checked in, not by a booking whose dates have started
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp } = require('./support/app');
+const roomRoutes = require('../routes/rooms');
+
+const app = buildApp({ '/api/v1/rooms': roomRoutes });
+
+const stamp = iso => admin.firestore.Timestamp.fromDate(new Date(`${iso}T00:00:00.000Z`));
+
+const atHotelTime = (iso) => jest.useFakeTimers({
+  now: new Date(iso),
+  doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+});
+
+const roomStatus = async () => (await request(app).get('/api/v1/rooms/r1')).body.data;
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('settings').doc('hotel_settings').set({ timezone: 'Africa/Kampala' });
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  await db.collection('bookings').doc('b1').set({
+    roomId: 'r1',
+    status: 'confirmed',
+    checkIn: stamp('2031-05-02'),
+    checkOut: stamp('2031-05-04'),
+    checkInDate: '2031-05-02',
+    checkOutDate: '2031-05-04'
+  });
+});
+
+afterEach(() => jest.useRealTimers());
+
+describe('GET /rooms/:id status', () => {
+  it('keeps the room available for a confirmed guest who has not arrived', async () => {
+    // 18:00 on 2 May in Kampala, past the 14:00 check-in time
+    atHotelTime('2031-05-02T15:00:00.000Z');
+
+    expect(await roomStatus()).toMatchObject({ status: 'Available', nextAvailable: null });
+  });
+
+  it('is occupied once the guest checks in, until the check-out time in the hotel timezone', async () => {
+    await db.collection('bookings').doc('b1').update({ status: 'checked_in' });
+    atHotelTime('2031-05-02T15:00:00.000Z');
+
+    // 11:00 on 4 May in Kampala
+    expect(await roomStatus()).toMatchObject({ status: 'Occupied', nextAvailable: '2031-05-04T08:00:00.000Z' });
+  });
+});
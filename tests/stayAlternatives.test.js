@@ -0,0 +1,85 @@
+// POST /bookings on a stay that cannot be sold answers with ranked, priced
+// alternatives
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const book = (body) => request(app)
+  .post('/api/v1/bookings')
+  .set('Authorization', staffToken)
+  .send({
+    guestName: 'Test Guest',
+    guestPhone: '0772000001',
+    paymentMethod: 'Cash',
+    receivedBy: 'Front desk',
+    status: 'confirmed',
+    checkIn: '2031-05-10',
+    checkOut: '2031-05-12',
+    ...body
+  });
+
+const summary = (alternatives) => alternatives.map(a => [a.rank, a.type, a.roomType, a.checkIn]);
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+  await db.collection('rooms').doc('r2').set({ roomNumber: '201', type: 'Deluxe', price: 120000, capacity: 2, isActive: true });
+});
+
+describe('POST /bookings alternatives', () => {
+  it('ranks a slightly dearer room type on the same dates before moved dates', async () => {
+    await book({ roomId: 'r1' });
+    const res = await book({ roomId: 'r1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ROOM_TYPE_UNAVAILABLE');
+    expect(summary(res.body.alternatives)).toEqual([
+      [1, 'room_type', 'Deluxe', '2031-05-10'],
+      [2, 'shifted_dates', 'Standard', '2031-05-08'],
+      [3, 'shifted_dates', 'Standard', '2031-05-12'],
+      [4, 'shifted_dates', 'Standard', '2031-05-07'],
+      [5, 'shifted_dates', 'Standard', '2031-05-13']
+    ]);
+    expect(res.body.alternatives[0]).toMatchObject({ totalPrice: 240000, priceDifference: 40000 });
+    expect(res.body.alternatives[1]).toMatchObject({ shiftDays: -2, totalPrice: 200000, priceDifference: 0 });
+  });
+
+  it('ranks nearby dates first when the other type costs much more', async () => {
+    await db.collection('rooms').doc('r2').update({ price: 300000 });
+    await book({ roomId: 'r1' });
+
+    const res = await book({ roomId: 'r1' });
+
+    expect(summary(res.body.alternatives).slice(0, 3)).toEqual([
+      [1, 'shifted_dates', 'Standard', '2031-05-08'],
+      [2, 'shifted_dates', 'Standard', '2031-05-12'],
+      [3, 'shifted_dates', 'Standard', '2031-05-07']
+    ]);
+    // Paying 400000 more ranks below every moved date
+    expect(res.body.alternatives.map(a => a.type)).not.toContain('room_type');
+  });
+
+  it('offers a split stay across two rooms of the type', async () => {
+    await db.collection('rooms').doc('r3').set({ roomNumber: '102', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+    // r1 is taken the first night, r3 the second
+    await book({ roomId: 'r1', checkOut: '2031-05-11' });
+    await book({ roomId: 'r3', checkIn: '2031-05-11' });
+
+    const res = await book({ roomId: 'r1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.alternatives.find(a => a.type === 'split_stay')).toMatchObject({
+      totalPrice: 200000,
+      segments: [
+        { roomId: 'r3', checkIn: '2031-05-10', checkOut: '2031-05-11' },
+        { roomId: 'r1', checkIn: '2031-05-11', checkOut: '2031-05-12' }
+      ]
+    });
+  });
+});
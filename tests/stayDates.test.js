@@ -0,0 +1,128 @@
+// Stay dates are hotel calendar dates, including on bookings stored before
+// `checkInDate`/`checkOutDate` existed
+jest.mock('../config/firebase', () => require('./support/memoryFirestore').createFirebase());
+jest.mock('axios');
+
+const request = require('supertest');
+const { db, admin } = require('../config/firebase');
+const { buildApp, staffToken } = require('./support/app');
+const bookingRoutes = require('../routes/bookings');
+const { stayClockFrom, bookingStayDates } = require('../services/stayDates');
+const { computeCancellation } = require('../services/cancellationPolicy');
+const { backfillStayDates } = require('../scripts/backfillStayDates');
+
+const app = buildApp({ '/api/v1/bookings': bookingRoutes });
+
+const at = iso => admin.firestore.Timestamp.fromDate(new Date(iso));
+const clock = stayClockFrom({ timezone: 'Africa/Kampala' });
+
+// Saved by the old code: the guest's local midnight of 2 May and 4 May in
+// Kampala (UTC+3), with no hotel-local date fields
+const legacyBooking = {
+  roomId: 'r1',
+  status: 'confirmed',
+  totalPrice: 200000,
+  checkIn: at('2031-05-01T21:00:00.000Z'),
+  checkOut: at('2031-05-03T21:00:00.000Z')
+};
+
+beforeEach(async () => {
+  db.reset();
+  await db.collection('settings').doc('hotel_settings').set({ timezone: 'Africa/Kampala' });
+  await db.collection('rooms').doc('r1').set({ roomNumber: '101', type: 'Standard', price: 100000, capacity: 2, isActive: true });
+});
+
+describe('POST /bookings stay dates', () => {
+  it('books the hotel-local date of a date-time', async () => {
+    const res = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', staffToken)
+      .send({
+        roomId: 'r1',
+        guestName: 'Test Guest',
+        guestPhone: '0772000001',
+        paymentMethod: 'Cash',
+        receivedBy: 'Front desk',
+        checkIn: '2031-05-01T22:30:00.000Z',
+        checkOut: '2031-05-03'
+      });
+
+    expect(res.status).toBe(201);
+    const saved = (await db.collection('bookings').doc(res.body.id).get()).data();
+    expect(saved).toMatchObject({ checkInDate: '2031-05-02', checkOutDate: '2031-05-03' });
+    expect(saved.checkIn.toDate().toISOString()).toBe('2031-05-02T00:00:00.000Z');
+  });
+});
+
+describe('front desk times in the hotel timezone', () => {
+  const atHotelTime = (iso) => jest.useFakeTimers({
+    now: new Date(iso),
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+  });
+  afterEach(() => jest.useRealTimers());
+
+  const noShow = () => request(app).post('/api/v1/bookings/old/no-show').set('Authorization', staffToken);
+
+  beforeEach(async () => {
+    await db.collection('bookings').doc('old').set(legacyBooking);
+  });
+
+  it('waits for the check-in time on the hotel\'s arrival date of a legacy booking', async () => {
+    // 13:00 on 2 May in Kampala
+    atHotelTime('2031-05-02T10:00:00.000Z');
+
+    const res = await noShow();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ARRIVAL_NOT_DUE');
+  });
+
+  it('marks the no-show once the check-in time has passed', async () => {
+    // 14:30 on 2 May in Kampala
+    atHotelTime('2031-05-02T11:30:00.000Z');
+
+    const res = await noShow();
+
+    expect(res.status).toBe(200);
+    expect((await db.collection('bookings').doc('old').get()).data().status).toBe('no_show');
+  });
+});
+
+describe('legacy bookings', () => {
+  it('reads the stay dates in the hotel timezone', () => {
+    const { checkIn, checkOut } = bookingStayDates(legacyBooking, clock);
+
+    expect(checkIn.toISOString()).toBe('2031-05-02T00:00:00.000Z');
+    expect(checkOut.toISOString()).toBe('2031-05-04T00:00:00.000Z');
+  });
+
+  it('counts cancellation hours from the check-in time on the arrival date', () => {
+    const quote = computeCancellation({ booking: legacyBooking, clock, now: new Date('2031-05-01T11:00:00.000Z') });
+
+    // 14:00 on 2 May in Kampala is 11:00 UTC
+    expect(quote.hoursBeforeCheckIn).toBe(24);
+  });
+
+  it('backfills the dates and midnight timestamps once', async () => {
+    await db.collection('bookings').doc('old').set(legacyBooking);
+    await db.collection('bookings').doc('new').set({
+      ...legacyBooking,
+      checkIn: at('2031-06-01T00:00:00.000Z'),
+      checkOut: at('2031-06-02T00:00:00.000Z'),
+      checkInDate: '2031-06-01',
+      checkOutDate: '2031-06-02'
+    });
+
+    const dryRun = await backfillStayDates({ dryRun: true });
+    expect(dryRun.updated).toEqual([{ id: 'old', checkInDate: '2031-05-02', checkOutDate: '2031-05-04' }]);
+    expect((await db.collection('bookings').doc('old').get()).data().checkInDate).toBeUndefined();
+
+    await backfillStayDates();
+    const saved = (await db.collection('bookings').doc('old').get()).data();
+    expect(saved).toMatchObject({ checkInDate: '2031-05-02', checkOutDate: '2031-05-04' });
+    expect(saved.checkIn.toDate().toISOString()).toBe('2031-05-02T00:00:00.000Z');
+    expect(saved.checkOut.toDate().toISOString()).toBe('2031-05-04T00:00:00.000Z');
+
+    expect((await backfillStayDates()).updated).toEqual([]);
+  });
+});
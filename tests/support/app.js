@@ -0,0 +1,18 @@
+// tests/support/app.js
+// An Express app with the given routers mounted, as server.js mounts them.
+// Tests mock config/firebase with ./memoryFirestore before requiring this.
+const express = require('express');
+const { tokenFor } = require('./memoryFirestore');
+
+const buildApp = (mounts) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.text({ type: ['text/calendar', 'text/plain'] }));
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+  return app;
+};
+
+const staffToken = tokenFor({ uid: 'staff1', role: 'admin' });
+const guestToken = tokenFor({ uid: 'guest1', role: 'customer' });
+
+module.exports = { buildApp, tokenFor, staffToken, guestToken };
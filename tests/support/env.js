@@ -0,0 +1,4 @@
+// tests/support/env.js
+// Environment the services read at load time
+process.env.GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET || 'test-guest-token-secret';
+process.env.HOTEL_TIMEZONE = process.env.HOTEL_TIMEZONE || 'Africa/Kampala';
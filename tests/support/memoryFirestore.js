@@ -0,0 +1,353 @@
+// tests/support/memoryFirestore.js
+// In-memory stand-in for config/firebase: the parts of the Firestore and Auth
+// APIs the services use. Transactions are optimistic: every document a
+// transaction reads is checked again at commit, and the transaction is rerun
+// if another write got there first, so concurrent bookings really race.
+const MAX_ATTEMPTS = 5;
+
+let autoId = 0;
+const newId = () => `id${(++autoId).toString(36).padStart(6, '0')}`;
+
+class Timestamp {
+  constructor(ms) { this._ms = ms; }
+  static fromDate(date) { return new Timestamp(date.getTime()); }
+  static fromMillis(ms) { return new Timestamp(ms); }
+  static now() { return new Timestamp(Date.now()); }
+  toDate() { return new Date(this._ms); }
+  toMillis() { return this._ms; }
+  valueOf() { return this._ms; }
+}
+
+const SENTINEL = Symbol('fieldValue');
+const FieldValue = {
+  serverTimestamp: () => ({ [SENTINEL]: 'timestamp' }),
+  arrayUnion: (...values) => ({ [SENTINEL]: 'union', values }),
+  arrayRemove: (...values) => ({ [SENTINEL]: 'remove', values }),
+  increment: (n) => ({ [SENTINEL]: 'increment', n }),
+  delete: () => ({ [SENTINEL]: 'delete' })
+};
+const DOC_ID = '__name__';
+const FieldPath = { documentId: () => DOC_ID };
+
+const isPlain = (value) => value && typeof value === 'object' && !(value instanceof Timestamp) && !Array.isArray(value);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlain(value) && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+// A written value with field transforms applied against the previous value
+const resolve = (previous, value) => {
+  if (value && value[SENTINEL]) {
+    switch (value[SENTINEL]) {
+      case 'timestamp': return Timestamp.now();
+      case 'increment': return (previous || 0) + value.n;
+      case 'union': {
+        const list = Array.isArray(previous) ? [...previous] : [];
+        value.values.forEach(v => { if (!list.some(x => same(x, v))) list.push(clone(v)); });
+        return list;
+      }
+      case 'remove': return (Array.isArray(previous) ? previous : []).filter(x => !value.values.some(v => same(x, v)));
+      default: return undefined;
+    }
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(v => resolve(undefined, v));
+  if (isPlain(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined || (v && v[SENTINEL] === 'delete')) continue;
+      out[k] = resolve(previous && previous[k], v);
+    }
+    return out;
+  }
+  return value;
+};
+
+const getPath = (data, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), data);
+const setPath = (data, path, value) => {
+  const parts = path.split('.');
+  let o = data;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlain(o[part])) o[part] = {};
+    o = o[part];
+  }
+  const last = parts[parts.length - 1];
+  if (value && value[SENTINEL] === 'delete') delete o[last];
+  else o[last] = resolve(o[last], value);
+};
+
+const compare = (a, b) => {
+  const norm = (x) => (x instanceof Timestamp ? x._ms : x);
+  a = norm(a);
+  b = norm(b);
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const matches = (x, op, v) => {
+  switch (op) {
+    case '==': return x !== undefined && compare(x, v) === 0;
+    case '!=': return x !== undefined && compare(x, v) !== 0;
+    case 'in': return v.some(y => compare(x, y) === 0);
+    case 'not-in': return x !== undefined && !v.some(y => compare(x, y) === 0);
+    case 'array-contains': return Array.isArray(x) && x.some(y => compare(y, v) === 0);
+    case 'array-contains-any': return Array.isArray(x) && x.some(y => v.some(z => compare(y, z) === 0));
+    default:
+      if (x === undefined || x === null) return false;
+      if (op === '<') return compare(x, v) < 0;
+      if (op === '<=') return compare(x, v) <= 0;
+      if (op === '>') return compare(x, v) > 0;
+      if (op === '>=') return compare(x, v) >= 0;
+      throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this._data = data;
+    this.exists = data !== undefined;
+  }
+  data() { return clone(this._data); }
+  get(field) { return getPath(this._data, field); }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+  forEach(fn) { this.docs.forEach(fn); }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+  get parent() { return new CollectionReference(this._db, this.path.split('/').slice(0, -1).join('/')); }
+  collection(name) { return new CollectionReference(this._db, `${this.path}/${name}`); }
+  async get() { return this._db._snapshot(this); }
+  async set(data, options) { this._db._commit([{ type: 'set', ref: this, data, options }]); }
+  async create(data) { this._db._commit([{ type: 'create', ref: this, data }]); }
+  async update(data) { this._db._commit([{ type: 'update', ref: this, data }]); }
+  async delete() { this._db._commit([{ type: 'delete', ref: this }]); }
+  isEqual(other) { return other.path === this.path; }
+}
+
+class Query {
+  constructor(db, path, { filters = [], orders = [], limit = null, after = null, group = false } = {}) {
+    this._db = db;
+    this._path = path;
+    this._spec = { filters, orders, limit, after, group };
+  }
+  _with(changes) { return new Query(this._db, this._path, { ...this._spec, ...changes }); }
+  where(field, op, value) { return this._with({ filters: [...this._spec.filters, [field, op, value]] }); }
+  orderBy(field, dir = 'asc') { return this._with({ orders: [...this._spec.orders, [field, dir]] }); }
+  limit(n) { return this._with({ limit: n }); }
+  startAfter(...values) { return this._with({ after: values }); }
+
+  _run() {
+    const { filters, orders, limit, after, group } = this._spec;
+    const sortBy = orders.length > 0 ? orders : [[DOC_ID, 'asc']];
+    const rows = [];
+    for (const [path, data] of this._db._docs) {
+      const parts = path.split('/');
+      const inCollection = group ? parts[parts.length - 2] === this._path : parts.slice(0, -1).join('/') === this._path;
+      if (!inCollection) continue;
+      const ref = new DocumentReference(this._db, path);
+      const value = (field) => (field === DOC_ID ? ref.id : getPath(data, field));
+      if (!filters.every(([field, op, v]) => matches(value(field), op, v))) continue;
+      if (orders.some(([field]) => field !== DOC_ID && value(field) === undefined)) continue;
+      rows.push({ ref, value });
+    }
+    rows.sort((a, b) => {
+      for (const [field, dir] of sortBy) {
+        const c = compare(a.value(field), b.value(field));
+        if (c) return dir === 'desc' ? -c : c;
+      }
+      return compare(a.ref.id, b.ref.id);
+    });
+
+    let result = rows;
+    if (after) {
+      const cursor = after.length === 1 && after[0] instanceof DocumentSnapshot
+        ? sortBy.map(([field]) => (field === DOC_ID ? after[0].id : after[0].get(field)))
+        : after;
+      result = result.filter(row => {
+        for (let i = 0; i < cursor.length; i++) {
+          const [field, dir] = sortBy[i];
+          const c = compare(row.value(field), cursor[i]);
+          if (c) return dir === 'desc' ? c < 0 : c > 0;
+        }
+        return false;
+      });
+    }
+    if (limit !== null) result = result.slice(0, limit);
+    return result.map(row => row.ref);
+  }
+
+  async get() {
+    return new QuerySnapshot(this._run().map(ref => this._db._snapshot(ref)));
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: this._with({ limit: null })._run().length }) }) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+  doc(id) { return new DocumentReference(this._db, `${this._path}/${id || newId()}`); }
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+const aborted = () => Object.assign(new Error('Transaction conflict'), { code: 10 });
+
+class Firestore {
+  constructor() {
+    this._docs = new Map();
+    this._versions = new Map();
+    // Transactions rerun because another write committed first
+    this.conflicts = 0;
+  }
+  reset() {
+    this._docs.clear();
+    this._versions.clear();
+    this.conflicts = 0;
+  }
+  collection(path) { return new CollectionReference(this, path); }
+  collectionGroup(id) { return new Query(this, id, { group: true }); }
+  doc(path) { return new DocumentReference(this, path); }
+  async getAll(...refs) { return refs.map(ref => this._snapshot(ref)); }
+
+  _snapshot(ref) { return new DocumentSnapshot(ref, clone(this._docs.get(ref.path))); }
+  _version(path) { return this._versions.get(path) || 0; }
+
+  // Apply writes atomically; `reads` (path -> version) must be unchanged
+  _commit(ops, reads = new Map()) {
+    for (const [path, version] of reads) {
+      if (this._version(path) !== version) throw aborted();
+    }
+    const next = new Map();
+    const current = (path) => (next.has(path) ? next.get(path) : this._docs.get(path));
+    for (const { type, ref, data, options } of ops) {
+      const existing = current(ref.path);
+      if (type === 'delete') {
+        next.set(ref.path, undefined);
+      } else if (type === 'create' && existing !== undefined) {
+        throw Object.assign(new Error(`ALREADY_EXISTS: ${ref.path}`), { code: 6 });
+      } else if (type === 'update' && existing === undefined) {
+        throw Object.assign(new Error(`NOT_FOUND: ${ref.path}`), { code: 5 });
+      } else if (type === 'update' || (type === 'set' && options && options.merge && existing)) {
+        const merged = clone(existing || {});
+        Object.entries(data).forEach(([field, value]) => setPath(merged, field, value));
+        next.set(ref.path, merged);
+      } else {
+        next.set(ref.path, resolve(undefined, data));
+      }
+    }
+    for (const [path, data] of next) {
+      if (data === undefined) this._docs.delete(path);
+      else this._docs.set(path, data);
+      this._versions.set(path, this._version(path) + 1);
+    }
+  }
+
+  batch() {
+    const ops = [];
+    const batch = {
+      set: (ref, data, options) => { ops.push({ type: 'set', ref, data, options }); return batch; },
+      create: (ref, data) => { ops.push({ type: 'create', ref, data }); return batch; },
+      update: (ref, data) => { ops.push({ type: 'update', ref, data }); return batch; },
+      delete: (ref) => { ops.push({ type: 'delete', ref }); return batch; },
+      commit: async () => this._commit(ops)
+    };
+    return batch;
+  }
+
+  async runTransaction(fn) {
+    for (let attempt = 1; ; attempt++) {
+      const reads = new Map();
+      const ops = [];
+      const read = (ref) => {
+        if (ops.length > 0) throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        if (!reads.has(ref.path)) reads.set(ref.path, this._version(ref.path));
+        return this._snapshot(ref);
+      };
+      const transaction = {
+        get: async (target) => {
+          if (target instanceof DocumentReference) return read(target);
+          if (ops.length > 0) throw new Error('Firestore transactions require all reads to be executed before all writes.');
+          return new QuerySnapshot(target._run().map(read));
+        },
+        getAll: async (...refs) => refs.map(read),
+        set: (ref, data, options) => { ops.push({ type: 'set', ref, data, options }); return transaction; },
+        create: (ref, data) => { ops.push({ type: 'create', ref, data }); return transaction; },
+        update: (ref, data) => { ops.push({ type: 'update', ref, data }); return transaction; },
+        delete: (ref) => { ops.push({ type: 'delete', ref }); return transaction; }
+      };
+
+      const result = await fn(transaction);
+      // Let other requests in flight reach their own commit first
+      await new Promise(resolveTick => setImmediate(resolveTick));
+      try {
+        this._commit(ops, reads);
+        return result;
+      } catch (error) {
+        if (error.code !== 10 || attempt >= MAX_ATTEMPTS) throw error;
+        this.conflicts += 1;
+      }
+    }
+  }
+}
+
+// Tokens are base64 JSON of the decoded claims, e.g. tokenFor({ uid, role })
+const createAuth = () => {
+  const users = new Map();
+  return {
+    verifyIdToken: async (token) => JSON.parse(Buffer.from(token, 'base64').toString()),
+    createUser: async (user) => {
+      const uid = newId();
+      users.set(uid, { uid, ...user });
+      return { uid, ...user };
+    },
+    setCustomUserClaims: async () => {},
+    getUser: async (uid) => users.get(uid) || { uid },
+    getUserByPhoneNumber: async (phone) => [...users.values()].find(u => u.phoneNumber === phone),
+    getUserByEmail: async (email) => [...users.values()].find(u => u.email === email),
+    listUsers: async () => ({ users: [...users.values()] })
+  };
+};
+
+const createFirebase = () => {
+  const db = new Firestore();
+  const auth = createAuth();
+  const admin = {
+    apps: [{}],
+    auth: () => auth,
+    firestore: Object.assign(() => db, { FieldValue, Timestamp, FieldPath })
+  };
+  return { admin, db };
+};
+
+const tokenFor = (claims) => `Bearer ${Buffer.from(JSON.stringify(claims)).toString('base64')}`;
+
+module.exports = { createFirebase, tokenFor, Timestamp };
@@ -0,0 +1,13 @@
+// utils/httpError.js
+
+// Build an Error that carries an HTTP status and a machine-readable code.
+// Thrown from services (often inside Firestore transactions) and mapped to a
+// response by the route handler or the global error handler in server.js.
+const httpError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+module.exports = { httpError };
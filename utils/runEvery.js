@@ -0,0 +1,19 @@
+// utils/runEvery.js
+
+// Run a background job every `intervalMs`. A failed run is logged under
+// `label` and the next one still happens. The timer is unref'd: background
+// jobs never keep the process alive on their own.
+const runEvery = (intervalMs, label, job) => {
+  const timer = setInterval(async () => {
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runEvery };